@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Auction House interface
+ * @dev Decides which LedgerNet names can only be registered by winning an auction
+ * @author LedgerNet Team
+ */
+interface IAuctionHouse {
+    /**
+     * @dev Check if a name can only be registered through an auction
+     * @param _domainName The domain name to check
+     * @return Whether the name is auction-only
+     */
+    function isAuctionOnly(string calldata _domainName) external view returns (bool);
+}
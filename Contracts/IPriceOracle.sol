@@ -0,0 +1,17 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Price Oracle interface
+ * @dev Quotes the price of registering or renewing a LedgerNet domain
+ * @author LedgerNet Team
+ */
+interface IPriceOracle {
+    /**
+     * @dev Get the price of a domain for a duration
+     * @param _domainName The domain name to price
+     * @param _duration The registration duration in seconds
+     * @return The price in wei
+     */
+    function price(string calldata _domainName, uint256 _duration) external view returns (uint256);
+}
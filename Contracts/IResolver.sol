@@ -0,0 +1,30 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Resolver interface
+ * @dev Answers lookups for LedgerNet domains that point to it
+ * @author LedgerNet Team
+ */
+interface IResolver {
+    // A single DNS resource record
+    struct DnsRecord {
+        string value;
+        uint32 ttl;
+    }
+    
+    /**
+     * @dev Get the address a domain resolves to
+     * @param _domainName The domain name to resolve
+     * @return The IP address, or an empty string if the resolver has none
+     */
+    function resolveAddress(string calldata _domainName) external view returns (string memory);
+    
+    /**
+     * @dev Get all records of one type for a domain
+     * @param _domainName The domain name to query
+     * @param _recordType The record type (IANA type code)
+     * @return Array of records
+     */
+    function getRecords(string calldata _domainName, uint16 _recordType) external view returns (DnsRecord[] memory);
+}
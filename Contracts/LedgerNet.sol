@@ -1,26 +1,66 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./IAuctionHouse.sol";
+import "./IPriceOracle.sol";
+import "./IResolver.sol";
+import "./LedgerNetToken.sol";
+
 /**
  * @title Ledger Net
- * @dev Blockchain-based Decentralized DNS System
+ * @dev Blockchain-based Decentralized DNS System. Deployed behind a LedgerNetProxy, so
+ * state is set up by initialize and new variables must only be added after the existing ones.
  * @author LedgerNet Team
  */
-contract LedgerNet {
+contract LedgerNet is Initializable {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
     
-    // Struct to store domain information
+    // Struct to store domain information, ordered so that it packs into as few storage slots as possible
     struct Domain {
         address owner;
-        string ipAddress;
-        uint256 expirationTime;
+        uint64 expirationTime;
         bool isActive;
+        address resolver;
+        uint48 epoch;           // Bumped whenever the name is (re-)registered or revoked as a subdomain
+        uint48 parentEpoch;     // Epoch of the parent when the subdomain was created
+        address manager;
+        uint64 recordVersion;   // Bumped to discard a whole zone at once; resolvers key their records by it
+        bytes32 parent;         // Name hash of the parent, zero for registered domains
+        string name;
+        string ipAddress;
+    }
+    
+    // Lifecycle phases of a domain name
+    enum DomainPhase {
+        Available,  // Never registered, released or past the premium period
+        Active,     // Registered and not expired
+        Grace,      // Expired, only the previous owner can renew
+        Premium     // Open for registration at a premium that falls over time
     }
     
-    // Mapping from domain name to domain information here
-    mapping(string => Domain) public domains;
+    // Mapping from name hash (see nameHash) to domain information
+    mapping(bytes32 => Domain) private domainsByHash;
+    
+    // Name hashes of the domains each address owns. The set keeps every entry's position,
+    // so names are added and removed in constant time however many an owner holds.
+    mapping(address => EnumerableSet.Bytes32Set) private ownedNames;
+    
+    // Subdomains of each domain: parent name hash => parent epoch => subdomain name hashes
+    mapping(bytes32 => mapping(uint256 => EnumerableSet.Bytes32Set)) private subdomainSets;
+    
+    // Mapping from registration commitment to the time it was made
+    mapping(bytes32 => uint256) public commitments;
     
-    // Mapping to track domains owned by each address
-    mapping(address => string[]) public ownerDomains;
+    // Reverse records: address => name hash of its primary name
+    mapping(address => bytes32) private primaryNames;
+    
+    // Record operators: owner => operator => approved to manage all of the owner's domains
+    mapping(address => mapping(address => bool)) public recordOperators;
+    
+    // Name hashes of the top-level domains under which names can be registered
+    mapping(bytes32 => bool) private allowedTldHashes;
     
     // Events
     event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress);
@@ -28,30 +68,258 @@ contract LedgerNet {
     event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner);
     event DomainRenewed(string indexed domainName, uint256 newExpirationTime);
     event DomainDeactivated(string indexed domainName);
+    event RecordsCleared(string indexed domainName, uint256 newVersion);
+    event SubdomainCreated(string indexed parentName, string subdomainName, address indexed owner, uint256 expirationTime);
+    event SubdomainRevoked(string indexed parentName, string subdomainName);
+    event CommitmentMade(bytes32 indexed commitment);
+    event PriceOracleChanged(address indexed priceOracle);
+    event AuctionHouseChanged(address indexed auctionHouse);
+    event ReleaseSettingsChanged(uint256 gracePeriod, uint256 premiumPeriod, uint256 startPremium);
+    event PrimaryNameChanged(address indexed owner, string domainName);
+    event ResolverChanged(string indexed domainName, address indexed resolver);
+    event ManagerChanged(string indexed domainName, address indexed manager);
+    event RecordOperatorChanged(address indexed owner, address indexed operator, bool approved);
+    event DefaultResolverChanged(address indexed resolver);
+    event TldChanged(string tld, bool allowed);
+    event CommitmentRequiredChanged(bool required);
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event FeeChangeScheduled(uint256 registrationFee, address indexed priceOracle, uint256 effectiveAt);
+    event FeeChangeApplied(uint256 registrationFee, address indexed priceOracle);
+    event FeeChangeCancelled();
+    event FeeChangeDelayChanged(uint256 delay);
+    event TreasuryChanged(address indexed treasury);
+    event Withdrawn(address indexed treasury, uint256 amount);
+    event PauseChanged(bool paused, bytes32 reason, address indexed pauser);
+    event DomainFrozen(string indexed domainName, bytes32 reason, address indexed arbitrator);
+    event DomainUnfrozen(string indexed domainName, bytes32 reason, address indexed arbitrator);
+    event MigrationClosed();
+    event TrustedForwarderChanged(address indexed forwarder);
+    
+    // Errors
+    error NotContractOwner();
+    error NotPendingOwner();
+    error MissingRole(bytes32 role);
+    error NotDomainOwner();
+    error NotAuthorised();
+    error NotAuctionHouse();
+    error NotToken();
+    error RegistryPaused();
+    error DomainIsFrozen();
+    error DomainNotFrozen();
+    error ReasonRequired();
+    error CommitmentRequired();
+    error CommitmentExists();
+    error CommitmentNotFound();
+    error CommitmentTooNew();
+    error CommitmentExpired();
+    error InvalidBatchSize();
+    error BatchLengthMismatch();
+    error IncorrectPayment();
+    error InsufficientPayment();
+    error InvalidDuration();
+    error InvalidName(string reason);
+    error InvalidTld();
+    error TldNotAllowed();
+    error AuctionOnlyName();
+    error EmptyIpAddress();
+    error DomainAlreadyRegistered();
+    error DomainInGracePeriod();
+    error DomainNotFound();
+    error DomainNotActive();
+    error DomainExpired();
+    error ParentRegistered();
+    error TopLevelName();
+    error InvalidLabel();
+    error InvalidSubdomainOwner();
+    error InvalidExpiration();
+    error SubdomainNotFound();
+    error SubdomainRenewal();
+    error InvalidNewOwner();
+    error SelfTransfer();
+    error SelfApproval();
+    error DelayTooLong();
+    error DelayTooShort();
+    error NoFeeChangePending();
+    error FeeChangeTimelocked();
+    error InvalidTreasury();
+    error InsufficientBalance();
+    error WithdrawalFailed();
+    error InvalidToken();
+    error MigrationIsClosed();
+    
+    // Registration fee (in wei) per year, used when no price oracle is set
+    uint256 public registrationFee;
     
-    // Registration fee (in wei)
-    uint256 public registrationFee = 0.01 ether;
+    // Price oracle quoting registrations and renewals
+    IPriceOracle public priceOracle;
     
-    // Contract owner
+    // Auction house registering the names it marks as auction-only
+    IAuctionHouse public auctionHouse;
+    
+    // Resolver assigned to newly registered domains and subdomains
+    address public defaultResolver;
+    
+    // Contract owner, who grants roles and configures the registry
     address public contractOwner;
     
+    // Address nominated by the contract owner, which must accept to take over ownership
+    address public pendingOwner;
+    
+    // Roles: fee admins change pricing, treasurers withdraw funds, pausers pause the registry
+    // and arbitrators freeze disputed domains
+    bytes32 public constant FEE_ADMIN_ROLE = keccak256("FEE_ADMIN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant ARBITRATOR_ROLE = keccak256("ARBITRATOR_ROLE");
+    
+    // Role members: role => account => has role
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+    
+    // Address receiving withdrawn registration fees
+    address public treasury;
+    
+    // Pricing and release settings change waiting for the timelock to pass
+    struct FeeChange {
+        uint256 registrationFee;
+        address priceOracle;
+        uint256 gracePeriod;
+        uint256 premiumPeriod;
+        uint256 startPremium;
+        uint256 effectiveAt;
+    }
+    
+    // Pending pricing and release settings change (effectiveAt is zero when none is scheduled)
+    FeeChange public pendingFeeChange;
+    
+    // Time a pricing or release settings change must wait before it can be applied. Starts at
+    // the minimum and can only be raised.
+    uint256 public feeChangeDelay;
+    
+    // Shortest timelock on pricing changes, which the registry starts with
+    uint256 public constant MIN_FEE_CHANGE_DELAY = 1 days;
+    
+    // Longest timelock that can be set on pricing changes
+    uint256 public constant MAX_FEE_CHANGE_DELAY = 30 days;
+    
+    // Reason code of the dispute each frozen domain is under, by name hash (zero when not frozen)
+    mapping(bytes32 => bytes32) private freezes;
+    
+    // ERC-721 token representing each registered domain
+    LedgerNetToken public token;
+    
+    // The flags below share the token's storage slot, which every registration reads anyway
+    
+    // Whether registrations, updates, transfers and renewals are stopped. Resolution keeps working.
+    bool public paused;
+    
+    // Whether registrations must go through commit-reveal
+    bool public commitmentRequired;
+    
+    // Whether the contract owner can still import domains from a legacy deployment
+    bool public migrationOpen;
+    
     // Domain registration period (1 year in seconds)
     uint256 public constant REGISTRATION_PERIOD = 365 days;
     
+    // Maximum number of years a domain can be registered or renewed for at once
+    uint256 public constant MAX_REGISTRATION_YEARS = 10;
+    
+    // Time after expiration during which only the previous owner can renew
+    uint256 public gracePeriod;
+    
+    // Time after the grace period during which registration costs a falling premium
+    uint256 public premiumPeriod;
+    
+    // Premium (in wei) at the start of the premium period, falling linearly to zero
+    uint256 public startPremium;
+    
+    // Commit-reveal window: a commitment can be revealed after the minimum age and before the maximum age
+    uint256 public constant MIN_COMMITMENT_AGE = 1 minutes;
+    uint256 public constant MAX_COMMITMENT_AGE = 1 days;
+    
+    // Maximum number of domains registered in one registerDomains call
+    uint256 public constant MAX_BATCH_SIZE = 20;
+    
+    // DNS length limits for a single label and for a whole name
+    uint256 public constant MAX_LABEL_LENGTH = 63;
+    uint256 public constant MAX_NAME_LENGTH = 253;
+    
+    // Forwarder of signed requests (EIP-2771): its calls act for the signer appended to the calldata
+    address public trustedForwarder;
+    
     modifier onlyDomainOwner(string memory _domainName) {
-        require(domains[_domainName].owner == msg.sender, "Not the domain owner");
-        require(domains[_domainName].isActive, "Domain is not active");
-        require(block.timestamp < domains[_domainName].expirationTime, "Domain has expired");
+        _checkDomainOwner(nameHash(_domainName));
+        _;
+    }
+    
+    modifier onlyDomainAuthorised(string memory _domainName) {
+        _checkDomainAuthorised(nameHash(_domainName));
         _;
     }
     
     modifier onlyContractOwner() {
-        require(msg.sender == contractOwner, "Not the contract owner");
+        _checkContractOwner();
+        _;
+    }
+    
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+    
+    modifier whenNotPaused() {
+        _checkNotPaused();
         _;
     }
     
     constructor() {
+        _disableInitializers();
+    }
+    
+    /**
+     * @dev Set up the registry behind its proxy, making the caller the contract owner, treasury
+     * and holder of every role. Pricing changes are timelocked from the start, so the initial
+     * price oracle is set here.
+     * @param _token The domain token, deployed with the proxy as its registry
+     * @param _priceOracle The price oracle, or the zero address to charge the flat registration fee
+     */
+    function initialize(LedgerNetToken _token, IPriceOracle _priceOracle) 
+        external 
+        initializer
+    {
+        if (address(_token.registry()) != address(this)) revert InvalidToken();
+        
         contractOwner = msg.sender;
+        treasury = msg.sender;
+        _setRole(FEE_ADMIN_ROLE, msg.sender, true);
+        _setRole(TREASURER_ROLE, msg.sender, true);
+        _setRole(PAUSER_ROLE, msg.sender, true);
+        _setRole(ARBITRATOR_ROLE, msg.sender, true);
+        token = _token;
+        
+        registrationFee = 0.01 ether;
+        priceOracle = _priceOracle;
+        feeChangeDelay = MIN_FEE_CHANGE_DELAY;
+        gracePeriod = 90 days;
+        premiumPeriod = 21 days;
+        startPremium = 1 ether;
+        migrationOpen = true;
+    }
+    
+    /**
+     * @dev Get the hash a name is stored under, which is also its token ID
+     * @param _domainName The domain name
+     * @return The keccak256 hash of the name
+     */
+    function nameHash(string memory _domainName) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(bytes(_domainName));
     }
     
     /**
@@ -62,30 +330,240 @@ contract LedgerNet {
     function registerDomain(string memory _domainName, string memory _ipAddress) 
         external 
         payable 
+        whenNotPaused
+    {
+        if (commitmentRequired) revert CommitmentRequired();
+        
+        _registerDomain(_domainName, _ipAddress, 1, msg.value, msg.sender);
+    }
+    
+    /**
+     * @dev Register a new domain name for several years
+     * @param _domainName The domain name to register
+     * @param _ipAddress The IP address to associate with the domain
+     * @param _years The registration duration in years
+     */
+    function registerDomainForYears(string memory _domainName, string memory _ipAddress, uint256 _years) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        if (commitmentRequired) revert CommitmentRequired();
+        
+        _registerDomain(_domainName, _ipAddress, _years, msg.value, msg.sender);
+    }
+    
+    /**
+     * @dev Register several domain names in one transaction. The payment must equal
+     * the sum of their prices exactly.
+     * @param _domainNames The domain names to register
+     * @param _ipAddresses The IP address of each domain, in the same order
+     * @param _years The registration duration in years, for every domain
+     */
+    function registerDomains(string[] memory _domainNames, string[] memory _ipAddresses, uint256 _years) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        if (commitmentRequired) revert CommitmentRequired();
+        
+        _registerDomains(_domainNames, _ipAddresses, _years);
+    }
+    
+    /**
+     * @dev Compute the commitment hash for a registration
+     * @param _domainName The domain name to register
+     * @param _owner The address that will reveal and own the domain
+     * @param _secret A random secret that keeps the name hidden until the reveal
+     * @return The commitment hash
+     */
+    function makeCommitment(string memory _domainName, address _owner, bytes32 _secret) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encode(_domainName, _owner, _secret));
+    }
+    
+    /**
+     * @dev Compute the commitment hash for a batch registration, which one commit covers
+     * @param _domainNames The domain names to register, in the order they will be revealed
+     * @param _owner The address that will reveal and own the domains
+     * @param _secret A random secret that keeps the names hidden until the reveal
+     * @return The commitment hash
+     */
+    function makeBatchCommitment(string[] memory _domainNames, address _owner, bytes32 _secret) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encode(_domainNames, _owner, _secret));
+    }
+    
+    /**
+     * @dev Commit to a registration without revealing the domain name
+     * @param _commitment The hash returned by makeCommitment
+     */
+    function commit(bytes32 _commitment) 
+        external 
+        whenNotPaused
+    {
+        if (commitments[_commitment] + MAX_COMMITMENT_AGE >= block.timestamp) revert CommitmentExists();
+        
+        commitments[_commitment] = block.timestamp;
+        
+        emit CommitmentMade(_commitment);
+    }
+    
+    /**
+     * @dev Reveal a commitment and register the domain name
+     * @param _domainName The domain name to register
+     * @param _ipAddress The IP address to associate with the domain
+     * @param _secret The secret used in the commitment
+     * @param _years The registration duration in years
+     */
+    function registerWithCommitment(
+        string memory _domainName,
+        string memory _ipAddress,
+        bytes32 _secret,
+        uint256 _years
+    ) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        _consumeCommitment(makeCommitment(_domainName, msg.sender, _secret));
+        
+        _registerDomain(_domainName, _ipAddress, _years, msg.value, msg.sender);
+    }
+    
+    /**
+     * @dev Reveal a batch commitment and register its domain names. The payment must
+     * equal the sum of their prices exactly.
+     * @param _domainNames The domain names to register, in the order they were committed
+     * @param _ipAddresses The IP address of each domain, in the same order
+     * @param _secret The secret used in the commitment
+     * @param _years The registration duration in years, for every domain
+     */
+    function registerDomainsWithCommitment(
+        string[] memory _domainNames,
+        string[] memory _ipAddresses,
+        bytes32 _secret,
+        uint256 _years
+    ) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        _consumeCommitment(makeBatchCommitment(_domainNames, msg.sender, _secret));
+        
+        _registerDomains(_domainNames, _ipAddresses, _years);
+    }
+    
+    /**
+     * @dev Register an auctioned domain name for one year to the auction's winner (only auction house)
+     * @param _domainName The domain name to register
+     * @param _ipAddress The IP address to associate with the domain
+     * @param _owner The winner of the auction
+     */
+    function registerFromAuction(string memory _domainName, string memory _ipAddress, address _owner) 
+        external 
+        payable 
+        whenNotPaused
     {
-        require(msg.value >= registrationFee, "Insufficient registration fee");
-        require(bytes(_domainName).length > 0, "Domain name cannot be empty");
-        require(bytes(_ipAddress).length > 0, "IP address cannot be empty");
-        require(!domains[_domainName].isActive || block.timestamp >= domains[_domainName].expirationTime, 
-                "Domain already registered and active");
+        if (msg.sender != address(auctionHouse)) revert NotAuctionHouse();
+        
+        _registerDomain(_domainName, _ipAddress, 1, msg.value, _owner);
+    }
+    
+    /**
+     * @dev Internal function to register a domain name for an owner for a number of years, given
+     * the payment made for it
+     */
+    function _registerDomain(string memory _domainName, string memory _ipAddress, uint256 _years, uint256 _payment, address _owner) internal {
+        if (_payment < getPrice(_domainName, _years)) revert InsufficientPayment();
+        
+        _registerUntil(_domainName, _ipAddress, block.timestamp + _years * REGISTRATION_PERIOD, _owner);
+    }
+    
+    /**
+     * @dev Internal function to register a batch of domain names for the caller. The payment must
+     * equal the sum of their prices exactly.
+     */
+    function _registerDomains(string[] memory _domainNames, string[] memory _ipAddresses, uint256 _years) internal {
+        if (_domainNames.length == 0 || _domainNames.length > MAX_BATCH_SIZE) revert InvalidBatchSize();
+        if (_domainNames.length != _ipAddresses.length) revert BatchLengthMismatch();
+        
+        uint256 totalPrice = 0;
+        for (uint256 i = 0; i < _domainNames.length; i++) {
+            uint256 price = getPrice(_domainNames[i], _years);
+            totalPrice += price;
+            
+            _registerDomain(_domainNames[i], _ipAddresses[i], _years, price, msg.sender);
+        }
+        
+        if (msg.value != totalPrice) revert IncorrectPayment();
+    }
+    
+    /**
+     * @dev Internal function to delete a commitment that is old enough to reveal and not yet expired
+     */
+    function _consumeCommitment(bytes32 _commitment) internal {
+        uint256 committedAt = commitments[_commitment];
+        
+        if (committedAt == 0) revert CommitmentNotFound();
+        if (block.timestamp < committedAt + MIN_COMMITMENT_AGE) revert CommitmentTooNew();
+        if (block.timestamp > committedAt + MAX_COMMITMENT_AGE) revert CommitmentExpired();
+        
+        delete commitments[_commitment];
+    }
+    
+    /**
+     * @dev Internal function to register a paid-for domain name for an owner until an expiration time.
+     * Auction-only names can only be registered by the auction house. Kept apart from the payment
+     * check so the compiler does not copy it into every registration function.
+     */
+    function _registerUntil(string memory _domainName, string memory _ipAddress, uint256 _expirationTime, address _owner) internal {
+        if (msg.sender != address(auctionHouse) && address(auctionHouse) != address(0) && auctionHouse.isAuctionOnly(_domainName)) {
+            revert AuctionOnlyName();
+        }
+        _checkName(_domainName);
+        if (!_hasAllowedTld(_domainName)) revert TldNotAllowed();
+        if (bytes(_ipAddress).length == 0) revert EmptyIpAddress();
+        
+        bytes32 node = nameHash(_domainName);
+        _checkNotFrozen(node);
+        DomainPhase phase = _phaseOf(node);
+        if (phase == DomainPhase.Active) revert DomainAlreadyRegistered();
+        if (phase == DomainPhase.Grace) revert DomainInGracePeriod();
+        
+        // Names below a registered domain are subdomains and can only be created by its owner
+        string memory parentName = _parentOf(_domainName);
+        if (_canHaveSubdomains(parentName) && _isHeld(nameHash(parentName))) revert ParentRegistered();
         
         // If domain was previously registered but expired, remove from old owner's list
-        if (domains[_domainName].owner != address(0)) {
-            _removeDomainFromOwner(domains[_domainName].owner, _domainName);
+        // and discard the records and manager left behind by the previous owner.
+        // A registered name has no parent, even if it was a subdomain before.
+        Domain storage domain = domainsByHash[node];
+        if (domain.owner != address(0)) {
+            ownedNames[domain.owner].remove(node);
+            _clearPrimaryName(domain.owner, node);
+            domain.recordVersion++;
+            domain.parent = bytes32(0);
+        } else {
+            domain.name = _domainName;
         }
         
-        // Register the domain
-        domains[_domainName] = Domain({
-            owner: msg.sender,
-            ipAddress: _ipAddress,
-            expirationTime: block.timestamp + REGISTRATION_PERIOD,
-            isActive: true
-        });
+        // Subdomains from a previous registration are dropped
+        domain.epoch++;
+        
+        // Register the domain and add it to the owner's domain list
+        _storeDomain(node, _owner, _ipAddress, _expirationTime);
         
-        // Add to owner's domain list
-        ownerDomains[msg.sender].push(_domainName);
+        // Mint the domain token, replacing the previous registration's
+        token.mint(_owner, _domainName);
         
-        emit DomainRegistered(_domainName, msg.sender, _ipAddress);
+        emit DomainRegistered(_domainName, _owner, _ipAddress);
     }
     
     /**
@@ -95,17 +573,34 @@ contract LedgerNet {
      */
     function updateDomain(string memory _domainName, string memory _newIpAddress) 
         external 
-        onlyDomainOwner(_domainName) 
+        whenNotPaused
+        onlyDomainAuthorised(_domainName) 
     {
-        require(bytes(_newIpAddress).length > 0, "IP address cannot be empty");
+        if (bytes(_newIpAddress).length == 0) revert EmptyIpAddress();
         
-        domains[_domainName].ipAddress = _newIpAddress;
+        domainsByHash[nameHash(_domainName)].ipAddress = _newIpAddress;
         
         emit DomainUpdated(_domainName, _newIpAddress);
     }
     
     /**
-     * @dev Resolve a domain name to its IP address
+     * @dev Delete every record of a domain, in whichever resolver holds them
+     * @param _domainName The domain name to clear
+     */
+    function clearRecords(string memory _domainName) 
+        external 
+        whenNotPaused
+        onlyDomainAuthorised(_domainName) 
+    {
+        Domain storage domain = domainsByHash[nameHash(_domainName)];
+        domain.recordVersion++;
+        
+        emit RecordsCleared(_domainName, domain.recordVersion);
+    }
+    
+    /**
+     * @dev Resolve a domain name to its IP address. The domain's resolver answers first;
+     * the IP address stored in the registry is used when it has no address records.
      * @param _domainName The domain name to resolve
      * @return The IP address associated with the domain
      */
@@ -114,133 +609,1269 @@ contract LedgerNet {
         view 
         returns (string memory) 
     {
-        require(domains[_domainName].isActive, "Domain not found or inactive");
-        require(block.timestamp < domains[_domainName].expirationTime, "Domain has expired");
+        bytes32 node = nameHash(_domainName);
+        Domain storage domain = domainsByHash[node];
+        if (!domain.isActive) revert DomainNotActive();
+        if (block.timestamp >= _expirationOf(node)) revert DomainExpired();
         
-        return domains[_domainName].ipAddress;
+        address resolver = domain.resolver;
+        if (resolver != address(0)) {
+            string memory resolved = IResolver(resolver).resolveAddress(_domainName);
+            if (bytes(resolved).length > 0) {
+                return resolved;
+            }
+        }
+        
+        return domain.ipAddress;
     }
     
     /**
-     * @dev Get domain information
-     * @param _domainName The domain name to query
-     * @return owner The owner address
-     * @return ipAddress The IP address
-     * @return expirationTime The expiration timestamp
-     * @return isActive Whether the domain is active
+     * @dev Point a domain to a resolver, or the zero address to resolve from the registry only
+     * @param _domainName The domain name to update
+     * @param _resolver The resolver contract
      */
-    function getDomainInfo(string memory _domainName) 
+    function setResolver(string memory _domainName, address _resolver) 
         external 
-        view 
-        returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive) 
+        whenNotPaused
+        onlyDomainAuthorised(_domainName) 
     {
-        Domain memory domain = domains[_domainName];
-        return (domain.owner, domain.ipAddress, domain.expirationTime, domain.isActive);
+        domainsByHash[nameHash(_domainName)].resolver = _resolver;
+        
+        emit ResolverChanged(_domainName, _resolver);
     }
     
     /**
-     * @dev Get all domains owned by an address
-     * @param _owner The owner address
-     * @return Array of domain names
+     * @dev Get the resolver of a domain
+     * @param _domainName The domain name to query
+     * @return The resolver contract (zero address if none)
      */
-    function getDomainsByOwner(address _owner) 
+    function getResolver(string memory _domainName) 
         external 
         view 
-        returns (string[] memory) 
+        returns (address) 
     {
-        return ownerDomains[_owner];
+        return domainsByHash[nameHash(_domainName)].resolver;
     }
     
     /**
-     * @dev Transfer domain ownership
-     * @param _domainName The domain name to transfer
-     * @param _newOwner The new owner address
+     * @dev Set a manager that can update a domain's address, resolver and records but cannot
+     * transfer or release it. Cleared when the domain changes hands.
+     * @param _domainName The domain name to delegate
+     * @param _manager The manager address, or the zero address to remove it
      */
-    function transferDomain(string memory _domainName, address _newOwner) 
+    function setManager(string memory _domainName, address _manager) 
         external 
+        whenNotPaused
         onlyDomainOwner(_domainName) 
     {
-        require(_newOwner != address(0), "Invalid new owner address");
-        require(_newOwner != msg.sender, "Cannot transfer to yourself");
+        domainsByHash[nameHash(_domainName)].manager = _manager;
         
-        address oldOwner = domains[_domainName].owner;
-        
-        // Update domain owner
-        domains[_domainName].owner = _newOwner;
+        emit ManagerChanged(_domainName, _manager);
+    }
+    
+    /**
+     * @dev Approve or revoke an operator that can manage the records of all the caller's domains
+     * @param _operator The operator address
+     * @param _approved Whether the operator is approved
+     */
+    function setRecordOperator(address _operator, bool _approved) 
+        external 
+        whenNotPaused
+    {
+        address sender = _msgSender();
+        if (_operator == sender) revert SelfApproval();
         
-        // Remove from old owner's list
-        _removeDomainFromOwner(oldOwner, _domainName);
+        recordOperators[sender][_operator] = _approved;
         
-        // Add to new owner's list
-        ownerDomains[_newOwner].push(_domainName);
+        emit RecordOperatorChanged(sender, _operator, _approved);
+    }
+    
+    /**
+     * @dev Check if an account may update a domain's address, resolver and records
+     * @param _domainName The domain name to check
+     * @param _account The account to check
+     * @return Whether the account is the owner, manager or a record operator of a live domain
+     */
+    function isAuthorised(string memory _domainName, address _account) 
+        external 
+        view 
+        returns (bool) 
+    {
+        bytes32 node = nameHash(_domainName);
+        Domain storage domain = domainsByHash[node];
         
-        emit DomainTransferred(_domainName, oldOwner, _newOwner);
+        return !paused && freezes[node] == 0 && _isLive(node) &&
+               (domain.owner == _account || domain.manager == _account || recordOperators[domain.owner][_account]);
     }
     
     /**
-     * @dev Set registration fee (only contract owner)
-     * @param _newFee The new registration fee in wei
+     * @dev Get the stored fields of a domain
+     * @param _domainName The domain name to query
+     * @return owner The owner address
+     * @return ipAddress The IP address
+     * @return expirationTime The expiration timestamp as stored, without the parent's cap for subdomains
+     * @return isActive Whether the domain is active
+     * @return resolver The resolver contract
+     * @return manager The manager address
      */
-    function setRegistrationFee(uint256 _newFee) 
+    function domains(string memory _domainName) 
         external 
-        onlyContractOwner 
+        view 
+        returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive, address resolver, address manager) 
     {
-        registrationFee = _newFee;
+        Domain storage domain = domainsByHash[nameHash(_domainName)];
+        return (domain.owner, domain.ipAddress, domain.expirationTime, domain.isActive, domain.resolver, domain.manager);
     }
     
     /**
-     * @dev Withdraw contract balance (only contract owner)
+     * @dev Get domain information
+     * @param _domainName The domain name to query
+     * @return owner The owner address
+     * @return ipAddress The IP address
+     * @return expirationTime The expiration timestamp, capped by the parent's for subdomains
+     * @return isActive Whether the domain is active
+     * @return phase The lifecycle phase of the domain
      */
-    function withdraw() 
+    function getDomainInfo(string memory _domainName) 
         external 
-        onlyContractOwner 
+        view 
+        returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive, DomainPhase phase) 
     {
-        payable(contractOwner).transfer(address(this).balance);
+        bytes32 node = nameHash(_domainName);
+        Domain storage domain = domainsByHash[node];
+        return (domain.owner, domain.ipAddress, _expirationOf(node), domain.isActive, _phaseOf(node));
     }
     
     /**
-     * @dev Internal function to remove domain from owner's list
+     * @dev Get the lifecycle phase of a domain
+     * @param _domainName The domain name to query
+     * @return The lifecycle phase
      */
-    function _removeDomainFromOwner(address _owner, string memory _domainName) internal {
-        string[] storage ownerDomainList = ownerDomains[_owner];
-        for (uint i = 0; i < ownerDomainList.length; i++) {
-            if (keccak256(bytes(ownerDomainList[i])) == keccak256(bytes(_domainName))) {
-                ownerDomainList[i] = ownerDomainList[ownerDomainList.length - 1];
-                ownerDomainList.pop();
-                break;
-            }
+    function getDomainPhase(string memory _domainName) 
+        external 
+        view 
+        returns (DomainPhase) 
+    {
+        return _phaseOf(nameHash(_domainName));
+    }
+    
+    /**
+     * @dev Get the current premium for registering a domain in its premium period
+     * @param _domainName The domain name to query
+     * @return The premium in wei (0 outside the premium period)
+     */
+    function getPremium(string memory _domainName) 
+        public 
+        view 
+        returns (uint256) 
+    {
+        bytes32 node = nameHash(_domainName);
+        if (_phaseOf(node) != DomainPhase.Premium) {
+            return 0;
         }
+        
+        uint256 premiumEnd = _expirationOf(node) + gracePeriod + premiumPeriod;
+        return startPremium * (premiumEnd - block.timestamp) / premiumPeriod;
     }
     
     /**
-     * @dev Check if domain is available for registration
-     * @param _domainName The domain name to check
-     * @return Whether the domain is available
+     * @dev Get all domains owned by an address
+     * @param _owner The owner address
+     * @return Array of domain names
      */
-    function isDomainAvailable(string memory _domainName) 
+    function getDomainsByOwner(address _owner) 
         external 
         view 
-        returns (bool) 
+        returns (string[] memory) 
     {
-        return !domains[_domainName].isActive || block.timestamp >= domains[_domainName].expirationTime;
+        return _namesOf(ownedNames[_owner]);
     }
     
-    // ===== NEW FUNCTIONS =====
+    /**
+     * @dev Get the number of domains owned by an address, to page through them with ownerDomains
+     * @param _owner The owner address
+     * @return The number of domains
+     */
+    function ownerDomainCount(address _owner) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        return ownedNames[_owner].length();
+    }
     
     /**
-     * @dev Renew domain registration for another period
-     * @param _domainName The domain name to renew
+     * @dev Get one of the domains owned by an address. The order changes as domains come and go.
+     * @param _owner The owner address
+     * @param _index The position, below ownerDomainCount
+     * @return The domain name
      */
-    function renewDomain(string memory _domainName) 
+    function ownerDomains(address _owner, uint256 _index) 
         external 
-        payable 
-        onlyDomainOwner(_domainName) 
+        view 
+        returns (string memory) 
     {
-        require(msg.value >= registrationFee, "Insufficient renewal fee");
+        return domainsByHash[ownedNames[_owner].at(_index)].name;
+    }
+    
+    /**
+     * @dev Get the current record version of a domain. Resolvers key their records by it.
+     * @param _domainName The domain name to query
+     * @return The record version
+     */
+    function recordVersions(string memory _domainName) 
+        external 
+        view 
+        returns (uint256) 
+    {
+        return domainsByHash[nameHash(_domainName)].recordVersion;
+    }
+    
+    /**
+     * @dev Get the parent of a subdomain
+     * @param _domainName The domain name to query
+     * @return The parent domain name, or an empty string for registered domains
+     */
+    function parentDomains(string memory _domainName) 
+        external 
+        view 
+        returns (string memory) 
+    {
+        return domainsByHash[domainsByHash[nameHash(_domainName)].parent].name;
+    }
+    
+    /**
+     * @dev Create a subdomain, or reassign and extend an existing one (only parent owner)
+     * @param _parentName The parent domain name
+     * @param _label The subdomain label, e.g. "api" for api.mysite.eth
+     * @param _owner The address that will own the subdomain
+     * @param _expirationTime The subdomain expiration, 0 or anything later is capped to the parent's
+     */
+    function createSubdomain(
+        string memory _parentName,
+        string memory _label,
+        address _owner,
+        uint256 _expirationTime
+    ) 
+        external 
+        whenNotPaused
+        onlyDomainOwner(_parentName) 
+    {
+        if (!_canHaveSubdomains(_parentName)) revert TopLevelName();
+        if (!_isValidLabel(_label)) revert InvalidLabel();
+        if (_owner == address(0)) revert InvalidSubdomainOwner();
+        
+        string memory subdomainName = string(abi.encodePacked(_label, ".", _parentName));
+        _checkName(subdomainName);
+        bytes32 parentNode = nameHash(_parentName);
+        bytes32 node = nameHash(subdomainName);
+        bool exists = _isSubdomainOf(node, parentNode);
+        if (!exists && _isLive(node)) revert DomainAlreadyRegistered();
+        
+        // Cap the subdomain lifetime by the parent's expiration
+        uint256 parentExpiration = _expirationOf(parentNode);
+        if (_expirationTime == 0 || _expirationTime > parentExpiration) {
+            _expirationTime = parentExpiration;
+        }
+        if (_expirationTime <= block.timestamp) revert InvalidExpiration();
+        
+        // A new owner starts with an empty zone
+        Domain storage subdomain = domainsByHash[node];
+        address oldOwner = subdomain.owner;
+        if (!exists || oldOwner != _owner) {
+            if (oldOwner != address(0)) {
+                ownedNames[oldOwner].remove(node);
+                _clearPrimaryName(oldOwner, node);
+                subdomain.recordVersion++;
+            }
+            subdomain.manager = address(0);
+            
+            // An expired registration of the same name leaves a token behind
+            if (!exists) {
+                token.burn(subdomainName);
+            }
+            ownedNames[_owner].add(node);
+        }
+        
+        if (!exists) {
+            uint48 parentEpoch = domainsByHash[parentNode].epoch;
+            if (bytes(subdomain.name).length == 0) {
+                subdomain.name = subdomainName;
+            }
+            subdomain.parent = parentNode;
+            subdomain.parentEpoch = parentEpoch;
+            subdomain.resolver = defaultResolver;
+            subdomain.epoch++;
+            subdomainSets[parentNode][parentEpoch].add(node);
+        }
+        
+        subdomain.owner = _owner;
+        subdomain.expirationTime = uint64(_expirationTime);
+        subdomain.isActive = true;
+        
+        emit SubdomainCreated(_parentName, subdomainName, _owner, _expirationTime);
+    }
+    
+    /**
+     * @dev Revoke a subdomain and everything below it (only parent owner)
+     * @param _parentName The parent domain name
+     * @param _label The subdomain label
+     */
+    function revokeSubdomain(string memory _parentName, string memory _label) 
+        external 
+        whenNotPaused
+        onlyDomainOwner(_parentName) 
+    {
+        string memory subdomainName = string(abi.encodePacked(_label, ".", _parentName));
+        bytes32 parentNode = nameHash(_parentName);
+        bytes32 node = nameHash(subdomainName);
+        if (!_isSubdomainOf(node, parentNode)) revert SubdomainNotFound();
+        
+        Domain storage subdomain = domainsByHash[node];
+        ownedNames[subdomain.owner].remove(node);
+        _clearPrimaryName(subdomain.owner, node);
+        subdomainSets[parentNode][domainsByHash[parentNode].epoch].remove(node);
+        
+        subdomain.isActive = false;
+        subdomain.parent = bytes32(0);
+        subdomain.epoch++;
+        
+        emit SubdomainRevoked(_parentName, subdomainName);
+    }
+    
+    /**
+     * @dev Get the subdomains created under a domain by its current owner
+     * @param _domainName The parent domain name
+     * @return Array of subdomain names
+     */
+    function getSubdomains(string memory _domainName) 
+        external 
+        view 
+        returns (string[] memory) 
+    {
+        bytes32 node = nameHash(_domainName);
+        return _namesOf(subdomainSets[node][domainsByHash[node].epoch]);
+    }
+    
+    /**
+     * @dev Set the caller's primary name for reverse resolution
+     * @param _domainName A domain name owned by the caller
+     */
+    function setPrimaryName(string memory _domainName) 
+        external 
+        whenNotPaused
+        onlyDomainOwner(_domainName) 
+    {
+        address sender = _msgSender();
+        primaryNames[sender] = nameHash(_domainName);
+        
+        emit PrimaryNameChanged(sender, _domainName);
+    }
+    
+    /**
+     * @dev Clear the caller's primary name
+     */
+    function clearPrimaryName() 
+        external 
+        whenNotPaused
+    {
+        address sender = _msgSender();
+        _clearPrimaryName(sender, primaryNames[sender]);
+    }
+    
+    /**
+     * @dev Resolve an address to its primary name
+     * @param _owner The address to look up
+     * @return The primary name, or an empty string if none is set or it is no longer owned and active
+     */
+    function getPrimaryName(address _owner) 
+        external 
+        view 
+        returns (string memory) 
+    {
+        bytes32 node = primaryNames[_owner];
+        
+        // A name that expired or changed hands since it was set is not reported
+        if (node == bytes32(0) || domainsByHash[node].owner != _owner || !_isLive(node)) {
+            return "";
+        }
+        
+        return domainsByHash[node].name;
+    }
+    
+    /**
+     * @dev Transfer domain ownership
+     * @param _domainName The domain name to transfer
+     * @param _newOwner The new owner address
+     */
+    function transferDomain(string memory _domainName, address _newOwner) 
+        external 
+        whenNotPaused
+        onlyDomainOwner(_domainName) 
+    {
+        if (_newOwner == address(0)) revert InvalidNewOwner();
+        address sender = _msgSender();
+        if (_newOwner == sender) revert SelfTransfer();
+        
+        bytes32 node = nameHash(_domainName);
+        _transferDomain(node, _domainName, sender, _newOwner);
+        
+        // Registered domains move their token along; subdomains have none
+        if (domainsByHash[node].parent == bytes32(0)) {
+            token.registryTransfer(sender, _newOwner, _domainName);
+        }
+    }
+    
+    /**
+     * @dev Mirror a transfer made through the domain token (only token contract)
+     * @param _domainName The domain name transferred
+     * @param _from The previous owner
+     * @param _to The new owner
+     */
+    function onTokenTransfer(string calldata _domainName, address _from, address _to) 
+        external 
+        whenNotPaused
+    {
+        if (msg.sender != address(token)) revert NotToken();
+        bytes32 node = nameHash(_domainName);
+        _checkNotFrozen(node);
+        
+        if (_from != _to) {
+            _transferDomain(node, _domainName, _from, _to);
+        }
+    }
+    
+    /**
+     * @dev Internal function to move a domain to a new owner
+     */
+    function _transferDomain(bytes32 _node, string memory _domainName, address _oldOwner, address _newOwner) internal {
+        // Update domain owner; the previous owner's manager does not carry over
+        Domain storage domain = domainsByHash[_node];
+        domain.owner = _newOwner;
+        domain.manager = address(0);
+        
+        // Remove from old owner's list and reverse record
+        ownedNames[_oldOwner].remove(_node);
+        _clearPrimaryName(_oldOwner, _node);
+        
+        // Add to new owner's list
+        ownedNames[_newOwner].add(_node);
+        
+        emit DomainTransferred(_domainName, _oldOwner, _newOwner);
+    }
+    
+    /**
+     * @dev Require or allow direct registrations without commit-reveal (only contract owner)
+     * @param _required Whether registrations must go through commit-reveal
+     */
+    function setCommitmentRequired(bool _required) 
+        external 
+        onlyContractOwner 
+    {
+        commitmentRequired = _required;
+        
+        emit CommitmentRequiredChanged(_required);
+    }
+    
+    /**
+     * @dev Set the price oracle, or the zero address to charge the flat registration fee (only fee admin).
+     * Takes effect once the fee change delay has passed.
+     * @param _priceOracle The price oracle contract
+     */
+    function setPriceOracle(address _priceOracle) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        FeeChange memory change = _nextFeeChange();
+        change.priceOracle = _priceOracle;
+        _scheduleFeeChange(change);
+    }
+    
+    /**
+     * @dev Set the auction house, or the zero address to allow registering every name directly (only contract owner)
+     * @param _auctionHouse The auction house contract
+     */
+    function setAuctionHouse(address _auctionHouse) 
+        external 
+        onlyContractOwner 
+    {
+        auctionHouse = IAuctionHouse(_auctionHouse);
+        
+        emit AuctionHouseChanged(_auctionHouse);
+    }
+    
+    /**
+     * @dev Set the resolver assigned to new registrations (only contract owner)
+     * @param _resolver The resolver contract, or the zero address for none
+     */
+    function setDefaultResolver(address _resolver) 
+        external 
+        onlyContractOwner 
+    {
+        defaultResolver = _resolver;
+        
+        emit DefaultResolverChanged(_resolver);
+    }
+    
+    /**
+     * @dev Set the forwarder trusted to relay signed updates, transfers and renewals (only contract owner)
+     * @param _forwarder The forwarder contract, or the zero address for none
+     */
+    function setTrustedForwarder(address _forwarder) 
+        external 
+        onlyContractOwner 
+    {
+        trustedForwarder = _forwarder;
+        
+        emit TrustedForwarderChanged(_forwarder);
+    }
+    
+    /**
+     * @dev Allow or disallow registrations under a top-level domain (only contract owner)
+     * @param _tld The top-level domain, e.g. "eth"
+     * @param _allowed Whether names can be registered under it
+     */
+    function setTldAllowed(string memory _tld, bool _allowed) 
+        external 
+        onlyContractOwner 
+    {
+        if (!_isValidLabel(_tld) || bytes(_nameError(_tld)).length > 0) revert InvalidTld();
+        
+        allowedTldHashes[nameHash(_tld)] = _allowed;
+        
+        emit TldChanged(_tld, _allowed);
+    }
+    
+    /**
+     * @dev Check if names can be registered under a top-level domain
+     * @param _tld The top-level domain, e.g. "eth"
+     * @return Whether the top-level domain is allowed
+     */
+    function allowedTlds(string memory _tld) 
+        external 
+        view 
+        returns (bool) 
+    {
+        return allowedTldHashes[nameHash(_tld)];
+    }
+    
+    /**
+     * @dev Set the grace and premium periods (only fee admin). Takes effect once the fee change
+     * delay has passed, as they decide when and at what price expired names can be taken.
+     * @param _gracePeriod Time after expiration reserved for the previous owner
+     * @param _premiumPeriod Time after the grace period with a falling premium
+     * @param _startPremium Premium in wei at the start of the premium period
+     */
+    function setReleaseSettings(uint256 _gracePeriod, uint256 _premiumPeriod, uint256 _startPremium) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        FeeChange memory change = _nextFeeChange();
+        change.gracePeriod = _gracePeriod;
+        change.premiumPeriod = _premiumPeriod;
+        change.startPremium = _startPremium;
+        _scheduleFeeChange(change);
+    }
+    
+    /**
+     * @dev Get the price of registering or renewing a domain, including any premium
+     * @param _domainName The domain name to price
+     * @param _years The duration in years
+     * @return The price in wei
+     */
+    function getPrice(string memory _domainName, uint256 _years) 
+        public 
+        view 
+        returns (uint256) 
+    {
+        if (_years < 1 || _years > MAX_REGISTRATION_YEARS) revert InvalidDuration();
+        
+        uint256 premium = getPremium(_domainName);
+        
+        if (address(priceOracle) == address(0)) {
+            return registrationFee * _years + premium;
+        }
+        
+        return priceOracle.price(_domainName, _years * REGISTRATION_PERIOD) + premium;
+    }
+    
+    /**
+     * @dev Set registration fee (only fee admin). Takes effect once the fee change delay has passed.
+     * @param _newFee The new registration fee in wei
+     */
+    function setRegistrationFee(uint256 _newFee) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        FeeChange memory change = _nextFeeChange();
+        change.registrationFee = _newFee;
+        _scheduleFeeChange(change);
+    }
+    
+    /**
+     * @dev Apply the pending pricing and release settings change once its delay has passed (callable by anyone)
+     */
+    function applyFeeChange() external {
+        FeeChange memory change = pendingFeeChange;
+        if (change.effectiveAt == 0) revert NoFeeChangePending();
+        if (block.timestamp < change.effectiveAt) revert FeeChangeTimelocked();
+        
+        delete pendingFeeChange;
+        
+        if (address(priceOracle) != change.priceOracle) {
+            priceOracle = IPriceOracle(change.priceOracle);
+            emit PriceOracleChanged(change.priceOracle);
+        }
+        
+        if (
+            gracePeriod != change.gracePeriod ||
+            premiumPeriod != change.premiumPeriod ||
+            startPremium != change.startPremium
+        ) {
+            gracePeriod = change.gracePeriod;
+            premiumPeriod = change.premiumPeriod;
+            startPremium = change.startPremium;
+            emit ReleaseSettingsChanged(change.gracePeriod, change.premiumPeriod, change.startPremium);
+        }
+        
+        registrationFee = change.registrationFee;
+        
+        emit FeeChangeApplied(change.registrationFee, change.priceOracle);
+    }
+    
+    /**
+     * @dev Cancel the pending pricing and release settings change (only fee admin)
+     */
+    function cancelFeeChange() 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        if (pendingFeeChange.effectiveAt == 0) revert NoFeeChangePending();
+        
+        delete pendingFeeChange;
+        
+        emit FeeChangeCancelled();
+    }
+    
+    /**
+     * @dev Set how long pricing and release settings changes wait before they can be applied (only contract owner).
+     * The delay can only be raised, so it cannot be lifted to rush a pricing change through.
+     * @param _delay The delay in seconds, at least the current one and at most MAX_FEE_CHANGE_DELAY
+     */
+    function setFeeChangeDelay(uint256 _delay) 
+        external 
+        onlyContractOwner 
+    {
+        if (_delay > MAX_FEE_CHANGE_DELAY) revert DelayTooLong();
+        if (_delay < feeChangeDelay) revert DelayTooShort();
+        
+        feeChangeDelay = _delay;
+        
+        emit FeeChangeDelayChanged(_delay);
+    }
+    
+    /**
+     * @dev Set the address receiving withdrawn funds (only contract owner)
+     * @param _treasury The treasury address
+     */
+    function setTreasury(address _treasury) 
+        external 
+        onlyContractOwner 
+    {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        
+        treasury = _treasury;
+        
+        emit TreasuryChanged(_treasury);
+    }
+    
+    /**
+     * @dev Withdraw funds to the treasury (only treasurer)
+     * @param _amount The amount to withdraw in wei
+     */
+    function withdraw(uint256 _amount) 
+        external 
+        onlyRole(TREASURER_ROLE) 
+    {
+        if (_amount > address(this).balance) revert InsufficientBalance();
+        
+        (bool success, ) = payable(treasury).call{value: _amount}("");
+        if (!success) revert WithdrawalFailed();
+        
+        emit Withdrawn(treasury, _amount);
+    }
+    
+    /**
+     * @dev Stop or resume registrations, updates, transfers and renewals, e.g. after a bug or key
+     * compromise is found (only pauser). Resolution and admin functions keep working while paused.
+     * @param _paused Whether the registry is paused
+     * @param _reason Reason code, e.g. "SECURITY_INCIDENT" or "RESOLVED"
+     */
+    function setPaused(bool _paused, bytes32 _reason) 
+        external 
+        onlyRole(PAUSER_ROLE) 
+    {
+        paused = _paused;
+        
+        emit PauseChanged(_paused, _reason, msg.sender);
+    }
+    
+    /**
+     * @dev Freeze a domain while a dispute is settled, blocking its updates, transfers, records and
+     * re-registration (only arbitrator). Freezing a frozen domain replaces its reason code.
+     * @param _domainName The disputed domain name
+     * @param _reason Reason code, e.g. "TRADEMARK" or "ABUSE"
+     */
+    function freezeDomain(string memory _domainName, bytes32 _reason) 
+        external 
+        onlyRole(ARBITRATOR_ROLE) 
+    {
+        if (_reason == bytes32(0)) revert ReasonRequired();
+        
+        freezes[nameHash(_domainName)] = _reason;
+        
+        emit DomainFrozen(_domainName, _reason, msg.sender);
+    }
+    
+    /**
+     * @dev Lift a domain's freeze (only arbitrator)
+     * @param _domainName The frozen domain name
+     * @param _reason Reason code for the outcome, e.g. "RESOLVED"
+     */
+    function unfreezeDomain(string memory _domainName, bytes32 _reason) 
+        external 
+        onlyRole(ARBITRATOR_ROLE) 
+    {
+        bytes32 node = nameHash(_domainName);
+        if (freezes[node] == bytes32(0)) revert DomainNotFrozen();
+        
+        delete freezes[node];
+        
+        emit DomainUnfrozen(_domainName, _reason, msg.sender);
+    }
+    
+    /**
+     * @dev Get the reason code of the dispute a domain is frozen under
+     * @param _domainName The domain name to query
+     * @return The reason code, or zero if the domain is not frozen
+     */
+    function freezeReasons(string memory _domainName) 
+        external 
+        view 
+        returns (bytes32) 
+    {
+        return freezes[nameHash(_domainName)];
+    }
+    
+    /**
+     * @dev Import domains from a legacy deployment, as replayed by scripts/migrate-legacy.js
+     * (only contract owner, until the migration is closed). Parents must be imported before their
+     * subdomains; names with a held parent become its subdomains, the others registered domains.
+     * @param _domainNames The domain names to import
+     * @param _owners The owner of each domain, in the same order
+     * @param _ipAddresses The IP address of each domain
+     * @param _expirationTimes The stored expiration of each domain
+     */
+    function importDomains(
+        string[] memory _domainNames,
+        address[] memory _owners,
+        string[] memory _ipAddresses,
+        uint256[] memory _expirationTimes
+    ) 
+        external 
+        onlyContractOwner 
+    {
+        if (!migrationOpen) revert MigrationIsClosed();
+        if (_domainNames.length == 0 || _domainNames.length > MAX_BATCH_SIZE) revert InvalidBatchSize();
+        if (_owners.length != _domainNames.length || _ipAddresses.length != _domainNames.length ||
+            _expirationTimes.length != _domainNames.length) revert BatchLengthMismatch();
+        
+        for (uint256 i = 0; i < _domainNames.length; i++) {
+            _importDomain(_domainNames[i], _owners[i], _ipAddresses[i], _expirationTimes[i]);
+        }
+    }
+    
+    /**
+     * @dev Stop domain imports for good once the migration is complete (only contract owner)
+     */
+    function closeMigration() 
+        external 
+        onlyContractOwner 
+    {
+        migrationOpen = false;
+        
+        emit MigrationClosed();
+    }
+    
+    /**
+     * @dev Internal function to give a domain a new owner, address and expiration with the default
+     * resolver, and add it to the owner's domain list
+     */
+    function _storeDomain(bytes32 _node, address _owner, string memory _ipAddress, uint256 _expirationTime) internal {
+        Domain storage domain = domainsByHash[_node];
+        domain.owner = _owner;
+        domain.ipAddress = _ipAddress;
+        domain.expirationTime = uint64(_expirationTime);
+        domain.isActive = true;
+        domain.resolver = defaultResolver;
+        domain.manager = address(0);
+        
+        ownedNames[_owner].add(_node);
+    }
+    
+    /**
+     * @dev Internal function to import a domain that has never been stored in this registry
+     */
+    function _importDomain(string memory _domainName, address _owner, string memory _ipAddress, uint256 _expirationTime) internal {
+        _checkName(_domainName);
+        if (_owner == address(0)) revert InvalidNewOwner();
+        
+        bytes32 node = nameHash(_domainName);
+        Domain storage domain = domainsByHash[node];
+        if (domain.owner != address(0)) revert DomainAlreadyRegistered();
+        
+        domain.name = _domainName;
+        domain.epoch = 1;
+        _storeDomain(node, _owner, _ipAddress, _expirationTime);
+        
+        string memory parentName = _parentOf(_domainName);
+        bytes32 parentNode = nameHash(parentName);
+        if (_canHaveSubdomains(parentName) && _isHeld(parentNode)) {
+            uint48 parentEpoch = domainsByHash[parentNode].epoch;
+            domain.parent = parentNode;
+            domain.parentEpoch = parentEpoch;
+            subdomainSets[parentNode][parentEpoch].add(node);
+            
+            emit SubdomainCreated(parentName, _domainName, _owner, _expirationTime);
+        } else {
+            token.mint(_owner, _domainName);
+            
+            emit DomainRegistered(_domainName, _owner, _ipAddress);
+        }
+    }
+    
+    /**
+     * @dev Nominate a new contract owner, who must call acceptOwnership (only contract owner).
+     * Nominating the zero address cancels a pending transfer.
+     * @param _newOwner The proposed owner
+     */
+    function transferOwnership(address _newOwner) 
+        external 
+        onlyContractOwner 
+    {
+        pendingOwner = _newOwner;
+        
+        emit OwnershipTransferStarted(contractOwner, _newOwner);
+    }
+    
+    /**
+     * @dev Accept a pending ownership transfer (only pending owner)
+     */
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+        
+        emit OwnershipTransferred(contractOwner, msg.sender);
+        
+        contractOwner = msg.sender;
+        pendingOwner = address(0);
+    }
+    
+    /**
+     * @dev Grant a role to an account (only contract owner)
+     * @param _role The role, e.g. FEE_ADMIN_ROLE
+     * @param _account The account
+     */
+    function grantRole(bytes32 _role, address _account) 
+        external 
+        onlyContractOwner 
+    {
+        _setRole(_role, _account, true);
+    }
+    
+    /**
+     * @dev Revoke a role from an account (only contract owner)
+     * @param _role The role, e.g. FEE_ADMIN_ROLE
+     * @param _account The account
+     */
+    function revokeRole(bytes32 _role, address _account) 
+        external 
+        onlyContractOwner 
+    {
+        _setRole(_role, _account, false);
+    }
+    
+    /**
+     * @dev Internal function to grant or revoke a role, emitting an event only when it changes
+     */
+    function _setRole(bytes32 _role, address _account, bool _granted) internal {
+        if (hasRole[_role][_account] == _granted) {
+            return;
+        }
+        
+        hasRole[_role][_account] = _granted;
+        
+        if (_granted) {
+            emit RoleGranted(_role, _account, msg.sender);
+        } else {
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Internal function to get the pricing and release settings that will apply next: the
+     * pending change if one is scheduled, otherwise the current settings
+     */
+    function _nextFeeChange() internal view returns (FeeChange memory) {
+        if (pendingFeeChange.effectiveAt != 0) {
+            return pendingFeeChange;
+        }
+        
+        return FeeChange(registrationFee, address(priceOracle), gracePeriod, premiumPeriod, startPremium, 0);
+    }
+    
+    /**
+     * @dev Internal function to schedule a change for when the fee change delay has passed
+     */
+    function _scheduleFeeChange(FeeChange memory _change) internal {
+        _change.effectiveAt = block.timestamp + feeChangeDelay;
+        pendingFeeChange = _change;
+        
+        emit FeeChangeScheduled(_change.registrationFee, _change.priceOracle, _change.effectiveAt);
+    }
+    
+    /**
+     * @dev Internal function to check that the caller is the contract owner
+     */
+    function _checkContractOwner() internal view {
+        if (msg.sender != contractOwner) revert NotContractOwner();
+    }
+    
+    /**
+     * @dev Internal function to check that the caller has a role
+     */
+    function _checkRole(bytes32 _role) internal view {
+        if (!hasRole[_role][msg.sender]) revert MissingRole(_role);
+    }
+    
+    /**
+     * @dev Internal function to check that the registry is not paused
+     */
+    function _checkNotPaused() internal view {
+        if (paused) revert RegistryPaused();
+    }
+    
+    /**
+     * @dev Internal function to check that a domain is not frozen by an arbitrator
+     */
+    function _checkNotFrozen(bytes32 _node) internal view {
+        if (freezes[_node] != bytes32(0)) revert DomainIsFrozen();
+    }
+    
+    /**
+     * @dev Internal function to check that the caller owns a live domain. Modifiers call
+     * functions like this one so their checks are not copied into every function using them.
+     */
+    function _checkDomainOwner(bytes32 _node) internal view {
+        if (domainsByHash[_node].owner != _msgSender()) revert NotDomainOwner();
+        _checkDomainChangeable(_node);
+    }
+    
+    /**
+     * @dev Internal function to check that the caller owns, manages or operates a live domain
+     */
+    function _checkDomainAuthorised(bytes32 _node) internal view {
+        Domain storage domain = domainsByHash[_node];
+        address sender = _msgSender();
+        if (domain.owner != sender && domain.manager != sender && !recordOperators[domain.owner][sender]) {
+            revert NotAuthorised();
+        }
+        _checkDomainChangeable(_node);
+    }
+    
+    /**
+     * @dev Internal function to get the account a call acts for: the signer the trusted forwarder
+     * appends to the calldata, or otherwise the caller. Registrations, paid by the caller, and
+     * admin functions are never relayed and check msg.sender.
+     */
+    function _msgSender() internal view returns (address) {
+        if (msg.sender == trustedForwarder) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+    
+    /**
+     * @dev Internal function to check that a domain is live and not frozen
+     */
+    function _checkDomainChangeable(bytes32 _node) internal view {
+        if (!domainsByHash[_node].isActive) revert DomainNotActive();
+        if (block.timestamp >= _expirationOf(_node)) revert DomainExpired();
+        _checkNotFrozen(_node);
+    }
+    
+    /**
+     * @dev Internal function to check a name against the canonical form
+     */
+    function _checkName(string memory _domainName) internal pure {
+        string memory nameError = _nameError(_domainName);
+        if (bytes(nameError).length > 0) revert InvalidName(nameError);
+    }
+    
+    /**
+     * @dev Internal function to clear an address's primary name if it points to a domain
+     */
+    function _clearPrimaryName(address _owner, bytes32 _node) internal {
+        if (primaryNames[_owner] == _node) {
+            delete primaryNames[_owner];
+            
+            emit PrimaryNameChanged(_owner, "");
+        }
+    }
+    
+    /**
+     * @dev Internal function to get the names of a set of name hashes
+     */
+    function _namesOf(EnumerableSet.Bytes32Set storage _nodes) internal view returns (string[] memory) {
+        string[] memory names = new string[](_nodes.length());
+        
+        for (uint i = 0; i < names.length; i++) {
+            names[i] = domainsByHash[_nodes.at(i)].name;
+        }
+        
+        return names;
+    }
+    
+    /**
+     * @dev Internal function to get the lifecycle phase of a domain
+     */
+    function _phaseOf(bytes32 _node) internal view returns (DomainPhase) {
+        Domain storage domain = domainsByHash[_node];
+        if (!domain.isActive) {
+            return DomainPhase.Available;
+        }
+        
+        uint256 expiration = _expirationOf(_node);
+        if (block.timestamp < expiration) {
+            return DomainPhase.Active;
+        }
+        
+        // Subdomains are released as soon as they expire
+        if (domain.parent != bytes32(0)) {
+            return DomainPhase.Available;
+        }
+        
+        if (block.timestamp < expiration + gracePeriod) {
+            return DomainPhase.Grace;
+        }
+        
+        if (block.timestamp < expiration + gracePeriod + premiumPeriod) {
+            return DomainPhase.Premium;
+        }
+        
+        return DomainPhase.Available;
+    }
+    
+    /**
+     * @dev Internal function to get the effective expiration of a domain.
+     * A subdomain expires with its parent and stops resolving once the parent is
+     * released or registered again.
+     */
+    function _expirationOf(bytes32 _node) internal view returns (uint256) {
+        Domain storage domain = domainsByHash[_node];
+        uint256 expiration = domain.expirationTime;
+        
+        if (domain.parent == bytes32(0)) {
+            return expiration;
+        }
+        
+        Domain storage parent = domainsByHash[domain.parent];
+        if (!parent.isActive || domain.parentEpoch != parent.epoch) {
+            return 0;
+        }
+        
+        uint256 parentExpiration = _expirationOf(domain.parent);
+        return parentExpiration < expiration ? parentExpiration : expiration;
+    }
+    
+    /**
+     * @dev Internal function to check if a domain is active and not expired
+     */
+    function _isLive(bytes32 _node) internal view returns (bool) {
+        return domainsByHash[_node].isActive && block.timestamp < _expirationOf(_node);
+    }
+    
+    /**
+     * @dev Internal function to check if a domain is still held by its owner (active or in grace)
+     */
+    function _isHeld(bytes32 _node) internal view returns (bool) {
+        DomainPhase phase = _phaseOf(_node);
+        return phase == DomainPhase.Active || phase == DomainPhase.Grace;
+    }
+    
+    /**
+     * @dev Internal function to check if a domain is a current subdomain of a parent
+     */
+    function _isSubdomainOf(bytes32 _node, bytes32 _parentNode) internal view returns (bool) {
+        Domain storage domain = domainsByHash[_node];
+        return domain.parent == _parentNode && domain.parentEpoch == domainsByHash[_parentNode].epoch;
+    }
+    
+    /**
+     * @dev Internal function to check if a name can hold subdomains, i.e. it is
+     * below a top-level domain such as "eth"
+     */
+    function _canHaveSubdomains(string memory _domainName) internal pure returns (bool) {
+        return bytes(_parentOf(_domainName)).length > 0;
+    }
+    
+    /**
+     * @dev Internal function to get the parent of a name ("mysite.eth" for "api.mysite.eth")
+     */
+    function _parentOf(string memory _domainName) internal pure returns (string memory) {
+        bytes memory name = bytes(_domainName);
+        
+        for (uint i = 0; i < name.length; i++) {
+            if (name[i] == ".") {
+                bytes memory parent = new bytes(name.length - i - 1);
+                for (uint j = 0; j < parent.length; j++) {
+                    parent[j] = name[i + 1 + j];
+                }
+                return string(parent);
+            }
+        }
+        
+        return "";
+    }
+    
+    /**
+     * @dev Internal function to check a subdomain label (non-empty, no dots)
+     */
+    function _isValidLabel(string memory _label) internal pure returns (bool) {
+        bytes memory label = bytes(_label);
+        if (label.length == 0) return false;
+        
+        for (uint i = 0; i < label.length; i++) {
+            if (label[i] == ".") return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * @dev Internal function to check a name against the canonical form: lowercase
+     * letters, digits and hyphens, non-empty labels of at most 63 characters that do
+     * not start or end with a hyphen, and at most 253 characters in total
+     * @return The reason the name is invalid, or an empty string if it is valid
+     */
+    function _nameError(string memory _domainName) internal pure returns (string memory) {
+        bytes memory name = bytes(_domainName);
+        if (name.length == 0) return "Domain name cannot be empty";
+        if (name.length > MAX_NAME_LENGTH) return "Domain name is too long";
+        
+        uint256 labelStart = 0;
+        for (uint i = 0; i <= name.length; i++) {
+            if (i < name.length && name[i] != ".") {
+                bytes1 c = name[i];
+                if (c >= "A" && c <= "Z") return "Domain name must be lowercase";
+                if (!((c >= "a" && c <= "z") || (c >= "0" && c <= "9") || c == "-")) {
+                    return "Invalid character in domain name";
+                }
+                continue;
+            }
+            
+            if (i == labelStart) return "Empty label in domain name";
+            if (i - labelStart > MAX_LABEL_LENGTH) return "Domain label is too long";
+            if (name[labelStart] == "-" || name[i - 1] == "-") return "Labels cannot start or end with a hyphen";
+            labelStart = i + 1;
+        }
+        
+        return "";
+    }
+    
+    /**
+     * @dev Internal function to check if a name is below an allowed top-level domain
+     */
+    function _hasAllowedTld(string memory _domainName) internal view returns (bool) {
+        bytes memory name = bytes(_domainName);
+        
+        for (uint i = name.length; i > 0; i--) {
+            if (name[i - 1] == ".") {
+                bytes memory tld = new bytes(name.length - i);
+                for (uint j = 0; j < tld.length; j++) {
+                    tld[j] = name[i + j];
+                }
+                return allowedTldHashes[keccak256(tld)];
+            }
+        }
+        
+        // A top-level domain itself cannot be registered
+        return false;
+    }
+    
+    /**
+     * @dev Internal function to check if a name is valid and can be registered
+     */
+    function _isRegistrable(string memory _domainName) internal view returns (bool) {
+        return bytes(_nameError(_domainName)).length == 0 && _hasAllowedTld(_domainName);
+    }
+    
+    /**
+     * @dev Check if domain is available for registration
+     * @param _domainName The domain name to check
+     * @return Whether the domain is valid, under an allowed top-level domain and available
+     */
+    function isDomainAvailable(string memory _domainName) 
+        external 
+        view 
+        returns (bool) 
+    {
+        DomainPhase phase = _phaseOf(nameHash(_domainName));
+        return (phase == DomainPhase.Available || phase == DomainPhase.Premium) && _isRegistrable(_domainName);
+    }
+    
+    // ===== NEW FUNCTIONS =====
+    
+    /**
+     * @dev Renew domain registration for another period
+     * @param _domainName The domain name to renew
+     */
+    function renewDomain(string memory _domainName) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        _renewDomain(_domainName, 1);
+    }
+    
+    /**
+     * @dev Renew domain registration for several years
+     * @param _domainName The domain name to renew
+     * @param _years The renewal duration in years
+     */
+    function renewDomainForYears(string memory _domainName, uint256 _years) 
+        external 
+        payable 
+        whenNotPaused
+    {
+        _renewDomain(_domainName, _years);
+    }
+    
+    /**
+     * @dev Internal function to extend a domain's expiration, also during its grace period
+     */
+    function _renewDomain(string memory _domainName, uint256 _years) internal {
+        bytes32 node = nameHash(_domainName);
+        Domain storage domain = domainsByHash[node];
+        if (domain.owner != _msgSender()) revert NotDomainOwner();
+        if (!domain.isActive) revert DomainNotActive();
+        if (!_isHeld(node)) revert DomainExpired();
+        if (msg.value < getPrice(_domainName, _years)) revert InsufficientPayment();
+        if (domain.parent != bytes32(0)) revert SubdomainRenewal();
         
-        // Extend expiration time by another registration period
-        domains[_domainName].expirationTime += REGISTRATION_PERIOD;
+        // Extend expiration time by the renewal period
+        domain.expirationTime += uint64(_years * REGISTRATION_PERIOD);
         
-        emit DomainRenewed(_domainName, domains[_domainName].expirationTime);
+        emit DomainRenewed(_domainName, domain.expirationTime);
     }
     
     /**
@@ -253,13 +1884,15 @@ contract LedgerNet {
         view 
         returns (uint256) 
     {
-        require(domains[_domainName].owner != address(0), "Domain does not exist");
+        bytes32 node = nameHash(_domainName);
+        if (domainsByHash[node].owner == address(0)) revert DomainNotFound();
         
-        if (block.timestamp >= domains[_domainName].expirationTime) {
+        uint256 expiration = _expirationOf(node);
+        if (block.timestamp >= expiration) {
             return 0;
         }
         
-        return domains[_domainName].expirationTime - block.timestamp;
+        return expiration - block.timestamp;
     }
     
     /**
@@ -268,9 +1901,11 @@ contract LedgerNet {
      */
     function deactivateDomain(string memory _domainName) 
         external 
+        whenNotPaused
         onlyDomainOwner(_domainName) 
     {
-        domains[_domainName].isActive = false;
+        domainsByHash[nameHash(_domainName)].isActive = false;
+        token.burn(_domainName);
         
         emit DomainDeactivated(_domainName);
     }
@@ -288,8 +1923,9 @@ contract LedgerNet {
         bool[] memory availability = new bool[](_domainNames.length);
         
         for (uint i = 0; i < _domainNames.length; i++) {
-            availability[i] = !domains[_domainNames[i]].isActive || 
-                            block.timestamp >= domains[_domainNames[i]].expirationTime;
+            DomainPhase phase = _phaseOf(nameHash(_domainNames[i]));
+            availability[i] = (phase == DomainPhase.Available || phase == DomainPhase.Premium) &&
+                              _isRegistrable(_domainNames[i]);
         }
         
         return availability;
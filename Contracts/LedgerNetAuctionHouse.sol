@@ -0,0 +1,410 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./IAuctionHouse.sol";
+import "./LedgerNetGoverned.sol";
+
+/**
+ * @dev Registry functions used by the auction house
+ */
+interface ILedgerNetAuctionRegistry {
+    function isDomainAvailable(string memory _domainName) external view returns (bool);
+    
+    function getPrice(string memory _domainName, uint256 _years) external view returns (uint256);
+    
+    function registerFromAuction(string memory _domainName, string memory _ipAddress, address _owner) external payable;
+}
+
+/**
+ * @title LedgerNet Auction House
+ * @dev Sealed-bid second-price auctions for names the fee admin marks as auction-only,
+ * by name or by the length of their first label. The first bid on an available name starts
+ * its auction. Bidders commit a hash of their bid with a deposit that may exceed it, reveal
+ * the bid once bidding closes, and anyone can finalize the auction afterwards: the winner is
+ * registered for one year and pays the second-highest bid, or the reserve price (the
+ * registration price when the auction started) if that is higher. Every other deposit, and
+ * the rest of the winner's, is refunded.
+ * @author LedgerNet Team
+ */
+contract LedgerNetAuctionHouse is IAuctionHouse, LedgerNetGoverned, ReentrancyGuard {
+    
+    // Struct to store an auction
+    struct Auction {
+        string domainName;
+        uint256 reservePrice;
+        uint256 commitEnd;
+        uint256 revealEnd;
+        address winner;
+        uint256 highestBid;
+        uint256 secondBid;
+        string ipAddress;   // The winner's IP address, given when revealing
+        bool finalized;
+    }
+    
+    // Struct to store a sealed bid
+    struct Bid {
+        bytes32 sealedBid;
+        uint256 deposit;
+        bool revealed;
+    }
+    
+    // Lifecycle phases of an auction
+    enum AuctionPhase {
+        None,       // No auction has started, or the last one was finalized
+        Bidding,    // Accepting sealed bids
+        Reveal,     // Accepting reveals
+        Ended       // Waiting to be finalized
+    }
+    
+    // Length of the bidding and reveal phases
+    uint256 public constant BIDDING_PERIOD = 3 days;
+    uint256 public constant REVEAL_PERIOD = 2 days;
+    
+    // The registry auctioned names are registered in
+    ILedgerNetAuctionRegistry public immutable registry;
+    
+    // Fee admins decide which names are sold by auction, as they set the registry's pricing
+    bytes32 public constant FEE_ADMIN_ROLE = keccak256("FEE_ADMIN_ROLE");
+    
+    // Names marked auction-only, and first-label lengths whose names are all auction-only
+    mapping(string => bool) public auctionOnlyNames;
+    mapping(uint256 => bool) public auctionOnlyLengths;
+    
+    // Auctions by ID (from 1), and the latest auction of each name
+    mapping(uint256 => Auction) public auctions;
+    mapping(string => uint256) public auctionIds;
+    uint256 public auctionCount;
+    
+    // Bids: auction ID => bidder => bid
+    mapping(uint256 => mapping(address => Bid)) public bids;
+    
+    // Events
+    event AuctionOnlyNameChanged(string domainName, bool auctionOnly);
+    event AuctionOnlyLengthChanged(uint256 length, bool auctionOnly);
+    event AuctionStarted(uint256 indexed auctionId, string domainName, uint256 reservePrice, uint256 commitEnd, uint256 revealEnd);
+    event BidCommitted(uint256 indexed auctionId, address indexed bidder, uint256 deposit);
+    event BidRevealed(uint256 indexed auctionId, address indexed bidder, uint256 value, bool valid);
+    event AuctionFinalized(uint256 indexed auctionId, address indexed winner, uint256 price);
+    event BidRefunded(uint256 indexed auctionId, address indexed bidder, uint256 amount);
+    
+    // Errors
+    error InvalidLength();
+    error NotAuctionOnly();
+    error DomainNotAvailable();
+    error BiddingEnded();
+    error NotRevealPhase();
+    error AuctionNotEnded();
+    error AuctionNotFinalized();
+    error RevealNotOver();
+    error InvalidDeposit();
+    error BidAlreadyPlaced();
+    error BidNotFound();
+    error BidMismatch();
+    error EmptyIpAddress();
+    error RefundFailed();
+    
+    /**
+     * @dev Make the deployer the contract owner and fee admin
+     * @param _registry The registry auctioned names are registered in
+     */
+    constructor(address _registry) {
+        _setRole(FEE_ADMIN_ROLE, msg.sender, true);
+        registry = ILedgerNetAuctionRegistry(_registry);
+    }
+    
+    /**
+     * @dev Check if a name can only be registered through an auction
+     * @param _domainName The domain name to check
+     * @return Whether the name is auction-only
+     */
+    function isAuctionOnly(string calldata _domainName) 
+        public 
+        view 
+        override 
+        returns (bool) 
+    {
+        return auctionOnlyNames[_domainName] || auctionOnlyLengths[_labelLength(_domainName)];
+    }
+    
+    /**
+     * @dev Mark a name as auction-only, or allow registering it directly again (only fee admin)
+     * @param _domainName The domain name
+     * @param _auctionOnly Whether the name is auction-only
+     */
+    function setAuctionOnlyName(string calldata _domainName, bool _auctionOnly) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        auctionOnlyNames[_domainName] = _auctionOnly;
+        
+        emit AuctionOnlyNameChanged(_domainName, _auctionOnly);
+    }
+    
+    /**
+     * @dev Mark every name whose first label has a given number of characters as auction-only,
+     * or allow registering them directly again (only fee admin)
+     * @param _length The character length of the first label ("abc" in "abc.eth" has 3)
+     * @param _auctionOnly Whether names of this length are auction-only
+     */
+    function setAuctionOnlyLength(uint256 _length, bool _auctionOnly) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        if (_length == 0) revert InvalidLength();
+        
+        auctionOnlyLengths[_length] = _auctionOnly;
+        
+        emit AuctionOnlyLengthChanged(_length, _auctionOnly);
+    }
+    
+    /**
+     * @dev Compute the sealed bid hash to commit
+     * @param _domainName The domain name bid on
+     * @param _bidder The address that will reveal the bid
+     * @param _value The bid in wei
+     * @param _secret A random secret that keeps the bid hidden until the reveal
+     * @return The sealed bid hash
+     */
+    function makeSealedBid(string calldata _domainName, address _bidder, uint256 _value, bytes32 _secret) 
+        public 
+        pure 
+        returns (bytes32) 
+    {
+        return keccak256(abi.encode(_domainName, _bidder, _value, _secret));
+    }
+    
+    /**
+     * @dev Place a sealed bid, starting the name's auction if none is running. The ETH sent is
+     * the deposit and must cover the bid; sending more hides the bid's value.
+     * @param _domainName The domain name to bid on
+     * @param _sealedBid The hash returned by makeSealedBid
+     */
+    function commitBid(string calldata _domainName, bytes32 _sealedBid) 
+        external 
+        payable 
+    {
+        uint256 auctionId = auctionIds[_domainName];
+        
+        if (auctionId == 0 || auctions[auctionId].finalized) {
+            auctionId = _startAuction(_domainName);
+        }
+        
+        if (block.timestamp >= auctions[auctionId].commitEnd) revert BiddingEnded();
+        if (msg.value == 0) revert InvalidDeposit();
+        if (bids[auctionId][msg.sender].deposit != 0) revert BidAlreadyPlaced();
+        
+        bids[auctionId][msg.sender] = Bid({
+            sealedBid: _sealedBid,
+            deposit: msg.value,
+            revealed: false
+        });
+        
+        emit BidCommitted(auctionId, msg.sender, msg.value);
+    }
+    
+    /**
+     * @dev Reveal a sealed bid. A bid below the reserve price or above its deposit is invalid
+     * and can be refunded straight away.
+     * @param _domainName The domain name bid on
+     * @param _value The bid in wei
+     * @param _secret The secret used in the sealed bid
+     * @param _ipAddress The IP address to register the name with if this bid wins
+     */
+    function revealBid(string calldata _domainName, uint256 _value, bytes32 _secret, string calldata _ipAddress) 
+        external 
+    {
+        uint256 auctionId = auctionIds[_domainName];
+        Auction storage auction = auctions[auctionId];
+        Bid storage bid = bids[auctionId][msg.sender];
+        
+        if (getAuctionPhase(_domainName) != AuctionPhase.Reveal) revert NotRevealPhase();
+        if (bid.deposit == 0 || bid.revealed) revert BidNotFound();
+        if (bid.sealedBid != makeSealedBid(_domainName, msg.sender, _value, _secret)) revert BidMismatch();
+        if (bytes(_ipAddress).length == 0) revert EmptyIpAddress();
+        
+        bid.revealed = true;
+        
+        bool valid = _value >= auction.reservePrice && _value <= bid.deposit;
+        
+        if (valid) {
+            if (_value > auction.highestBid) {
+                auction.secondBid = auction.highestBid;
+                auction.highestBid = _value;
+                auction.winner = msg.sender;
+                auction.ipAddress = _ipAddress;
+            } else if (_value > auction.secondBid) {
+                auction.secondBid = _value;
+            }
+        }
+        
+        emit BidRevealed(auctionId, msg.sender, _value, valid);
+    }
+    
+    /**
+     * @dev Finalize an auction once the reveal phase is over, registering the name to the
+     * winner at the second price. If the registry refuses the registration, the winner is
+     * refunded like every other bidder.
+     * @param _domainName The domain name auctioned
+     */
+    function finalizeAuction(string calldata _domainName) 
+        external 
+        nonReentrant
+    {
+        uint256 auctionId = auctionIds[_domainName];
+        Auction storage auction = auctions[auctionId];
+        
+        if (getAuctionPhase(_domainName) != AuctionPhase.Ended) revert AuctionNotEnded();
+        
+        auction.finalized = true;
+        
+        address winner = auction.winner;
+        uint256 price = 0;
+        
+        if (winner != address(0)) {
+            price = auction.secondBid > auction.reservePrice ? auction.secondBid : auction.reservePrice;
+            
+            try registry.registerFromAuction{value: price}(_domainName, auction.ipAddress, winner) {
+                bids[auctionId][winner].deposit -= price;
+            } catch {
+                auction.winner = address(0);
+                winner = address(0);
+                price = 0;
+            }
+        }
+        
+        emit AuctionFinalized(auctionId, winner, price);
+    }
+    
+    /**
+     * @dev Withdraw the refundable part of a bid: the whole deposit of a losing, invalid or
+     * unrevealed bid once it can no longer win, and the rest of the winner's deposit once
+     * the auction is finalized
+     * @param _auctionId The auction ID
+     */
+    function withdrawBid(uint256 _auctionId) 
+        external 
+        nonReentrant
+    {
+        Auction storage auction = auctions[_auctionId];
+        Bid storage bid = bids[_auctionId][msg.sender];
+        
+        if (bid.deposit == 0) revert BidNotFound();
+        
+        if (msg.sender == auction.winner) {
+            if (!auction.finalized) revert AuctionNotFinalized();
+        } else if (!bid.revealed) {
+            if (block.timestamp < auction.revealEnd) revert RevealNotOver();
+        }
+        
+        uint256 amount = bid.deposit;
+        bid.deposit = 0;
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert RefundFailed();
+        
+        emit BidRefunded(_auctionId, msg.sender, amount);
+    }
+    
+    /**
+     * @dev Get the phase of a name's latest auction
+     * @param _domainName The domain name
+     * @return The auction phase
+     */
+    function getAuctionPhase(string calldata _domainName) 
+        public 
+        view 
+        returns (AuctionPhase) 
+    {
+        Auction storage auction = auctions[auctionIds[_domainName]];
+        
+        if (auction.commitEnd == 0 || auction.finalized) {
+            return AuctionPhase.None;
+        }
+        
+        if (block.timestamp < auction.commitEnd) {
+            return AuctionPhase.Bidding;
+        }
+        
+        if (block.timestamp < auction.revealEnd) {
+            return AuctionPhase.Reveal;
+        }
+        
+        return AuctionPhase.Ended;
+    }
+    
+    /**
+     * @dev Get the status of a name's latest auction. The leading bid and winner are only
+     * known as bids are revealed.
+     * @param _domainName The domain name
+     * @return auctionId The auction ID (0 if the name was never auctioned)
+     * @return phase The auction phase
+     * @return reservePrice The lowest valid bid in wei
+     * @return commitEnd The time bidding ends
+     * @return revealEnd The time the reveal phase ends
+     * @return winner The leading bidder so far
+     * @return highestBid The leading bid so far in wei
+     * @return price What the leading bidder would pay in wei
+     */
+    function getAuction(string calldata _domainName) 
+        external 
+        view 
+        returns (
+            uint256 auctionId,
+            AuctionPhase phase,
+            uint256 reservePrice,
+            uint256 commitEnd,
+            uint256 revealEnd,
+            address winner,
+            uint256 highestBid,
+            uint256 price
+        ) 
+    {
+        auctionId = auctionIds[_domainName];
+        Auction storage auction = auctions[auctionId];
+        
+        phase = getAuctionPhase(_domainName);
+        reservePrice = auction.reservePrice;
+        commitEnd = auction.commitEnd;
+        revealEnd = auction.revealEnd;
+        winner = auction.winner;
+        highestBid = auction.highestBid;
+        
+        if (winner != address(0)) {
+            price = auction.secondBid > reservePrice ? auction.secondBid : reservePrice;
+        }
+    }
+    
+    /**
+     * @dev Internal function to start an auction for an auction-only name that is available
+     */
+    function _startAuction(string calldata _domainName) internal returns (uint256 auctionId) {
+        if (!isAuctionOnly(_domainName)) revert NotAuctionOnly();
+        if (!registry.isDomainAvailable(_domainName)) revert DomainNotAvailable();
+        
+        auctionId = ++auctionCount;
+        auctionIds[_domainName] = auctionId;
+        
+        Auction storage auction = auctions[auctionId];
+        auction.domainName = _domainName;
+        auction.reservePrice = registry.getPrice(_domainName, 1);
+        auction.commitEnd = block.timestamp + BIDDING_PERIOD;
+        auction.revealEnd = auction.commitEnd + REVEAL_PERIOD;
+        
+        emit AuctionStarted(auctionId, _domainName, auction.reservePrice, auction.commitEnd, auction.revealEnd);
+    }
+    
+    /**
+     * @dev Internal function to get the character length of the first label ("mysite" in "mysite.eth")
+     */
+    function _labelLength(string calldata _domainName) internal pure returns (uint256 length) {
+        bytes calldata name = bytes(_domainName);
+        
+        for (uint i = 0; i < name.length && name[i] != "."; i++) {
+            // Count UTF-8 characters by skipping continuation bytes
+            if (uint8(name[i]) & 0xC0 != 0x80) {
+                length++;
+            }
+        }
+    }
+}
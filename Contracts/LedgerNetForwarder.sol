@@ -0,0 +1,162 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./LedgerNet.sol";
+
+/**
+ * @title LedgerNet Forwarder
+ * @dev Relays EIP-712 signed domain updates, transfers and renewals, so that owners without
+ * gas tokens can have anyone submit them. The registry trusts this contract to act for the
+ * signer (EIP-2771) and checks the signer's rights as for a direct call. Each request carries
+ * the signer's next nonce and a deadline. The relayer pays the gas, and for renewals the fee.
+ * @author LedgerNet Team
+ */
+contract LedgerNetForwarder is EIP712 {
+    
+    // Signed request to set a domain's IP address
+    struct UpdateRequest {
+        address signer;
+        string domainName;
+        string ipAddress;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    // Signed request to transfer a domain
+    struct TransferRequest {
+        address signer;
+        string domainName;
+        address newOwner;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    // Signed request to renew a domain
+    struct RenewRequest {
+        address signer;
+        string domainName;
+        uint256 durationYears;
+        uint256 nonce;
+        uint256 deadline;
+    }
+    
+    bytes32 public constant UPDATE_REQUEST_TYPEHASH = keccak256(
+        "UpdateRequest(address signer,string domainName,string ipAddress,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant TRANSFER_REQUEST_TYPEHASH = keccak256(
+        "TransferRequest(address signer,string domainName,address newOwner,uint256 nonce,uint256 deadline)"
+    );
+    bytes32 public constant RENEW_REQUEST_TYPEHASH = keccak256(
+        "RenewRequest(address signer,string domainName,uint256 durationYears,uint256 nonce,uint256 deadline)"
+    );
+    
+    // The registry requests are relayed to
+    LedgerNet public immutable registry;
+    
+    // Next nonce of each signer; every relayed request uses one up, so each is relayed at most once
+    mapping(address => uint256) public nonces;
+    
+    // Events
+    event RequestRelayed(address indexed signer, uint256 nonce, address indexed relayer);
+    
+    // Errors
+    error RequestExpired();
+    error InvalidNonce();
+    error InvalidSignature();
+    
+    constructor(LedgerNet _registry) EIP712("LedgerNet Forwarder", "1") {
+        registry = _registry;
+    }
+    
+    /**
+     * @dev Relay a signed IP address update
+     * @param _request The signed request
+     * @param _signature The signer's EIP-712 signature of the request
+     */
+    function updateDomain(UpdateRequest calldata _request, bytes calldata _signature) 
+        external 
+    {
+        _useRequest(_request.signer, _request.nonce, _request.deadline, keccak256(abi.encode(
+            UPDATE_REQUEST_TYPEHASH,
+            _request.signer,
+            keccak256(bytes(_request.domainName)),
+            keccak256(bytes(_request.ipAddress)),
+            _request.nonce,
+            _request.deadline
+        )), _signature);
+        
+        _forward(abi.encodeCall(LedgerNet.updateDomain, (_request.domainName, _request.ipAddress)), _request.signer);
+    }
+    
+    /**
+     * @dev Relay a signed domain transfer
+     * @param _request The signed request
+     * @param _signature The signer's EIP-712 signature of the request
+     */
+    function transferDomain(TransferRequest calldata _request, bytes calldata _signature) 
+        external 
+    {
+        _useRequest(_request.signer, _request.nonce, _request.deadline, keccak256(abi.encode(
+            TRANSFER_REQUEST_TYPEHASH,
+            _request.signer,
+            keccak256(bytes(_request.domainName)),
+            _request.newOwner,
+            _request.nonce,
+            _request.deadline
+        )), _signature);
+        
+        _forward(abi.encodeCall(LedgerNet.transferDomain, (_request.domainName, _request.newOwner)), _request.signer);
+    }
+    
+    /**
+     * @dev Relay a signed renewal, paid for with the ETH sent by the relayer
+     * @param _request The signed request
+     * @param _signature The signer's EIP-712 signature of the request
+     */
+    function renewDomain(RenewRequest calldata _request, bytes calldata _signature) 
+        external 
+        payable 
+    {
+        _useRequest(_request.signer, _request.nonce, _request.deadline, keccak256(abi.encode(
+            RENEW_REQUEST_TYPEHASH,
+            _request.signer,
+            keccak256(bytes(_request.domainName)),
+            _request.durationYears,
+            _request.nonce,
+            _request.deadline
+        )), _signature);
+        
+        _forward(abi.encodeCall(LedgerNet.renewDomainForYears, (_request.domainName, _request.durationYears)), _request.signer);
+    }
+    
+    /**
+     * @dev Internal function to check a request's deadline, nonce and signature, and use up the nonce
+     */
+    function _useRequest(address _signer, uint256 _nonce, uint256 _deadline, bytes32 _structHash, bytes calldata _signature) internal {
+        if (block.timestamp > _deadline) revert RequestExpired();
+        if (_nonce != nonces[_signer]) revert InvalidNonce();
+        
+        (address recovered, ECDSA.RecoverError error) = ECDSA.tryRecover(_hashTypedDataV4(_structHash), _signature);
+        if (error != ECDSA.RecoverError.NoError || recovered != _signer) revert InvalidSignature();
+        
+        nonces[_signer] = _nonce + 1;
+        
+        emit RequestRelayed(_signer, _nonce, msg.sender);
+    }
+    
+    /**
+     * @dev Internal function to call the registry for the signer, appended to the calldata as
+     * EIP-2771 expects, passing on any revert as it is
+     */
+    function _forward(bytes memory _data, address _signer) internal {
+        (bool success, bytes memory result) = address(registry).call{value: msg.value}(abi.encodePacked(_data, _signer));
+        
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
@@ -0,0 +1,128 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title LedgerNet Governed
+ * @dev The registry's two-step ownership and roles, for the contracts deployed alongside it.
+ * The contract owner grants and revokes roles and hands ownership over in two steps, so it
+ * can be moved to a multi-sig without the risk of a mistyped address. The registry keeps its
+ * own copy of these functions in its upgradeable storage layout.
+ * @author LedgerNet Team
+ */
+abstract contract LedgerNetGoverned {
+    
+    // Contract owner, who grants roles and configures the contract
+    address public contractOwner;
+    
+    // Address nominated by the contract owner, which must accept to take over ownership
+    address public pendingOwner;
+    
+    // Role members: role => account => has role
+    mapping(bytes32 => mapping(address => bool)) public hasRole;
+    
+    // Events
+    event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner);
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    
+    // Errors
+    error NotContractOwner();
+    error NotPendingOwner();
+    error MissingRole(bytes32 role);
+    
+    modifier onlyContractOwner() {
+        _checkContractOwner();
+        _;
+    }
+    
+    modifier onlyRole(bytes32 _role) {
+        _checkRole(_role);
+        _;
+    }
+    
+    constructor() {
+        contractOwner = msg.sender;
+    }
+    
+    /**
+     * @dev Nominate a new contract owner, who must call acceptOwnership (only contract owner).
+     * Nominating the zero address cancels a pending transfer.
+     * @param _newOwner The proposed owner
+     */
+    function transferOwnership(address _newOwner) 
+        external 
+        onlyContractOwner 
+    {
+        pendingOwner = _newOwner;
+        
+        emit OwnershipTransferStarted(contractOwner, _newOwner);
+    }
+    
+    /**
+     * @dev Accept a pending ownership transfer (only pending owner)
+     */
+    function acceptOwnership() external {
+        if (msg.sender != pendingOwner) revert NotPendingOwner();
+        
+        emit OwnershipTransferred(contractOwner, msg.sender);
+        
+        contractOwner = msg.sender;
+        pendingOwner = address(0);
+    }
+    
+    /**
+     * @dev Grant a role to an account (only contract owner)
+     * @param _role The role, e.g. FEE_ADMIN_ROLE
+     * @param _account The account
+     */
+    function grantRole(bytes32 _role, address _account) 
+        external 
+        onlyContractOwner 
+    {
+        _setRole(_role, _account, true);
+    }
+    
+    /**
+     * @dev Revoke a role from an account (only contract owner)
+     * @param _role The role, e.g. FEE_ADMIN_ROLE
+     * @param _account The account
+     */
+    function revokeRole(bytes32 _role, address _account) 
+        external 
+        onlyContractOwner 
+    {
+        _setRole(_role, _account, false);
+    }
+    
+    /**
+     * @dev Internal function to grant or revoke a role, emitting an event only when it changes
+     */
+    function _setRole(bytes32 _role, address _account, bool _granted) internal {
+        if (hasRole[_role][_account] == _granted) {
+            return;
+        }
+        
+        hasRole[_role][_account] = _granted;
+        
+        if (_granted) {
+            emit RoleGranted(_role, _account, msg.sender);
+        } else {
+            emit RoleRevoked(_role, _account, msg.sender);
+        }
+    }
+    
+    /**
+     * @dev Internal function to check that the caller is the contract owner
+     */
+    function _checkContractOwner() internal view {
+        if (msg.sender != contractOwner) revert NotContractOwner();
+    }
+    
+    /**
+     * @dev Internal function to check that the caller has a role
+     */
+    function _checkRole(bytes32 _role) internal view {
+        if (!hasRole[_role][msg.sender]) revert MissingRole(_role);
+    }
+}
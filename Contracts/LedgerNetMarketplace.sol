@@ -0,0 +1,453 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "./LedgerNetGoverned.sol";
+import "./LedgerNetToken.sol";
+
+/**
+ * @title LedgerNet Marketplace
+ * @dev Escrowed market for LedgerNet domains. Owners list names at a fixed price and buyers
+ * make offers whose ETH is held here until they are accepted or withdrawn. A sale moves the
+ * payment and the domain token in one transaction. Sellers only approve this contract on the
+ * domain token, so a listed name keeps resolving until it is sold, and a listing lapses as
+ * soon as the name is transferred or expires. The fee admin sets the protocol fee and the
+ * treasurer withdraws it to the treasury, as in the registry.
+ * @author LedgerNet Team
+ */
+contract LedgerNetMarketplace is LedgerNetGoverned, ReentrancyGuard {
+    
+    // Struct to store a fixed-price listing
+    struct Listing {
+        address seller;
+        uint256 price;
+        uint256 expiresAt;
+        uint256 transferCount;  // Token transfer count when listed; any later move voids the listing
+    }
+    
+    // Struct to store an escrowed offer
+    struct Offer {
+        uint256 amount;
+        uint256 expiresAt;
+    }
+    
+    // Highest protocol fee, in basis points (10%)
+    uint256 public constant MAX_FEE_BASIS_POINTS = 1000;
+    
+    // LedgerNet.DomainPhase.Active
+    uint8 private constant PHASE_ACTIVE = 1;
+    
+    // The domain token and the registry it mirrors
+    LedgerNetToken public immutable token;
+    ILedgerNetRegistry public immutable registry;
+    
+    // Roles: fee admins set the protocol fee and treasurers withdraw it
+    bytes32 public constant FEE_ADMIN_ROLE = keccak256("FEE_ADMIN_ROLE");
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    
+    // Address receiving withdrawn protocol fees
+    address public treasury;
+    
+    // Protocol fee taken from each sale, in basis points, and the fees not yet withdrawn
+    uint256 public feeBasisPoints;
+    uint256 public accruedFees;
+    
+    // Mapping from domain name to its listing
+    mapping(string => Listing) public listings;
+    
+    // Listed names, and each one's position in the list plus one
+    string[] private listedNames;
+    mapping(string => uint256) private listedPositions;
+    
+    // Offers: domain name => buyer => offer
+    mapping(string => mapping(address => Offer)) public offers;
+    
+    // Buyers with an offer on each name, and each one's position in the list plus one
+    mapping(string => address[]) private bidders;
+    mapping(string => mapping(address => uint256)) private bidderPositions;
+    
+    // Events
+    event DomainListed(string indexed domainName, address indexed seller, uint256 price, uint256 expiresAt);
+    event ListingCancelled(string indexed domainName, address indexed seller);
+    event OfferMade(string indexed domainName, address indexed buyer, uint256 amount, uint256 expiresAt);
+    event OfferWithdrawn(string indexed domainName, address indexed buyer, uint256 amount);
+    event DomainSold(string indexed domainName, address indexed seller, address indexed buyer, uint256 price, uint256 fee);
+    event FeeChanged(uint256 feeBasisPoints);
+    event FeesWithdrawn(address indexed recipient, uint256 amount);
+    event TreasuryChanged(address indexed treasury);
+    
+    // Errors
+    error InvalidTreasury();
+    error InvalidPrice();
+    error InvalidExpiration();
+    error InvalidOffer();
+    error NotDomainOwner();
+    error NotSeller();
+    error MarketplaceNotApproved();
+    error DomainNotListed();
+    error ListingNotActive();
+    error IncorrectPayment();
+    error SelfPurchase();
+    error SelfOffer();
+    error OfferNotFound();
+    error OfferChanged();
+    error OfferExpired();
+    error FeeTooHigh();
+    error PaymentFailed();
+    error RefundFailed();
+    error WithdrawalFailed();
+    
+    /**
+     * @dev Make the deployer the contract owner, treasury and holder of every role
+     * @param _token The domain token traded here
+     */
+    constructor(LedgerNetToken _token) {
+        treasury = msg.sender;
+        _setRole(FEE_ADMIN_ROLE, msg.sender, true);
+        _setRole(TREASURER_ROLE, msg.sender, true);
+        
+        token = _token;
+        registry = _token.registry();
+    }
+    
+    /**
+     * @dev List a domain for sale at a fixed price. The marketplace must be approved on the
+     * domain's token first; listing again replaces the previous listing.
+     * @param _domainName The domain name to list
+     * @param _price The asking price in wei
+     * @param _expiresAt The time the listing ends
+     */
+    function listDomain(string calldata _domainName, uint256 _price, uint256 _expiresAt) 
+        external 
+    {
+        if (_price == 0) revert InvalidPrice();
+        if (_expiresAt <= block.timestamp) revert InvalidExpiration();
+        
+        uint256 tokenId = token.tokenIdOf(_domainName);
+        if (token.ownerOf(tokenId) != msg.sender) revert NotDomainOwner();
+        if (!_isApproved(msg.sender, tokenId)) revert MarketplaceNotApproved();
+        
+        listings[_domainName] = Listing({
+            seller: msg.sender,
+            price: _price,
+            expiresAt: _expiresAt,
+            transferCount: token.transferCounts(tokenId)
+        });
+        
+        if (listedPositions[_domainName] == 0) {
+            listedNames.push(_domainName);
+            listedPositions[_domainName] = listedNames.length;
+        }
+        
+        emit DomainListed(_domainName, msg.sender, _price, _expiresAt);
+    }
+    
+    /**
+     * @dev Cancel a listing. The seller can always cancel; anyone can clear a listing that
+     * has lapsed, but not one that is only held up by a freeze or pause.
+     * @param _domainName The listed domain name
+     */
+    function cancelListing(string calldata _domainName) 
+        external 
+    {
+        address seller = listings[_domainName].seller;
+        if (seller == address(0)) revert DomainNotListed();
+        if (msg.sender != seller && _isListingValid(_domainName)) revert NotSeller();
+        
+        _removeListing(_domainName);
+        
+        emit ListingCancelled(_domainName, seller);
+    }
+    
+    /**
+     * @dev Buy a listed domain, paying exactly its price
+     * @param _domainName The listed domain name
+     */
+    function buyDomain(string calldata _domainName) 
+        external 
+        payable 
+        nonReentrant
+    {
+        if (!isListingActive(_domainName)) revert ListingNotActive();
+        
+        Listing memory listing = listings[_domainName];
+        if (msg.value != listing.price) revert IncorrectPayment();
+        if (msg.sender == listing.seller) revert SelfPurchase();
+        
+        _removeListing(_domainName);
+        _settle(_domainName, listing.seller, msg.sender, listing.price);
+    }
+    
+    /**
+     * @dev Make or raise an offer on a domain. The ETH sent is added to any earlier offer
+     * and held until the offer is accepted or withdrawn.
+     * @param _domainName The domain name
+     * @param _expiresAt The time after which the offer can no longer be accepted
+     */
+    function makeOffer(string calldata _domainName, uint256 _expiresAt) 
+        external 
+        payable 
+        nonReentrant
+    {
+        if (msg.value == 0) revert InvalidOffer();
+        if (_expiresAt <= block.timestamp) revert InvalidExpiration();
+        if (token.ownerOf(token.tokenIdOf(_domainName)) == msg.sender) revert SelfOffer();
+        
+        Offer storage offer = offers[_domainName][msg.sender];
+        
+        if (bidderPositions[_domainName][msg.sender] == 0) {
+            bidders[_domainName].push(msg.sender);
+            bidderPositions[_domainName][msg.sender] = bidders[_domainName].length;
+        }
+        
+        offer.amount += msg.value;
+        offer.expiresAt = _expiresAt;
+        
+        emit OfferMade(_domainName, msg.sender, offer.amount, _expiresAt);
+    }
+    
+    /**
+     * @dev Withdraw an offer and get its ETH back, at any time before it is accepted
+     * @param _domainName The domain name
+     */
+    function withdrawOffer(string calldata _domainName) 
+        external 
+        nonReentrant
+    {
+        uint256 amount = offers[_domainName][msg.sender].amount;
+        if (amount == 0) revert OfferNotFound();
+        
+        _removeOffer(_domainName, msg.sender);
+        
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        if (!success) revert RefundFailed();
+        
+        emit OfferWithdrawn(_domainName, msg.sender, amount);
+    }
+    
+    /**
+     * @dev Accept an offer, selling the domain to the buyer. The marketplace must be approved
+     * on the domain's token.
+     * @param _domainName The domain name
+     * @param _buyer The buyer whose offer is accepted
+     * @param _amount The offer amount the owner agreed to, so a changed offer is not accepted
+     */
+    function acceptOffer(string calldata _domainName, address _buyer, uint256 _amount) 
+        external 
+        nonReentrant
+    {
+        Offer memory offer = offers[_domainName][_buyer];
+        if (offer.amount == 0) revert OfferNotFound();
+        if (offer.amount != _amount) revert OfferChanged();
+        if (block.timestamp >= offer.expiresAt) revert OfferExpired();
+        if (token.ownerOf(token.tokenIdOf(_domainName)) != msg.sender) revert NotDomainOwner();
+        
+        _removeOffer(_domainName, _buyer);
+        
+        if (listedPositions[_domainName] != 0) {
+            _removeListing(_domainName);
+        }
+        
+        _settle(_domainName, msg.sender, _buyer, offer.amount);
+    }
+    
+    /**
+     * @dev Check if a listing can be bought: not ended, the seller still holds the active
+     * domain they listed and has kept the marketplace approved, the name is not frozen over
+     * a dispute and the registry is not paused
+     * @param _domainName The domain name
+     * @return True if the listing is active
+     */
+    function isListingActive(string memory _domainName) 
+        public 
+        view 
+        returns (bool) 
+    {
+        return _isListingValid(_domainName) &&
+               !registry.paused() &&
+               registry.freezeReasons(_domainName) == bytes32(0);
+    }
+    
+    /**
+     * @dev Get all active listings
+     * @return names The listed domain names
+     * @return sellers The seller of each listing
+     * @return prices The price of each listing in wei
+     * @return expiries The time each listing ends
+     */
+    function getActiveListings() 
+        external 
+        view 
+        returns (string[] memory names, address[] memory sellers, uint256[] memory prices, uint256[] memory expiries) 
+    {
+        uint256 count = 0;
+        bool[] memory active = new bool[](listedNames.length);
+        
+        for (uint i = 0; i < listedNames.length; i++) {
+            active[i] = isListingActive(listedNames[i]);
+            if (active[i]) count++;
+        }
+        
+        names = new string[](count);
+        sellers = new address[](count);
+        prices = new uint256[](count);
+        expiries = new uint256[](count);
+        
+        uint256 j = 0;
+        for (uint i = 0; i < listedNames.length; i++) {
+            if (!active[i]) continue;
+            
+            Listing memory listing = listings[listedNames[i]];
+            names[j] = listedNames[i];
+            sellers[j] = listing.seller;
+            prices[j] = listing.price;
+            expiries[j] = listing.expiresAt;
+            j++;
+        }
+    }
+    
+    /**
+     * @dev Get the offers on a domain, including expired ones not yet withdrawn
+     * @param _domainName The domain name
+     * @return buyers The buyer of each offer
+     * @return amounts The amount of each offer in wei
+     * @return expiries The time each offer ends
+     */
+    function getOffers(string calldata _domainName) 
+        external 
+        view 
+        returns (address[] memory buyers, uint256[] memory amounts, uint256[] memory expiries) 
+    {
+        buyers = bidders[_domainName];
+        amounts = new uint256[](buyers.length);
+        expiries = new uint256[](buyers.length);
+        
+        for (uint i = 0; i < buyers.length; i++) {
+            Offer memory offer = offers[_domainName][buyers[i]];
+            amounts[i] = offer.amount;
+            expiries[i] = offer.expiresAt;
+        }
+    }
+    
+    /**
+     * @dev Set the protocol fee taken from each sale (only fee admin)
+     * @param _feeBasisPoints The fee in basis points, at most MAX_FEE_BASIS_POINTS
+     */
+    function setFee(uint256 _feeBasisPoints) 
+        external 
+        onlyRole(FEE_ADMIN_ROLE) 
+    {
+        if (_feeBasisPoints > MAX_FEE_BASIS_POINTS) revert FeeTooHigh();
+        
+        feeBasisPoints = _feeBasisPoints;
+        
+        emit FeeChanged(_feeBasisPoints);
+    }
+    
+    /**
+     * @dev Set the address receiving withdrawn protocol fees (only contract owner)
+     * @param _treasury The treasury address
+     */
+    function setTreasury(address _treasury) 
+        external 
+        onlyContractOwner 
+    {
+        if (_treasury == address(0)) revert InvalidTreasury();
+        
+        treasury = _treasury;
+        
+        emit TreasuryChanged(_treasury);
+    }
+    
+    /**
+     * @dev Withdraw the accrued protocol fees to the treasury (only treasurer). Escrowed offers
+     * stay in place.
+     */
+    function withdrawFees() 
+        external 
+        onlyRole(TREASURER_ROLE) 
+        nonReentrant
+    {
+        uint256 amount = accruedFees;
+        accruedFees = 0;
+        
+        (bool success, ) = payable(treasury).call{value: amount}("");
+        if (!success) revert WithdrawalFailed();
+        
+        emit FeesWithdrawn(treasury, amount);
+    }
+    
+    /**
+     * @dev Internal function to move a sold domain to its buyer and pay the seller, less the fee
+     */
+    function _settle(string calldata _domainName, address _seller, address _buyer, uint256 _price) internal {
+        uint256 fee = _price * feeBasisPoints / 10000;
+        accruedFees += fee;
+        
+        // The token transfer also moves the domain in the registry
+        token.safeTransferFrom(_seller, _buyer, token.tokenIdOf(_domainName));
+        
+        (bool success, ) = payable(_seller).call{value: _price - fee}("");
+        if (!success) revert PaymentFailed();
+        
+        emit DomainSold(_domainName, _seller, _buyer, _price, fee);
+    }
+    
+    /**
+     * @dev Internal function to check that a listing has not lapsed: not ended, and the seller
+     * still holds the active domain they listed and has kept the marketplace approved
+     */
+    function _isListingValid(string memory _domainName) internal view returns (bool) {
+        Listing memory listing = listings[_domainName];
+        
+        if (listing.seller == address(0) || block.timestamp >= listing.expiresAt) {
+            return false;
+        }
+        
+        (address owner, , , , uint8 phase) = registry.getDomainInfo(_domainName);
+        uint256 tokenId = token.tokenIdOf(_domainName);
+        
+        return phase == PHASE_ACTIVE &&
+               owner == listing.seller &&
+               token.transferCounts(tokenId) == listing.transferCount &&
+               _isApproved(listing.seller, tokenId);
+    }
+    
+    /**
+     * @dev Internal function to check if an owner has approved the marketplace for a token
+     */
+    function _isApproved(address _owner, uint256 _tokenId) internal view returns (bool) {
+        return token.getApproved(_tokenId) == address(this) || token.isApprovedForAll(_owner, address(this));
+    }
+    
+    /**
+     * @dev Internal function to delete a listing and remove its name from the listed names
+     */
+    function _removeListing(string calldata _domainName) internal {
+        uint256 position = listedPositions[_domainName];
+        string memory last = listedNames[listedNames.length - 1];
+        
+        listedNames[position - 1] = last;
+        listedPositions[last] = position;
+        listedNames.pop();
+        
+        delete listedPositions[_domainName];
+        delete listings[_domainName];
+    }
+    
+    /**
+     * @dev Internal function to delete an offer and remove its buyer from the name's bidders
+     */
+    function _removeOffer(string calldata _domainName, address _buyer) internal {
+        address[] storage nameBidders = bidders[_domainName];
+        uint256 position = bidderPositions[_domainName][_buyer];
+        address last = nameBidders[nameBidders.length - 1];
+        
+        nameBidders[position - 1] = last;
+        bidderPositions[_domainName][last] = position;
+        nameBidders.pop();
+        
+        delete bidderPositions[_domainName][_buyer];
+        delete offers[_domainName][_buyer];
+    }
+}
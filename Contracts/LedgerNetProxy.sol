@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/proxy/transparent/ProxyAdmin.sol";
+import "@openzeppelin/contracts/proxy/transparent/TransparentUpgradeableProxy.sol";
+
+/**
+ * @title Ledger Net Proxy
+ * @dev Transparent proxy holding the LedgerNet registry's state and forwarding calls to its
+ * current implementation. Upgrades go through a ProxyAdmin, see scripts/upgrade.js.
+ * @author LedgerNet Team
+ */
+contract LedgerNetProxy is TransparentUpgradeableProxy {
+    /**
+     * @param _implementation The first LedgerNet implementation
+     * @param _admin The ProxyAdmin allowed to upgrade the proxy
+     * @param _data The initialize call run on the proxy's state
+     */
+    constructor(address _implementation, address _admin, bytes memory _data)
+        TransparentUpgradeableProxy(_implementation, _admin, _data)
+    {}
+}
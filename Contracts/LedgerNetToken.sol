@@ -0,0 +1,275 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+
+/**
+ * @dev Registry functions used by the domain token and the marketplace
+ */
+interface ILedgerNetRegistry {
+    function getDomainInfo(string calldata _domainName) 
+        external 
+        view 
+        returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive, uint8 phase);
+    
+    function paused() external view returns (bool);
+    
+    function freezeReasons(string calldata _domainName) external view returns (bytes32);
+    
+    function onTokenTransfer(string calldata _domainName, address _from, address _to) external;
+}
+
+/**
+ * @title LedgerNet Token
+ * @dev ERC-721 token for registered LedgerNet domains. The token ID is the keccak256
+ * hash of the domain name, and ownership is kept in sync with the LedgerNet registry.
+ * @author LedgerNet Team
+ */
+contract LedgerNetToken is ERC721 {
+    
+    // The registry that mints, burns and mirrors transfers of domain tokens
+    ILedgerNetRegistry public immutable registry;
+    
+    // Mapping from token ID to domain name
+    mapping(uint256 => string) public domainNames;
+    
+    // Number of times each token has been moved or burned, so that approvals given for a
+    // past holding (such as marketplace listings) can be told apart
+    mapping(uint256 => uint256) public transferCounts;
+    
+    // Set while the registry moves a token, so the transfer is not mirrored back to it
+    bool private registrySync;
+    
+    // LedgerNet.DomainPhase.Active
+    uint8 private constant PHASE_ACTIVE = 1;
+    
+    modifier onlyRegistry() {
+        require(msg.sender == address(registry), "Not the registry");
+        _;
+    }
+    
+    constructor(address _registry) ERC721("LedgerNet Domains", "LND") {
+        registry = ILedgerNetRegistry(_registry);
+    }
+    
+    /**
+     * @dev Get the token ID of a domain
+     * @param _domainName The domain name
+     * @return The token ID
+     */
+    function tokenIdOf(string memory _domainName) 
+        public 
+        pure 
+        returns (uint256) 
+    {
+        return uint256(keccak256(bytes(_domainName)));
+    }
+    
+    /**
+     * @dev Mint the token of a newly registered domain, replacing the previous registration's (only registry)
+     * @param _to The domain owner
+     * @param _domainName The domain name
+     */
+    function mint(address _to, string calldata _domainName) 
+        external 
+        onlyRegistry 
+    {
+        uint256 tokenId = tokenIdOf(_domainName);
+        
+        if (_exists(tokenId)) {
+            _burn(tokenId);
+        }
+        
+        if (bytes(domainNames[tokenId]).length == 0) {
+            domainNames[tokenId] = _domainName;
+        }
+        
+        _mint(_to, tokenId);
+    }
+    
+    /**
+     * @dev Burn the token of a released domain, if it has one (only registry)
+     * @param _domainName The domain name
+     */
+    function burn(string calldata _domainName) 
+        external 
+        onlyRegistry 
+    {
+        uint256 tokenId = tokenIdOf(_domainName);
+        
+        if (_exists(tokenId)) {
+            _burn(tokenId);
+        }
+    }
+    
+    /**
+     * @dev Move a token after a transfer made through the registry (only registry)
+     * @param _from The previous owner
+     * @param _to The new owner
+     * @param _domainName The domain name
+     */
+    function registryTransfer(address _from, address _to, string calldata _domainName) 
+        external 
+        onlyRegistry 
+    {
+        registrySync = true;
+        _transfer(_from, _to, tokenIdOf(_domainName));
+        registrySync = false;
+    }
+    
+    /**
+     * @dev Get the owner of a token. Reverts once the domain has expired.
+     */
+    function ownerOf(uint256 _tokenId) 
+        public 
+        view 
+        override 
+        returns (address) 
+    {
+        address owner = super.ownerOf(_tokenId);
+        require(_isActive(_tokenId), "Domain has expired");
+        return owner;
+    }
+    
+    /**
+     * @dev Get on-chain JSON metadata with the domain name, expiry and an SVG image
+     */
+    function tokenURI(uint256 _tokenId) 
+        public 
+        view 
+        override 
+        returns (string memory) 
+    {
+        _requireMinted(_tokenId);
+        
+        string memory domainName = domainNames[_tokenId];
+        (, , uint256 expirationTime, , ) = registry.getDomainInfo(domainName);
+        
+        bytes memory image = abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="400" height="400" viewBox="0 0 400 400">',
+            '<rect width="400" height="400" fill="#667eea"/>',
+            '<text x="200" y="190" font-family="sans-serif" font-size="24" font-weight="bold" fill="white" text-anchor="middle">',
+            _escapeXml(domainName),
+            '</text><text x="200" y="240" font-family="sans-serif" font-size="16" fill="white" text-anchor="middle">Expires ',
+            _formatDate(expirationTime),
+            '</text></svg>'
+        );
+        
+        bytes memory json = abi.encodePacked(
+            '{"name":"', _escapeJson(domainName),
+            '","description":"LedgerNet domain ', _escapeJson(domainName),
+            '","image":"data:image/svg+xml;base64,', Base64.encode(image),
+            '","attributes":[{"trait_type":"Expiration Date","display_type":"date","value":',
+            Strings.toString(expirationTime),
+            '}]}'
+        );
+        
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+    
+    /**
+     * @dev Block transfers of expired domains
+     */
+    function _beforeTokenTransfer(address _from, address _to, uint256 _firstTokenId, uint256 _batchSize) 
+        internal 
+        override 
+    {
+        super._beforeTokenTransfer(_from, _to, _firstTokenId, _batchSize);
+        
+        if (_from != address(0) && _to != address(0)) {
+            require(_isActive(_firstTokenId), "Domain has expired");
+        }
+    }
+    
+    /**
+     * @dev Count transfers and burns, and mirror transfers made through ERC-721 calls to the registry
+     */
+    function _afterTokenTransfer(address _from, address _to, uint256 _firstTokenId, uint256 _batchSize) 
+        internal 
+        override 
+    {
+        super._afterTokenTransfer(_from, _to, _firstTokenId, _batchSize);
+        
+        if (_from != address(0)) {
+            transferCounts[_firstTokenId]++;
+        }
+        
+        if (!registrySync && _from != address(0) && _to != address(0)) {
+            registry.onTokenTransfer(domainNames[_firstTokenId], _from, _to);
+        }
+    }
+    
+    /**
+     * @dev Internal function to check if a token's domain is active and not expired
+     */
+    function _isActive(uint256 _tokenId) internal view returns (bool) {
+        (, , , , uint8 phase) = registry.getDomainInfo(domainNames[_tokenId]);
+        return phase == PHASE_ACTIVE;
+    }
+    
+    /**
+     * @dev Internal function to format a timestamp as YYYY-MM-DD
+     */
+    function _formatDate(uint256 _timestamp) internal pure returns (string memory) {
+        // Civil-from-days conversion (Howard Hinnant's algorithm)
+        uint256 z = _timestamp / 1 days + 719468;
+        uint256 era = z / 146097;
+        uint256 doe = z - era * 146097;
+        uint256 yoe = (doe - doe / 1460 + doe / 36524 - doe / 146096) / 365;
+        uint256 doy = doe - (365 * yoe + yoe / 4 - yoe / 100);
+        uint256 mp = (5 * doy + 2) / 153;
+        uint256 day = doy - (153 * mp + 2) / 5 + 1;
+        uint256 month = mp < 10 ? mp + 3 : mp - 9;
+        uint256 year = yoe + era * 400 + (month <= 2 ? 1 : 0);
+        
+        return string(abi.encodePacked(
+            Strings.toString(year),
+            month < 10 ? "-0" : "-", Strings.toString(month),
+            day < 10 ? "-0" : "-", Strings.toString(day)
+        ));
+    }
+    
+    /**
+     * @dev Internal function to escape a string for use in a JSON string value
+     */
+    function _escapeJson(string memory _text) internal pure returns (string memory) {
+        bytes memory text = bytes(_text);
+        bytes memory escaped;
+        
+        for (uint i = 0; i < text.length; i++) {
+            if (text[i] == '"' || text[i] == "\\") {
+                escaped = abi.encodePacked(escaped, "\\", text[i]);
+            } else if (uint8(text[i]) < 0x20) {
+                escaped = abi.encodePacked(escaped, " ");
+            } else {
+                escaped = abi.encodePacked(escaped, text[i]);
+            }
+        }
+        
+        return string(escaped);
+    }
+    
+    /**
+     * @dev Internal function to escape a string for use in SVG text
+     */
+    function _escapeXml(string memory _text) internal pure returns (string memory) {
+        bytes memory text = bytes(_text);
+        bytes memory escaped;
+        
+        for (uint i = 0; i < text.length; i++) {
+            if (text[i] == "<") {
+                escaped = abi.encodePacked(escaped, "&lt;");
+            } else if (text[i] == ">") {
+                escaped = abi.encodePacked(escaped, "&gt;");
+            } else if (text[i] == "&") {
+                escaped = abi.encodePacked(escaped, "&amp;");
+            } else {
+                escaped = abi.encodePacked(escaped, text[i]);
+            }
+        }
+        
+        return string(escaped);
+    }
+}
@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IPriceOracle.sol";
+
+/**
+ * @title Length Price Oracle
+ * @dev Prices domains by the length of their first label, so short names cost more.
+ * Prices are fixed at deployment; new prices take a new oracle, set through the
+ * registry's timelocked setPriceOracle.
+ * @author LedgerNet Team
+ */
+contract LengthPriceOracle is IPriceOracle {
+    
+    // Yearly prices (in wei) by label length
+    uint256 public immutable threeCharPrice;
+    uint256 public immutable fourCharPrice;
+    uint256 public immutable basePrice;
+    
+    constructor(uint256 _threeCharPrice, uint256 _fourCharPrice, uint256 _basePrice) {
+        threeCharPrice = _threeCharPrice;
+        fourCharPrice = _fourCharPrice;
+        basePrice = _basePrice;
+    }
+    
+    /**
+     * @dev Get the price of a domain for a duration
+     * @param _domainName The domain name to price
+     * @param _duration The registration duration in seconds
+     * @return The price in wei
+     */
+    function price(string calldata _domainName, uint256 _duration) 
+        external 
+        view 
+        override 
+        returns (uint256) 
+    {
+        uint256 labelLength = _labelLength(_domainName);
+        uint256 yearlyPrice = basePrice;
+        
+        // Names shorter than three characters are priced as three-character names
+        if (labelLength <= 3) {
+            yearlyPrice = threeCharPrice;
+        } else if (labelLength == 4) {
+            yearlyPrice = fourCharPrice;
+        }
+        
+        return yearlyPrice * _duration / 365 days;
+    }
+    
+    /**
+     * @dev Internal function to get the character length of the first label ("mysite" in "mysite.eth")
+     */
+    function _labelLength(string calldata _domainName) internal pure returns (uint256 length) {
+        bytes calldata name = bytes(_domainName);
+        
+        for (uint i = 0; i < name.length && name[i] != "."; i++) {
+            // Count UTF-8 characters by skipping continuation bytes
+            if (uint8(name[i]) & 0xC0 != 0x80) {
+                length++;
+            }
+        }
+    }
+}
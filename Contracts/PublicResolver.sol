@@ -0,0 +1,175 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "./IResolver.sol";
+
+/**
+ * @dev Registry functions used by the resolver
+ */
+interface IResolverRegistry {
+    function isAuthorised(string calldata _domainName, address _account) external view returns (bool);
+    
+    function recordVersions(string calldata _domainName) external view returns (uint256);
+}
+
+/**
+ * @title Public Resolver
+ * @dev Default LedgerNet resolver storing typed DNS records. Records can be edited by
+ * the domain owner, its manager and the owner's record operators, and are dropped
+ * whenever the registry bumps the domain's record version.
+ * @author LedgerNet Team
+ */
+contract PublicResolver is IResolver {
+    
+    // The registry that authorises record changes
+    IResolverRegistry public immutable registry;
+    
+    // Record sets: domain name => record version => record type => records
+    mapping(string => mapping(uint256 => mapping(uint16 => DnsRecord[]))) private recordSets;
+    
+    // Events
+    event RecordAdded(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl);
+    event RecordReplaced(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl);
+    event RecordDeleted(string indexed domainName, uint16 indexed recordType, uint256 index);
+    
+    // Supported DNS record types (IANA type codes)
+    uint16 public constant TYPE_A = 1;
+    uint16 public constant TYPE_NS = 2;
+    uint16 public constant TYPE_CNAME = 5;
+    uint16 public constant TYPE_MX = 15;
+    uint16 public constant TYPE_TXT = 16;
+    uint16 public constant TYPE_AAAA = 28;
+    uint16 public constant TYPE_SRV = 33;
+    
+    // Maximum number of records of one type per domain
+    uint256 public constant MAX_RECORDS_PER_TYPE = 10;
+    
+    modifier onlyAuthorised(string memory _domainName) {
+        require(registry.isAuthorised(_domainName, msg.sender), "Not authorised for this domain");
+        _;
+    }
+    
+    constructor(address _registry) {
+        registry = IResolverRegistry(_registry);
+    }
+    
+    /**
+     * @dev Add a DNS record to a domain's record set
+     * @param _domainName The domain name to update
+     * @param _recordType The record type (TYPE_A, TYPE_MX, ...)
+     * @param _value The record data in presentation format (e.g. "10 mail.mysite.eth" for MX)
+     * @param _ttl The record time-to-live in seconds
+     */
+    function addRecord(string memory _domainName, uint16 _recordType, string memory _value, uint32 _ttl) 
+        external 
+        onlyAuthorised(_domainName) 
+    {
+        require(_isSupportedRecordType(_recordType), "Unsupported record type");
+        require(bytes(_value).length > 0, "Record value cannot be empty");
+        
+        DnsRecord[] storage records = _recordsOf(_domainName, _recordType);
+        require(records.length < MAX_RECORDS_PER_TYPE, "Too many records of this type");
+        require(_recordType != TYPE_CNAME || records.length == 0, "Only one CNAME record allowed");
+        
+        records.push(DnsRecord({ value: _value, ttl: _ttl }));
+        
+        emit RecordAdded(_domainName, _recordType, records.length - 1, _value, _ttl);
+    }
+    
+    /**
+     * @dev Replace an existing DNS record
+     * @param _domainName The domain name to update
+     * @param _recordType The record type
+     * @param _index The index of the record within its record set
+     * @param _value The new record data
+     * @param _ttl The new time-to-live in seconds
+     */
+    function replaceRecord(
+        string memory _domainName,
+        uint16 _recordType,
+        uint256 _index,
+        string memory _value,
+        uint32 _ttl
+    ) 
+        external 
+        onlyAuthorised(_domainName) 
+    {
+        require(bytes(_value).length > 0, "Record value cannot be empty");
+        
+        DnsRecord[] storage records = _recordsOf(_domainName, _recordType);
+        require(_index < records.length, "Record does not exist");
+        
+        records[_index] = DnsRecord({ value: _value, ttl: _ttl });
+        
+        emit RecordReplaced(_domainName, _recordType, _index, _value, _ttl);
+    }
+    
+    /**
+     * @dev Delete a DNS record. The last record of the set takes its index.
+     * @param _domainName The domain name to update
+     * @param _recordType The record type
+     * @param _index The index of the record within its record set
+     */
+    function deleteRecord(string memory _domainName, uint16 _recordType, uint256 _index) 
+        external 
+        onlyAuthorised(_domainName) 
+    {
+        DnsRecord[] storage records = _recordsOf(_domainName, _recordType);
+        require(_index < records.length, "Record does not exist");
+        
+        records[_index] = records[records.length - 1];
+        records.pop();
+        
+        emit RecordDeleted(_domainName, _recordType, _index);
+    }
+    
+    /**
+     * @dev Get all records of one type for a domain
+     * @param _domainName The domain name to query
+     * @param _recordType The record type
+     * @return Array of records
+     */
+    function getRecords(string calldata _domainName, uint16 _recordType) 
+        external 
+        view 
+        override 
+        returns (DnsRecord[] memory) 
+    {
+        return _recordsOf(_domainName, _recordType);
+    }
+    
+    /**
+     * @dev Get the address a domain resolves to: its first A record, or else its first AAAA record
+     * @param _domainName The domain name to resolve
+     * @return The IP address, or an empty string if the domain has no address records
+     */
+    function resolveAddress(string calldata _domainName) 
+        external 
+        view 
+        override 
+        returns (string memory) 
+    {
+        DnsRecord[] storage records = _recordsOf(_domainName, TYPE_A);
+        if (records.length == 0) {
+            records = _recordsOf(_domainName, TYPE_AAAA);
+        }
+        
+        return records.length > 0 ? records[0].value : "";
+    }
+    
+    /**
+     * @dev Internal function to get the current record set of one type for a domain
+     */
+    function _recordsOf(string memory _domainName, uint16 _recordType) internal view returns (DnsRecord[] storage) {
+        return recordSets[_domainName][registry.recordVersions(_domainName)][_recordType];
+    }
+    
+    /**
+     * @dev Internal function to check if a record type is supported
+     */
+    function _isSupportedRecordType(uint16 _recordType) internal pure returns (bool) {
+        return _recordType == TYPE_A || _recordType == TYPE_NS || _recordType == TYPE_CNAME ||
+               _recordType == TYPE_MX || _recordType == TYPE_TXT || _recordType == TYPE_AAAA ||
+               _recordType == TYPE_SRV;
+    }
+}
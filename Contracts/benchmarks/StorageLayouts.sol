@@ -0,0 +1,136 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "../LedgerNet.sol";
+
+/**
+ * @title Storage layout benchmarks
+ * @dev The storage writes of registering, re-registering and transferring a domain, in the
+ * string-keyed layout the registry had before and in its name hash layout. Both contracts
+ * store the same fields and run without the registry's checks, token, pricing or proxy, so
+ * scripts/gas-report.js measures the layout alone. They are never deployed.
+ */
+contract StringKeyedLayout {
+    
+    // The registry's Domain struct before it was packed
+    struct Domain {
+        address owner;
+        string ipAddress;
+        uint256 expirationTime;
+        bool isActive;
+        address resolver;
+        address manager;
+    }
+    
+    mapping(string => Domain) public domains;
+    mapping(address => string[]) public ownerDomains;
+    mapping(string => uint256) public recordVersions;
+    mapping(string => string) public parentDomains;
+    mapping(string => uint256) private domainEpochs;
+    
+    /**
+     * @dev Store a domain for the caller, dropping the previous registration of the name
+     */
+    function register(string memory _domainName, string memory _ipAddress, uint256 _expirationTime) external {
+        address previousOwner = domains[_domainName].owner;
+        if (previousOwner != address(0)) {
+            _removeDomainFromOwner(previousOwner, _domainName);
+            recordVersions[_domainName]++;
+        }
+        
+        delete parentDomains[_domainName];
+        domainEpochs[_domainName]++;
+        
+        domains[_domainName] = Domain({
+            owner: msg.sender,
+            ipAddress: _ipAddress,
+            expirationTime: _expirationTime,
+            isActive: true,
+            resolver: address(0),
+            manager: address(0)
+        });
+        ownerDomains[msg.sender].push(_domainName);
+    }
+    
+    /**
+     * @dev Give a domain a new owner
+     */
+    function transfer(string memory _domainName, address _newOwner) external {
+        address oldOwner = domains[_domainName].owner;
+        domains[_domainName].owner = _newOwner;
+        domains[_domainName].manager = address(0);
+        
+        _removeDomainFromOwner(oldOwner, _domainName);
+        ownerDomains[_newOwner].push(_domainName);
+    }
+    
+    function getDomainsByOwner(address _owner) external view returns (string[] memory) {
+        return ownerDomains[_owner];
+    }
+    
+    function _removeDomainFromOwner(address _owner, string memory _domainName) internal {
+        string[] storage ownerDomainList = ownerDomains[_owner];
+        for (uint256 i = 0; i < ownerDomainList.length; i++) {
+            if (keccak256(bytes(ownerDomainList[i])) == keccak256(bytes(_domainName))) {
+                ownerDomainList[i] = ownerDomainList[ownerDomainList.length - 1];
+                ownerDomainList.pop();
+                break;
+            }
+        }
+    }
+}
+
+contract NameHashLayout {
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+    
+    // The registry's packed Domain struct
+    mapping(bytes32 => LedgerNet.Domain) private domainsByHash;
+    mapping(address => EnumerableSet.Bytes32Set) private ownedNames;
+    
+    /**
+     * @dev Store a domain for the caller, dropping the previous registration of the name
+     */
+    function register(string memory _domainName, string memory _ipAddress, uint256 _expirationTime) external {
+        bytes32 node = keccak256(bytes(_domainName));
+        LedgerNet.Domain storage domain = domainsByHash[node];
+        if (domain.owner != address(0)) {
+            ownedNames[domain.owner].remove(node);
+            domain.recordVersion++;
+            domain.parent = bytes32(0);
+        } else {
+            domain.name = _domainName;
+        }
+        
+        domain.epoch++;
+        domain.owner = msg.sender;
+        domain.ipAddress = _ipAddress;
+        domain.expirationTime = uint64(_expirationTime);
+        domain.isActive = true;
+        domain.resolver = address(0);
+        domain.manager = address(0);
+        ownedNames[msg.sender].add(node);
+    }
+    
+    /**
+     * @dev Give a domain a new owner
+     */
+    function transfer(string memory _domainName, address _newOwner) external {
+        bytes32 node = keccak256(bytes(_domainName));
+        LedgerNet.Domain storage domain = domainsByHash[node];
+        address oldOwner = domain.owner;
+        domain.owner = _newOwner;
+        domain.manager = address(0);
+        
+        ownedNames[oldOwner].remove(node);
+        ownedNames[_newOwner].add(node);
+    }
+    
+    function getDomainsByOwner(address _owner) external view returns (string[] memory names) {
+        EnumerableSet.Bytes32Set storage nodes = ownedNames[_owner];
+        names = new string[](nodes.length());
+        for (uint256 i = 0; i < names.length; i++) {
+            names[i] = domainsByHash[nodes.at(i)].name;
+        }
+    }
+}
@@ -10,19 +10,42 @@ class LedgerNetApp {
         
         // Contract configuration -* UPDATE VALUES
         this.contractAddress = "0x..."; // Replace with deployed contract address
-        this.contractABI = [
-            "function registerDomain(string memory _domainName, string memory _ipAddress) external payable",
-            "function updateDomain(string memory _domainName, string memory _newIpAddress) external",
-            "function resolveDomain(string memory _domainName) external view returns (string memory)",
-            "function getDomainInfo(string memory _domainName) external view returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive)",
-            "function getDomainsByOwner(address _owner) external view returns (string[] memory)",
-            "function transferDomain(string memory _domainName, address _newOwner) external",
-            "function isDomainAvailable(string memory _domainName) external view returns (bool)",
-            "function registrationFee() external view returns (uint256)",
-            "event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress)",
-            "event DomainUpdated(string indexed domainName, string newIpAddress)",
-            "event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner)"
-        ];
+        
+        // Marketplace contract, set in index.html by the deploy script
+        this.marketplaceAddress = window.MARKETPLACE_ADDRESS || "0x...";
+        this.marketplace = null;
+        
+        // Auction house for auction-only names, set in index.html by the deploy script
+        this.auctionHouseAddress = window.AUCTION_HOUSE_ADDRESS || "0x...";
+        this.auctionHouse = null;
+        this.watchedAuction = null;
+        
+        // Forwarder and relayer (services/relayer) for signed, gasless updates and transfers
+        this.forwarderAddress = window.FORWARDER_ADDRESS || "0x...";
+        this.forwarder = null;
+        this.relayerUrl = window.RELAYER_URL || null;
+        
+        // Auction phases, indexed by the auction house's AuctionPhase values
+        this.auctionPhases = ['None', 'Bidding', 'Reveal', 'Ended'];
+        
+        // Lifecycle phases, indexed by the contract's DomainPhase values
+        this.domainPhases = LedgerNetSDK.PHASES;
+        
+        // DNS record types supported by resolvers (IANA type codes)
+        this.recordTypes = LedgerNetSDK.RECORD_TYPES;
+        
+        // Optional indexer API (services/indexer), used when it is reachable
+        this.indexerUrl = window.INDEXER_URL || null;
+        
+        // Window for the expiring-soon filter and bulk renewal (30 days)
+        this.expiringSoonWindow = 30 * 24 * 60 * 60;
+        this.countdownTimer = null;
+        
+        // Names checked in the bulk registration card
+        this.bulkEntries = [];
+        
+        // Registry events that make up a domain's history
+        this.historyEvents = ['DomainRegistered', 'DomainUpdated', 'DomainTransferred', 'DomainRenewed', 'DomainDeactivated'];
         
         this.init();
     }
@@ -39,8 +62,29 @@ class LedgerNetApp {
         document.getElementById('disconnectWallet').addEventListener('click', () => this.disconnectWallet());
         document.getElementById('registerForm').addEventListener('submit', (e) => this.handleRegisterDomain(e));
         document.getElementById('resolveForm').addEventListener('submit', (e) => this.handleResolveDomain(e));
+        document.getElementById('searchForm').addEventListener('submit', (e) => this.handleSearchDomains(e));
         document.getElementById('updateForm').addEventListener('submit', (e) => this.handleUpdateDomain(e));
         document.getElementById('loadDomains').addEventListener('click', () => this.loadUserDomains());
+        document.getElementById('expiringSoonFilter').addEventListener('change', () => this.applyExpiringFilter());
+        document.getElementById('renewExpiringBtn').addEventListener('click', () => this.renewExpiringDomains());
+        document.getElementById('recordForm').addEventListener('submit', (e) => this.handleSaveRecord(e));
+        document.getElementById('domainName').addEventListener('input', () => this.updatePriceQuote());
+        document.getElementById('registrationYears').addEventListener('change', () => this.updatePriceQuote());
+        document.getElementById('bulkForm').addEventListener('submit', (e) => this.handleBulkCheck(e));
+        document.getElementById('bulkFile').addEventListener('change', (e) => this.handleBulkFile(e));
+        document.getElementById('bulkRegisterBtn').addEventListener('click', () => this.handleBulkRegister());
+        document.getElementById('loadRecordsBtn').addEventListener('click', () => this.loadDomainRecords());
+        document.getElementById('operatorForm').addEventListener('submit', (e) => this.handleSetOperator(e, true));
+        document.getElementById('revokeOperatorBtn').addEventListener('click', (e) => this.handleSetOperator(e, false));
+        document.getElementById('loadListingsBtn').addEventListener('click', () => this.loadListings());
+        document.getElementById('listForm').addEventListener('submit', (e) => this.handleListDomain(e));
+        document.getElementById('offersForm').addEventListener('submit', (e) => this.loadOffers(e));
+        document.getElementById('makeOfferBtn').addEventListener('click', () => this.initMakeOffer());
+        document.getElementById('auctionStatusForm').addEventListener('submit', (e) => this.handleWatchAuction(e));
+        document.getElementById('bidForm').addEventListener('submit', (e) => this.handlePlaceBid(e));
+        document.getElementById('revealBidBtn').addEventListener('click', () => this.revealBid());
+        document.getElementById('finalizeAuctionBtn').addEventListener('click', () => this.finalizeAuction());
+        document.getElementById('withdrawBidBtn').addEventListener('click', () => this.withdrawBid());
     }
     
     // Setup tab navigation
@@ -101,12 +145,25 @@ class LedgerNetApp {
             this.signer = this.provider.getSigner();
             this.userAccount = await this.signer.getAddress();
             
-            // Initialize contract
-            this.contract = new ethers.Contract(this.contractAddress, this.contractABI, this.signer);
+            // Initialize the registry client
+            this.contract = new LedgerNetSDK.LedgerNetClient({ address: this.contractAddress, signerOrProvider: this.signer });
+            
+            if (this.marketplaceAddress !== "0x...") {
+                this.marketplace = new LedgerNetSDK.MarketplaceClient({ address: this.marketplaceAddress, signerOrProvider: this.signer });
+            }
+            
+            if (this.auctionHouseAddress !== "0x...") {
+                this.auctionHouse = new LedgerNetSDK.AuctionClient({ address: this.auctionHouseAddress, signerOrProvider: this.signer });
+            }
+            
+            if (this.forwarderAddress !== "0x...") {
+                this.forwarder = new LedgerNetSDK.ForwarderClient({ address: this.forwarderAddress, signerOrProvider: this.signer });
+            }
             
             // Update UI
             this.updateWalletUI();
             this.updateNetworkStatus();
+            this.updatePriceQuote();
             
             // Listen for account changes
             window.ethereum.on('accountsChanged', (accounts) => {
@@ -138,12 +195,27 @@ class LedgerNetApp {
             connectBtn.classList.add('hidden');
             walletInfo.classList.remove('hidden');
             walletAddress.textContent = this.formatAddress(this.userAccount);
+            walletAddress.title = this.userAccount;
+            this.updatePrimaryName();
         } else {
             connectBtn.classList.remove('hidden');
             walletInfo.classList.add('hidden');
         }
     }
     
+    // Show the account's primary name in place of its address, when it has one
+    async updatePrimaryName() {
+        try {
+            const primaryName = await this.contract.getPrimaryName(this.userAccount);
+            
+            if (primaryName) {
+                document.getElementById('walletAddress').textContent = primaryName;
+            }
+        } catch (error) {
+            console.error('Error getting primary name:', error);
+        }
+    }
+    
     // Update network status
     async updateNetworkStatus() {
         try {
@@ -160,14 +232,21 @@ class LedgerNetApp {
     
     // Disconnect wallet
     disconnectWallet() {
+        this.stopWatchingAuction();
+        
         this.provider = null;
         this.signer = null;
         this.contract = null;
+        this.marketplace = null;
+        this.auctionHouse = null;
         this.userAccount = null;
         
         this.updateWalletUI();
         document.getElementById('networkStatus').classList.add('hidden');
         document.getElementById('domainsList').innerHTML = '';
+        document.getElementById('listingsList').innerHTML = '';
+        document.getElementById('offersList').innerHTML = '';
+        document.getElementById('auctionStatus').classList.add('hidden');
         
         this.showMessage('Wallet disconnected', 'info');
     }
@@ -181,11 +260,12 @@ class LedgerNetApp {
             return;
         }
         
-        const domainName = document.getElementById('domainName').value.trim();
+        const domainName = this.normalizeDomainName(document.getElementById('domainName').value);
         const ipAddress = document.getElementById('ipAddress').value.trim();
+        const years = parseInt(document.getElementById('registrationYears').value, 10);
         const submitBtn = document.getElementById('registerBtn');
         
-        if (!this.validateDomainName(domainName) || !this.validateIPAddress(ipAddress)) {
+        if (!domainName || !this.validateIPAddress(ipAddress)) {
             return;
         }
         
@@ -195,35 +275,440 @@ class LedgerNetApp {
             // Check if domain is available
             const isAvailable = await this.contract.isDomainAvailable(domainName);
             if (!isAvailable) {
-                this.showMessage('Domain is already registered and active', 'error');
+                const phase = this.domainPhases[await this.contract.getDomainPhase(domainName)];
+                this.showMessage(phase === 'Grace'
+                    ? 'Domain has expired but is reserved for its owner during the grace period'
+                    : 'Domain is already registered and active', 'error');
                 return;
             }
             
-            // Get registration fee
-            const registrationFee = await this.contract.registrationFee();
+            if (this.auctionHouse && await this.auctionHouse.isAuctionOnly(domainName)) {
+                this.showMessage(`"${domainName}" is auction-only. Place a bid in the Auctions tab.`, 'warning');
+                return;
+            }
+            
+            // Get the price for this name and duration
+            const price = await this.contract.getPrice(domainName, years);
+            
+            // Step 1: commit to the name, or resume a commitment made earlier
+            const pending = await this.getPendingCommitment(domainName);
+            const { secret, committedAt } = pending || await this.commitDomain(domainName);
             
-            // Register domain
-            const tx = await this.contract.registerDomain(domainName, ipAddress, {
-                value: registrationFee
+            // Step 2: wait out the minimum commitment age
+            const minAge = (await this.contract.MIN_COMMITMENT_AGE()).toNumber();
+            await this.waitForCommitment(committedAt + minAge);
+            
+            // Step 3: reveal and register the domain
+            const tx = await this.contract.registerWithCommitment(domainName, ipAddress, secret, years, {
+                value: price
             });
             
             this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
             
             const receipt = await tx.wait();
             
+            localStorage.removeItem(this.commitmentKey(domainName));
+            
             this.showMessage(`Domain "${domainName}" registered successfully!`, 'success');
             
             // Clear form
             document.getElementById('registerForm').reset();
+            this.updatePriceQuote();
             
         } catch (error) {
             console.error('Error registering domain:', error);
             this.showMessage('Failed to register domain: ' + this.getErrorMessage(error), 'error');
         } finally {
+            document.getElementById('commitStatus').classList.add('hidden');
             this.setButtonLoading(submitBtn, false);
         }
     }
     
+    // Quote the registration price for the name and duration in the register form
+    async updatePriceQuote() {
+        const input = document.getElementById('domainName').value;
+        const years = parseInt(document.getElementById('registrationYears').value, 10);
+        const priceQuote = document.getElementById('priceQuote');
+        
+        document.getElementById('validityLabel').textContent = years === 1 ? '1 Year' : `${years} Years`;
+        
+        // Only quote names the contract would accept
+        let domainName = null;
+        try {
+            domainName = LedgerNetSDK.normalizeName(input);
+        } catch (error) {
+            domainName = null;
+        }
+        
+        if (!this.contract || !domainName) {
+            priceQuote.textContent = '-';
+            return;
+        }
+        
+        // Ignore quotes that arrive after the inputs changed again
+        const quoteId = (this.quoteId || 0) + 1;
+        this.quoteId = quoteId;
+        
+        try {
+            const price = await this.contract.getPrice(domainName, years);
+            if (quoteId === this.quoteId) {
+                priceQuote.textContent = `${ethers.utils.formatEther(price)} ETH`;
+            }
+        } catch (error) {
+            console.error('Error quoting price:', error);
+            priceQuote.textContent = '-';
+        }
+    }
+    
+    // Send a registration commitment for a domain, or for a batch of names, and keep its
+    // secret in local storage
+    async commitDomain(names) {
+        const secret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const commitment = await this.makeCommitment(names, secret);
+        
+        // Store the secret before sending, so a reload during confirmation cannot lose it
+        const key = this.commitmentKey(names);
+        localStorage.setItem(key, JSON.stringify({ secret }));
+        
+        const tx = await this.contract.commit(commitment);
+        
+        this.showMessage('Commitment submitted. Waiting for confirmation...', 'info');
+        
+        const receipt = await tx.wait();
+        const block = await this.provider.getBlock(receipt.blockNumber);
+        
+        localStorage.setItem(key, JSON.stringify({ secret, committedAt: block.timestamp }));
+        
+        return { secret, committedAt: block.timestamp };
+    }
+    
+    // Find a commitment for this domain, or batch of names, that can still be revealed
+    async getPendingCommitment(names) {
+        const key = this.commitmentKey(names);
+        const stored = JSON.parse(localStorage.getItem(key) || 'null');
+        
+        if (!stored) return null;
+        
+        const commitment = await this.makeCommitment(names, stored.secret);
+        const committedAt = (await this.contract.commitments(commitment)).toNumber();
+        const maxAge = (await this.contract.MAX_COMMITMENT_AGE()).toNumber();
+        
+        if (committedAt === 0 || Date.now() / 1000 > committedAt + maxAge) {
+            localStorage.removeItem(key);
+            return null;
+        }
+        
+        this.showMessage(`Resuming earlier commitment for "${[].concat(names).join('", "')}"`, 'info');
+        return { secret: stored.secret, committedAt };
+    }
+    
+    // Show a countdown until the commitment can be revealed
+    waitForCommitment(revealAt, statusId = 'commitStatus', countdownId = 'commitCountdown') {
+        const commitStatus = document.getElementById(statusId);
+        const countdown = document.getElementById(countdownId);
+        
+        commitStatus.classList.remove('hidden');
+        
+        return new Promise((resolve) => {
+            const tick = () => {
+                // Leave a few seconds of margin for the next block's timestamp
+                const remaining = Math.ceil(revealAt + 5 - Date.now() / 1000);
+                
+                if (remaining <= 0) {
+                    countdown.textContent = 'Registering...';
+                    resolve();
+                    return;
+                }
+                
+                countdown.textContent = `Commitment confirmed. Registering in ${remaining}s`;
+                setTimeout(tick, 1000);
+            };
+            
+            tick();
+        });
+    }
+    
+    // A batch is committed to as a whole, with its names in order
+    makeCommitment(names, secret) {
+        return Array.isArray(names)
+            ? this.contract.makeBatchCommitment(names, this.userAccount, secret)
+            : this.contract.makeCommitment(names, this.userAccount, secret);
+    }
+    
+    commitmentKey(names) {
+        return `ledgernet:commitment:${this.userAccount}:${[].concat(names).join(',')}`;
+    }
+    
+    // Load a list of names from a text or CSV file into the bulk registration card
+    async handleBulkFile(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        document.getElementById('bulkNames').value = await file.text();
+    }
+    
+    // Parse the bulk list: one name per line, optionally followed by an IP address
+    parseBulkList(text, defaultIp) {
+        const entries = [];
+        const seen = new Set();
+        
+        for (const line of text.split(/\r?\n/)) {
+            const [input, ipAddress] = line.split(/[\s,;]+/).filter(Boolean);
+            if (!input || input.startsWith('#')) continue;
+            
+            const entry = {
+                input,
+                name: null,
+                ipAddress: ipAddress || defaultIp,
+                error: '',
+                available: false,
+                premium: false,
+                registered: false,
+                price: null,
+                suggestions: [],
+                selected: false
+            };
+            
+            try {
+                entry.name = LedgerNetSDK.normalizeName(input);
+            } catch (error) {
+                entry.error = error.message;
+            }
+            
+            if (entry.name) {
+                if (seen.has(entry.name)) continue;
+                seen.add(entry.name);
+                
+                entry.error = LedgerNetSDK.validateIPAddress(entry.ipAddress);
+            }
+            
+            entries.push(entry);
+        }
+        
+        return entries;
+    }
+    
+    // Check every name in the bulk list with one call, and suggest free alternatives to taken names
+    async handleBulkCheck(e) {
+        e.preventDefault();
+        
+        if (!this.contract) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return;
+        }
+        
+        const defaultIp = document.getElementById('bulkDefaultIp').value.trim();
+        const years = parseInt(document.getElementById('bulkYears').value, 10);
+        const checkBtn = document.getElementById('bulkCheckBtn');
+        const entries = this.parseBulkList(document.getElementById('bulkNames').value, defaultIp);
+        
+        if (entries.length === 0) {
+            this.showMessage('Enter at least one domain name', 'warning');
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(checkBtn, true);
+            
+            const valid = entries.filter(entry => entry.name);
+            const availability = valid.length > 0
+                ? await this.contract.batchCheckAvailability(valid.map(entry => entry.name))
+                : [];
+            valid.forEach((entry, i) => { entry.available = availability[i]; });
+            
+            // Premiums fall with every block, so names in their premium period cannot join a batch
+            // that must pay an exact total. Auction-only names cannot be registered directly.
+            await Promise.all(valid.filter(entry => entry.available).map(async (entry) => {
+                const [price, premium, auctionOnly] = await Promise.all([
+                    this.contract.getPrice(entry.name, years),
+                    this.contract.getPremium(entry.name),
+                    this.auctionHouse ? this.auctionHouse.isAuctionOnly(entry.name) : false
+                ]);
+                entry.price = price;
+                entry.premium = premium.gt(0);
+                entry.auctionOnly = auctionOnly;
+            }));
+            
+            const taken = valid.filter(entry => !entry.available);
+            const candidates = taken.map(entry => this.suggestAlternatives(entry.name));
+            const unique = [...new Set(candidates.flat())];
+            
+            if (unique.length > 0) {
+                const free = await this.contract.batchCheckAvailability(unique);
+                const freeNames = new Set(unique.filter((name, i) => free[i]));
+                taken.forEach((entry, i) => {
+                    entry.suggestions = candidates[i].filter(name => freeNames.has(name)).slice(0, 3);
+                });
+            }
+            
+            entries.forEach(entry => { entry.selected = this.isBulkSelectable(entry); });
+            this.bulkEntries = entries;
+            this.bulkYears = years;
+            this.renderBulkResults();
+            
+        } catch (error) {
+            console.error('Error checking domains:', error);
+            this.showMessage('Failed to check domains: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(checkBtn, false);
+        }
+    }
+    
+    // Similar names under the same parent, e.g. "mysite1.eth" or "getmysite.eth" for "mysite.eth"
+    suggestAlternatives(name) {
+        const dot = name.indexOf('.');
+        if (dot < 0) return [];
+        
+        const label = name.slice(0, dot);
+        const parent = name.slice(dot);
+        
+        return [`${label}1`, `${label}-app`, `${label}hq`, `get${label}`, `my${label}`, `the${label}`]
+            .map(candidate => candidate + parent)
+            .filter(candidate => !LedgerNetSDK.validateName(candidate));
+    }
+    
+    isBulkSelectable(entry) {
+        return entry.available && !entry.premium && !entry.auctionOnly && !entry.registered && !entry.error;
+    }
+    
+    renderBulkResults() {
+        const bulkResults = document.getElementById('bulkResults');
+        
+        bulkResults.innerHTML = this.bulkEntries.map((entry, i) => {
+            let status = 'Taken';
+            let statusClass = 'taken';
+            
+            if (entry.registered) {
+                status = 'Registered';
+                statusClass = 'available';
+            } else if (entry.error) {
+                status = this.escapeHtml(entry.error);
+                statusClass = 'invalid';
+            } else if (entry.auctionOnly) {
+                status = 'Auction only';
+                statusClass = 'taken';
+            } else if (entry.premium) {
+                status = 'Premium; register it on its own';
+                statusClass = 'taken';
+            } else if (entry.available) {
+                status = `Available · ${ethers.utils.formatEther(entry.price)} ETH`;
+                statusClass = 'available';
+            }
+            
+            const suggestions = entry.suggestions.map(name => `
+                <button type="button" class="suggestion-btn" onclick="app.useBulkSuggestion('${name}', ${i})">${name}</button>
+            `).join('');
+            
+            return `
+                <div class="bulk-entry">
+                    <input type="checkbox" ${entry.selected ? 'checked' : ''} ${this.isBulkSelectable(entry) ? '' : 'disabled'}
+                        onchange="app.toggleBulkEntry(${i}, this.checked)">
+                    <span class="domain-name">${this.escapeHtml(entry.name || entry.input)}</span>
+                    <span class="bulk-ip">${this.escapeHtml(entry.ipAddress || '')}</span>
+                    <span class="bulk-status ${statusClass}">${status}</span>
+                    ${suggestions ? `<div class="bulk-suggestions">Try: ${suggestions}</div>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        this.updateBulkSummary();
+    }
+    
+    toggleBulkEntry(i, selected) {
+        this.bulkEntries[i].selected = selected;
+        this.updateBulkSummary();
+    }
+    
+    // Add a suggested name to the list, with the IP address of the name it replaces, and check again
+    useBulkSuggestion(name, i) {
+        const bulkNames = document.getElementById('bulkNames');
+        const ipAddress = this.bulkEntries[i].ipAddress;
+        
+        bulkNames.value = `${bulkNames.value.trimEnd()}\n${ipAddress ? `${name} ${ipAddress}` : name}`;
+        document.getElementById('bulkForm').requestSubmit();
+    }
+    
+    // Show the number of selected names and their total fee
+    updateBulkSummary() {
+        const selected = this.bulkEntries.filter(entry => entry.selected);
+        const total = selected.reduce((sum, entry) => sum.add(entry.price), ethers.constants.Zero);
+        
+        document.getElementById('bulkSummary').classList.toggle('hidden', this.bulkEntries.length === 0);
+        document.getElementById('bulkSelectedCount').textContent = selected.length;
+        document.getElementById('bulkTotal').textContent = `${ethers.utils.formatEther(total)} ETH`;
+        document.getElementById('bulkRegisterBtn').disabled = selected.length === 0;
+    }
+    
+    // Register the selected names, as many per transaction as the contract allows
+    async handleBulkRegister() {
+        if (!this.contract) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return;
+        }
+        
+        const selected = this.bulkEntries.filter(entry => entry.selected);
+        const registerBtn = document.getElementById('bulkRegisterBtn');
+        
+        if (selected.length === 0) {
+            this.showMessage('Select at least one available name', 'warning');
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(registerBtn, true);
+            
+            const batchSize = (await this.contract.MAX_BATCH_SIZE()).toNumber();
+            const minAge = (await this.contract.MIN_COMMITMENT_AGE()).toNumber();
+            
+            for (let i = 0; i < selected.length; i += batchSize) {
+                const batch = selected.slice(i, i + batchSize);
+                const names = batch.map(entry => entry.name);
+                
+                // Step 1: commit to the whole batch at once, or resume a commitment made earlier
+                const pending = await this.getPendingCommitment(names);
+                const { secret, committedAt } = pending || await this.commitDomain(names);
+                
+                // Step 2: wait out the minimum commitment age
+                await this.waitForCommitment(committedAt + minAge, 'bulkCommitStatus', 'bulkCommitCountdown');
+                
+                // The contract checks the exact total, so prices are read again just before sending
+                const prices = await Promise.all(batch.map(entry => this.contract.getPrice(entry.name, this.bulkYears)));
+                const total = prices.reduce((sum, price) => sum.add(price), ethers.constants.Zero);
+                
+                // Step 3: reveal and register the batch
+                const tx = await this.contract.registerDomainsWithCommitment(
+                    names,
+                    batch.map(entry => entry.ipAddress),
+                    secret,
+                    this.bulkYears,
+                    { value: total }
+                );
+                
+                this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+                
+                await tx.wait();
+                
+                localStorage.removeItem(this.commitmentKey(names));
+                
+                batch.forEach(entry => {
+                    entry.registered = true;
+                    entry.selected = false;
+                });
+                this.renderBulkResults();
+            }
+            
+            this.showMessage(`Registered ${selected.length} domain${selected.length === 1 ? '' : 's'} successfully!`, 'success');
+            
+        } catch (error) {
+            console.error('Error registering domains:', error);
+            this.showMessage('Failed to register domains: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            document.getElementById('bulkCommitStatus').classList.add('hidden');
+            this.setButtonLoading(registerBtn, false);
+            this.updateBulkSummary();
+        }
+    }
+    
     // Handle domain resolution
     async handleResolveDomain(e) {
         e.preventDefault();
@@ -233,12 +718,11 @@ class LedgerNetApp {
             return;
         }
         
-        const domainName = document.getElementById('resolveDomain').value.trim();
+        const domainName = this.normalizeDomainName(document.getElementById('resolveDomain').value);
         const resolveBtn = document.getElementById('resolveBtn');
         const resultCard = document.getElementById('resolveResult');
         
         if (!domainName) {
-            this.showMessage('Please enter a domain name', 'warning');
             return;
         }
         
@@ -260,8 +744,21 @@ class LedgerNetApp {
             document.getElementById('resultOwner').textContent = this.formatAddress(owner);
             document.getElementById('resultExpiry').textContent = this.formatDate(expirationTime);
             
+            // Warn when an arbitrator has frozen the name over a dispute
+            const frozenBanner = document.getElementById('resultFrozen');
+            const freezeReason = await this.contract.freezeReasons(domainName);
+            frozenBanner.textContent = this.frozenBannerText(freezeReason);
+            frozenBanner.classList.toggle('hidden', !frozenBanner.textContent);
+            
+            // Show the domain's DNS records
+            const records = await this.fetchDomainRecords(domainName);
+            document.getElementById('resultRecords').innerHTML = this.renderRecords(records, false);
+            
             resultCard.classList.remove('hidden');
             
+            // History can take a while without the indexer, so it loads after the result is shown
+            this.loadDomainHistory(domainName);
+            
         } catch (error) {
             console.error('Error resolving domain:', error);
             this.showMessage('Failed to resolve domain: ' + this.getErrorMessage(error), 'error');
@@ -271,6 +768,216 @@ class LedgerNetApp {
         }
     }
     
+    // Load and show the event history of a resolved domain
+    async loadDomainHistory(domainName) {
+        const historyList = document.getElementById('resultHistory');
+        const exportButtons = document.getElementById('historyExport');
+        
+        this.loadedHistory = null;
+        exportButtons.classList.add('hidden');
+        historyList.innerHTML = '<div class="record-row">Loading history...</div>';
+        
+        try {
+            const entries = this.buildHistory(await this.fetchDomainHistory(domainName));
+            
+            // Ignore results for a domain that is no longer shown
+            if (document.getElementById('resultDomain').textContent !== domainName) return;
+            
+            this.loadedHistory = { domainName, entries };
+            historyList.innerHTML = this.renderHistory(entries);
+            exportButtons.classList.toggle('hidden', entries.length === 0);
+            
+        } catch (error) {
+            console.error('Error loading history:', error);
+            historyList.innerHTML = '<div class="record-row">History unavailable</div>';
+        }
+    }
+    
+    // Fetch a domain's registry events, oldest first, from the indexer or else from the chain
+    async fetchDomainHistory(domainName) {
+        const indexed = await this.fetchFromIndexer(`/api/domains/${encodeURIComponent(domainName)}/history`);
+        if (indexed) {
+            return indexed.events.filter(event => this.historyEvents.includes(event.event));
+        }
+        
+        const logs = (await Promise.all(
+            this.historyEvents.map(eventName => this.contract.queryEvents(eventName, [domainName]))
+        )).flat();
+        
+        logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+        
+        const blocks = {};
+        const actors = {};
+        
+        // A relayed change was made by the request's signer, not the relayer that sent it
+        const forwarders = await this.contract.trustedForwarders();
+        
+        return Promise.all(logs.map(async (log) => {
+            blocks[log.blockHash] = blocks[log.blockHash] || this.provider.getBlock(log.blockHash);
+            actors[log.transactionHash] = actors[log.transactionHash] || this.contract.transactionActor(log.transactionHash, forwarders);
+            
+            const block = await blocks[log.blockHash];
+            
+            return {
+                event: log.event,
+                blockNumber: log.blockNumber,
+                logIndex: log.logIndex,
+                transactionHash: log.transactionHash,
+                timestamp: block.timestamp,
+                actor: await actors[log.transactionHash],
+                owner: log.args.owner || log.args.newOwner || null,
+                previousOwner: log.args.oldOwner || null,
+                ipAddress: log.args.ipAddress || log.args.newIpAddress || null,
+                expirationTime: log.args.newExpirationTime ? log.args.newExpirationTime.toNumber() : null
+            };
+        }));
+    }
+    
+    // Turn events into history entries, pairing each IP change with the address it replaced
+    buildHistory(events) {
+        let currentIp = null;
+        
+        return events.map(event => {
+            const entry = { ...event, previousIpAddress: null };
+            
+            if (event.event === 'DomainRegistered') {
+                currentIp = event.ipAddress;
+            } else if (event.event === 'DomainUpdated') {
+                entry.previousIpAddress = currentIp;
+                currentIp = event.ipAddress;
+            }
+            
+            return entry;
+        });
+    }
+    
+    // Render history entries as a timeline
+    renderHistory(entries) {
+        if (entries.length === 0) {
+            return '<div class="record-row">No history found</div>';
+        }
+        
+        return entries.map(entry => `
+            <div class="history-entry">
+                <div class="history-header">
+                    <span class="history-event">${entry.event.replace('Domain', '')}</span>
+                    <span class="history-time">${this.formatDate(entry.timestamp)}</span>
+                </div>
+                <div class="history-detail">${this.describeHistoryEntry(entry)}</div>
+                <div class="history-meta">
+                    By <span title="${entry.actor}">${this.formatAddress(entry.actor)}</span>
+                    in block ${entry.blockNumber},
+                    tx <span title="${entry.transactionHash}">${this.formatAddress(entry.transactionHash)}</span>
+                </div>
+            </div>
+        `).join('');
+    }
+    
+    describeHistoryEntry(entry) {
+        switch (entry.event) {
+            case 'DomainRegistered':
+                return `Registered to ${this.formatAddress(entry.owner)} with IP ${this.escapeHtml(entry.ipAddress)}`;
+            case 'DomainUpdated':
+                return `IP changed from ${this.escapeHtml(entry.previousIpAddress || 'unknown')} to ${this.escapeHtml(entry.ipAddress)}`;
+            case 'DomainTransferred':
+                return `Transferred from ${this.formatAddress(entry.previousOwner)} to ${this.formatAddress(entry.owner)}`;
+            case 'DomainRenewed':
+                return `Renewed until ${this.formatDate(entry.expirationTime)}`;
+            case 'DomainDeactivated':
+                return 'Released by its owner';
+            default:
+                return '';
+        }
+    }
+    
+    // Download the loaded history as CSV or JSON
+    exportHistory(format) {
+        if (!this.loadedHistory) return;
+        
+        const { domainName, entries } = this.loadedHistory;
+        const rows = entries.map(entry => ({
+            time: new Date(entry.timestamp * 1000).toISOString(),
+            event: entry.event,
+            blockNumber: entry.blockNumber,
+            transactionHash: entry.transactionHash,
+            actor: entry.actor,
+            owner: entry.owner,
+            previousOwner: entry.previousOwner,
+            previousIpAddress: entry.previousIpAddress,
+            ipAddress: entry.ipAddress,
+            expirationTime: entry.expirationTime
+        }));
+        
+        if (format === 'json') {
+            this.downloadFile(`${domainName}-history.json`, JSON.stringify({ domainName, history: rows }, null, 2), 'application/json');
+            return;
+        }
+        
+        const columns = Object.keys(rows[0]);
+        const csvValue = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const csv = [columns.join(','), ...rows.map(row => columns.map(column => csvValue(row[column])).join(','))].join('\n');
+        
+        this.downloadFile(`${domainName}-history.csv`, csv, 'text/csv');
+    }
+    
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        
+        link.href = url;
+        link.download = filename;
+        link.click();
+        
+        URL.revokeObjectURL(url);
+    }
+    
+    // Search indexed names
+    async handleSearchDomains(e) {
+        e.preventDefault();
+        
+        const search = document.getElementById('searchQuery').value.trim().toLowerCase();
+        const searchBtn = document.getElementById('searchBtn');
+        const searchResults = document.getElementById('searchResults');
+        
+        try {
+            this.setButtonLoading(searchBtn, true);
+            
+            const result = await this.fetchFromIndexer(`/api/domains?search=${encodeURIComponent(search)}`);
+            
+            if (!result) {
+                this.showMessage('Name search needs the LedgerNet indexer, which is not reachable', 'warning');
+                return;
+            }
+            
+            if (result.domains.length === 0) {
+                searchResults.innerHTML = '<div class="empty-state"><p>No matching names</p></div>';
+                return;
+            }
+            
+            searchResults.innerHTML = result.domains.map(domain => `
+                <div class="search-result" onclick="app.resolveFromSearch('${domain.name}')">
+                    <span class="domain-name">${domain.name}</span>
+                    <span class="phase-badge phase-${this.domainPhases[domain.phase].toLowerCase()}">${this.domainPhases[domain.phase]}</span>
+                </div>
+            `).join('');
+            
+        } catch (error) {
+            console.error('Error searching domains:', error);
+            this.showMessage('Failed to search domains: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(searchBtn, false);
+        }
+    }
+    
+    // Resolve a name picked from the search results
+    resolveFromSearch(domainName) {
+        document.getElementById('resolveDomain').value = domainName;
+        document.getElementById('resolveForm').requestSubmit();
+    }
+    
     // Handle domain update
     async handleUpdateDomain(e) {
         e.preventDefault();
@@ -280,19 +987,21 @@ class LedgerNetApp {
             return;
         }
         
-        const domainName = document.getElementById('updateDomainName').value.trim();
+        const domainName = this.normalizeDomainName(document.getElementById('updateDomainName').value);
         const newIpAddress = document.getElementById('newIpAddress').value.trim();
         const updateBtn = document.getElementById('updateBtn');
         
-        if (!this.validateDomainName(domainName) || !this.validateIPAddress(newIpAddress)) {
+        if (!domainName || !this.validateIPAddress(newIpAddress)) {
             return;
         }
         
         try {
             this.setButtonLoading(updateBtn, true);
             
-            // Update domain
-            const tx = await this.contract.updateDomain(domainName, newIpAddress);
+            // Update domain, or sign the update for the relayer to send
+            const tx = this.shouldSignInstead('signUpdateToggle')
+                ? await this.submitToRelayer(await this.forwarder.signUpdate(domainName, newIpAddress))
+                : await this.contract.updateDomain(domainName, newIpAddress);
             
             this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
             
@@ -316,23 +1025,196 @@ class LedgerNetApp {
         }
     }
     
-    // Load user domains
-    async loadUserDomains() {
-        if (!this.contract || !this.userAccount) {
+    // Handle adding or replacing a DNS record
+    async handleSaveRecord(e) {
+        e.preventDefault();
+        
+        if (!this.contract) {
             this.showMessage('Please connect your wallet first', 'warning');
             return;
         }
         
-        const loadBtn = document.getElementById('loadDomains');
-        const domainsList = document.getElementById('domainsList');
+        const domainName = this.normalizeDomainName(document.getElementById('recordDomainName').value);
+        const typeName = document.getElementById('recordType').value;
+        const value = document.getElementById('recordValue').value.trim();
+        const ttl = parseInt(document.getElementById('recordTTL').value, 10);
+        const index = document.getElementById('recordIndex').value;
+        const recordBtn = document.getElementById('recordBtn');
+        
+        if (!domainName || !this.validateRecordValue(typeName, value)) {
+            return;
+        }
+        
+        if (!Number.isInteger(ttl) || ttl < 0) {
+            this.showMessage('TTL must be a positive number of seconds', 'warning');
+            return;
+        }
         
         try {
-            this.setButtonLoading(loadBtn, true);
-            
-            // Get domains owned by user
-            const domains = await this.contract.getDomainsByOwner(this.userAccount);
+            this.setButtonLoading(recordBtn, true);
             
-            if (domains.length === 0) {
+            const resolver = await this.getResolver(domainName);
+            if (!resolver) {
+                this.showMessage(`"${domainName}" has no resolver to store records in`, 'warning');
+                return;
+            }
+            
+            // Add a new record, or replace the one selected for editing
+            const recordType = this.recordTypes[typeName];
+            const tx = index === ''
+                ? await resolver.addRecord(domainName, recordType, value, ttl)
+                : await resolver.replaceRecord(domainName, recordType, index, value, ttl);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`${typeName} record saved for "${domainName}"`, 'success');
+            
+            // Reset the value fields but keep the domain selected
+            document.getElementById('recordValue').value = '';
+            document.getElementById('recordIndex').value = '';
+            this.loadDomainRecords();
+            
+        } catch (error) {
+            console.error('Error saving record:', error);
+            this.showMessage('Failed to save record: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(recordBtn, false);
+        }
+    }
+    
+    // Load the records of the domain in the record form
+    async loadDomainRecords() {
+        if (!this.contract) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return;
+        }
+        
+        const domainName = this.normalizeDomainName(document.getElementById('recordDomainName').value);
+        const loadBtn = document.getElementById('loadRecordsBtn');
+        const recordsList = document.getElementById('recordsList');
+        
+        if (!domainName) {
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(loadBtn, true);
+            
+            const records = await this.fetchDomainRecords(domainName);
+            this.loadedRecords = records;
+            recordsList.innerHTML = this.renderRecords(records, true);
+            
+        } catch (error) {
+            console.error('Error loading records:', error);
+            this.showMessage('Failed to load records: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(loadBtn, false);
+        }
+    }
+    
+    // Get the resolver contract a domain points to, or null if it has none
+    async getResolver(domainName) {
+        return this.contract.resolver(domainName);
+    }
+    
+    // Fetch every record of a domain from its resolver, one call per record type
+    async fetchDomainRecords(domainName) {
+        const resolver = await this.getResolver(domainName);
+        
+        if (!resolver) return [];
+        
+        const recordSets = await Promise.all(
+            Object.entries(this.recordTypes).map(async ([typeName, recordType]) => {
+                const records = await resolver.getRecords(domainName, recordType);
+                return records.map((record, index) => ({
+                    typeName,
+                    index,
+                    value: record.value,
+                    ttl: record.ttl
+                }));
+            })
+        );
+        
+        return recordSets.flat();
+    }
+    
+    // Render a list of records, optionally with edit/delete actions
+    renderRecords(records, editable) {
+        if (records.length === 0) {
+            return '<div class="record-row">No DNS records</div>';
+        }
+        
+        return records.map((record, i) => `
+            <div class="record-row">
+                <span class="record-type">${record.typeName}</span>
+                <span class="record-value">${this.escapeHtml(record.value)}</span>
+                <span class="record-ttl">TTL ${record.ttl}</span>
+                ${editable ? `
+                    <button class="update-btn" onclick="app.editRecord(${i})">Edit</button>
+                    <button class="delete-btn" onclick="app.deleteRecord(${i})">Delete</button>
+                ` : ''}
+            </div>
+        `).join('');
+    }
+    
+    // Fill the record form with a loaded record for replacement
+    editRecord(i) {
+        const record = this.loadedRecords[i];
+        
+        document.getElementById('recordType').value = record.typeName;
+        document.getElementById('recordValue').value = record.value;
+        document.getElementById('recordTTL').value = record.ttl;
+        document.getElementById('recordIndex').value = record.index;
+    }
+    
+    // Delete a loaded record
+    async deleteRecord(i) {
+        const record = this.loadedRecords[i];
+        const domainName = this.normalizeDomainName(document.getElementById('recordDomainName').value);
+        
+        if (!domainName || !confirm(`Delete ${record.typeName} record "${record.value}" from "${domainName}"?`)) return;
+        
+        try {
+            const resolver = await this.getResolver(domainName);
+            const tx = await resolver.deleteRecord(domainName, this.recordTypes[record.typeName], record.index);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`${record.typeName} record deleted from "${domainName}"`, 'success');
+            
+            // Indexes shift after a delete, so reload the list
+            document.getElementById('recordIndex').value = '';
+            this.loadDomainRecords();
+            
+        } catch (error) {
+            console.error('Error deleting record:', error);
+            this.showMessage('Failed to delete record: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Load user domains
+    async loadUserDomains() {
+        if (!this.contract || !this.userAccount) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return;
+        }
+        
+        const loadBtn = document.getElementById('loadDomains');
+        const domainsList = document.getElementById('domainsList');
+        
+        try {
+            this.setButtonLoading(loadBtn, true);
+            
+            // Prefer the indexer, which lists every domain with its details in one request
+            const indexed = await this.fetchFromIndexer(`/api/owners/${this.userAccount}/domains`);
+            const domainDetails = indexed ? indexed.domains : await this.fetchOwnedDomains(this.userAccount);
+            this.loadedDomains = domainDetails;
+            
+            if (domainDetails.length === 0) {
                 domainsList.innerHTML = `
                     <div class="empty-state">
                         <h3>No domains found</h3>
@@ -342,23 +1224,25 @@ class LedgerNetApp {
                 return;
             }
             
-            // Fetch domain details
-            const domainDetails = await Promise.all(
-                domains.map(async (domain) => {
-                    const [owner, ipAddress, expirationTime, isActive] = await this.contract.getDomainInfo(domain);
-                    return { name: domain, owner, ipAddress, expirationTime, isActive };
+            // Fetch the subdomain tree below each domain, and whether it is frozen
+            await Promise.all(
+                domainDetails.map(async (domain) => {
+                    domain.subdomains = await this.fetchSubdomainTree(domain.name);
+                    domain.frozenText = this.frozenBannerText(await this.contract.freezeReasons(domain.name));
                 })
             );
             
             // Render domains
             domainsList.innerHTML = domainDetails.map(domain => `
-                <div class="domain-card">
+                <div class="domain-card" data-expiration="${domain.expirationTime}">
+                    ${domain.frozenText ? `<div class="frozen-banner">${this.escapeHtml(domain.frozenText)}</div>` : ''}
                     <div class="domain-info">
                         <div class="domain-name">${domain.name}</div>
                         <div class="domain-details">
                             <div>IP: ${domain.ipAddress}</div>
                             <div>Expires: ${this.formatDate(domain.expirationTime)}</div>
-                            <div>Status: ${domain.isActive && Date.now() / 1000 < domain.expirationTime ? 'Active' : 'Expired'}</div>
+                            <div>Time left: <span class="expiry-countdown" data-expiration="${domain.expirationTime}"></span></div>
+                            <div>Status: <span class="phase-badge phase-${this.domainPhases[domain.phase].toLowerCase()}">${this.domainPhases[domain.phase]}</span></div>
                         </div>
                     </div>
                     <div class="domain-actions">
@@ -368,10 +1252,31 @@ class LedgerNetApp {
                         <button class="transfer-btn" onclick="app.initTransfer('${domain.name}')">
                             Transfer
                         </button>
+                        <button class="subdomain-btn" onclick="app.initCreateSubdomain('${domain.name}')">
+                            Add Subdomain
+                        </button>
+                        <button class="primary-name-btn" onclick="app.setPrimaryName('${domain.name}')">
+                            Set Primary
+                        </button>
+                        <button class="manager-btn" onclick="app.initSetManager('${domain.name}')">
+                            Set Manager
+                        </button>
+                        ${domain.parent ? '' : `
+                            <button class="renew-btn" onclick="app.initRenew('${domain.name}')">
+                                Renew
+                            </button>
+                        `}
+                        <button class="release-btn" onclick="app.releaseDomain('${domain.name}')">
+                            Release
+                        </button>
                     </div>
+                    ${this.renderSubdomainTree(domain.name, domain.subdomains)}
                 </div>
             `).join('');
             
+            this.startExpiryCountdown();
+            this.applyExpiringFilter();
+            
         } catch (error) {
             console.error('Error loading domains:', error);
             this.showMessage('Failed to load domains: ' + this.getErrorMessage(error), 'error');
@@ -380,102 +1285,1194 @@ class LedgerNetApp {
         }
     }
     
-    // Fill update form with domain data
-    fillUpdateForm(domainName, currentIP) {
-        document.getElementById('updateDomainName').value = domainName;
-        document.getElementById('newIpAddress').value = currentIP;
+    // Banner text for a frozen domain, or an empty string if it is not frozen
+    frozenBannerText(freezeReason) {
+        const description = LedgerNetSDK.describeReason(freezeReason);
+        if (!description) return '';
         
-        // Switch to manage tab
-        document.querySelector('.tab-btn[data-tab="manage"]').click();
+        return `Frozen (${description}): updates and transfers are blocked until the dispute is resolved`;
+    }
+    
+    // Tick every card's countdown once a second
+    startExpiryCountdown() {
+        clearInterval(this.countdownTimer);
         
-        // Scroll to update form
-        document.getElementById('updateForm').scrollIntoView({ behavior: 'smooth' });
+        const tick = () => {
+            const now = Math.floor(Date.now() / 1000);
+            document.querySelectorAll('.expiry-countdown').forEach(element => {
+                element.textContent = this.formatCountdown(Number(element.dataset.expiration) - now);
+            });
+        };
+        
+        tick();
+        this.countdownTimer = setInterval(tick, 1000);
     }
     
-    // Initialize domain transfer
-    async initTransfer(domainName) {
-        const newOwner = prompt(`Enter the address to transfer "${domainName}" to:`);
+    formatCountdown(seconds) {
+        if (seconds <= 0) return 'Expired';
         
-        if (!newOwner) return;
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const pad = (value) => String(value).padStart(2, '0');
         
-        if (!ethers.utils.isAddress(newOwner)) {
-            this.showMessage('Invalid address format', 'error');
+        return `${days}d ${pad(hours)}h ${pad(minutes)}m ${pad(seconds % 60)}s`;
+    }
+    
+    // Check if a domain expires within the expiring-soon window, or has just expired
+    isExpiringSoon(expirationTime) {
+        return Number(expirationTime) - Math.floor(Date.now() / 1000) <= this.expiringSoonWindow;
+    }
+    
+    // Show only domains expiring soon while the filter is checked
+    applyExpiringFilter() {
+        const onlyExpiring = document.getElementById('expiringSoonFilter').checked;
+        
+        document.querySelectorAll('#domainsList .domain-card').forEach(card => {
+            card.classList.toggle('hidden', onlyExpiring && !this.isExpiringSoon(card.dataset.expiration));
+        });
+    }
+    
+    // Renew a domain for a chosen number of years, after previewing the fee
+    async initRenew(domainName) {
+        const input = prompt(`Renew "${domainName}" for how many years? (1-10)`, '1');
+        
+        if (!input) return;
+        
+        const years = Number(input);
+        if (!Number.isInteger(years) || years < 1 || years > 10) {
+            this.showMessage('Renewal duration must be between 1 and 10 years', 'warning');
             return;
         }
         
         try {
-            const tx = await this.contract.transferDomain(domainName, newOwner);
+            const [fee, [, , expirationTime]] = await Promise.all([
+                this.contract.getPrice(domainName, years),
+                this.contract.getDomainInfo(domainName)
+            ]);
+            const newExpiration = expirationTime.toNumber() + years * 365 * 24 * 60 * 60;
             
-            this.showMessage('Transfer transaction submitted. Waiting for confirmation...', 'info');
+            if (!confirm(`Renew "${domainName}" for ${years} year${years > 1 ? 's' : ''}?\n\nFee: ${ethers.utils.formatEther(fee)} ETH\nNew expiry: ${this.formatDate(newExpiration)}`)) {
+                return;
+            }
+            
+            const tx = await this.contract.renewDomainForYears(domainName, years, { value: fee });
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
             
             await tx.wait();
             
-            this.showMessage(`Domain "${domainName}" transferred successfully!`, 'success');
+            this.showMessage(`Domain "${domainName}" renewed until ${this.formatDate(newExpiration)}`, 'success');
             
-            // Refresh domains list
             this.loadUserDomains();
             
         } catch (error) {
-            console.error('Error transferring domain:', error);
-            this.showMessage('Failed to transfer domain: ' + this.getErrorMessage(error), 'error');
+            console.error('Error renewing domain:', error);
+            this.showMessage('Failed to renew domain: ' + this.getErrorMessage(error), 'error');
         }
     }
     
-    // Validation functions
-    validateDomainName(domain) {
-        if (!domain || domain.length < 3) {
-            this.showMessage('Domain name must be at least 3 characters long', 'warning');
-            return false;
+    // Release a domain before it expires
+    async releaseDomain(domainName) {
+        try {
+            const timeLeft = await this.contract.getTimeUntilExpiration(domainName);
+            const days = Math.floor(timeLeft.toNumber() / 86400);
+            
+            if (!confirm(`Release "${domainName}"? It has ${days} day${days === 1 ? '' : 's'} left, which are not refunded, and anyone will be able to register it.`)) {
+                return;
+            }
+            
+            const tx = await this.contract.deactivateDomain(domainName);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Domain "${domainName}" released`, 'success');
+            
+            this.loadUserDomains();
+            
+        } catch (error) {
+            console.error('Error releasing domain:', error);
+            this.showMessage('Failed to release domain: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Renew every loaded domain that expires within the window for one year, one transaction each
+    async renewExpiringDomains() {
+        if (!this.contract || !this.loadedDomains) {
+            this.showMessage('Please load your domains first', 'warning');
+            return;
         }
         
-        if (!/^[a-zA-Z0-9.-]+$/.test(domain)) {
-            this.showMessage('Domain name contains invalid characters', 'warning');
-            return false;
+        // Subdomains follow their parent, and names past the grace period can no longer be renewed
+        const expiring = this.loadedDomains.filter(domain =>
+            !domain.parent &&
+            this.isExpiringSoon(domain.expirationTime) &&
+            [1, 2].includes(Number(domain.phase))
+        );
+        
+        if (expiring.length === 0) {
+            this.showMessage('No domains expire in the next 30 days', 'info');
+            return;
         }
         
-        return true;
+        const renewBtn = document.getElementById('renewExpiringBtn');
+        
+        try {
+            this.setButtonLoading(renewBtn, true);
+            
+            const fees = await Promise.all(expiring.map(domain => this.contract.getPrice(domain.name, 1)));
+            const total = fees.reduce((sum, fee) => sum.add(fee), ethers.BigNumber.from(0));
+            const names = expiring.map(domain => domain.name).join(', ');
+            
+            if (!confirm(`Renew ${expiring.length} domain${expiring.length > 1 ? 's' : ''} for 1 year?\n\n${names}\n\nTotal fee: ${ethers.utils.formatEther(total)} ETH (one transaction per domain)`)) {
+                return;
+            }
+            
+            let renewed = 0;
+            for (let i = 0; i < expiring.length; i++) {
+                try {
+                    const tx = await this.contract.renewDomain(expiring[i].name, { value: fees[i] });
+                    
+                    this.showMessage(`Renewing "${expiring[i].name}" (${i + 1}/${expiring.length})...`, 'info');
+                    
+                    await tx.wait();
+                    renewed++;
+                } catch (error) {
+                    console.error(`Error renewing ${expiring[i].name}:`, error);
+                    this.showMessage(`Failed to renew "${expiring[i].name}": ` + this.getErrorMessage(error), 'error');
+                }
+            }
+            
+            this.showMessage(`Renewed ${renewed} of ${expiring.length} domains`, renewed === expiring.length ? 'success' : 'warning');
+            
+            this.loadUserDomains();
+            
+        } catch (error) {
+            console.error('Error renewing domains:', error);
+            this.showMessage('Failed to renew domains: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(renewBtn, false);
+        }
     }
     
-    validateIPAddress(ip) {
-        if (!ip) {
-            this.showMessage('IP address is required', 'warning');
-            return false;
+    // Fetch the domains owned by an address from the contract, one call per domain
+    async fetchOwnedDomains(owner) {
+        const domains = await this.contract.getDomainsByOwner(owner);
+        
+        return Promise.all(
+            domains.map(async (domain) => {
+                const [owner, ipAddress, expirationTime, isActive, phase] = await this.contract.getDomainInfo(domain);
+                const parent = await this.contract.parentDomains(domain);
+                return { name: domain, owner, ipAddress, expirationTime: expirationTime.toNumber(), isActive, phase, parent: parent || null };
+            })
+        );
+    }
+    
+    // Fetch the subdomains below a domain, recursively up to a fixed depth
+    async fetchSubdomainTree(domainName, depth = 0) {
+        if (depth >= 3) return [];
+        
+        const subdomains = await this.contract.getSubdomains(domainName);
+        
+        return Promise.all(
+            subdomains.map(async (subdomain) => {
+                const [owner, , expirationTime, isActive, phase] = await this.contract.getDomainInfo(subdomain);
+                const children = await this.fetchSubdomainTree(subdomain, depth + 1);
+                return { name: subdomain, owner, expirationTime, isActive, phase, children };
+            })
+        );
+    }
+    
+    // Render a subdomain tree, with revoke actions for direct children
+    renderSubdomainTree(parentName, subdomains) {
+        if (subdomains.length === 0) return '';
+        
+        return `
+            <ul class="subdomain-tree">
+                ${subdomains.map(subdomain => `
+                    <li>
+                        <span class="subdomain-name">${subdomain.name}</span>
+                        <span class="subdomain-owner">${this.formatAddress(subdomain.owner)}</span>
+                        <span>${this.domainPhases[subdomain.phase]}</span>
+                        <button class="revoke-btn" onclick="app.revokeSubdomain('${parentName}', '${subdomain.name}')">
+                            Revoke
+                        </button>
+                        ${this.renderSubdomainTree(subdomain.name, subdomain.children)}
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+    
+    // Create a subdomain under one of the user's domains
+    async initCreateSubdomain(parentName) {
+        const input = prompt(`Enter the subdomain label to create under "${parentName}" (e.g. api):`);
+        
+        if (!input) return;
+        
+        if (input.includes('.')) {
+            this.showMessage('Subdomain label cannot contain dots', 'warning');
+            return;
         }
         
-        // Basic IP validation (both IPv4 and IPv6)
-        const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
-        const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
+        // Validate the full name, which also applies the overall length limit
+        const subdomainName = this.normalizeDomainName(`${input}.${parentName}`);
+        if (!subdomainName) return;
         
-        if (!ipv4Regex.test(ip) && !ipv6Regex.test(ip)) {
-            this.showMessage('Invalid IP address format', 'warning');
-            return false;
+        const label = subdomainName.slice(0, subdomainName.indexOf('.'));
+        
+        const owner = prompt(`Enter the owner address for "${label}.${parentName}":`, this.userAccount);
+        
+        if (!owner) return;
+        
+        if (!ethers.utils.isAddress(owner)) {
+            this.showMessage('Invalid address format', 'error');
+            return;
         }
         
-        return true;
+        try {
+            // An expiration of 0 makes the subdomain live as long as its parent
+            const tx = await this.contract.createSubdomain(parentName, label, owner, 0);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Subdomain "${label}.${parentName}" created successfully!`, 'success');
+            
+            this.loadUserDomains();
+            
+        } catch (error) {
+            console.error('Error creating subdomain:', error);
+            this.showMessage('Failed to create subdomain: ' + this.getErrorMessage(error), 'error');
+        }
     }
     
-    // Utility functions
-    formatAddress(address) {
-        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    // Revoke a subdomain of one of the user's domains
+    async revokeSubdomain(parentName, subdomainName) {
+        if (!confirm(`Revoke "${subdomainName}" and everything below it?`)) return;
+        
+        const label = subdomainName.slice(0, subdomainName.length - parentName.length - 1);
+        
+        try {
+            const tx = await this.contract.revokeSubdomain(parentName, label);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Subdomain "${subdomainName}" revoked`, 'success');
+            
+            this.loadUserDomains();
+            
+        } catch (error) {
+            console.error('Error revoking subdomain:', error);
+            this.showMessage('Failed to revoke subdomain: ' + this.getErrorMessage(error), 'error');
+        }
     }
     
-    formatDate(timestamp) {
-        const date = new Date(timestamp * 1000);
-        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+    // Set one of the user's domains as their primary name
+    async setPrimaryName(domainName) {
+        try {
+            const tx = await this.contract.setPrimaryName(domainName);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`"${domainName}" is now your primary name`, 'success');
+            
+            this.updateWalletUI();
+            
+        } catch (error) {
+            console.error('Error setting primary name:', error);
+            this.showMessage('Failed to set primary name: ' + this.getErrorMessage(error), 'error');
+        }
     }
     
-    getErrorMessage(error) {
-        if (error.reason) return error.reason;
-        if (error.message) {
-            if (error.message.includes('user rejected')) {
-                return 'Transaction was rejected by user';
-            }
-            if (error.message.includes('insufficient funds')) {
-                return 'Insufficient funds for transaction';
-            }
-            return error.message;
+    // Delegate record management of a domain to a manager address
+    async initSetManager(domainName) {
+        const manager = prompt(`Enter the manager address for "${domainName}" (leave empty to remove the manager):`);
+        
+        if (manager === null) return;
+        
+        if (manager && !ethers.utils.isAddress(manager)) {
+            this.showMessage('Invalid address format', 'error');
+            return;
+        }
+        
+        try {
+            const tx = await this.contract.setManager(domainName, manager || ethers.constants.AddressZero);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(manager
+                ? `${this.formatAddress(manager)} now manages "${domainName}"`
+                : `Manager removed from "${domainName}"`, 'success');
+            
+        } catch (error) {
+            console.error('Error setting manager:', error);
+            this.showMessage('Failed to set manager: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Approve or revoke a record operator for all of the user's domains
+    async handleSetOperator(e, approved) {
+        e.preventDefault();
+        
+        if (!this.contract) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return;
+        }
+        
+        const operator = document.getElementById('operatorAddress').value.trim();
+        const button = document.getElementById(approved ? 'operatorBtn' : 'revokeOperatorBtn');
+        
+        if (!ethers.utils.isAddress(operator)) {
+            this.showMessage('Invalid address format', 'error');
+            return;
         }
-        return 'Unknown error occurred';
+        
+        try {
+            this.setButtonLoading(button, true);
+            
+            const tx = await this.contract.setRecordOperator(operator, approved);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Operator ${this.formatAddress(operator)} ${approved ? 'approved' : 'revoked'}`, 'success');
+            
+            document.getElementById('operatorForm').reset();
+            
+        } catch (error) {
+            console.error('Error setting operator:', error);
+            this.showMessage('Failed to set operator: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(button, false);
+        }
+    }
+    
+    // Fill update form with domain data
+    fillUpdateForm(domainName, currentIP) {
+        document.getElementById('updateDomainName').value = domainName;
+        document.getElementById('newIpAddress').value = currentIP;
+        document.getElementById('recordDomainName').value = domainName;
+        document.getElementById('recordsList').innerHTML = '';
+        
+        // Switch to manage tab
+        document.querySelector('.tab-btn[data-tab="manage"]').click();
+        
+        // Scroll to update form
+        document.getElementById('updateForm').scrollIntoView({ behavior: 'smooth' });
+    }
+    
+    // Initialize domain transfer
+    async initTransfer(domainName) {
+        const newOwner = prompt(`Enter the address to transfer "${domainName}" to:`);
+        
+        if (!newOwner) return;
+        
+        if (!ethers.utils.isAddress(newOwner)) {
+            this.showMessage('Invalid address format', 'error');
+            return;
+        }
+        
+        try {
+            const tx = this.shouldSignInstead('signTransfersToggle')
+                ? await this.submitToRelayer(await this.forwarder.signTransfer(domainName, newOwner))
+                : await this.contract.transferDomain(domainName, newOwner);
+            
+            this.showMessage('Transfer transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Domain "${domainName}" transferred successfully!`, 'success');
+            
+            // Refresh domains list
+            this.loadUserDomains();
+            
+        } catch (error) {
+            console.error('Error transferring domain:', error);
+            this.showMessage('Failed to transfer domain: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Marketplace
+    // Check that the marketplace is configured and the wallet connected, warning if not
+    requireMarketplace() {
+        if (!this.contract || !this.userAccount) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return false;
+        }
+        
+        if (!this.marketplace) {
+            this.showMessage('Please update MARKETPLACE_ADDRESS in index.html with your deployed marketplace address', 'warning');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Show the listings that can be bought now
+    async loadListings() {
+        if (!this.requireMarketplace()) return;
+        
+        const loadBtn = document.getElementById('loadListingsBtn');
+        const listingsList = document.getElementById('listingsList');
+        
+        try {
+            this.setButtonLoading(loadBtn, true);
+            
+            const [names, sellers, prices, expiries] = await this.marketplace.getActiveListings();
+            
+            if (names.length === 0) {
+                listingsList.innerHTML = `
+                    <div class="empty-state">
+                        <h3>No domains for sale</h3>
+                        <p>List one of your domains to be the first!</p>
+                    </div>
+                `;
+                return;
+            }
+            
+            listingsList.innerHTML = names.map((name, i) => {
+                const isSeller = sellers[i].toLowerCase() === this.userAccount.toLowerCase();
+                
+                return `
+                    <div class="domain-card">
+                        <div class="domain-info">
+                            <div class="domain-name">${name}</div>
+                            <div class="domain-details">
+                                <div>Price: ${ethers.utils.formatEther(prices[i])} ETH</div>
+                                <div>Seller: ${isSeller ? 'You' : this.formatAddress(sellers[i])}</div>
+                                <div>Listing ends: ${this.formatDate(expiries[i].toNumber())}</div>
+                            </div>
+                        </div>
+                        <div class="domain-actions">
+                            ${isSeller ? `
+                                <button class="release-btn" onclick="app.cancelListing('${name}')">
+                                    Cancel Listing
+                                </button>
+                            ` : `
+                                <button class="buy-btn" onclick="app.buyListing('${name}', '${prices[i].toString()}')">
+                                    Buy
+                                </button>
+                                <button class="offer-btn" onclick="app.initMakeOffer('${name}')">
+                                    Make Offer
+                                </button>
+                            `}
+                            <button class="offers-btn" onclick="app.showOffers('${name}')">
+                                Offers
+                            </button>
+                        </div>
+                    </div>
+                `;
+            }).join('');
+            
+        } catch (error) {
+            console.error('Error loading listings:', error);
+            this.showMessage('Failed to load listings: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(loadBtn, false);
+        }
+    }
+    
+    // Approve the marketplace to move a domain's token when it sells, unless it already can
+    async approveMarketplace(domainName) {
+        const token = new LedgerNetSDK.TokenClient({ address: await this.contract.token(), signerOrProvider: this.signer });
+        const tokenId = await token.tokenIdOf(domainName);
+        
+        const [approved, approvedForAll] = await Promise.all([
+            token.getApproved(tokenId),
+            token.isApprovedForAll(this.userAccount, this.marketplace.address)
+        ]);
+        
+        if (approvedForAll || approved.toLowerCase() === this.marketplace.address.toLowerCase()) return;
+        
+        const tx = await token.approve(this.marketplace.address, tokenId);
+        
+        this.showMessage('Approval submitted. Waiting for confirmation...', 'info');
+        
+        await tx.wait();
+    }
+    
+    // Handle listing a domain for sale
+    async handleListDomain(e) {
+        e.preventDefault();
+        
+        if (!this.requireMarketplace()) return;
+        
+        const domainName = this.normalizeDomainName(document.getElementById('listDomainName').value);
+        const priceInput = document.getElementById('listPrice').value.trim();
+        const days = parseInt(document.getElementById('listDuration').value, 10);
+        const listBtn = document.getElementById('listBtn');
+        
+        if (!domainName) return;
+        
+        let price;
+        try {
+            price = ethers.utils.parseEther(priceInput);
+        } catch (error) {
+            this.showMessage('Please enter a valid price in ETH', 'error');
+            return;
+        }
+        
+        if (price.isZero()) {
+            this.showMessage('Price must be greater than zero', 'error');
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(listBtn, true);
+            
+            await this.approveMarketplace(domainName);
+            
+            const expiresAt = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+            const tx = await this.marketplace.listDomain(domainName, price, expiresAt);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Domain "${domainName}" listed for ${ethers.utils.formatEther(price)} ETH`, 'success');
+            
+            document.getElementById('listForm').reset();
+            this.loadListings();
+            
+        } catch (error) {
+            console.error('Error listing domain:', error);
+            this.showMessage('Failed to list domain: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(listBtn, false);
+        }
+    }
+    
+    // Cancel one of the user's listings
+    async cancelListing(domainName) {
+        try {
+            const tx = await this.marketplace.cancelListing(domainName);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Listing for "${domainName}" cancelled`, 'success');
+            
+            this.loadListings();
+            
+        } catch (error) {
+            console.error('Error cancelling listing:', error);
+            this.showMessage('Failed to cancel listing: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Buy a listed domain at its price
+    async buyListing(domainName, price) {
+        if (!confirm(`Buy "${domainName}" for ${ethers.utils.formatEther(price)} ETH?`)) {
+            return;
+        }
+        
+        try {
+            const tx = await this.marketplace.buyDomain(domainName, { value: price });
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Domain "${domainName}" is now yours!`, 'success');
+            
+            this.loadListings();
+            
+        } catch (error) {
+            console.error('Error buying domain:', error);
+            this.showMessage('Failed to buy domain: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Make an offer on a domain, held in escrow until it is accepted or withdrawn
+    async initMakeOffer(domainName) {
+        if (!this.requireMarketplace()) return;
+        
+        if (!domainName) {
+            domainName = this.normalizeDomainName(document.getElementById('offersDomainName').value);
+            if (!domainName) return;
+        }
+        
+        const amountInput = prompt(`Offer how much ETH for "${domainName}"? Offers you already made are added to.`);
+        if (!amountInput) return;
+        
+        let amount;
+        try {
+            amount = ethers.utils.parseEther(amountInput.trim());
+        } catch (error) {
+            this.showMessage('Please enter a valid amount in ETH', 'error');
+            return;
+        }
+        
+        const daysInput = prompt('Keep the offer open for how many days?', '7');
+        if (!daysInput) return;
+        
+        const days = Number(daysInput);
+        if (!Number.isInteger(days) || days < 1) {
+            this.showMessage('Offer duration must be at least one day', 'warning');
+            return;
+        }
+        
+        try {
+            const expiresAt = Math.floor(Date.now() / 1000) + days * 24 * 60 * 60;
+            const tx = await this.marketplace.makeOffer(domainName, expiresAt, { value: amount });
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Offer of ${ethers.utils.formatEther(amount)} ETH made on "${domainName}"`, 'success');
+            
+            this.showOffers(domainName);
+            
+        } catch (error) {
+            console.error('Error making offer:', error);
+            this.showMessage('Failed to make offer: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Show the offers on a domain in the offers section
+    showOffers(domainName) {
+        document.getElementById('offersDomainName').value = domainName;
+        this.loadOffers();
+    }
+    
+    // Handle loading the offers on a domain
+    async loadOffers(e) {
+        if (e) e.preventDefault();
+        
+        if (!this.requireMarketplace()) return;
+        
+        const domainName = this.normalizeDomainName(document.getElementById('offersDomainName').value);
+        const loadBtn = document.getElementById('loadOffersBtn');
+        const offersList = document.getElementById('offersList');
+        
+        if (!domainName) return;
+        
+        try {
+            this.setButtonLoading(loadBtn, true);
+            
+            const [[buyers, amounts, expiries], [owner]] = await Promise.all([
+                this.marketplace.getOffers(domainName),
+                this.contract.getDomainInfo(domainName)
+            ]);
+            
+            if (buyers.length === 0) {
+                offersList.innerHTML = `<div class="empty-state"><p>No offers on ${this.escapeHtml(domainName)}</p></div>`;
+                return;
+            }
+            
+            const now = Math.floor(Date.now() / 1000);
+            const isOwner = owner.toLowerCase() === this.userAccount.toLowerCase();
+            
+            offersList.innerHTML = buyers.map((buyer, i) => {
+                const expired = expiries[i].toNumber() <= now;
+                const isBuyer = buyer.toLowerCase() === this.userAccount.toLowerCase();
+                
+                return `
+                    <div class="offer-entry">
+                        <span class="offer-buyer" title="${buyer}">${isBuyer ? 'You' : this.formatAddress(buyer)}</span>
+                        <span class="offer-amount">${ethers.utils.formatEther(amounts[i])} ETH</span>
+                        <span class="offer-expiry ${expired ? 'expired' : ''}">${expired ? 'Expired' : 'Ends ' + this.formatDate(expiries[i].toNumber())}</span>
+                        ${isOwner && !expired ? `
+                            <button class="suggestion-btn" onclick="app.acceptOffer('${domainName}', '${buyer}', '${amounts[i].toString()}')">Accept</button>
+                        ` : ''}
+                        ${isBuyer ? `
+                            <button class="suggestion-btn" onclick="app.withdrawOffer('${domainName}')">Withdraw</button>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+            
+        } catch (error) {
+            console.error('Error loading offers:', error);
+            this.showMessage('Failed to load offers: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(loadBtn, false);
+        }
+    }
+    
+    // Accept an offer, selling the domain to the buyer
+    async acceptOffer(domainName, buyer, amount) {
+        if (!confirm(`Sell "${domainName}" to ${buyer} for ${ethers.utils.formatEther(amount)} ETH?`)) {
+            return;
+        }
+        
+        try {
+            await this.approveMarketplace(domainName);
+            
+            const tx = await this.marketplace.acceptOffer(domainName, buyer, amount);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Domain "${domainName}" sold for ${ethers.utils.formatEther(amount)} ETH`, 'success');
+            
+            this.loadOffers();
+            
+        } catch (error) {
+            console.error('Error accepting offer:', error);
+            this.showMessage('Failed to accept offer: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Withdraw the user's offer on a domain and get the escrowed ETH back
+    async withdrawOffer(domainName) {
+        try {
+            const tx = await this.marketplace.withdrawOffer(domainName);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Offer on "${domainName}" withdrawn`, 'success');
+            
+            this.loadOffers();
+            
+        } catch (error) {
+            console.error('Error withdrawing offer:', error);
+            this.showMessage('Failed to withdraw offer: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Auctions
+    // Check that the auction house is configured and the wallet connected, warning if not
+    requireAuctionHouse() {
+        if (!this.contract || !this.userAccount) {
+            this.showMessage('Please connect your wallet first', 'warning');
+            return false;
+        }
+        
+        if (!this.auctionHouse) {
+            this.showMessage('Please update AUCTION_HOUSE_ADDRESS in index.html with your deployed auction house address', 'warning');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    bidKey(domainName) {
+        return `ledgernet:bid:${this.userAccount}:${domainName}`;
+    }
+    
+    // Handle placing a sealed bid, keeping its value and secret in local storage for the reveal
+    async handlePlaceBid(e) {
+        e.preventDefault();
+        
+        if (!this.requireAuctionHouse()) return;
+        
+        const domainName = this.normalizeDomainName(document.getElementById('bidDomainName').value);
+        const bidInput = document.getElementById('bidAmount').value.trim();
+        const depositInput = document.getElementById('bidDeposit').value.trim() || bidInput;
+        const ipAddress = document.getElementById('bidIpAddress').value.trim();
+        const bidBtn = document.getElementById('bidBtn');
+        
+        if (!domainName || !this.validateIPAddress(ipAddress)) return;
+        
+        let value;
+        let deposit;
+        try {
+            value = ethers.utils.parseEther(bidInput);
+            deposit = ethers.utils.parseEther(depositInput);
+        } catch (error) {
+            this.showMessage('Please enter the bid and deposit in ETH', 'error');
+            return;
+        }
+        
+        if (deposit.lt(value)) {
+            this.showMessage('The deposit must cover the bid', 'error');
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(bidBtn, true);
+            
+            const auction = await this.auctionHouse.getAuction(domainName);
+            const phase = this.auctionPhases[auction.phase];
+            
+            if (phase === 'Reveal' || phase === 'Ended') {
+                this.showMessage(`Bidding on "${domainName}" has ended`, 'error');
+                return;
+            }
+            
+            if (phase === 'Bidding' && (await this.auctionHouse.bids(auction.auctionId, this.userAccount)).deposit.gt(0)) {
+                this.showMessage(`You have already placed a bid on "${domainName}"`, 'error');
+                return;
+            }
+            
+            // Without a running auction, this bid starts one at the current registration price
+            const reservePrice = phase === 'Bidding' ? auction.reservePrice : await this.contract.getPrice(domainName, 1);
+            if (value.lt(reservePrice)) {
+                this.showMessage(`Bid is below the reserve price of ${ethers.utils.formatEther(reservePrice)} ETH`, 'error');
+                return;
+            }
+            
+            const secret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+            const sealedBid = await this.auctionHouse.makeSealedBid(domainName, this.userAccount, value, secret);
+            
+            // Store the bid before sending, so a reload during confirmation cannot lose it
+            localStorage.setItem(this.bidKey(domainName), JSON.stringify({ value: value.toString(), secret, ipAddress }));
+            
+            const tx = await this.auctionHouse.commitBid(domainName, sealedBid, { value: deposit });
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Bid placed on "${domainName}". Reveal it from this browser once bidding ends.`, 'success');
+            
+            document.getElementById('bidForm').reset();
+            document.getElementById('auctionDomainName').value = domainName;
+            this.watchAuction(domainName);
+            
+        } catch (error) {
+            console.error('Error placing bid:', error);
+            this.showMessage('Failed to place bid: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(bidBtn, false);
+        }
+    }
+    
+    // Handle the auction status form
+    async handleWatchAuction(e) {
+        e.preventDefault();
+        
+        if (!this.requireAuctionHouse()) return;
+        
+        const domainName = this.normalizeDomainName(document.getElementById('auctionDomainName').value);
+        if (!domainName) return;
+        
+        const statusBtn = document.getElementById('auctionStatusBtn');
+        
+        try {
+            this.setButtonLoading(statusBtn, true);
+            await this.watchAuction(domainName);
+        } finally {
+            this.setButtonLoading(statusBtn, false);
+        }
+    }
+    
+    // Show a name's auction and keep it up to date as bids come in and phases change
+    async watchAuction(domainName) {
+        this.stopWatchingAuction();
+        
+        const refresh = () => this.refreshAuctionStatus();
+        this.watchedAuction = {
+            domainName,
+            unsubscribe: ['AuctionStarted', 'BidCommitted', 'BidRevealed', 'AuctionFinalized', 'BidRefunded']
+                .map(eventName => this.auctionHouse.on(eventName, refresh)),
+            timer: setInterval(() => this.tickAuctionCountdown(), 1000)
+        };
+        
+        await this.refreshAuctionStatus();
+    }
+    
+    stopWatchingAuction() {
+        if (!this.watchedAuction) return;
+        
+        this.watchedAuction.unsubscribe.forEach(unsubscribe => unsubscribe());
+        clearInterval(this.watchedAuction.timer);
+        this.watchedAuction = null;
+    }
+    
+    // Load and show the watched auction, with the actions open to the user in its phase
+    async refreshAuctionStatus() {
+        const watched = this.watchedAuction;
+        if (!watched) return;
+        
+        try {
+            const domainName = watched.domainName;
+            const auction = await this.auctionHouse.getAuction(domainName);
+            const bid = auction.auctionId.gt(0)
+                ? await this.auctionHouse.bids(auction.auctionId, this.userAccount)
+                : { deposit: ethers.constants.Zero, revealed: false };
+            
+            const phase = this.auctionPhases[auction.phase];
+            const finalized = phase === 'None' && auction.auctionId.gt(0);
+            const isWinner = auction.winner.toLowerCase() === this.userAccount.toLowerCase();
+            const now = Math.floor(Date.now() / 1000);
+            
+            Object.assign(watched, {
+                auctionId: auction.auctionId,
+                phase,
+                commitEnd: auction.commitEnd.toNumber(),
+                revealEnd: auction.revealEnd.toNumber()
+            });
+            
+            let phaseLabel = {
+                None: 'No auction running. The first bid starts one.',
+                Bidding: 'Bidding: sealed bids are accepted',
+                Reveal: 'Reveal: bidders reveal their bids',
+                Ended: 'Ended: waiting to be finalized'
+            }[phase];
+            if (phase === 'None' && !(await this.auctionHouse.isAuctionOnly(domainName))) {
+                phaseLabel = 'Not auction-only. Register it directly.';
+            }
+            
+            let leader = 'Hidden until bids are revealed';
+            if (phase !== 'Bidding') {
+                leader = auction.winner === ethers.constants.AddressZero
+                    ? 'None'
+                    : `${isWinner ? 'You' : this.formatAddress(auction.winner)} · bid ${ethers.utils.formatEther(auction.highestBid)} ETH, pays ${ethers.utils.formatEther(auction.price)} ETH`;
+            }
+            
+            document.getElementById('auctionPhase').textContent = phaseLabel;
+            document.getElementById('auctionReserve').textContent = auction.auctionId.gt(0)
+                ? `${ethers.utils.formatEther(auction.reservePrice)} ETH`
+                : '-';
+            document.getElementById('auctionLeader').textContent = leader;
+            document.getElementById('auctionYourBid').textContent = bid.deposit.gt(0)
+                ? `${ethers.utils.formatEther(bid.deposit)} ETH deposit, ${bid.revealed ? 'revealed' : 'not revealed'}`
+                : 'None';
+            
+            // Deposits can be withdrawn once they can no longer win: the winner's after finalizing
+            const canWithdraw = bid.deposit.gt(0) && (isWinner ? finalized : bid.revealed || now >= watched.revealEnd);
+            
+            document.getElementById('revealBidBtn').classList.toggle('hidden', !(phase === 'Reveal' && bid.deposit.gt(0) && !bid.revealed));
+            document.getElementById('finalizeAuctionBtn').classList.toggle('hidden', phase !== 'Ended');
+            document.getElementById('withdrawBidBtn').classList.toggle('hidden', !canWithdraw);
+            document.getElementById('auctionStatus').classList.remove('hidden');
+            
+            this.tickAuctionCountdown();
+            
+        } catch (error) {
+            console.error('Error loading auction:', error);
+            this.showMessage('Failed to load auction: ' + this.getErrorMessage(error), 'error');
+        }
+    }
+    
+    // Count down to the end of the watched auction's current phase, refreshing when it ends
+    tickAuctionCountdown() {
+        const watched = this.watchedAuction;
+        if (!watched || !watched.phase) return;
+        
+        const now = Math.floor(Date.now() / 1000);
+        const phaseEnd = { Bidding: watched.commitEnd, Reveal: watched.revealEnd }[watched.phase];
+        const countdown = document.getElementById('auctionCountdown');
+        
+        if (!phaseEnd) {
+            countdown.textContent = '-';
+            return;
+        }
+        
+        if (phaseEnd - now <= 0) {
+            watched.phase = null;
+            this.refreshAuctionStatus();
+            return;
+        }
+        
+        countdown.textContent = this.formatCountdown(phaseEnd - now);
+    }
+    
+    // Reveal the bid stored in this browser for the watched auction
+    async revealBid() {
+        const domainName = this.watchedAuction.domainName;
+        const stored = JSON.parse(localStorage.getItem(this.bidKey(domainName)) || 'null');
+        const revealBtn = document.getElementById('revealBidBtn');
+        
+        if (!stored) {
+            this.showMessage(`No bid on "${domainName}" was found in this browser`, 'error');
+            return;
+        }
+        
+        try {
+            this.setButtonLoading(revealBtn, true);
+            
+            const tx = await this.auctionHouse.revealBid(domainName, stored.value, stored.secret, stored.ipAddress);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            localStorage.removeItem(this.bidKey(domainName));
+            
+            this.showMessage(`Bid of ${ethers.utils.formatEther(stored.value)} ETH on "${domainName}" revealed`, 'success');
+            
+            this.refreshAuctionStatus();
+            
+        } catch (error) {
+            console.error('Error revealing bid:', error);
+            this.showMessage('Failed to reveal bid: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(revealBtn, false);
+        }
+    }
+    
+    // Finalize the watched auction, registering the name to the winner
+    async finalizeAuction() {
+        const domainName = this.watchedAuction.domainName;
+        const finalizeBtn = document.getElementById('finalizeAuctionBtn');
+        
+        try {
+            this.setButtonLoading(finalizeBtn, true);
+            
+            const tx = await this.auctionHouse.finalizeAuction(domainName);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Auction for "${domainName}" finalized`, 'success');
+            
+            this.refreshAuctionStatus();
+            
+        } catch (error) {
+            console.error('Error finalizing auction:', error);
+            this.showMessage('Failed to finalize auction: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(finalizeBtn, false);
+        }
+    }
+    
+    // Withdraw the refundable part of the user's deposit in the watched auction
+    async withdrawBid() {
+        const { domainName, auctionId } = this.watchedAuction;
+        const withdrawBtn = document.getElementById('withdrawBidBtn');
+        
+        try {
+            this.setButtonLoading(withdrawBtn, true);
+            
+            const tx = await this.auctionHouse.withdrawBid(auctionId);
+            
+            this.showMessage('Transaction submitted. Waiting for confirmation...', 'info');
+            
+            await tx.wait();
+            
+            this.showMessage(`Refund for your bid on "${domainName}" withdrawn`, 'success');
+            
+            this.refreshAuctionStatus();
+            
+        } catch (error) {
+            console.error('Error withdrawing bid:', error);
+            this.showMessage('Failed to withdraw bid: ' + this.getErrorMessage(error), 'error');
+        } finally {
+            this.setButtonLoading(withdrawBtn, false);
+        }
+    }
+    
+    // Validation functions
+    // Convert a domain name to canonical form, warning and returning null if it is invalid
+    normalizeDomainName(input) {
+        try {
+            return LedgerNetSDK.normalizeName(input);
+        } catch (error) {
+            this.showMessage(error.message, 'warning');
+            return null;
+        }
+    }
+    
+    validateIPAddress(ip) {
+        const error = LedgerNetSDK.validateIPAddress(ip);
+        
+        if (error) {
+            this.showMessage(error, 'warning');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    validateRecordValue(typeName, value) {
+        if (!value) {
+            this.showMessage('Record value is required', 'warning');
+            return false;
+        }
+        
+        const hostRegex = /^[a-zA-Z0-9.-]+$/;
+        const formats = {
+            A: /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/,
+            AAAA: /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/,
+            CNAME: hostRegex,
+            NS: hostRegex,
+            MX: /^\d{1,5} [a-zA-Z0-9.-]+$/,
+            SRV: /^\d{1,5} \d{1,5} \d{1,5} [a-zA-Z0-9.-]+$/
+        };
+        
+        if (formats[typeName] && !formats[typeName].test(value)) {
+            this.showMessage(`Invalid ${typeName} record value`, 'warning');
+            return false;
+        }
+        
+        return true;
+    }
+    
+    // Utility functions
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+    
+    formatAddress(address) {
+        return `${address.slice(0, 6)}...${address.slice(-4)}`;
+    }
+    
+    formatDate(timestamp) {
+        const date = new Date(timestamp * 1000);
+        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+    }
+    
+    // Fetch JSON from the indexer API, or null when it is not configured or not reachable
+    async fetchFromIndexer(path) {
+        if (!this.indexerUrl) return null;
+        
+        try {
+            const response = await fetch(this.indexerUrl + path, { signal: AbortSignal.timeout(3000) });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            console.warn('Indexer not available:', error.message);
+            return null;
+        }
+    }
+    
+    // Whether a "sign instead of send" toggle is on, which needs a forwarder and relayer configured
+    shouldSignInstead(toggleId) {
+        if (!document.getElementById(toggleId).checked) return false;
+        
+        if (!this.forwarder || !this.relayerUrl) {
+            throw new Error('Please set FORWARDER_ADDRESS and RELAYER_URL in index.html to sign instead of send');
+        }
+        
+        return true;
+    }
+    
+    // Hand a signed request to the relayer, returning its transaction in the shape of a sent one
+    async submitToRelayer(signed) {
+        const response = await fetch(this.relayerUrl + '/relay', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(signed)
+        });
+        const result = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(result.error || `Relayer responded with status ${response.status}`);
+        }
+        
+        return {
+            hash: result.transactionHash,
+            wait: async () => {
+                const receipt = await this.provider.waitForTransaction(result.transactionHash);
+                if (receipt.status === 0) throw new Error('Relayed transaction failed');
+                return receipt;
+            }
+        };
+    }
+    
+    getErrorMessage(error) {
+        return LedgerNetSDK.getErrorMessage(error, this.contract ? this.contract.interface : undefined);
     }
     
     setButtonLoading(button, loading) {
@@ -0,0 +1,367 @@
+#!/usr/bin/env node
+// LedgerNet command-line tool
+// Registers, resolves and manages LedgerNet domains from scripts and terminals
+
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const LedgerNetSDK = require("../sdk/ledgernet");
+const { loadDeployment } = require("../services/deployment");
+
+const USAGE = `Usage: ledgernet <command> [arguments] [options]
+
+Commands:
+  register <name> <ip>        Register a name (--years, default 1)
+  resolve <name>              Print the IP address of a name
+  info <name>                 Print the owner, IP address, expiration, phase and any freeze of a name
+  update <name> <ip>          Point a name at a new IP address
+  transfer <name> <address>   Transfer a name to another address
+  renew <name>                Renew a name (--years, default 1)
+  release <name>              Release a name before it expires
+  list [--owner <address>]    List the names an address holds (default: the signer)
+  available <name>...         Check whether names can be registered
+  fee [name]                  Print the price of a name, or the base fee per year
+
+Options:
+  --rpc <url>                 JSON-RPC endpoint (default: $LEDGERNET_RPC or http://127.0.0.1:8545)
+  --network <name>            Use the latest deployment for this network
+  --deployment <file>         Use this deployment file
+  --registry <address>        Use this registry instead of a deployment
+  --private-key <key>         Sign with this key (default: $PRIVATE_KEY, or the node's first account)
+  --years <n>                 Registration or renewal term
+  --json                      Print results as JSON`;
+
+// Usage mistakes print the usage text along with the error
+class UsageError extends Error {}
+
+class LedgerNetCli {
+    constructor({ registryAddress, provider, signer = null, log = console.error, sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) }) {
+        this.provider = provider;
+        this.signer = signer;
+        this.registry = new LedgerNetSDK.LedgerNetClient({ address: registryAddress, signerOrProvider: signer || provider });
+        this.log = log;
+        this.sleep = sleep;
+
+        this.commands = {
+            register: (args, options) => this.register(args, options),
+            resolve: (args) => this.resolve(args),
+            info: (args) => this.info(args),
+            update: (args) => this.update(args),
+            transfer: (args) => this.transfer(args),
+            renew: (args, options) => this.renew(args, options),
+            release: (args) => this.release(args),
+            list: (args, options) => this.list(args, options),
+            available: (args) => this.available(args),
+            fee: (args, options) => this.fee(args, options)
+        };
+    }
+
+    // Run a command, returning its result as plain JSON-friendly values
+    async run(command, args = [], options = {}) {
+        const handler = this.commands[command];
+        if (!handler) {
+            throw new UsageError(command ? `Unknown command "${command}"` : "No command given");
+        }
+
+        return handler(args, options);
+    }
+
+    async register([input, ipAddress], options) {
+        const name = this.parseName(input);
+        const years = this.parseYears(options.years);
+        this.parseIpAddress(ipAddress);
+
+        if (!(await this.registry.isDomainAvailable(name))) {
+            throw new Error(`${name} is not available`);
+        }
+
+        const price = await this.registry.getPrice(name, years);
+
+        let tx;
+        if (await this.registry.commitmentRequired()) {
+            const secret = await this.commit(name);
+            tx = await this.registry.registerWithCommitment(name, ipAddress, secret, years, { value: price });
+        } else {
+            tx = await this.registry.registerDomainForYears(name, ipAddress, years, { value: price });
+        }
+
+        const receipt = await tx.wait();
+        return { name, ipAddress, years, price: price.toString(), ...this.receiptOf(receipt) };
+    }
+
+    // Commit to a name and wait until the commitment can be revealed, returning its secret
+    async commit(name) {
+        const secret = ethers.utils.hexlify(ethers.utils.randomBytes(32));
+        const commitment = await this.registry.makeCommitment(name, await this.signer.getAddress(), secret);
+
+        await (await this.registry.commit(commitment)).wait();
+
+        // Leave a few seconds of margin for the next block's timestamp
+        const wait = (await this.registry.MIN_COMMITMENT_AGE()).toNumber() + 5;
+        this.log(`Committed to ${name}, registering in ${wait}s...`);
+        await this.sleep(wait * 1000);
+
+        return secret;
+    }
+
+    async resolve([input]) {
+        const name = this.parseName(input);
+        return { name, ipAddress: await this.registry.resolveDomain(name) };
+    }
+
+    async info([input]) {
+        const name = this.parseName(input);
+        const [owner, ipAddress, expirationTime, isActive, phase] = await this.registry.getDomainInfo(name);
+        const [parent, resolver, freezeReason] = await Promise.all([
+            this.registry.parentDomains(name),
+            this.registry.getResolver(name),
+            this.registry.freezeReasons(name)
+        ]);
+
+        return {
+            name,
+            owner,
+            ipAddress,
+            expirationTime: expirationTime.toNumber(),
+            isActive,
+            phase: LedgerNetSDK.PHASES[phase],
+            parent: parent || null,
+            resolver,
+            frozen: LedgerNetSDK.describeReason(freezeReason)
+        };
+    }
+
+    async update([input, ipAddress]) {
+        const name = this.parseName(input);
+        this.parseIpAddress(ipAddress);
+
+        const receipt = await (await this.registry.updateDomain(name, ipAddress)).wait();
+        return { name, ipAddress, ...this.receiptOf(receipt) };
+    }
+
+    async transfer([input, newOwner]) {
+        const name = this.parseName(input);
+        if (!ethers.utils.isAddress(newOwner || "")) {
+            throw new UsageError("A valid recipient address is required");
+        }
+
+        const receipt = await (await this.registry.transferDomain(name, newOwner)).wait();
+        return { name, newOwner: ethers.utils.getAddress(newOwner), ...this.receiptOf(receipt) };
+    }
+
+    async renew([input], options) {
+        const name = this.parseName(input);
+        const years = this.parseYears(options.years);
+        const price = await this.registry.getPrice(name, years);
+
+        const receipt = await (await this.registry.renewDomainForYears(name, years, { value: price })).wait();
+        const [, , expirationTime] = await this.registry.getDomainInfo(name);
+
+        return { name, years, price: price.toString(), expirationTime: expirationTime.toNumber(), ...this.receiptOf(receipt) };
+    }
+
+    async release([input]) {
+        const name = this.parseName(input);
+
+        const receipt = await (await this.registry.deactivateDomain(name)).wait();
+        return { name, ...this.receiptOf(receipt) };
+    }
+
+    // Names an address holds, defaulting to the signer's
+    async list(args, options) {
+        let owner = options.owner;
+        if (!owner) {
+            if (!this.signer) {
+                throw new UsageError("--owner is required without a signer");
+            }
+            owner = await this.signer.getAddress();
+        }
+
+        if (!ethers.utils.isAddress(owner)) {
+            throw new UsageError("Invalid owner address");
+        }
+
+        const names = await this.registry.getDomainsByOwner(owner);
+        const domains = await Promise.all(names.map(async (name) => {
+            const [, ipAddress, expirationTime, , phase] = await this.registry.getDomainInfo(name);
+            return { name, ipAddress, expirationTime: expirationTime.toNumber(), phase: LedgerNetSDK.PHASES[phase] };
+        }));
+
+        return { owner: ethers.utils.getAddress(owner), domains };
+    }
+
+    // Check every name in one call; invalid names are reported as unavailable with the reason
+    async available(inputs) {
+        if (inputs.length === 0) {
+            throw new UsageError("At least one name is required");
+        }
+
+        const results = inputs.map((input) => {
+            try {
+                return { name: LedgerNetSDK.normalizeName(input), available: false };
+            } catch (error) {
+                return { name: input, available: false, error: error.message };
+            }
+        });
+
+        const valid = results.filter((result) => !result.error);
+        if (valid.length > 0) {
+            const availability = await this.registry.batchCheckAvailability(valid.map((result) => result.name));
+            valid.forEach((result, i) => { result.available = availability[i]; });
+        }
+
+        return { names: results };
+    }
+
+    // Price of a name for a term, including any premium, or the base fee per year without a name
+    async fee([input], options) {
+        if (!input) {
+            return { registrationFee: (await this.registry.registrationFee()).toString() };
+        }
+
+        const name = this.parseName(input);
+        const years = this.parseYears(options.years);
+        const [price, premium] = await Promise.all([
+            this.registry.getPrice(name, years),
+            this.registry.getPremium(name)
+        ]);
+
+        return { name, years, price: price.toString(), premium: premium.toString() };
+    }
+
+    parseName(input) {
+        if (!input) {
+            throw new UsageError("A domain name is required");
+        }
+
+        try {
+            return LedgerNetSDK.normalizeName(input);
+        } catch (error) {
+            throw new UsageError(`${error.message}: ${input}`);
+        }
+    }
+
+    parseYears(value = "1") {
+        const years = Number(value);
+        if (!Number.isInteger(years) || years < 1 || years > 10) {
+            throw new UsageError("--years must be a whole number from 1 to 10");
+        }
+
+        return years;
+    }
+
+    parseIpAddress(ipAddress) {
+        const error = LedgerNetSDK.validateIPAddress(ipAddress);
+        if (error) {
+            throw new UsageError(error);
+        }
+    }
+
+    receiptOf(receipt) {
+        return {
+            transactionHash: receipt.transactionHash,
+            blockNumber: receipt.blockNumber,
+            gasUsed: receipt.gasUsed.toString()
+        };
+    }
+}
+
+// Human-readable output: amounts in ETH and times as dates
+function formatResult(command, result) {
+    const eth = (wei) => `${ethers.utils.formatEther(wei)} ETH`;
+    const date = (timestamp) => (timestamp ? new Date(timestamp * 1000).toISOString() : "-");
+    const tx = result.transactionHash ? `\nTransaction: ${result.transactionHash} (block ${result.blockNumber})` : "";
+
+    switch (command) {
+        case "register":
+            return `Registered ${result.name} -> ${result.ipAddress} for ${result.years} year(s), paid ${eth(result.price)}${tx}`;
+        case "resolve":
+            return result.ipAddress;
+        case "info":
+            return [
+                `Name:       ${result.name}`,
+                `Owner:      ${result.owner}`,
+                `IP address: ${result.ipAddress || "-"}`,
+                `Expires:    ${date(result.expirationTime)}`,
+                `Phase:      ${result.phase}`,
+                `Parent:     ${result.parent || "-"}`,
+                `Resolver:   ${result.resolver}`,
+                `Frozen:     ${result.frozen || "-"}`
+            ].join("\n");
+        case "update":
+            return `Updated ${result.name} -> ${result.ipAddress}${tx}`;
+        case "transfer":
+            return `Transferred ${result.name} to ${result.newOwner}${tx}`;
+        case "renew":
+            return `Renewed ${result.name} for ${result.years} year(s) until ${date(result.expirationTime)}, paid ${eth(result.price)}${tx}`;
+        case "release":
+            return `Released ${result.name}${tx}`;
+        case "list":
+            if (result.domains.length === 0) return `${result.owner} holds no names`;
+            return result.domains
+                .map((domain) => `${domain.name}\t${domain.ipAddress}\t${domain.phase}\t${date(domain.expirationTime)}`)
+                .join("\n");
+        case "available":
+            return result.names
+                .map((entry) => `${entry.name}\t${entry.error || (entry.available ? "available" : "taken")}`)
+                .join("\n");
+        case "fee":
+            if (!result.name) return `Base fee: ${eth(result.registrationFee)} per year`;
+            return `${result.name} for ${result.years} year(s): ${eth(result.price)}` +
+                (result.premium !== "0" ? ` (including a ${eth(result.premium)} premium)` : "");
+        default:
+            return JSON.stringify(result, null, 2);
+    }
+}
+
+async function main(argv = process.argv.slice(2)) {
+    const { values: options, positionals } = parseArgs({
+        args: argv,
+        allowPositionals: true,
+        options: {
+            rpc: { type: "string", default: process.env.LEDGERNET_RPC || "http://127.0.0.1:8545" },
+            network: { type: "string" },
+            deployment: { type: "string" },
+            registry: { type: "string" },
+            "private-key": { type: "string" },
+            years: { type: "string" },
+            owner: { type: "string" },
+            json: { type: "boolean", default: false },
+            help: { type: "boolean", short: "h", default: false }
+        }
+    });
+
+    const [command, ...args] = positionals;
+
+    if (options.help || !command) {
+        console.log(USAGE);
+        return;
+    }
+
+    // The registry address defaults to the latest deployment
+    const registryAddress = options.registry ||
+        loadDeployment({ network: options.network, file: options.deployment }).contractAddress;
+
+    const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+    const privateKey = options["private-key"] || process.env.PRIVATE_KEY;
+
+    // Without a key, transactions are sent from the node's first account, as on a local Hardhat node
+    const signer = privateKey ? new ethers.Wallet(privateKey, provider) : provider.getSigner(0);
+
+    const cli = new LedgerNetCli({ registryAddress, provider, signer });
+    const result = await cli.run(command, args, options);
+
+    console.log(options.json ? JSON.stringify(result, null, 2) : formatResult(command, result));
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        if (error instanceof UsageError) {
+            console.error(`❌ ${error.message}\n\n${USAGE}`);
+        } else {
+            console.error("❌", LedgerNetSDK.getErrorMessage(error));
+        }
+        process.exit(1);
+    });
+}
+
+module.exports = { LedgerNetCli, UsageError, formatResult, main };
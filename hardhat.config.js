@@ -1,12 +1,28 @@
 /**
  * @type import('hardhat/config').HardhatUserConfig
  */
-require("@nomiclabs/hardhat-waffle");
+require("@nomicfoundation/hardhat-chai-matchers");
 require("@nomiclabs/hardhat-ethers");
 require("dotenv").config();
 
 module.exports = {
-  solidity: "0.8.17",
+  solidity: {
+    version: "0.8.19",
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+      // The IR pipeline keeps the LedgerNet registry under the 24 KB contract size limit
+      viaIR: true,
+      // Storage layouts are compared before upgrading the registry proxy (scripts/upgrades.js)
+      outputSelection: {
+        "*": {
+          "*": ["storageLayout"],
+        },
+      },
+    },
+  },
   networks: {
     coreTestnet: {
       url: "https://rpc.test2.btcs.network",
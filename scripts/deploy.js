@@ -1,6 +1,21 @@
 const { ethers } = require("hardhat");
 const fs = require("fs"); // file handle
 const path = require("path");
+const { normalizeName } = require("../sdk/normalize.js");
+const { deployRegistry } = require("./upgrades");
+
+// Top-level domains open for registration after deployment
+const ALLOWED_TLDS = ["eth", "ledger"];
+
+// Time a registration fee or price oracle change waits before it can be applied
+const FEE_CHANGE_DELAY = 2 * 24 * 60 * 60;
+
+// Optional addresses taking over the admin roles and receiving withdrawals; the deployer keeps them when unset
+const FEE_ADMIN = process.env.FEE_ADMIN;
+const TREASURER = process.env.TREASURER;
+const PAUSER = process.env.PAUSER;
+const ARBITRATOR = process.env.ARBITRATOR;
+const TREASURY = process.env.TREASURY;
 
 async function main() {
     console.log("Starting LedgerNet deployment...\n");
@@ -18,19 +33,137 @@ async function main() {
     console.log("   Chain ID:", network.chainId);
     console.log("");
 
-    // Deploy the LedgerNet contract
-    console.log("📦 Deploying LedgerNet contract...");
+    // Deploy the length-based price oracle first, since pricing changes are timelocked once
+    // LedgerNet is initialized
+    console.log("📦 Deploying LengthPriceOracle contract...");
     
-    const LedgerNet = await ethers.getContractFactory("LedgerNet");
-    const ledgerNet = await LedgerNet.deploy();
+    const LengthPriceOracle = await ethers.getContractFactory("LengthPriceOracle");
+    const priceOracle = await LengthPriceOracle.deploy(
+        ethers.utils.parseEther("0.1"),   // 3-character names, per year
+        ethers.utils.parseEther("0.05"),  // 4-character names, per year
+        ethers.utils.parseEther("0.01")   // 5+ character names, per year
+    );
+    await priceOracle.deployed();
     
-    // Wait for deployment to complete here
-    await ledgerNet.deployed();
+    console.log("✅ LengthPriceOracle deployed successfully!");
+    console.log("   Contract address:", priceOracle.address);
+    console.log("");
+
+    // Deploy the LedgerNet contract behind its upgradeable proxy
+    console.log("📦 Deploying LedgerNet contract...");
+    
+    const { ledgerNet, implementation, proxyAdmin, deployTransaction, storageLayout } = await deployRegistry(deployer, {
+        priceOracle: priceOracle.address
+    });
+    const deployReceipt = await deployTransaction.wait();
     
     console.log("✅ LedgerNet deployed successfully!");
-    console.log("   Contract address:", ledgerNet.address);
-    console.log("   Transaction hash:", ledgerNet.deployTransaction.hash);
-    console.log("   Gas used:", (await ledgerNet.deployTransaction.wait()).gasUsed.toString());
+    console.log("   Contract address (proxy):", ledgerNet.address);
+    console.log("   Implementation address:", implementation.address);
+    console.log("   Proxy admin address:", proxyAdmin.address);
+    console.log("   Transaction hash:", deployTransaction.hash);
+    console.log("   Gas used:", deployReceipt.gasUsed.toString());
+    console.log("");
+
+    // Deploy the public resolver and make it the default for new registrations
+    console.log("📦 Deploying PublicResolver contract...");
+    
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const publicResolver = await PublicResolver.deploy(ledgerNet.address);
+    await publicResolver.deployed();
+    await (await ledgerNet.setDefaultResolver(publicResolver.address)).wait();
+    
+    console.log("✅ PublicResolver deployed successfully!");
+    console.log("   Contract address:", publicResolver.address);
+    console.log("");
+
+    // Deploy the marketplace for the domain tokens
+    console.log("📦 Deploying LedgerNetMarketplace contract...");
+    
+    const LedgerNetMarketplace = await ethers.getContractFactory("LedgerNetMarketplace");
+    const marketplace = await LedgerNetMarketplace.deploy(await ledgerNet.token());
+    await marketplace.deployed();
+    
+    console.log("✅ LedgerNetMarketplace deployed successfully!");
+    console.log("   Contract address:", marketplace.address);
+    console.log("");
+
+    // Deploy the auction house for auction-only names
+    console.log("📦 Deploying LedgerNetAuctionHouse contract...");
+    
+    const LedgerNetAuctionHouse = await ethers.getContractFactory("LedgerNetAuctionHouse");
+    const auctionHouse = await LedgerNetAuctionHouse.deploy(ledgerNet.address);
+    await auctionHouse.deployed();
+    await (await ledgerNet.setAuctionHouse(auctionHouse.address)).wait();
+    
+    console.log("✅ LedgerNetAuctionHouse deployed successfully!");
+    console.log("   Contract address:", auctionHouse.address);
+    console.log("   No names are auction-only until marked with setAuctionOnlyName or setAuctionOnlyLength");
+    console.log("");
+
+    // Deploy the forwarder for signed, gasless requests
+    console.log("📦 Deploying LedgerNetForwarder contract...");
+    
+    const LedgerNetForwarder = await ethers.getContractFactory("LedgerNetForwarder");
+    const forwarder = await LedgerNetForwarder.deploy(ledgerNet.address);
+    await forwarder.deployed();
+    await (await ledgerNet.setTrustedForwarder(forwarder.address)).wait();
+    
+    console.log("✅ LedgerNetForwarder deployed successfully!");
+    console.log("   Contract address:", forwarder.address);
+    console.log("   Start a relayer with: npm run relayer");
+    console.log("");
+
+    // Open the top-level domains for registration
+    console.log("🔧 Allowing top-level domains...");
+    
+    for (const tld of ALLOWED_TLDS) {
+        await (await ledgerNet.setTldAllowed(tld, true)).wait();
+    }
+    
+    console.log("✅ Allowed:", ALLOWED_TLDS.join(", "));
+    console.log("");
+
+    // Make every registration go through commit-reveal, so pending names cannot be front-run
+    console.log("🔧 Requiring commit-reveal registration...");
+    
+    await (await ledgerNet.setCommitmentRequired(true)).wait();
+    
+    console.log("✅ Direct registrations disabled; use registerWithCommitment or registerDomainsWithCommitment");
+    console.log("");
+
+    // Hand the admin roles over and lock fee changes now that pricing is configured
+    console.log("🔐 Configuring governance...");
+    
+    const roles = [
+        ["FEE_ADMIN_ROLE", FEE_ADMIN],
+        ["TREASURER_ROLE", TREASURER],
+        ["PAUSER_ROLE", PAUSER],
+        ["ARBITRATOR_ROLE", ARBITRATOR]
+    ];
+    // The marketplace and auction house have the registry's roles that apply to them
+    const governed = { LedgerNet: ledgerNet, LedgerNetMarketplace: marketplace, LedgerNetAuctionHouse: auctionHouse };
+    for (const [contractName, contract] of Object.entries(governed)) {
+        for (const [roleName, account] of roles) {
+            if (!account || !contract[roleName]) continue;
+            
+            const role = await contract[roleName]();
+            await (await contract.grantRole(role, account)).wait();
+            await (await contract.revokeRole(role, deployer.address)).wait();
+            console.log(`   ${contractName} ${roleName} granted to:`, account);
+        }
+    }
+    
+    if (TREASURY) {
+        await (await ledgerNet.setTreasury(TREASURY)).wait();
+        await (await marketplace.setTreasury(TREASURY)).wait();
+    }
+    await (await ledgerNet.setFeeChangeDelay(FEE_CHANGE_DELAY)).wait();
+    
+    console.log("✅ Treasury:", await ledgerNet.treasury());
+    console.log("   Marketplace treasury:", await marketplace.treasury());
+    console.log("   Fee change delay:", FEE_CHANGE_DELAY / 3600, "hours");
+    console.log("   Transfer ownership of each contract to a multi-sig with transferOwnership, then accept from it");
     console.log("");
 
     // Verify contract details
@@ -40,8 +173,12 @@ async function main() {
     const contractOwner = await ledgerNet.contractOwner();
     
     console.log("   Registration fee:", ethers.utils.formatEther(registrationFee), "ETH");
+    console.log("   Price oracle:", await ledgerNet.priceOracle());
+    console.log("   Default resolver:", await ledgerNet.defaultResolver());
+    console.log("   Domain token (ERC-721):", await ledgerNet.token());
+    console.log("   Marketplace fee:", (await marketplace.feeBasisPoints()).toString(), "basis points");
     console.log("   Contract owner:", contractOwner);
-    console.log("   Registration period: 365 days");
+    console.log("   Registration period: 365 days (up to 10 years at once)");
     console.log("");
 
     // Test basic functionality
@@ -49,7 +186,7 @@ async function main() {
     
     try {
         // Test domain availability check
-        const testDomain = "test.ledger";
+        const testDomain = normalizeName("test.ledger");
         const isAvailable = await ledgerNet.isDomainAvailable(testDomain);
         console.log(`   Domain "${testDomain}" available:`, isAvailable);
         
@@ -62,15 +199,29 @@ async function main() {
     // Generate deployment summary
     const deploymentInfo = {
         contractAddress: ledgerNet.address,
+        implementationAddress: implementation.address,
+        proxyAdminAddress: proxyAdmin.address,
+        priceOracleAddress: priceOracle.address,
+        resolverAddress: publicResolver.address,
+        allowedTlds: ALLOWED_TLDS,
+        tokenAddress: await ledgerNet.token(),
+        marketplaceAddress: marketplace.address,
+        auctionHouseAddress: auctionHouse.address,
+        forwarderAddress: forwarder.address,
         contractOwner: contractOwner,
+        treasury: await ledgerNet.treasury(),
+        marketplaceTreasury: await marketplace.treasury(),
+        feeChangeDelay: FEE_CHANGE_DELAY,
         deployerAddress: deployer.address,
-        transactionHash: ledgerNet.deployTransaction.hash,
-        blockNumber: (await ledgerNet.deployTransaction.wait()).blockNumber,
+        transactionHash: deployTransaction.hash,
+        blockNumber: deployReceipt.blockNumber,
         network: network.name,
         chainId: network.chainId,
         registrationFee: ethers.utils.formatEther(registrationFee),
         deploymentTime: new Date().toISOString(),
-        gasUsed: (await ledgerNet.deployTransaction.wait()).gasUsed.toString()
+        gasUsed: deployReceipt.gasUsed.toString(),
+        // Checked against the next implementation by scripts/upgrade.js
+        storageLayout: storageLayout
     };
 
     // Save deployment info to file
@@ -86,7 +237,7 @@ async function main() {
     console.log("");
 
     // Update frontend configuration
-    await updateFrontendConfig(ledgerNet.address, network.name, network.chainId);
+    await updateFrontendConfig(ledgerNet.address, marketplace.address, auctionHouse.address, forwarder.address, network.name, network.chainId);
 
     // Display post-deployment instructions
     console.log("🎉 Deployment completed successfully!");
@@ -103,7 +254,7 @@ async function main() {
     // Etherscan verification command (for supported networks)
     if (["mainnet", "goerli", "sepolia", "polygon", "mumbai"].includes(network.name)) {
         console.log("🔍 To verify on Etherscan, run:");
-        console.log(`   npx hardhat verify --network ${network.name} ${ledgerNet.address}`);
+        console.log(`   npx hardhat verify --network ${network.name} ${implementation.address}`);
         console.log("");
     }
 
@@ -115,7 +266,7 @@ async function main() {
 }
 
 // Function to update frontend configuration
-async function updateFrontendConfig(contractAddress, networkName, chainId) {
+async function updateFrontendConfig(contractAddress, marketplaceAddress, auctionHouseAddress, forwarderAddress, networkName, chainId) {
     console.log("🔧 Updating frontend configuration...");
     
     try {
@@ -125,14 +276,26 @@ async function updateFrontendConfig(contractAddress, networkName, chainId) {
         if (fs.existsSync(indexPath)) {
             let indexContent = fs.readFileSync(indexPath, "utf8");
             
-            // Replace the contract address placeholder
+            // Replace the contract address placeholders
             indexContent = indexContent.replace(
                 'window.CONTRACT_ADDRESS = "0x...";',
                 `window.CONTRACT_ADDRESS = "${contractAddress}";`
             );
+            indexContent = indexContent.replace(
+                'window.MARKETPLACE_ADDRESS = "0x...";',
+                `window.MARKETPLACE_ADDRESS = "${marketplaceAddress}";`
+            );
+            indexContent = indexContent.replace(
+                'window.AUCTION_HOUSE_ADDRESS = "0x...";',
+                `window.AUCTION_HOUSE_ADDRESS = "${auctionHouseAddress}";`
+            );
+            indexContent = indexContent.replace(
+                'window.FORWARDER_ADDRESS = "0x...";',
+                `window.FORWARDER_ADDRESS = "${forwarderAddress}";`
+            );
             
             fs.writeFileSync(indexPath, indexContent);
-            console.log("   ✅ Updated contract address in index.html");
+            console.log("   ✅ Updated contract addresses in index.html");
         } else {
             console.log("   ⚠️ Frontend index.html not found, please update manually");
         }
@@ -143,6 +306,9 @@ async function updateFrontendConfig(contractAddress, networkName, chainId) {
 
 const LEDGERNET_CONFIG = {
     contractAddress: "${contractAddress}",
+    marketplaceAddress: "${marketplaceAddress}",
+    auctionHouseAddress: "${auctionHouseAddress}",
+    forwarderAddress: "${forwarderAddress}",
     network: "${networkName}",
     chainId: ${chainId},
     registrationFee: "0.01",
@@ -179,31 +345,38 @@ async function deployAndTest() {
     
     // Get test accounts
     const [deployer, user1, user2] = await ethers.getSigners();
+    const testDomain = normalizeName("test.ledger");
     
     try {
         // Test 1: Register a domain
         console.log("Test 1: Registering test domain...");
-        const registrationFee = await contract.registrationFee();
-        const tx1 = await contract.connect(user1).registerDomain("test.ledger", "192.168.1.100", {
-            value: registrationFee
+        const price = await contract.getPrice(testDomain, 1);
+        const secret = ethers.utils.formatBytes32String("deploy-test");
+        await (await contract.connect(user1).commit(await contract.makeCommitment(testDomain, user1.address, secret))).wait();
+        
+        // Skip the minimum commitment age on the development network
+        await ethers.provider.send("evm_increaseTime", [(await contract.MIN_COMMITMENT_AGE()).toNumber()]);
+        
+        const tx1 = await contract.connect(user1).registerWithCommitment(testDomain, "192.168.1.100", secret, 1, {
+            value: price
         });
         await tx1.wait();
         console.log("✅ Domain registered successfully");
         
         // Test 2: Resolve the domain
         console.log("Test 2: Resolving domain...");
-        const resolvedIP = await contract.resolveDomain("test.ledger");
+        const resolvedIP = await contract.resolveDomain(testDomain);
         console.log("✅ Domain resolved to:", resolvedIP);
         
         // Test 3: Update domain
         console.log("Test 3: Updating domain IP...");
-        const tx2 = await contract.connect(user1).updateDomain("test.ledger", "192.168.1.200");
+        const tx2 = await contract.connect(user1).updateDomain(testDomain, "192.168.1.200");
         await tx2.wait();
         console.log("✅ Domain updated successfully");
         
         // Test 4: Get domain info
         console.log("Test 4: Getting domain information...");
-        const [owner, ipAddress, expirationTime, isActive] = await contract.getDomainInfo("test.ledger");
+        const [owner, ipAddress, expirationTime, isActive] = await contract.getDomainInfo(testDomain);
         console.log("✅ Domain info retrieved:");
         console.log("   Owner:", owner);
         console.log("   IP:", ipAddress);
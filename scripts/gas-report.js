@@ -0,0 +1,146 @@
+const { ethers, network } = require("hardhat");
+const { deployRegistry } = require("./upgrades");
+const legacyArtifact = require("../test/fixtures/LedgerNetLegacy.json");
+
+const IP_ADDRESS = "192.168.1.1";
+
+// The string-keyed and name hash storage layouts alone, in Contracts/benchmarks/StorageLayouts.sol.
+// Both store the same fields with nothing else around them, so they differ only in their layout.
+function layout(contractName) {
+    return {
+        deploy: async () => (await ethers.getContractFactory(contractName)).deploy(),
+        register: (contract, name) => contract.register(name, IP_ADDRESS, 0),
+        transfer: (contract, name, newOwner) => contract.transfer(name, newOwner),
+        release: async () => {}
+    };
+}
+
+// A whole registry, registering and transferring names through its public functions
+function registry(deploy, releaseAfter) {
+    return {
+        deploy,
+        register: async (contract, name) => contract.registerDomain(name, IP_ADDRESS, {
+            value: await contract.registrationFee()
+        }),
+        transfer: (contract, name, newOwner) => contract.transferDomain(name, newOwner),
+        // Let every name run out and be released
+        release: async (contract) => {
+            await network.provider.send("evm_increaseTime", [(await releaseAfter(contract)).toNumber() + 1]);
+            await network.provider.send("evm_mine");
+        }
+    };
+}
+
+const COMPARISONS = {
+    "Storage layout": {
+        "String keys": layout("StringKeyedLayout"),
+        "Name hash keys": layout("NameHashLayout")
+    },
+    // The registry deployed before the proxy, built from the baseline commit, which frees names
+    // as soon as they expire, and the current one behind its proxy
+    Registry: {
+        Baseline: registry(
+            async () => {
+                const [owner] = await ethers.getSigners();
+                return new ethers.ContractFactory(legacyArtifact.abi, legacyArtifact.bytecode, owner).deploy();
+            },
+            (contract) => contract.REGISTRATION_PERIOD()
+        ),
+        "Current, behind the proxy": registry(
+            async () => {
+                const { ledgerNet } = await deployRegistry();
+                await (await ledgerNet.setTldAllowed("eth", true)).wait();
+                return ledgerNet;
+            },
+            async (contract) => (await contract.REGISTRATION_PERIOD())
+                .add(await contract.gracePeriod())
+                .add(await contract.premiumPeriod())
+        )
+    }
+};
+
+// Names held by the measured owner before each operation
+const OWNER_SIZES = (process.env.GAS_REPORT_SIZES || "1,100,1000").split(",").map(Number);
+
+function nameAt(i) {
+    return `name-${String(i).padStart(5, "0")}.eth`;
+}
+
+async function gasUsed(txPromise) {
+    const receipt = await (await txPromise).wait();
+    return receipt.gasUsed.toNumber();
+}
+
+// Measure the operations that touch the owner's list, once the owner holds `size` names. The
+// transferred and re-registered names are the last ones in the list, the worst case for a list
+// searched from the start.
+async function measure(subject, size) {
+    const [owner, other] = await ethers.getSigners();
+    const snapshot = await network.provider.send("evm_snapshot");
+
+    const contract = await subject.deploy();
+    await contract.deployed();
+    for (let i = 0; i < size; i++) {
+        await (await subject.register(contract.connect(owner), nameAt(i))).wait();
+    }
+
+    const result = {};
+    result.register = await gasUsed(subject.register(contract.connect(owner), nameAt(size)));
+
+    let names = await contract.getDomainsByOwner(owner.address);
+    result.transfer = await gasUsed(subject.transfer(contract.connect(owner), names[names.length - 1], other.address));
+
+    await subject.release(contract);
+    names = await contract.getDomainsByOwner(owner.address);
+    result.reRegister = await gasUsed(subject.register(contract.connect(other), names[names.length - 1]));
+
+    await network.provider.send("evm_revert", [snapshot]);
+    return result;
+}
+
+function formatChange(before, after) {
+    const change = ((after - before) / before) * 100;
+    return `${change > 0 ? "+" : ""}${change.toFixed(1)}%`;
+}
+
+async function main() {
+    for (const [title, subjects] of Object.entries(COMPARISONS)) {
+        console.log(`⛽ ${title} gas by names per owner:`, OWNER_SIZES.join(", "), "\n");
+
+        const rows = [];
+        const [beforeLabel, afterLabel] = Object.keys(subjects);
+
+        for (const size of OWNER_SIZES) {
+            const results = {};
+            for (const [label, subject] of Object.entries(subjects)) {
+                results[label] = await measure(subject, size);
+            }
+
+            for (const operation of ["register", "transfer", "reRegister"]) {
+                const before = results[beforeLabel][operation];
+                const after = results[afterLabel][operation];
+                rows.push({
+                    "Names per owner": size,
+                    Operation: operation,
+                    [beforeLabel]: before,
+                    [afterLabel]: after,
+                    Change: formatChange(before, after)
+                });
+            }
+        }
+
+        console.table(rows);
+        console.log("");
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Gas report failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, measure };
@@ -0,0 +1,215 @@
+const { artifacts, ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// Contracts the SDK has clients for, by artifact name
+const CONTRACTS = {
+    LedgerNet: "LedgerNetClient",
+    PublicResolver: "ResolverClient",
+    LedgerNetToken: "TokenClient",
+    LedgerNetMarketplace: "MarketplaceClient",
+    LedgerNetAuctionHouse: "AuctionClient",
+    LedgerNetForwarder: "ForwarderClient"
+};
+
+const SDK_DIR = path.join(__dirname, "..", "sdk");
+
+// Small integers are returned as JavaScript numbers by ethers, larger ones as BigNumbers
+const SMALL_INTEGER = /^u?int(8|16|24|32|40|48)$/;
+
+// TypeScript type of an ABI parameter, as accepted by ethers (input) or returned by it
+function typeOf(param, input) {
+    if (param.baseType === "array") {
+        return `${typeOf(param.arrayChildren, input)}[]`;
+    }
+    if (param.baseType === "tuple") {
+        return `{ ${param.components.map((component) => `${component.name}: ${typeOf(component, input)}`).join("; ")} }`;
+    }
+    if (param.type === "string" || param.type === "address") return "string";
+    if (param.type === "bool") return "boolean";
+    if (param.type.startsWith("bytes")) return input ? "BytesLike" : "string";
+    if (SMALL_INTEGER.test(param.type) && !input) return "number";
+    if (/^u?int/.test(param.type)) return input ? "BigNumberish" : "BigNumber";
+    return "any";
+}
+
+// Parameter names without the contract's leading underscore
+function paramName(param, i) {
+    return param.name ? param.name.replace(/^_/, "") : `arg${i}`;
+}
+
+function returnTypeOf(fragment) {
+    if (!fragment.constant) return "ContractTransaction";
+    if (fragment.outputs.length === 0) return "void";
+    if (fragment.outputs.length === 1) return typeOf(fragment.outputs[0], false);
+
+    const types = fragment.outputs.map((output) => typeOf(output, false));
+    const named = fragment.outputs.map((output, i) => `${paramName(output, i)}: ${types[i]}`);
+    return `[${types.join(", ")}] & { ${named.join("; ")} }`;
+}
+
+function methodDeclaration(fragment) {
+    const overrides = fragment.constant ? "CallOverrides" : fragment.payable ? "PayableOverrides" : "Overrides";
+    const params = fragment.inputs
+        .map((input, i) => `${paramName(input, i)}: ${typeOf(input, true)}`)
+        .concat(`overrides?: ${overrides}`);
+
+    return `    ${fragment.name}(${params.join(", ")}): Promise<${returnTypeOf(fragment)}>;`;
+}
+
+function classDeclaration(contractName, clientName, contractInterface) {
+    const events = Object.values(contractInterface.events).map((event) => `'${event.name}'`);
+    const methods = Object.values(contractInterface.functions).map(methodDeclaration);
+    const extra = clientName === "LedgerNetClient"
+        ? [
+            "    connect(signerOrProvider: Signer | providers.Provider): LedgerNetClient;",
+            "    resolver(domainName: string): Promise<ResolverClient | null>;",
+            "    trustedForwarders(): Promise<Set<string>>;",
+            "    transactionActor(transactionHash: string, forwarders?: Set<string>): Promise<string>;"
+        ]
+        : [`    connect(signerOrProvider: Signer | providers.Provider): ${clientName};`];
+    if (clientName === "ForwarderClient") {
+        extra.push(
+            "    typedDataDomain(): Promise<TypedDataDomain>;",
+            "    signRequest(type: RequestType, fields: Record<string, any>, options?: { deadline?: number }): Promise<SignedRequest>;",
+            "    signUpdate(domainName: string, ipAddress: string, options?: { deadline?: number }): Promise<SignedRequest>;",
+            "    signTransfer(domainName: string, newOwner: string, options?: { deadline?: number }): Promise<SignedRequest>;",
+            "    signRenewal(domainName: string, durationYears: BigNumberish, options?: { deadline?: number }): Promise<SignedRequest>;",
+            "    recoverSigner(signed: SignedRequest): Promise<string>;",
+            "    relay(signed: SignedRequest, overrides?: PayableOverrides): Promise<ContractTransaction>;",
+            "    simulate(signed: SignedRequest, overrides?: PayableOverrides): Promise<void>;"
+        );
+    }
+
+    return [
+        `export type ${contractName}EventName = ${events.join(" | ")};`,
+        "",
+        `export declare class ${clientName} extends ContractClient<${contractName}EventName> {`,
+        "    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });",
+        ...extra,
+        "",
+        `    // ${contractName} functions`,
+        ...methods,
+        "}"
+    ].join("\n");
+}
+
+const DECLARATIONS_HEADER = `// LedgerNet SDK type declarations
+// Generated by scripts/generate-sdk-abi.js from the Hardhat artifacts; do not edit
+
+import type {
+    BigNumber,
+    BigNumberish,
+    BytesLike,
+    CallOverrides,
+    Contract,
+    ContractTransaction,
+    Overrides,
+    PayableOverrides,
+    Signer,
+    TypedDataDomain,
+    TypedDataField,
+    providers,
+    utils
+} from 'ethers';
+
+export declare const ABI: { ${Object.keys(CONTRACTS).map((name) => `${name}: string[]`).join("; ")} };
+export declare const PHASES: ['Available', 'Active', 'Grace', 'Premium'];
+export declare const RECORD_TYPES: { A: 1; NS: 2; CNAME: 5; MX: 15; TXT: 16; AAAA: 28; SRV: 33 };
+export declare const REASON_CODES: Record<string, string>;
+export declare const ERROR_MESSAGES: Record<string, string>;
+export declare const REQUEST_TYPES: Record<RequestType, TypedDataField[]>;
+
+export type RequestType = 'UpdateRequest' | 'TransferRequest' | 'RenewRequest';
+
+// A request signed for the forwarder, as sent to a relayer
+export interface SignedRequest {
+    type: RequestType;
+    request: Record<string, string>;
+    signature: string;
+}
+
+export declare function validateName(name: string): string;
+export declare function normalizeName(input: string): string;
+export declare function tldOf(name: string): string;
+export declare function validateIPAddress(ip: string): string;
+export declare function encodeReason(code: string): string;
+export declare function describeReason(reason: BytesLike): string | null;
+export declare function getErrorMessage(error: unknown, contractInterface?: utils.Interface): string;
+
+export interface LedgerNetEvent {
+    event: string;
+    args: Record<string, any>;
+    blockNumber: number;
+    blockHash: string;
+    transactionHash: string;
+    logIndex: number;
+}
+
+declare class ContractClient<EventName extends string> {
+    readonly address: string;
+    readonly contract: Contract;
+    readonly interface: utils.Interface;
+    on(eventName: EventName, listener: (event: LedgerNetEvent) => void, filterArgs?: any[]): () => void;
+    queryEvents(eventName: EventName, filterArgs?: any[], fromBlock?: number | string, toBlock?: number | string): Promise<LedgerNetEvent[]>;
+    getErrorMessage(error: unknown): string;
+}
+`;
+
+// Write the ABI as human-readable signatures, loadable by Node and by a script tag
+function abiModule(abis) {
+    const entries = Object.entries(abis).map(([name, abi]) => {
+        const lines = abi.map((line) => `            ${JSON.stringify(line).replace(/^"|"$/g, "'")}`);
+        return `        ${name}: [\n${lines.join(",\n")}\n        ]`;
+    });
+
+    return `// LedgerNet contract ABIs
+// Generated by scripts/generate-sdk-abi.js from the Hardhat artifacts; do not edit
+
+(function () {
+    const LedgerNetABI = {
+${entries.join(",\n")}
+    };
+    
+    if (typeof window !== 'undefined') {
+        window.LedgerNetABI = LedgerNetABI;
+    }
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LedgerNetABI;
+    }
+})();
+`;
+}
+
+async function main() {
+    const abis = {};
+    const declarations = [DECLARATIONS_HEADER];
+
+    for (const [contractName, clientName] of Object.entries(CONTRACTS)) {
+        const artifact = await artifacts.readArtifact(contractName);
+        const contractInterface = new ethers.utils.Interface(artifact.abi);
+
+        abis[contractName] = contractInterface.format(ethers.utils.FormatTypes.full);
+        declarations.push(classDeclaration(contractName, clientName, contractInterface));
+    }
+
+    fs.writeFileSync(path.join(SDK_DIR, "abi.js"), abiModule(abis));
+    fs.writeFileSync(path.join(SDK_DIR, "ledgernet.d.ts"), declarations.join("\n") + "\n");
+
+    console.log("✅ SDK ABI written to", path.join(SDK_DIR, "abi.js"));
+    for (const [name, abi] of Object.entries(abis)) {
+        console.log(`   ${name}: ${abi.length} entries`);
+    }
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ ABI generation failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, abiModule, CONTRACTS };
@@ -0,0 +1,280 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { validateName } = require("../sdk/normalize.js");
+const { findDeploymentFile } = require("../services/deployment");
+
+// One-time migration of the names held in the registry deployed before the upgradeable proxy.
+// The legacy registry's events are replayed to find every name it has held, the state of each
+// one is read at a snapshot block, and those still held are imported with importDomains.
+// The legacy registry only emits the hashes of names, so they are recovered from the calldata of
+// the registerDomain calls that registered them, or else from their owners' domain lists.
+
+// Registry to migrate from, and the blocks to replay; its deployment block or earlier as the start
+const LEGACY_REGISTRY = process.env.LEGACY_REGISTRY;
+const LEGACY_FROM_BLOCK = Number(process.env.LEGACY_FROM_BLOCK || 0);
+const LEGACY_TO_BLOCK = process.env.LEGACY_TO_BLOCK ? Number(process.env.LEGACY_TO_BLOCK) : undefined;
+
+// Deployment to import into; the latest one for the network when unset
+const DEPLOYMENT = process.env.DEPLOYMENT;
+
+// Close the migration for good once every name has been imported and checked
+const CLOSE_MIGRATION = process.env.CLOSE_MIGRATION === "true";
+
+const LEGACY_ABI = [
+    "event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress)",
+    "event DomainUpdated(string indexed domainName, string newIpAddress)",
+    "event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner)",
+    "event DomainDeactivated(string indexed domainName)",
+    "function registerDomain(string memory _domainName, string memory _ipAddress) external payable",
+    "function getDomainInfo(string memory _domainName) external view returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive)",
+    "function getDomainsByOwner(address _owner) external view returns (string[] memory)"
+];
+
+const REPLAYED_EVENTS = [
+    "DomainRegistered",
+    "DomainUpdated",
+    "DomainTransferred",
+    "DomainDeactivated"
+];
+
+// Blocks per log query
+const BLOCK_RANGE = 2000;
+
+// The name a registerDomain call sent straight to the legacy registry registered, or null when
+// the transaction went through another contract
+async function registeredName(legacy, transactionHash) {
+    const tx = await legacy.provider.getTransaction(transactionHash);
+    if (!tx.to || tx.to.toLowerCase() !== legacy.address.toLowerCase()) return null;
+
+    try {
+        const call = legacy.interface.parseTransaction(tx);
+        return call.name === "registerDomain" ? call.args._domainName : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Replay the legacy registry's events, returning the owner and IP address of every name it has
+// held, by name, and whether the events leave it active. Names whose plaintext cannot be
+// recovered are reported and left out.
+async function replayLegacyEvents(legacy, fromBlock, toBlock, log = console.log) {
+    const topics = REPLAYED_EVENTS.map((name) => legacy.interface.getEventTopic(name));
+    const names = new Map();
+    const states = new Map();
+    const owners = new Set();
+
+    for (let from = fromBlock; from <= toBlock; from += BLOCK_RANGE) {
+        const logs = await legacy.provider.getLogs({
+            address: legacy.address,
+            fromBlock: from,
+            toBlock: Math.min(from + BLOCK_RANGE - 1, toBlock),
+            topics: [topics]
+        });
+
+        for (const entry of logs) {
+            const fragment = legacy.interface.getEvent(entry.topics[0]);
+            const args = legacy.interface.decodeEventLog(fragment, entry.data, entry.topics);
+            const hash = entry.topics[1];
+
+            // Names registered before the replayed blocks are left to the snapshot
+            const state = states.get(hash) || { owner: null, ipAddress: "", isActive: true };
+            states.set(hash, state);
+
+            switch (fragment.name) {
+                case "DomainRegistered":
+                    if (!names.has(hash)) {
+                        const name = await registeredName(legacy, entry.transactionHash);
+                        if (name !== null && ethers.utils.id(name) === hash) names.set(hash, name);
+                    }
+                    Object.assign(state, { owner: args.owner, ipAddress: args.ipAddress, isActive: true });
+                    owners.add(args.owner);
+                    break;
+                case "DomainUpdated":
+                    state.ipAddress = args.newIpAddress;
+                    break;
+                case "DomainTransferred":
+                    state.owner = args.newOwner;
+                    owners.add(args.newOwner);
+                    break;
+                default:
+                    state.isActive = false;
+            }
+        }
+    }
+
+    // A held name is in its owner's list, for names registered through another contract
+    for (const owner of owners) {
+        for (const name of await legacy.getDomainsByOwner(owner, { blockTag: toBlock })) {
+            names.set(ethers.utils.id(name), name);
+        }
+    }
+
+    const domains = new Map();
+    const unnamed = [];
+    for (const [hash, state] of states) {
+        if (names.has(hash)) {
+            domains.set(names.get(hash), state);
+        } else if (state.isActive) {
+            unnamed.push(hash);
+        }
+    }
+    if (unnamed.length > 0) {
+        log(`   ⚠️ Could not recover the names of ${unnamed.length} hashes, skipped: ${unnamed.join(", ")}`);
+    }
+
+    return domains;
+}
+
+// Read the replayed names that are still held at the snapshot block. The snapshot wins where it
+// disagrees with the events.
+async function readLegacyDomains(legacy, replayed, blockTag, log) {
+    const { timestamp } = await legacy.provider.getBlock(blockTag);
+    const held = [];
+
+    for (const [name, replay] of replayed) {
+        if (!replay.isActive) continue;
+
+        const info = await legacy.getDomainInfo(name, { blockTag });
+        if (!info.isActive || info.expirationTime.lte(timestamp)) continue;
+
+        // The legacy registry accepted any name, the registry only canonical ones
+        const invalid = validateName(name);
+        if (invalid) {
+            log(`   ⚠️ ${name} cannot be imported (${invalid}), skipped`);
+            continue;
+        }
+        if ((replay.owner && info.owner !== replay.owner) || info.ipAddress !== replay.ipAddress) {
+            log(`   ⚠️ Events for ${name} do not match its state, importing the state`);
+        }
+
+        held.push({
+            name,
+            owner: info.owner,
+            ipAddress: info.ipAddress,
+            expirationTime: info.expirationTime
+        });
+    }
+
+    // Parents before their subdomains. A name below another held name is imported as its
+    // subdomain, which expires with it at the latest.
+    held.sort((a, b) => a.name.split(".").length - b.name.split(".").length);
+
+    const byName = new Map();
+    for (const domain of held) {
+        const parent = byName.get(domain.name.slice(domain.name.indexOf(".") + 1));
+        domain.effectiveExpiration = parent && parent.effectiveExpiration.lt(domain.expirationTime)
+            ? parent.effectiveExpiration
+            : domain.expirationTime;
+        byName.set(domain.name, domain);
+    }
+
+    return held;
+}
+
+// Import the names held in a legacy registry into the proxy and check the result. Names already
+// in the registry are skipped, so an interrupted migration can be run again.
+async function migrateLegacy({ legacy, registry, fromBlock = 0, toBlock, log = console.log }) {
+    if (toBlock === undefined) {
+        toBlock = await legacy.provider.getBlockNumber();
+    }
+
+    const replayed = await replayLegacyEvents(legacy, fromBlock, toBlock, log);
+    const domains = await readLegacyDomains(legacy, replayed, toBlock, log);
+    log(`   ${replayed.size} names replayed, ${domains.length} still held`);
+
+    const pending = [];
+    for (const domain of domains) {
+        if ((await registry.getDomainInfo(domain.name)).owner === ethers.constants.AddressZero) {
+            pending.push(domain);
+        }
+    }
+
+    const batchSize = (await registry.MAX_BATCH_SIZE()).toNumber();
+    for (let start = 0; start < pending.length; start += batchSize) {
+        const batch = pending.slice(start, start + batchSize);
+        await (await registry.importDomains(
+            batch.map((domain) => domain.name),
+            batch.map((domain) => domain.owner),
+            batch.map((domain) => domain.ipAddress),
+            batch.map((domain) => domain.expirationTime)
+        )).wait();
+        log(`   Imported ${Math.min(start + batchSize, pending.length)} of ${pending.length}`);
+    }
+
+    const mismatches = [];
+    for (const domain of domains) {
+        const info = await registry.getDomainInfo(domain.name);
+        if (info.owner !== domain.owner || info.ipAddress !== domain.ipAddress ||
+            !info.expirationTime.eq(domain.effectiveExpiration)) {
+            mismatches.push(domain.name);
+        }
+    }
+    if (mismatches.length > 0) {
+        throw new Error(`Imported names differ from the legacy registry: ${mismatches.join(", ")}`);
+    }
+
+    return { domains, imported: pending.length, toBlock };
+}
+
+async function main() {
+    if (!LEGACY_REGISTRY) {
+        throw new Error("Set LEGACY_REGISTRY to the address of the registry to migrate from");
+    }
+
+    const network = await ethers.provider.getNetwork();
+    const deploymentFile = findDeploymentFile({ network: network.name, file: DEPLOYMENT });
+    const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+    const [signer] = await ethers.getSigners();
+    const registry = await ethers.getContractAt("LedgerNet", deployment.contractAddress, signer);
+    const legacy = new ethers.Contract(LEGACY_REGISTRY, LEGACY_ABI, ethers.provider);
+
+    console.log("🚚 Migrating names from the legacy registry...");
+    console.log("   Legacy registry:", LEGACY_REGISTRY);
+    console.log("   Registry (proxy):", registry.address);
+    console.log("   Names changed in the legacy registry after the snapshot block are not copied");
+    console.log("");
+
+    const { domains, imported, toBlock } = await migrateLegacy({
+        legacy,
+        registry,
+        fromBlock: LEGACY_FROM_BLOCK,
+        toBlock: LEGACY_TO_BLOCK
+    });
+
+    console.log("✅ Migration checked:", domains.length, "names match the legacy registry at block", toBlock);
+
+    if (CLOSE_MIGRATION) {
+        await (await registry.closeMigration()).wait();
+        console.log("🔒 Migration closed, no more names can be imported");
+    } else {
+        console.log("   Run again with CLOSE_MIGRATION=true to close the migration");
+    }
+    console.log("");
+
+    deployment.migration = {
+        legacyRegistry: LEGACY_REGISTRY,
+        fromBlock: LEGACY_FROM_BLOCK,
+        toBlock,
+        domains: domains.length,
+        imported,
+        closed: !(await registry.migrationOpen()),
+        migrationTime: new Date().toISOString()
+    };
+    fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+
+    console.log("💾 Deployment information updated:", deploymentFile);
+
+    return deployment.migration;
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Migration failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main, migrateLegacy, replayLegacyEvents, LEGACY_ABI };
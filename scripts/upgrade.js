@@ -0,0 +1,80 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const { findDeploymentFile } = require("../services/deployment");
+const { compareStorageLayouts, getStorageLayout, upgradeRegistry } = require("./upgrades");
+
+// Deployment to upgrade; the latest one for the network when unset
+const DEPLOYMENT = process.env.DEPLOYMENT;
+
+// Only compare the storage layouts, without deploying anything
+const CHECK_ONLY = process.env.CHECK_ONLY === "true";
+
+async function main() {
+    const network = await ethers.provider.getNetwork();
+    const deploymentFile = findDeploymentFile({ network: network.name, file: DEPLOYMENT });
+    const deployment = JSON.parse(fs.readFileSync(deploymentFile, "utf8"));
+
+    if (!deployment.proxyAdminAddress || !deployment.storageLayout) {
+        throw new Error(`${deploymentFile} is not an upgradeable deployment; see scripts/migrate-legacy.js`);
+    }
+
+    console.log("⬆️ Upgrading LedgerNet...");
+    console.log("   Deployment:", deploymentFile);
+    console.log("   Proxy address:", deployment.contractAddress);
+    console.log("   Current implementation:", deployment.implementationAddress);
+    console.log("");
+
+    if (CHECK_ONLY) {
+        const problems = compareStorageLayouts(deployment.storageLayout, await getStorageLayout("LedgerNet"));
+        if (problems.length > 0) {
+            throw new Error(`Storage layout of LedgerNet is incompatible:\n  - ${problems.join("\n  - ")}`);
+        }
+
+        console.log("✅ Storage layout is compatible");
+        return { deploymentFile, deployment };
+    }
+
+    const { implementation, receipt, storageLayout } = await upgradeRegistry({
+        proxyAddress: deployment.contractAddress,
+        proxyAdminAddress: deployment.proxyAdminAddress,
+        storageLayout: deployment.storageLayout
+    });
+
+    console.log("✅ LedgerNet upgraded successfully!");
+    console.log("   New implementation:", implementation.address);
+    console.log("   Transaction hash:", receipt.transactionHash);
+    console.log("");
+
+    // Record the upgrade, keeping the previous implementations
+    deployment.upgrades = (deployment.upgrades || []).concat({
+        previousImplementation: deployment.implementationAddress,
+        implementationAddress: implementation.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        upgradeTime: new Date().toISOString()
+    });
+    deployment.implementationAddress = implementation.address;
+    deployment.storageLayout = storageLayout;
+    fs.writeFileSync(deploymentFile, JSON.stringify(deployment, null, 2));
+
+    console.log("💾 Deployment information updated:", deploymentFile);
+
+    if (["mainnet", "goerli", "sepolia", "polygon", "mumbai"].includes(network.name)) {
+        console.log("");
+        console.log("🔍 To verify on Etherscan, run:");
+        console.log(`   npx hardhat verify --network ${network.name} ${implementation.address}`);
+    }
+
+    return { deploymentFile, deployment };
+}
+
+if (require.main === module) {
+    main()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Upgrade failed:", error);
+            process.exit(1);
+        });
+}
+
+module.exports = { main };
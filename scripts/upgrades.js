@@ -0,0 +1,182 @@
+const { artifacts, ethers } = require("hardhat");
+
+// Deploy, upgrade and check the storage layout of the LedgerNet registry proxy.
+// The registry sits behind a LedgerNetProxy (an OpenZeppelin transparent proxy) owned by a
+// ProxyAdmin. Its state lives in the proxy, so every new implementation must keep the
+// variables of the previous one where they are and only add new ones after them.
+
+// Storage layout of a compiled contract, as written by solc (see outputSelection in hardhat.config.js)
+async function getStorageLayout(contractName) {
+    const artifact = await artifacts.readArtifact(contractName);
+    const buildInfo = await artifacts.getBuildInfo(`${artifact.sourceName}:${artifact.contractName}`);
+    const layout = buildInfo.output.contracts[artifact.sourceName][artifact.contractName].storageLayout;
+
+    if (!layout) {
+        throw new Error(`No storage layout for ${contractName}; is storageLayout in the compiler outputSelection?`);
+    }
+
+    return layout;
+}
+
+// Type ids carry AST ids that change between compilations, so types are compared by their shape
+function describeType(types, typeId) {
+    const type = types[typeId];
+
+    if (type.members) {
+        return `${type.label} { ${type.members.map((member) => `${describeType(types, member.type)} ${member.label}`).join("; ")} }`;
+    }
+    if (type.encoding === "mapping") {
+        return `mapping(${describeType(types, type.key)} => ${describeType(types, type.value)})`;
+    }
+    if (type.base) {
+        return `${describeType(types, type.base)}[${type.encoding === "dynamic_array" ? "" : type.numberOfBytes}]`;
+    }
+
+    return type.label;
+}
+
+// Check that a type can hold data written as another. Structs reached through a mapping or a
+// dynamic array may gain members at the end, since nothing is stored after them.
+function isCompatibleType(oldTypes, oldId, newTypes, newId, extendable) {
+    const oldType = oldTypes[oldId];
+    const newType = newTypes[newId];
+
+    if (oldType.encoding !== newType.encoding) return false;
+
+    if (oldType.members) {
+        if (!newType.members || newType.members.length < oldType.members.length) return false;
+        if (!extendable && newType.numberOfBytes !== oldType.numberOfBytes) return false;
+
+        return oldType.members.every((member, i) => {
+            const newMember = newType.members[i];
+            return newMember.label === member.label &&
+                newMember.slot === member.slot &&
+                newMember.offset === member.offset &&
+                isCompatibleType(oldTypes, member.type, newTypes, newMember.type, false);
+        });
+    }
+    if (oldType.encoding === "mapping") {
+        return isCompatibleType(oldTypes, oldType.key, newTypes, newType.key, false) &&
+            isCompatibleType(oldTypes, oldType.value, newTypes, newType.value, true);
+    }
+    if (oldType.base) {
+        return Boolean(newType.base) &&
+            oldType.numberOfBytes === newType.numberOfBytes &&
+            isCompatibleType(oldTypes, oldType.base, newTypes, newType.base, oldType.encoding === "dynamic_array");
+    }
+
+    return oldType.label === newType.label && oldType.numberOfBytes === newType.numberOfBytes;
+}
+
+// Byte position of a variable in storage, to tell whether a new one overlaps the old ones
+function positionOf(variable) {
+    return BigInt(variable.slot) * 32n + BigInt(variable.offset);
+}
+
+// Compare the layout of a deployed implementation with a new one, returning the problems found.
+// An empty array means the new implementation can be upgraded to.
+function compareStorageLayouts(oldLayout, newLayout) {
+    const problems = [];
+    const newByName = new Map(newLayout.storage.map((variable) => [variable.label, variable]));
+    let oldEnd = 0n;
+
+    for (const variable of oldLayout.storage) {
+        const oldType = describeType(oldLayout.types, variable.type);
+        oldEnd = positionOf(variable) + BigInt(oldLayout.types[variable.type].numberOfBytes);
+
+        const replacement = newLayout.storage.find((candidate) =>
+            candidate.slot === variable.slot && candidate.offset === variable.offset);
+        if (!replacement) {
+            problems.push(newByName.has(variable.label)
+                ? `${variable.label} moved from slot ${variable.slot} to slot ${newByName.get(variable.label).slot}`
+                : `${variable.label} (slot ${variable.slot}) was removed`);
+            continue;
+        }
+
+        if (replacement.label !== variable.label) {
+            problems.push(`${variable.label} (slot ${variable.slot}) was replaced by ${replacement.label}`);
+        } else if (!isCompatibleType(oldLayout.types, variable.type, newLayout.types, replacement.type, false)) {
+            problems.push(`${variable.label} changed type from ${oldType} to ${describeType(newLayout.types, replacement.type)}`);
+        }
+    }
+
+    // New variables must come after everything the old implementation stored
+    const oldNames = new Set(oldLayout.storage.map((variable) => variable.label));
+    for (const variable of newLayout.storage) {
+        if (!oldNames.has(variable.label) && positionOf(variable) < oldEnd) {
+            problems.push(`${variable.label} was inserted at slot ${variable.slot}, before the end of the existing variables`);
+        }
+    }
+
+    return problems;
+}
+
+// Deploy a LedgerNet implementation, its ProxyAdmin and proxy, and the domain token, and
+// initialize the registry in the proxy's constructor so no one can take it over in between.
+// The token is deployed first for the proxy's predicted address, which initialize checks.
+async function deployRegistry(signer, { priceOracle = ethers.constants.AddressZero } = {}) {
+    signer = signer || (await ethers.getSigners())[0];
+
+    const LedgerNet = await ethers.getContractFactory("LedgerNet", signer);
+    const implementation = await LedgerNet.deploy();
+    await implementation.deployed();
+
+    const ProxyAdmin = await ethers.getContractFactory("ProxyAdmin", signer);
+    const proxyAdmin = await ProxyAdmin.deploy();
+    await proxyAdmin.deployed();
+
+    const nonce = await signer.getTransactionCount("pending");
+    const proxyAddress = ethers.utils.getContractAddress({ from: signer.address, nonce: nonce + 1 });
+
+    const LedgerNetToken = await ethers.getContractFactory("LedgerNetToken", signer);
+    const token = await LedgerNetToken.deploy(proxyAddress);
+    await token.deployed();
+
+    const LedgerNetProxy = await ethers.getContractFactory("LedgerNetProxy", signer);
+    const initializeData = LedgerNet.interface.encodeFunctionData("initialize", [token.address, priceOracle]);
+    const proxy = await LedgerNetProxy.deploy(implementation.address, proxyAdmin.address, initializeData);
+    await proxy.deployed();
+
+    return {
+        ledgerNet: LedgerNet.attach(proxy.address),
+        implementation,
+        proxyAdmin,
+        token,
+        deployTransaction: proxy.deployTransaction,
+        storageLayout: await getStorageLayout("LedgerNet")
+    };
+}
+
+// Check the new implementation's storage layout against the deployed one, then deploy it and
+// point the proxy to it. Throws without sending anything if the layouts are incompatible.
+async function upgradeRegistry({ proxyAddress, proxyAdminAddress, storageLayout, contractName = "LedgerNet", signer }) {
+    signer = signer || (await ethers.getSigners())[0];
+
+    const newLayout = await getStorageLayout(contractName);
+    const problems = compareStorageLayouts(storageLayout, newLayout);
+    if (problems.length > 0) {
+        throw new Error(`Storage layout of ${contractName} is incompatible:\n  - ${problems.join("\n  - ")}`);
+    }
+
+    const Implementation = await ethers.getContractFactory(contractName, signer);
+    const implementation = await Implementation.deploy();
+    await implementation.deployed();
+
+    const proxyAdmin = await ethers.getContractAt("ProxyAdmin", proxyAdminAddress, signer);
+    const tx = await proxyAdmin.upgrade(proxyAddress, implementation.address);
+    const receipt = await tx.wait();
+
+    return {
+        ledgerNet: Implementation.attach(proxyAddress),
+        implementation,
+        receipt,
+        storageLayout: newLayout
+    };
+}
+
+module.exports = {
+    getStorageLayout,
+    compareStorageLayouts,
+    deployRegistry,
+    upgradeRegistry
+};
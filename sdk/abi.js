@@ -0,0 +1,392 @@
+// LedgerNet contract ABIs
+// Generated by scripts/generate-sdk-abi.js from the Hardhat artifacts; do not edit
+
+(function () {
+    const LedgerNetABI = {
+        LedgerNet: [
+            'constructor()',
+            'error AuctionOnlyName()',
+            'error BatchLengthMismatch()',
+            'error CommitmentExists()',
+            'error CommitmentExpired()',
+            'error CommitmentNotFound()',
+            'error CommitmentRequired()',
+            'error CommitmentTooNew()',
+            'error DelayTooLong()',
+            'error DelayTooShort()',
+            'error DomainAlreadyRegistered()',
+            'error DomainExpired()',
+            'error DomainInGracePeriod()',
+            'error DomainIsFrozen()',
+            'error DomainNotActive()',
+            'error DomainNotFound()',
+            'error DomainNotFrozen()',
+            'error EmptyIpAddress()',
+            'error FeeChangeTimelocked()',
+            'error IncorrectPayment()',
+            'error InsufficientBalance()',
+            'error InsufficientPayment()',
+            'error InvalidBatchSize()',
+            'error InvalidDuration()',
+            'error InvalidExpiration()',
+            'error InvalidLabel()',
+            'error InvalidName(string reason)',
+            'error InvalidNewOwner()',
+            'error InvalidSubdomainOwner()',
+            'error InvalidTld()',
+            'error InvalidToken()',
+            'error InvalidTreasury()',
+            'error MigrationIsClosed()',
+            'error MissingRole(bytes32 role)',
+            'error NoFeeChangePending()',
+            'error NotAuctionHouse()',
+            'error NotAuthorised()',
+            'error NotContractOwner()',
+            'error NotDomainOwner()',
+            'error NotPendingOwner()',
+            'error NotToken()',
+            'error ParentRegistered()',
+            'error ReasonRequired()',
+            'error RegistryPaused()',
+            'error SelfApproval()',
+            'error SelfTransfer()',
+            'error SubdomainNotFound()',
+            'error SubdomainRenewal()',
+            'error TldNotAllowed()',
+            'error TopLevelName()',
+            'error WithdrawalFailed()',
+            'event AuctionHouseChanged(address indexed auctionHouse)',
+            'event CommitmentMade(bytes32 indexed commitment)',
+            'event CommitmentRequiredChanged(bool required)',
+            'event DefaultResolverChanged(address indexed resolver)',
+            'event DomainDeactivated(string indexed domainName)',
+            'event DomainFrozen(string indexed domainName, bytes32 reason, address indexed arbitrator)',
+            'event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress)',
+            'event DomainRenewed(string indexed domainName, uint256 newExpirationTime)',
+            'event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner)',
+            'event DomainUnfrozen(string indexed domainName, bytes32 reason, address indexed arbitrator)',
+            'event DomainUpdated(string indexed domainName, string newIpAddress)',
+            'event FeeChangeApplied(uint256 registrationFee, address indexed priceOracle)',
+            'event FeeChangeCancelled()',
+            'event FeeChangeDelayChanged(uint256 delay)',
+            'event FeeChangeScheduled(uint256 registrationFee, address indexed priceOracle, uint256 effectiveAt)',
+            'event Initialized(uint8 version)',
+            'event ManagerChanged(string indexed domainName, address indexed manager)',
+            'event MigrationClosed()',
+            'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+            'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+            'event PauseChanged(bool paused, bytes32 reason, address indexed pauser)',
+            'event PriceOracleChanged(address indexed priceOracle)',
+            'event PrimaryNameChanged(address indexed owner, string domainName)',
+            'event RecordOperatorChanged(address indexed owner, address indexed operator, bool approved)',
+            'event RecordsCleared(string indexed domainName, uint256 newVersion)',
+            'event ReleaseSettingsChanged(uint256 gracePeriod, uint256 premiumPeriod, uint256 startPremium)',
+            'event ResolverChanged(string indexed domainName, address indexed resolver)',
+            'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+            'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+            'event SubdomainCreated(string indexed parentName, string subdomainName, address indexed owner, uint256 expirationTime)',
+            'event SubdomainRevoked(string indexed parentName, string subdomainName)',
+            'event TldChanged(string tld, bool allowed)',
+            'event TreasuryChanged(address indexed treasury)',
+            'event TrustedForwarderChanged(address indexed forwarder)',
+            'event Withdrawn(address indexed treasury, uint256 amount)',
+            'function ARBITRATOR_ROLE() view returns (bytes32)',
+            'function FEE_ADMIN_ROLE() view returns (bytes32)',
+            'function MAX_BATCH_SIZE() view returns (uint256)',
+            'function MAX_COMMITMENT_AGE() view returns (uint256)',
+            'function MAX_FEE_CHANGE_DELAY() view returns (uint256)',
+            'function MAX_LABEL_LENGTH() view returns (uint256)',
+            'function MAX_NAME_LENGTH() view returns (uint256)',
+            'function MAX_REGISTRATION_YEARS() view returns (uint256)',
+            'function MIN_COMMITMENT_AGE() view returns (uint256)',
+            'function MIN_FEE_CHANGE_DELAY() view returns (uint256)',
+            'function PAUSER_ROLE() view returns (bytes32)',
+            'function REGISTRATION_PERIOD() view returns (uint256)',
+            'function TREASURER_ROLE() view returns (bytes32)',
+            'function acceptOwnership()',
+            'function allowedTlds(string _tld) view returns (bool)',
+            'function applyFeeChange()',
+            'function auctionHouse() view returns (address)',
+            'function batchCheckAvailability(string[] _domainNames) view returns (bool[])',
+            'function cancelFeeChange()',
+            'function clearPrimaryName()',
+            'function clearRecords(string _domainName)',
+            'function closeMigration()',
+            'function commit(bytes32 _commitment)',
+            'function commitmentRequired() view returns (bool)',
+            'function commitments(bytes32) view returns (uint256)',
+            'function contractOwner() view returns (address)',
+            'function createSubdomain(string _parentName, string _label, address _owner, uint256 _expirationTime)',
+            'function deactivateDomain(string _domainName)',
+            'function defaultResolver() view returns (address)',
+            'function domains(string _domainName) view returns (address owner, string ipAddress, uint256 expirationTime, bool isActive, address resolver, address manager)',
+            'function feeChangeDelay() view returns (uint256)',
+            'function freezeDomain(string _domainName, bytes32 _reason)',
+            'function freezeReasons(string _domainName) view returns (bytes32)',
+            'function getDomainInfo(string _domainName) view returns (address owner, string ipAddress, uint256 expirationTime, bool isActive, uint8 phase)',
+            'function getDomainPhase(string _domainName) view returns (uint8)',
+            'function getDomainsByOwner(address _owner) view returns (string[])',
+            'function getPremium(string _domainName) view returns (uint256)',
+            'function getPrice(string _domainName, uint256 _years) view returns (uint256)',
+            'function getPrimaryName(address _owner) view returns (string)',
+            'function getResolver(string _domainName) view returns (address)',
+            'function getSubdomains(string _domainName) view returns (string[])',
+            'function getTimeUntilExpiration(string _domainName) view returns (uint256)',
+            'function gracePeriod() view returns (uint256)',
+            'function grantRole(bytes32 _role, address _account)',
+            'function hasRole(bytes32, address) view returns (bool)',
+            'function importDomains(string[] _domainNames, address[] _owners, string[] _ipAddresses, uint256[] _expirationTimes)',
+            'function initialize(address _token, address _priceOracle)',
+            'function isAuthorised(string _domainName, address _account) view returns (bool)',
+            'function isDomainAvailable(string _domainName) view returns (bool)',
+            'function makeBatchCommitment(string[] _domainNames, address _owner, bytes32 _secret) pure returns (bytes32)',
+            'function makeCommitment(string _domainName, address _owner, bytes32 _secret) pure returns (bytes32)',
+            'function migrationOpen() view returns (bool)',
+            'function nameHash(string _domainName) pure returns (bytes32)',
+            'function onTokenTransfer(string _domainName, address _from, address _to)',
+            'function ownerDomainCount(address _owner) view returns (uint256)',
+            'function ownerDomains(address _owner, uint256 _index) view returns (string)',
+            'function parentDomains(string _domainName) view returns (string)',
+            'function paused() view returns (bool)',
+            'function pendingFeeChange() view returns (uint256 registrationFee, address priceOracle, uint256 gracePeriod, uint256 premiumPeriod, uint256 startPremium, uint256 effectiveAt)',
+            'function pendingOwner() view returns (address)',
+            'function premiumPeriod() view returns (uint256)',
+            'function priceOracle() view returns (address)',
+            'function recordOperators(address, address) view returns (bool)',
+            'function recordVersions(string _domainName) view returns (uint256)',
+            'function registerDomain(string _domainName, string _ipAddress) payable',
+            'function registerDomainForYears(string _domainName, string _ipAddress, uint256 _years) payable',
+            'function registerDomains(string[] _domainNames, string[] _ipAddresses, uint256 _years) payable',
+            'function registerDomainsWithCommitment(string[] _domainNames, string[] _ipAddresses, bytes32 _secret, uint256 _years) payable',
+            'function registerFromAuction(string _domainName, string _ipAddress, address _owner) payable',
+            'function registerWithCommitment(string _domainName, string _ipAddress, bytes32 _secret, uint256 _years) payable',
+            'function registrationFee() view returns (uint256)',
+            'function renewDomain(string _domainName) payable',
+            'function renewDomainForYears(string _domainName, uint256 _years) payable',
+            'function resolveDomain(string _domainName) view returns (string)',
+            'function revokeRole(bytes32 _role, address _account)',
+            'function revokeSubdomain(string _parentName, string _label)',
+            'function setAuctionHouse(address _auctionHouse)',
+            'function setCommitmentRequired(bool _required)',
+            'function setDefaultResolver(address _resolver)',
+            'function setFeeChangeDelay(uint256 _delay)',
+            'function setManager(string _domainName, address _manager)',
+            'function setPaused(bool _paused, bytes32 _reason)',
+            'function setPriceOracle(address _priceOracle)',
+            'function setPrimaryName(string _domainName)',
+            'function setRecordOperator(address _operator, bool _approved)',
+            'function setRegistrationFee(uint256 _newFee)',
+            'function setReleaseSettings(uint256 _gracePeriod, uint256 _premiumPeriod, uint256 _startPremium)',
+            'function setResolver(string _domainName, address _resolver)',
+            'function setTldAllowed(string _tld, bool _allowed)',
+            'function setTreasury(address _treasury)',
+            'function setTrustedForwarder(address _forwarder)',
+            'function startPremium() view returns (uint256)',
+            'function token() view returns (address)',
+            'function transferDomain(string _domainName, address _newOwner)',
+            'function transferOwnership(address _newOwner)',
+            'function treasury() view returns (address)',
+            'function trustedForwarder() view returns (address)',
+            'function unfreezeDomain(string _domainName, bytes32 _reason)',
+            'function updateDomain(string _domainName, string _newIpAddress)',
+            'function withdraw(uint256 _amount)'
+        ],
+        PublicResolver: [
+            'constructor(address _registry)',
+            'event RecordAdded(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl)',
+            'event RecordDeleted(string indexed domainName, uint16 indexed recordType, uint256 index)',
+            'event RecordReplaced(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl)',
+            'function MAX_RECORDS_PER_TYPE() view returns (uint256)',
+            'function TYPE_A() view returns (uint16)',
+            'function TYPE_AAAA() view returns (uint16)',
+            'function TYPE_CNAME() view returns (uint16)',
+            'function TYPE_MX() view returns (uint16)',
+            'function TYPE_NS() view returns (uint16)',
+            'function TYPE_SRV() view returns (uint16)',
+            'function TYPE_TXT() view returns (uint16)',
+            'function addRecord(string _domainName, uint16 _recordType, string _value, uint32 _ttl)',
+            'function deleteRecord(string _domainName, uint16 _recordType, uint256 _index)',
+            'function getRecords(string _domainName, uint16 _recordType) view returns (tuple(string value, uint32 ttl)[])',
+            'function registry() view returns (address)',
+            'function replaceRecord(string _domainName, uint16 _recordType, uint256 _index, string _value, uint32 _ttl)',
+            'function resolveAddress(string _domainName) view returns (string)'
+        ],
+        LedgerNetToken: [
+            'constructor(address _registry)',
+            'event Approval(address indexed owner, address indexed approved, uint256 indexed tokenId)',
+            'event ApprovalForAll(address indexed owner, address indexed operator, bool approved)',
+            'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+            'function approve(address to, uint256 tokenId)',
+            'function balanceOf(address owner) view returns (uint256)',
+            'function burn(string _domainName)',
+            'function domainNames(uint256) view returns (string)',
+            'function getApproved(uint256 tokenId) view returns (address)',
+            'function isApprovedForAll(address owner, address operator) view returns (bool)',
+            'function mint(address _to, string _domainName)',
+            'function name() view returns (string)',
+            'function ownerOf(uint256 _tokenId) view returns (address)',
+            'function registry() view returns (address)',
+            'function registryTransfer(address _from, address _to, string _domainName)',
+            'function safeTransferFrom(address from, address to, uint256 tokenId)',
+            'function safeTransferFrom(address from, address to, uint256 tokenId, bytes data)',
+            'function setApprovalForAll(address operator, bool approved)',
+            'function supportsInterface(bytes4 interfaceId) view returns (bool)',
+            'function symbol() view returns (string)',
+            'function tokenIdOf(string _domainName) pure returns (uint256)',
+            'function tokenURI(uint256 _tokenId) view returns (string)',
+            'function transferCounts(uint256) view returns (uint256)',
+            'function transferFrom(address from, address to, uint256 tokenId)'
+        ],
+        LedgerNetMarketplace: [
+            'constructor(address _token)',
+            'error DomainNotListed()',
+            'error FeeTooHigh()',
+            'error IncorrectPayment()',
+            'error InvalidExpiration()',
+            'error InvalidOffer()',
+            'error InvalidPrice()',
+            'error InvalidTreasury()',
+            'error ListingNotActive()',
+            'error MarketplaceNotApproved()',
+            'error MissingRole(bytes32 role)',
+            'error NotContractOwner()',
+            'error NotDomainOwner()',
+            'error NotPendingOwner()',
+            'error NotSeller()',
+            'error OfferChanged()',
+            'error OfferExpired()',
+            'error OfferNotFound()',
+            'error PaymentFailed()',
+            'error RefundFailed()',
+            'error SelfOffer()',
+            'error SelfPurchase()',
+            'error WithdrawalFailed()',
+            'event DomainListed(string indexed domainName, address indexed seller, uint256 price, uint256 expiresAt)',
+            'event DomainSold(string indexed domainName, address indexed seller, address indexed buyer, uint256 price, uint256 fee)',
+            'event FeeChanged(uint256 feeBasisPoints)',
+            'event FeesWithdrawn(address indexed recipient, uint256 amount)',
+            'event ListingCancelled(string indexed domainName, address indexed seller)',
+            'event OfferMade(string indexed domainName, address indexed buyer, uint256 amount, uint256 expiresAt)',
+            'event OfferWithdrawn(string indexed domainName, address indexed buyer, uint256 amount)',
+            'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+            'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+            'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+            'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+            'event TreasuryChanged(address indexed treasury)',
+            'function FEE_ADMIN_ROLE() view returns (bytes32)',
+            'function MAX_FEE_BASIS_POINTS() view returns (uint256)',
+            'function TREASURER_ROLE() view returns (bytes32)',
+            'function acceptOffer(string _domainName, address _buyer, uint256 _amount)',
+            'function acceptOwnership()',
+            'function accruedFees() view returns (uint256)',
+            'function buyDomain(string _domainName) payable',
+            'function cancelListing(string _domainName)',
+            'function contractOwner() view returns (address)',
+            'function feeBasisPoints() view returns (uint256)',
+            'function getActiveListings() view returns (string[] names, address[] sellers, uint256[] prices, uint256[] expiries)',
+            'function getOffers(string _domainName) view returns (address[] buyers, uint256[] amounts, uint256[] expiries)',
+            'function grantRole(bytes32 _role, address _account)',
+            'function hasRole(bytes32, address) view returns (bool)',
+            'function isListingActive(string _domainName) view returns (bool)',
+            'function listDomain(string _domainName, uint256 _price, uint256 _expiresAt)',
+            'function listings(string) view returns (address seller, uint256 price, uint256 expiresAt, uint256 transferCount)',
+            'function makeOffer(string _domainName, uint256 _expiresAt) payable',
+            'function offers(string, address) view returns (uint256 amount, uint256 expiresAt)',
+            'function pendingOwner() view returns (address)',
+            'function registry() view returns (address)',
+            'function revokeRole(bytes32 _role, address _account)',
+            'function setFee(uint256 _feeBasisPoints)',
+            'function setTreasury(address _treasury)',
+            'function token() view returns (address)',
+            'function transferOwnership(address _newOwner)',
+            'function treasury() view returns (address)',
+            'function withdrawFees()',
+            'function withdrawOffer(string _domainName)'
+        ],
+        LedgerNetAuctionHouse: [
+            'constructor(address _registry)',
+            'error AuctionNotEnded()',
+            'error AuctionNotFinalized()',
+            'error BidAlreadyPlaced()',
+            'error BidMismatch()',
+            'error BidNotFound()',
+            'error BiddingEnded()',
+            'error DomainNotAvailable()',
+            'error EmptyIpAddress()',
+            'error InvalidDeposit()',
+            'error InvalidLength()',
+            'error MissingRole(bytes32 role)',
+            'error NotAuctionOnly()',
+            'error NotContractOwner()',
+            'error NotPendingOwner()',
+            'error NotRevealPhase()',
+            'error RefundFailed()',
+            'error RevealNotOver()',
+            'event AuctionFinalized(uint256 indexed auctionId, address indexed winner, uint256 price)',
+            'event AuctionOnlyLengthChanged(uint256 length, bool auctionOnly)',
+            'event AuctionOnlyNameChanged(string domainName, bool auctionOnly)',
+            'event AuctionStarted(uint256 indexed auctionId, string domainName, uint256 reservePrice, uint256 commitEnd, uint256 revealEnd)',
+            'event BidCommitted(uint256 indexed auctionId, address indexed bidder, uint256 deposit)',
+            'event BidRefunded(uint256 indexed auctionId, address indexed bidder, uint256 amount)',
+            'event BidRevealed(uint256 indexed auctionId, address indexed bidder, uint256 value, bool valid)',
+            'event OwnershipTransferStarted(address indexed previousOwner, address indexed newOwner)',
+            'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+            'event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)',
+            'event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)',
+            'function BIDDING_PERIOD() view returns (uint256)',
+            'function FEE_ADMIN_ROLE() view returns (bytes32)',
+            'function REVEAL_PERIOD() view returns (uint256)',
+            'function acceptOwnership()',
+            'function auctionCount() view returns (uint256)',
+            'function auctionIds(string) view returns (uint256)',
+            'function auctionOnlyLengths(uint256) view returns (bool)',
+            'function auctionOnlyNames(string) view returns (bool)',
+            'function auctions(uint256) view returns (string domainName, uint256 reservePrice, uint256 commitEnd, uint256 revealEnd, address winner, uint256 highestBid, uint256 secondBid, string ipAddress, bool finalized)',
+            'function bids(uint256, address) view returns (bytes32 sealedBid, uint256 deposit, bool revealed)',
+            'function commitBid(string _domainName, bytes32 _sealedBid) payable',
+            'function contractOwner() view returns (address)',
+            'function finalizeAuction(string _domainName)',
+            'function getAuction(string _domainName) view returns (uint256 auctionId, uint8 phase, uint256 reservePrice, uint256 commitEnd, uint256 revealEnd, address winner, uint256 highestBid, uint256 price)',
+            'function getAuctionPhase(string _domainName) view returns (uint8)',
+            'function grantRole(bytes32 _role, address _account)',
+            'function hasRole(bytes32, address) view returns (bool)',
+            'function isAuctionOnly(string _domainName) view returns (bool)',
+            'function makeSealedBid(string _domainName, address _bidder, uint256 _value, bytes32 _secret) pure returns (bytes32)',
+            'function pendingOwner() view returns (address)',
+            'function registry() view returns (address)',
+            'function revealBid(string _domainName, uint256 _value, bytes32 _secret, string _ipAddress)',
+            'function revokeRole(bytes32 _role, address _account)',
+            'function setAuctionOnlyLength(uint256 _length, bool _auctionOnly)',
+            'function setAuctionOnlyName(string _domainName, bool _auctionOnly)',
+            'function transferOwnership(address _newOwner)',
+            'function withdrawBid(uint256 _auctionId)'
+        ],
+        LedgerNetForwarder: [
+            'constructor(address _registry)',
+            'error InvalidNonce()',
+            'error InvalidShortString()',
+            'error InvalidSignature()',
+            'error RequestExpired()',
+            'error StringTooLong(string str)',
+            'event EIP712DomainChanged()',
+            'event RequestRelayed(address indexed signer, uint256 nonce, address indexed relayer)',
+            'function RENEW_REQUEST_TYPEHASH() view returns (bytes32)',
+            'function TRANSFER_REQUEST_TYPEHASH() view returns (bytes32)',
+            'function UPDATE_REQUEST_TYPEHASH() view returns (bytes32)',
+            'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+            'function nonces(address) view returns (uint256)',
+            'function registry() view returns (address)',
+            'function renewDomain(tuple(address signer, string domainName, uint256 durationYears, uint256 nonce, uint256 deadline) _request, bytes _signature) payable',
+            'function transferDomain(tuple(address signer, string domainName, address newOwner, uint256 nonce, uint256 deadline) _request, bytes _signature)',
+            'function updateDomain(tuple(address signer, string domainName, string ipAddress, uint256 nonce, uint256 deadline) _request, bytes _signature)'
+        ]
+    };
+    
+    if (typeof window !== 'undefined') {
+        window.LedgerNetABI = LedgerNetABI;
+    }
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LedgerNetABI;
+    }
+})();
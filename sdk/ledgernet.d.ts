@@ -0,0 +1,319 @@
+// LedgerNet SDK type declarations
+// Generated by scripts/generate-sdk-abi.js from the Hardhat artifacts; do not edit
+
+import type {
+    BigNumber,
+    BigNumberish,
+    BytesLike,
+    CallOverrides,
+    Contract,
+    ContractTransaction,
+    Overrides,
+    PayableOverrides,
+    Signer,
+    TypedDataDomain,
+    TypedDataField,
+    providers,
+    utils
+} from 'ethers';
+
+export declare const ABI: { LedgerNet: string[]; PublicResolver: string[]; LedgerNetToken: string[]; LedgerNetMarketplace: string[]; LedgerNetAuctionHouse: string[]; LedgerNetForwarder: string[] };
+export declare const PHASES: ['Available', 'Active', 'Grace', 'Premium'];
+export declare const RECORD_TYPES: { A: 1; NS: 2; CNAME: 5; MX: 15; TXT: 16; AAAA: 28; SRV: 33 };
+export declare const REASON_CODES: Record<string, string>;
+export declare const ERROR_MESSAGES: Record<string, string>;
+export declare const REQUEST_TYPES: Record<RequestType, TypedDataField[]>;
+
+export type RequestType = 'UpdateRequest' | 'TransferRequest' | 'RenewRequest';
+
+// A request signed for the forwarder, as sent to a relayer
+export interface SignedRequest {
+    type: RequestType;
+    request: Record<string, string>;
+    signature: string;
+}
+
+export declare function validateName(name: string): string;
+export declare function normalizeName(input: string): string;
+export declare function tldOf(name: string): string;
+export declare function validateIPAddress(ip: string): string;
+export declare function encodeReason(code: string): string;
+export declare function describeReason(reason: BytesLike): string | null;
+export declare function getErrorMessage(error: unknown, contractInterface?: utils.Interface): string;
+
+export interface LedgerNetEvent {
+    event: string;
+    args: Record<string, any>;
+    blockNumber: number;
+    blockHash: string;
+    transactionHash: string;
+    logIndex: number;
+}
+
+declare class ContractClient<EventName extends string> {
+    readonly address: string;
+    readonly contract: Contract;
+    readonly interface: utils.Interface;
+    on(eventName: EventName, listener: (event: LedgerNetEvent) => void, filterArgs?: any[]): () => void;
+    queryEvents(eventName: EventName, filterArgs?: any[], fromBlock?: number | string, toBlock?: number | string): Promise<LedgerNetEvent[]>;
+    getErrorMessage(error: unknown): string;
+}
+
+export type LedgerNetEventName = 'AuctionHouseChanged' | 'CommitmentMade' | 'CommitmentRequiredChanged' | 'DefaultResolverChanged' | 'DomainDeactivated' | 'DomainFrozen' | 'DomainRegistered' | 'DomainRenewed' | 'DomainTransferred' | 'DomainUnfrozen' | 'DomainUpdated' | 'FeeChangeApplied' | 'FeeChangeCancelled' | 'FeeChangeDelayChanged' | 'FeeChangeScheduled' | 'Initialized' | 'ManagerChanged' | 'MigrationClosed' | 'OwnershipTransferStarted' | 'OwnershipTransferred' | 'PauseChanged' | 'PriceOracleChanged' | 'PrimaryNameChanged' | 'RecordOperatorChanged' | 'RecordsCleared' | 'ReleaseSettingsChanged' | 'ResolverChanged' | 'RoleGranted' | 'RoleRevoked' | 'SubdomainCreated' | 'SubdomainRevoked' | 'TldChanged' | 'TreasuryChanged' | 'TrustedForwarderChanged' | 'Withdrawn';
+
+export declare class LedgerNetClient extends ContractClient<LedgerNetEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): LedgerNetClient;
+    resolver(domainName: string): Promise<ResolverClient | null>;
+    trustedForwarders(): Promise<Set<string>>;
+    transactionActor(transactionHash: string, forwarders?: Set<string>): Promise<string>;
+
+    // LedgerNet functions
+    ARBITRATOR_ROLE(overrides?: CallOverrides): Promise<string>;
+    FEE_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>;
+    MAX_BATCH_SIZE(overrides?: CallOverrides): Promise<BigNumber>;
+    MAX_COMMITMENT_AGE(overrides?: CallOverrides): Promise<BigNumber>;
+    MAX_FEE_CHANGE_DELAY(overrides?: CallOverrides): Promise<BigNumber>;
+    MAX_LABEL_LENGTH(overrides?: CallOverrides): Promise<BigNumber>;
+    MAX_NAME_LENGTH(overrides?: CallOverrides): Promise<BigNumber>;
+    MAX_REGISTRATION_YEARS(overrides?: CallOverrides): Promise<BigNumber>;
+    MIN_COMMITMENT_AGE(overrides?: CallOverrides): Promise<BigNumber>;
+    MIN_FEE_CHANGE_DELAY(overrides?: CallOverrides): Promise<BigNumber>;
+    PAUSER_ROLE(overrides?: CallOverrides): Promise<string>;
+    REGISTRATION_PERIOD(overrides?: CallOverrides): Promise<BigNumber>;
+    TREASURER_ROLE(overrides?: CallOverrides): Promise<string>;
+    acceptOwnership(overrides?: Overrides): Promise<ContractTransaction>;
+    allowedTlds(tld: string, overrides?: CallOverrides): Promise<boolean>;
+    applyFeeChange(overrides?: Overrides): Promise<ContractTransaction>;
+    auctionHouse(overrides?: CallOverrides): Promise<string>;
+    batchCheckAvailability(domainNames: string[], overrides?: CallOverrides): Promise<boolean[]>;
+    cancelFeeChange(overrides?: Overrides): Promise<ContractTransaction>;
+    clearPrimaryName(overrides?: Overrides): Promise<ContractTransaction>;
+    clearRecords(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    closeMigration(overrides?: Overrides): Promise<ContractTransaction>;
+    commit(commitment: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    commitmentRequired(overrides?: CallOverrides): Promise<boolean>;
+    commitments(arg0: BytesLike, overrides?: CallOverrides): Promise<BigNumber>;
+    contractOwner(overrides?: CallOverrides): Promise<string>;
+    createSubdomain(parentName: string, label: string, owner: string, expirationTime: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    deactivateDomain(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    defaultResolver(overrides?: CallOverrides): Promise<string>;
+    domains(domainName: string, overrides?: CallOverrides): Promise<[string, string, BigNumber, boolean, string, string] & { owner: string; ipAddress: string; expirationTime: BigNumber; isActive: boolean; resolver: string; manager: string }>;
+    feeChangeDelay(overrides?: CallOverrides): Promise<BigNumber>;
+    freezeDomain(domainName: string, reason: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    freezeReasons(domainName: string, overrides?: CallOverrides): Promise<string>;
+    getDomainInfo(domainName: string, overrides?: CallOverrides): Promise<[string, string, BigNumber, boolean, number] & { owner: string; ipAddress: string; expirationTime: BigNumber; isActive: boolean; phase: number }>;
+    getDomainPhase(domainName: string, overrides?: CallOverrides): Promise<number>;
+    getDomainsByOwner(owner: string, overrides?: CallOverrides): Promise<string[]>;
+    getPremium(domainName: string, overrides?: CallOverrides): Promise<BigNumber>;
+    getPrice(domainName: string, years: BigNumberish, overrides?: CallOverrides): Promise<BigNumber>;
+    getPrimaryName(owner: string, overrides?: CallOverrides): Promise<string>;
+    getResolver(domainName: string, overrides?: CallOverrides): Promise<string>;
+    getSubdomains(domainName: string, overrides?: CallOverrides): Promise<string[]>;
+    getTimeUntilExpiration(domainName: string, overrides?: CallOverrides): Promise<BigNumber>;
+    gracePeriod(overrides?: CallOverrides): Promise<BigNumber>;
+    grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    hasRole(arg0: BytesLike, arg1: string, overrides?: CallOverrides): Promise<boolean>;
+    importDomains(domainNames: string[], owners: string[], ipAddresses: string[], expirationTimes: BigNumberish[], overrides?: Overrides): Promise<ContractTransaction>;
+    initialize(token: string, priceOracle: string, overrides?: Overrides): Promise<ContractTransaction>;
+    isAuthorised(domainName: string, account: string, overrides?: CallOverrides): Promise<boolean>;
+    isDomainAvailable(domainName: string, overrides?: CallOverrides): Promise<boolean>;
+    makeBatchCommitment(domainNames: string[], owner: string, secret: BytesLike, overrides?: CallOverrides): Promise<string>;
+    makeCommitment(domainName: string, owner: string, secret: BytesLike, overrides?: CallOverrides): Promise<string>;
+    migrationOpen(overrides?: CallOverrides): Promise<boolean>;
+    nameHash(domainName: string, overrides?: CallOverrides): Promise<string>;
+    onTokenTransfer(domainName: string, from: string, to: string, overrides?: Overrides): Promise<ContractTransaction>;
+    ownerDomainCount(owner: string, overrides?: CallOverrides): Promise<BigNumber>;
+    ownerDomains(owner: string, index: BigNumberish, overrides?: CallOverrides): Promise<string>;
+    parentDomains(domainName: string, overrides?: CallOverrides): Promise<string>;
+    paused(overrides?: CallOverrides): Promise<boolean>;
+    pendingFeeChange(overrides?: CallOverrides): Promise<[BigNumber, string, BigNumber, BigNumber, BigNumber, BigNumber] & { registrationFee: BigNumber; priceOracle: string; gracePeriod: BigNumber; premiumPeriod: BigNumber; startPremium: BigNumber; effectiveAt: BigNumber }>;
+    pendingOwner(overrides?: CallOverrides): Promise<string>;
+    premiumPeriod(overrides?: CallOverrides): Promise<BigNumber>;
+    priceOracle(overrides?: CallOverrides): Promise<string>;
+    recordOperators(arg0: string, arg1: string, overrides?: CallOverrides): Promise<boolean>;
+    recordVersions(domainName: string, overrides?: CallOverrides): Promise<BigNumber>;
+    registerDomain(domainName: string, ipAddress: string, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registerDomainForYears(domainName: string, ipAddress: string, years: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registerDomains(domainNames: string[], ipAddresses: string[], years: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registerDomainsWithCommitment(domainNames: string[], ipAddresses: string[], secret: BytesLike, years: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registerFromAuction(domainName: string, ipAddress: string, owner: string, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registerWithCommitment(domainName: string, ipAddress: string, secret: BytesLike, years: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    registrationFee(overrides?: CallOverrides): Promise<BigNumber>;
+    renewDomain(domainName: string, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    renewDomainForYears(domainName: string, years: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    resolveDomain(domainName: string, overrides?: CallOverrides): Promise<string>;
+    revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    revokeSubdomain(parentName: string, label: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setAuctionHouse(auctionHouse: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setCommitmentRequired(required: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    setDefaultResolver(resolver: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setFeeChangeDelay(delay: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    setManager(domainName: string, manager: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setPaused(paused: boolean, reason: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    setPriceOracle(priceOracle: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setPrimaryName(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setRecordOperator(operator: string, approved: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    setRegistrationFee(newFee: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    setReleaseSettings(gracePeriod: BigNumberish, premiumPeriod: BigNumberish, startPremium: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    setResolver(domainName: string, resolver: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setTldAllowed(tld: string, allowed: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    setTreasury(treasury: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setTrustedForwarder(forwarder: string, overrides?: Overrides): Promise<ContractTransaction>;
+    startPremium(overrides?: CallOverrides): Promise<BigNumber>;
+    token(overrides?: CallOverrides): Promise<string>;
+    transferDomain(domainName: string, newOwner: string, overrides?: Overrides): Promise<ContractTransaction>;
+    transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>;
+    treasury(overrides?: CallOverrides): Promise<string>;
+    trustedForwarder(overrides?: CallOverrides): Promise<string>;
+    unfreezeDomain(domainName: string, reason: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    updateDomain(domainName: string, newIpAddress: string, overrides?: Overrides): Promise<ContractTransaction>;
+    withdraw(amount: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+}
+export type PublicResolverEventName = 'RecordAdded' | 'RecordDeleted' | 'RecordReplaced';
+
+export declare class ResolverClient extends ContractClient<PublicResolverEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): ResolverClient;
+
+    // PublicResolver functions
+    MAX_RECORDS_PER_TYPE(overrides?: CallOverrides): Promise<BigNumber>;
+    TYPE_A(overrides?: CallOverrides): Promise<number>;
+    TYPE_AAAA(overrides?: CallOverrides): Promise<number>;
+    TYPE_CNAME(overrides?: CallOverrides): Promise<number>;
+    TYPE_MX(overrides?: CallOverrides): Promise<number>;
+    TYPE_NS(overrides?: CallOverrides): Promise<number>;
+    TYPE_SRV(overrides?: CallOverrides): Promise<number>;
+    TYPE_TXT(overrides?: CallOverrides): Promise<number>;
+    addRecord(domainName: string, recordType: BigNumberish, value: string, ttl: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    deleteRecord(domainName: string, recordType: BigNumberish, index: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    getRecords(domainName: string, recordType: BigNumberish, overrides?: CallOverrides): Promise<{ value: string; ttl: number }[]>;
+    registry(overrides?: CallOverrides): Promise<string>;
+    replaceRecord(domainName: string, recordType: BigNumberish, index: BigNumberish, value: string, ttl: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    resolveAddress(domainName: string, overrides?: CallOverrides): Promise<string>;
+}
+export type LedgerNetTokenEventName = 'Approval' | 'ApprovalForAll' | 'Transfer';
+
+export declare class TokenClient extends ContractClient<LedgerNetTokenEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): TokenClient;
+
+    // LedgerNetToken functions
+    approve(to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    balanceOf(owner: string, overrides?: CallOverrides): Promise<BigNumber>;
+    burn(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    domainNames(arg0: BigNumberish, overrides?: CallOverrides): Promise<string>;
+    getApproved(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>;
+    isApprovedForAll(owner: string, operator: string, overrides?: CallOverrides): Promise<boolean>;
+    mint(to: string, domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    name(overrides?: CallOverrides): Promise<string>;
+    ownerOf(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>;
+    registry(overrides?: CallOverrides): Promise<string>;
+    registryTransfer(from: string, to: string, domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    safeTransferFrom(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    safeTransferFrom(from: string, to: string, tokenId: BigNumberish, data: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    setApprovalForAll(operator: string, approved: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    supportsInterface(interfaceId: BytesLike, overrides?: CallOverrides): Promise<boolean>;
+    symbol(overrides?: CallOverrides): Promise<string>;
+    tokenIdOf(domainName: string, overrides?: CallOverrides): Promise<BigNumber>;
+    tokenURI(tokenId: BigNumberish, overrides?: CallOverrides): Promise<string>;
+    transferCounts(arg0: BigNumberish, overrides?: CallOverrides): Promise<BigNumber>;
+    transferFrom(from: string, to: string, tokenId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+}
+export type LedgerNetMarketplaceEventName = 'DomainListed' | 'DomainSold' | 'FeeChanged' | 'FeesWithdrawn' | 'ListingCancelled' | 'OfferMade' | 'OfferWithdrawn' | 'OwnershipTransferStarted' | 'OwnershipTransferred' | 'RoleGranted' | 'RoleRevoked' | 'TreasuryChanged';
+
+export declare class MarketplaceClient extends ContractClient<LedgerNetMarketplaceEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): MarketplaceClient;
+
+    // LedgerNetMarketplace functions
+    FEE_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>;
+    MAX_FEE_BASIS_POINTS(overrides?: CallOverrides): Promise<BigNumber>;
+    TREASURER_ROLE(overrides?: CallOverrides): Promise<string>;
+    acceptOffer(domainName: string, buyer: string, amount: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    acceptOwnership(overrides?: Overrides): Promise<ContractTransaction>;
+    accruedFees(overrides?: CallOverrides): Promise<BigNumber>;
+    buyDomain(domainName: string, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    cancelListing(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    contractOwner(overrides?: CallOverrides): Promise<string>;
+    feeBasisPoints(overrides?: CallOverrides): Promise<BigNumber>;
+    getActiveListings(overrides?: CallOverrides): Promise<[string[], string[], BigNumber[], BigNumber[]] & { names: string[]; sellers: string[]; prices: BigNumber[]; expiries: BigNumber[] }>;
+    getOffers(domainName: string, overrides?: CallOverrides): Promise<[string[], BigNumber[], BigNumber[]] & { buyers: string[]; amounts: BigNumber[]; expiries: BigNumber[] }>;
+    grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    hasRole(arg0: BytesLike, arg1: string, overrides?: CallOverrides): Promise<boolean>;
+    isListingActive(domainName: string, overrides?: CallOverrides): Promise<boolean>;
+    listDomain(domainName: string, price: BigNumberish, expiresAt: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    listings(arg0: string, overrides?: CallOverrides): Promise<[string, BigNumber, BigNumber, BigNumber] & { seller: string; price: BigNumber; expiresAt: BigNumber; transferCount: BigNumber }>;
+    makeOffer(domainName: string, expiresAt: BigNumberish, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    offers(arg0: string, arg1: string, overrides?: CallOverrides): Promise<[BigNumber, BigNumber] & { amount: BigNumber; expiresAt: BigNumber }>;
+    pendingOwner(overrides?: CallOverrides): Promise<string>;
+    registry(overrides?: CallOverrides): Promise<string>;
+    revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setFee(feeBasisPoints: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+    setTreasury(treasury: string, overrides?: Overrides): Promise<ContractTransaction>;
+    token(overrides?: CallOverrides): Promise<string>;
+    transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>;
+    treasury(overrides?: CallOverrides): Promise<string>;
+    withdrawFees(overrides?: Overrides): Promise<ContractTransaction>;
+    withdrawOffer(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+}
+export type LedgerNetAuctionHouseEventName = 'AuctionFinalized' | 'AuctionOnlyLengthChanged' | 'AuctionOnlyNameChanged' | 'AuctionStarted' | 'BidCommitted' | 'BidRefunded' | 'BidRevealed' | 'OwnershipTransferStarted' | 'OwnershipTransferred' | 'RoleGranted' | 'RoleRevoked';
+
+export declare class AuctionClient extends ContractClient<LedgerNetAuctionHouseEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): AuctionClient;
+
+    // LedgerNetAuctionHouse functions
+    BIDDING_PERIOD(overrides?: CallOverrides): Promise<BigNumber>;
+    FEE_ADMIN_ROLE(overrides?: CallOverrides): Promise<string>;
+    REVEAL_PERIOD(overrides?: CallOverrides): Promise<BigNumber>;
+    acceptOwnership(overrides?: Overrides): Promise<ContractTransaction>;
+    auctionCount(overrides?: CallOverrides): Promise<BigNumber>;
+    auctionIds(arg0: string, overrides?: CallOverrides): Promise<BigNumber>;
+    auctionOnlyLengths(arg0: BigNumberish, overrides?: CallOverrides): Promise<boolean>;
+    auctionOnlyNames(arg0: string, overrides?: CallOverrides): Promise<boolean>;
+    auctions(arg0: BigNumberish, overrides?: CallOverrides): Promise<[string, BigNumber, BigNumber, BigNumber, string, BigNumber, BigNumber, string, boolean] & { domainName: string; reservePrice: BigNumber; commitEnd: BigNumber; revealEnd: BigNumber; winner: string; highestBid: BigNumber; secondBid: BigNumber; ipAddress: string; finalized: boolean }>;
+    bids(arg0: BigNumberish, arg1: string, overrides?: CallOverrides): Promise<[string, BigNumber, boolean] & { sealedBid: string; deposit: BigNumber; revealed: boolean }>;
+    commitBid(domainName: string, sealedBid: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    contractOwner(overrides?: CallOverrides): Promise<string>;
+    finalizeAuction(domainName: string, overrides?: Overrides): Promise<ContractTransaction>;
+    getAuction(domainName: string, overrides?: CallOverrides): Promise<[BigNumber, number, BigNumber, BigNumber, BigNumber, string, BigNumber, BigNumber] & { auctionId: BigNumber; phase: number; reservePrice: BigNumber; commitEnd: BigNumber; revealEnd: BigNumber; winner: string; highestBid: BigNumber; price: BigNumber }>;
+    getAuctionPhase(domainName: string, overrides?: CallOverrides): Promise<number>;
+    grantRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    hasRole(arg0: BytesLike, arg1: string, overrides?: CallOverrides): Promise<boolean>;
+    isAuctionOnly(domainName: string, overrides?: CallOverrides): Promise<boolean>;
+    makeSealedBid(domainName: string, bidder: string, value: BigNumberish, secret: BytesLike, overrides?: CallOverrides): Promise<string>;
+    pendingOwner(overrides?: CallOverrides): Promise<string>;
+    registry(overrides?: CallOverrides): Promise<string>;
+    revealBid(domainName: string, value: BigNumberish, secret: BytesLike, ipAddress: string, overrides?: Overrides): Promise<ContractTransaction>;
+    revokeRole(role: BytesLike, account: string, overrides?: Overrides): Promise<ContractTransaction>;
+    setAuctionOnlyLength(length: BigNumberish, auctionOnly: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    setAuctionOnlyName(domainName: string, auctionOnly: boolean, overrides?: Overrides): Promise<ContractTransaction>;
+    transferOwnership(newOwner: string, overrides?: Overrides): Promise<ContractTransaction>;
+    withdrawBid(auctionId: BigNumberish, overrides?: Overrides): Promise<ContractTransaction>;
+}
+export type LedgerNetForwarderEventName = 'EIP712DomainChanged' | 'RequestRelayed';
+
+export declare class ForwarderClient extends ContractClient<LedgerNetForwarderEventName> {
+    constructor(options: { address: string; signerOrProvider: Signer | providers.Provider });
+    connect(signerOrProvider: Signer | providers.Provider): ForwarderClient;
+    typedDataDomain(): Promise<TypedDataDomain>;
+    signRequest(type: RequestType, fields: Record<string, any>, options?: { deadline?: number }): Promise<SignedRequest>;
+    signUpdate(domainName: string, ipAddress: string, options?: { deadline?: number }): Promise<SignedRequest>;
+    signTransfer(domainName: string, newOwner: string, options?: { deadline?: number }): Promise<SignedRequest>;
+    signRenewal(domainName: string, durationYears: BigNumberish, options?: { deadline?: number }): Promise<SignedRequest>;
+    recoverSigner(signed: SignedRequest): Promise<string>;
+    relay(signed: SignedRequest, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    simulate(signed: SignedRequest, overrides?: PayableOverrides): Promise<void>;
+
+    // LedgerNetForwarder functions
+    RENEW_REQUEST_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+    TRANSFER_REQUEST_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+    UPDATE_REQUEST_TYPEHASH(overrides?: CallOverrides): Promise<string>;
+    eip712Domain(overrides?: CallOverrides): Promise<[string, string, string, BigNumber, string, string, BigNumber[]] & { fields: string; name: string; version: string; chainId: BigNumber; verifyingContract: string; salt: string; extensions: BigNumber[] }>;
+    nonces(arg0: string, overrides?: CallOverrides): Promise<BigNumber>;
+    registry(overrides?: CallOverrides): Promise<string>;
+    renewDomain(request: { signer: string; domainName: string; durationYears: BigNumberish; nonce: BigNumberish; deadline: BigNumberish }, signature: BytesLike, overrides?: PayableOverrides): Promise<ContractTransaction>;
+    transferDomain(request: { signer: string; domainName: string; newOwner: string; nonce: BigNumberish; deadline: BigNumberish }, signature: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+    updateDomain(request: { signer: string; domainName: string; ipAddress: string; nonce: BigNumberish; deadline: BigNumberish }, signature: BytesLike, overrides?: Overrides): Promise<ContractTransaction>;
+}
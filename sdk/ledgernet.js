@@ -0,0 +1,532 @@
+// LedgerNet SDK
+// Contract clients for Node and browsers: every registry, resolver, token, marketplace, auction
+// and forwarder function, signed requests for relayers, event subscriptions, name and IP address
+// validation, and readable error messages
+
+(function () {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    
+    // In browsers, ethers and the other SDK files are loaded by script tags first
+    const { ethers } = isNode ? require('ethers') : window;
+    const LedgerNetNames = isNode ? require('./normalize.js') : window.LedgerNetNames;
+    const ABI = isNode ? require('./abi.js') : window.LedgerNetABI;
+    
+    // Lifecycle phases, indexed by the contract's DomainPhase values
+    const PHASES = ['Available', 'Active', 'Grace', 'Premium'];
+    
+    // DNS record types supported by resolvers (IANA type codes)
+    const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28, SRV: 33 };
+    
+    // Reason codes recorded with pauses and domain freezes, and how they are described
+    const REASON_CODES = {
+        SECURITY_INCIDENT: 'Security incident',
+        KEY_COMPROMISE: 'Key compromise',
+        MAINTENANCE: 'Maintenance',
+        TRADEMARK: 'Trademark dispute',
+        ABUSE: 'Abuse report',
+        COURT_ORDER: 'Court order',
+        RESOLVED: 'Resolved'
+    };
+    
+    // EIP-712 types of the signed requests the forwarder relays, by primary type
+    const REQUEST_TYPES = {
+        UpdateRequest: [
+            { name: 'signer', type: 'address' },
+            { name: 'domainName', type: 'string' },
+            { name: 'ipAddress', type: 'string' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ],
+        TransferRequest: [
+            { name: 'signer', type: 'address' },
+            { name: 'domainName', type: 'string' },
+            { name: 'newOwner', type: 'address' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ],
+        RenewRequest: [
+            { name: 'signer', type: 'address' },
+            { name: 'domainName', type: 'string' },
+            { name: 'durationYears', type: 'uint256' },
+            { name: 'nonce', type: 'uint256' },
+            { name: 'deadline', type: 'uint256' }
+        ]
+    };
+    
+    // Forwarder function relaying each request type
+    const REQUEST_METHODS = { UpdateRequest: 'updateDomain', TransferRequest: 'transferDomain', RenewRequest: 'renewDomain' };
+    
+    // How long a signed request can be relayed for when no deadline is given (1 hour)
+    const DEFAULT_REQUEST_LIFETIME = 60 * 60;
+    
+    // Arguments checked before a call is sent, by parameter name in the ABI
+    const NAME_PARAMS = ['_domainName', '_parentName', '_domainNames', 'domainName', 'parentName'];
+    const IP_PARAMS = ['_ipAddress', '_newIpAddress', '_ipAddresses'];
+    
+    // Selectors of the revert data Solidity produces for require() and assert() failures
+    const ERROR_STRING_SELECTOR = '0x08c379a0';
+    const PANIC_SELECTOR = '0x4e487b71';
+    
+    // Messages for the custom errors of the registry, marketplace and auction house. InvalidName
+    // carries its own reason.
+    const ERROR_MESSAGES = {
+        NotContractOwner: 'Not the contract owner',
+        NotPendingOwner: 'Not the pending owner',
+        MissingRole: 'Missing role',
+        NotDomainOwner: 'Not the domain owner',
+        NotAuthorised: 'Not authorised for this domain',
+        NotAuctionHouse: 'Not the auction house',
+        NotToken: 'Not the token contract',
+        RegistryPaused: 'Registry is paused',
+        DomainIsFrozen: 'Domain is frozen',
+        DomainNotFrozen: 'Domain is not frozen',
+        ReasonRequired: 'Reason code required',
+        CommitmentRequired: 'Commitment required',
+        CommitmentExists: 'Commitment already exists',
+        CommitmentNotFound: 'Commitment not found',
+        CommitmentTooNew: 'Commitment is too new',
+        CommitmentExpired: 'Commitment has expired',
+        InvalidBatchSize: 'Invalid batch size',
+        BatchLengthMismatch: 'Names and IP addresses differ in length',
+        IncorrectPayment: 'Incorrect payment',
+        InsufficientPayment: 'Insufficient payment',
+        InvalidDuration: 'Invalid registration duration',
+        InvalidTld: 'Invalid top-level domain',
+        TldNotAllowed: 'Top-level domain is not allowed',
+        AuctionOnlyName: 'Name is auction-only',
+        EmptyIpAddress: 'IP address cannot be empty',
+        DomainAlreadyRegistered: 'Domain already registered and active',
+        DomainInGracePeriod: 'Domain is in its grace period',
+        DomainNotFound: 'Domain does not exist',
+        DomainNotActive: 'Domain is not active',
+        DomainExpired: 'Domain has expired',
+        ParentRegistered: 'Parent domain is registered',
+        TopLevelName: 'Top-level names cannot have subdomains',
+        InvalidLabel: 'Invalid subdomain label',
+        InvalidSubdomainOwner: 'Invalid subdomain owner',
+        InvalidExpiration: 'Expiration must be in the future',
+        SubdomainNotFound: 'Subdomain does not exist',
+        SubdomainRenewal: "Subdomains follow their parent's lifetime",
+        InvalidNewOwner: 'Invalid new owner address',
+        SelfTransfer: 'Cannot transfer to yourself',
+        SelfApproval: 'Cannot approve yourself',
+        DelayTooLong: 'Delay too long',
+        DelayTooShort: 'Delay cannot be lowered',
+        NoFeeChangePending: 'No fee change pending',
+        FeeChangeTimelocked: 'Fee change is timelocked',
+        InvalidTreasury: 'Invalid treasury',
+        InsufficientBalance: 'Insufficient balance',
+        WithdrawalFailed: 'Withdrawal failed',
+        InvalidToken: 'Token belongs to another registry',
+        MigrationIsClosed: 'Migration is closed',
+        RequestExpired: 'Signed request has expired',
+        InvalidNonce: 'Signed request was already used or replaced',
+        InvalidSignature: 'Invalid signature',
+        InvalidPrice: 'Price must be greater than zero',
+        InvalidOffer: 'Offer must be greater than zero',
+        NotSeller: 'Not the seller',
+        MarketplaceNotApproved: 'Marketplace is not approved',
+        DomainNotListed: 'Domain is not listed',
+        ListingNotActive: 'Listing is not active',
+        SelfPurchase: 'Cannot buy your own domain',
+        SelfOffer: 'Cannot bid on your own domain',
+        OfferNotFound: 'No offer from this buyer',
+        OfferChanged: 'Offer has changed',
+        OfferExpired: 'Offer has expired',
+        FeeTooHigh: 'Fee too high',
+        PaymentFailed: 'Payment failed',
+        RefundFailed: 'Refund failed',
+        InvalidLength: 'Invalid length',
+        NotAuctionOnly: 'Name is not auction-only',
+        DomainNotAvailable: 'Domain is not available',
+        BiddingEnded: 'Bidding has ended',
+        NotRevealPhase: 'Not in the reveal phase',
+        AuctionNotEnded: 'Auction has not ended',
+        AuctionNotFinalized: 'Auction not finalized',
+        RevealNotOver: 'Reveal phase not over',
+        InvalidDeposit: 'Deposit must be greater than zero',
+        BidAlreadyPlaced: 'Bid already placed',
+        BidNotFound: 'Bid not found',
+        BidMismatch: 'Bid does not match'
+    };
+    
+    // Registry errors also reach callers of the token, marketplace and auction house
+    const REGISTRY_INTERFACE = new ethers.utils.Interface(ABI.LedgerNet);
+    
+    // Get the reason an IP address is invalid, or an empty string if it is valid (IPv4 or IPv6)
+    function validateIPAddress(ip) {
+        if (!ip) return 'IP address is required';
+        
+        const ipv4Regex = /^(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)$/;
+        const ipv6Regex = /^(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}$/;
+        
+        if (!ipv4Regex.test(ip) && !ipv6Regex.test(ip)) return 'Invalid IP address format';
+        
+        return '';
+    }
+    
+    // Encode a reason code, e.g. 'TRADEMARK', as the bytes32 value the contracts take
+    function encodeReason(code) {
+        return ethers.utils.formatBytes32String(code);
+    }
+    
+    // Describe a bytes32 reason code read from a contract, or return null for the zero value (no reason)
+    function describeReason(reason) {
+        if (!reason || ethers.BigNumber.from(reason).isZero()) return null;
+        
+        try {
+            const code = ethers.utils.parseBytes32String(reason);
+            return REASON_CODES[code] || code;
+        } catch (error) {
+            return reason;
+        }
+    }
+    
+    // Find the revert data in an error from a provider, which nests it differently per wallet and node
+    function findRevertData(error) {
+        for (let current = error; current; current = current.error) {
+            if (typeof current.data === 'string' && current.data.startsWith('0x')) return current.data;
+            if (current.data && typeof current.data.data === 'string') return current.data.data;
+        }
+        
+        return null;
+    }
+    
+    // Describe a decoded custom error, falling back to its signature for errors without a message
+    function describeCustomError(error) {
+        if (error.name === 'InvalidName') return error.args[0];
+        if (ERROR_MESSAGES[error.name]) return ERROR_MESSAGES[error.name];
+        
+        return error.args.length > 0 ? `${error.name}(${error.args.join(', ')})` : error.name;
+    }
+    
+    // Decode revert data into a message, using the contract's interface for its own errors
+    // and the registry's for errors bubbling up from it
+    function decodeRevertData(data, contractInterface) {
+        if (!data || data.length < 10) return null;
+        
+        try {
+            const selector = data.slice(0, 10);
+            
+            if (selector === ERROR_STRING_SELECTOR) {
+                return ethers.utils.defaultAbiCoder.decode(['string'], '0x' + data.slice(10))[0];
+            }
+            if (selector === PANIC_SELECTOR) {
+                return `Panic 0x${ethers.utils.defaultAbiCoder.decode(['uint256'], '0x' + data.slice(10))[0].toHexString().slice(2)}`;
+            }
+        } catch (decodeError) {
+            return null;
+        }
+        
+        for (const candidate of [contractInterface, REGISTRY_INTERFACE]) {
+            if (!candidate) continue;
+            
+            try {
+                return describeCustomError(candidate.parseError(data));
+            } catch (decodeError) {
+                // Not one of this interface's errors
+            }
+        }
+        
+        return null;
+    }
+    
+    // Get a readable message for a failed call or transaction
+    function getErrorMessage(error, contractInterface) {
+        if (!error) return 'Unknown error occurred';
+        if (error.reason) return error.reason;
+        
+        const decoded = decodeRevertData(findRevertData(error), contractInterface);
+        if (decoded) return decoded;
+        
+        if (error.message) {
+            if (error.message.includes('user rejected')) {
+                return 'Transaction was rejected by user';
+            }
+            if (error.message.includes('insufficient funds')) {
+                return 'Insufficient funds for transaction';
+            }
+            return error.message;
+        }
+        
+        return 'Unknown error occurred';
+    }
+    
+    // Normalise names and check IP addresses in a call's arguments, throwing the first problem found
+    function checkArguments(fragment, args) {
+        return args.map((arg, i) => {
+            const input = fragment.inputs[i];
+            if (!input || arg === null || arg === undefined) return arg;
+            
+            if (NAME_PARAMS.includes(input.name)) {
+                return Array.isArray(arg) ? arg.map(LedgerNetNames.normalizeName) : LedgerNetNames.normalizeName(arg);
+            }
+            
+            if (IP_PARAMS.includes(input.name)) {
+                for (const ip of Array.isArray(arg) ? arg : [arg]) {
+                    const error = validateIPAddress(ip);
+                    if (error) throw new Error(error);
+                }
+            }
+            
+            return arg;
+        });
+    }
+    
+    // An event log with its arguments by name; indexed strings only carry their hash
+    function toEvent(log, fragment) {
+        const args = {};
+        
+        for (const input of fragment.inputs) {
+            const value = log.args[input.name];
+            args[input.name] = value && value._isIndexed ? value.hash : value;
+        }
+        
+        return {
+            event: log.event,
+            args,
+            blockNumber: log.blockNumber,
+            blockHash: log.blockHash,
+            transactionHash: log.transactionHash,
+            logIndex: log.logIndex
+        };
+    }
+    
+    // Base client: one method per contract function, plus events and error messages
+    class ContractClient {
+        constructor({ address, abi, signerOrProvider }) {
+            this.address = address;
+            this.signerOrProvider = signerOrProvider;
+            this.contract = new ethers.Contract(address, abi, signerOrProvider);
+            this.interface = this.contract.interface;
+            
+            // Client methods keep their name if a contract function shares it; use this.contract for those
+            const fragments = Object.values(this.interface.functions);
+            for (const fragment of fragments) {
+                if (fragment.name in this) continue;
+                
+                // Overloads are told apart by argument count, not counting a trailing overrides object
+                const overloads = fragments.filter(f => f.name === fragment.name);
+                this[fragment.name] = (...args) => {
+                    const last = args[args.length - 1];
+                    const hasOverrides = last !== null && typeof last === 'object' && !Array.isArray(last) && !ethers.BigNumber.isBigNumber(last);
+                    const count = hasOverrides ? args.length - 1 : args.length;
+                    const match = overloads.find(f => f.inputs.length === count) || fragment;
+                    
+                    return this.contract[match.format()](...checkArguments(match, args));
+                };
+            }
+        }
+        
+        // Call a listener with each new event, optionally filtered by indexed arguments; returns an unsubscribe function
+        on(eventName, listener, filterArgs = []) {
+            const fragment = this.interface.getEvent(eventName);
+            const filter = this.contract.filters[eventName](...checkArguments(fragment, filterArgs));
+            const handler = (...params) => listener(toEvent(params[params.length - 1], fragment));
+            
+            this.contract.on(filter, handler);
+            return () => this.contract.off(filter, handler);
+        }
+        
+        // Past events, oldest first, optionally filtered by indexed arguments
+        async queryEvents(eventName, filterArgs = [], fromBlock, toBlock) {
+            const fragment = this.interface.getEvent(eventName);
+            const filter = this.contract.filters[eventName](...checkArguments(fragment, filterArgs));
+            const logs = await this.contract.queryFilter(filter, fromBlock, toBlock);
+            
+            return logs.map(log => toEvent(log, fragment));
+        }
+        
+        getErrorMessage(error) {
+            return getErrorMessage(error, this.interface);
+        }
+    }
+    
+    // Client for the LedgerNet registry
+    class LedgerNetClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.LedgerNet, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new LedgerNetClient({ address: this.address, signerOrProvider });
+        }
+        
+        // Client for the resolver a domain points to, or null if it has none
+        async resolver(domainName) {
+            const address = await this.getResolver(domainName);
+            if (address === ethers.constants.AddressZero) return null;
+            
+            return new ResolverClient({ address, signerOrProvider: this.signerOrProvider });
+        }
+        
+        // Every forwarder the registry has trusted. Forwarders only relay requests with a valid
+        // signature, so one that has since been replaced still names its signers truthfully.
+        async trustedForwarders() {
+            const events = await this.queryEvents('TrustedForwarderChanged');
+            return new Set(events.map(event => event.args.forwarder.toLowerCase()));
+        }
+        
+        // The account behind a registry transaction: the signer of a request relayed by a trusted
+        // forwarder, otherwise the transaction's sender. Pass trustedForwarders() when looking up many.
+        async transactionActor(transactionHash, forwarders) {
+            forwarders = forwarders || await this.trustedForwarders();
+            const receipt = await this.contract.provider.getTransactionReceipt(transactionHash);
+            const topic = new ethers.utils.Interface(ABI.LedgerNetForwarder).getEventTopic('RequestRelayed');
+            
+            const relayed = receipt.logs.find(log => log.topics[0] === topic && forwarders.has(log.address.toLowerCase()));
+            return relayed ? ethers.utils.getAddress(ethers.utils.hexDataSlice(relayed.topics[1], 12)) : receipt.from;
+        }
+    }
+    
+    // Client for a resolver holding domains' DNS records
+    class ResolverClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.PublicResolver, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new ResolverClient({ address: this.address, signerOrProvider });
+        }
+    }
+    
+    // Client for the ERC-721 token of each registered domain
+    class TokenClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.LedgerNetToken, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new TokenClient({ address: this.address, signerOrProvider });
+        }
+    }
+    
+    // Client for the marketplace where domains are listed, offered on and sold
+    class MarketplaceClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.LedgerNetMarketplace, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new MarketplaceClient({ address: this.address, signerOrProvider });
+        }
+    }
+    
+    // Client for the auction house selling auction-only names by sealed bid
+    class AuctionClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.LedgerNetAuctionHouse, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new AuctionClient({ address: this.address, signerOrProvider });
+        }
+    }
+    
+    // Client for the forwarder relaying signed updates, transfers and renewals. Owners sign
+    // requests with signUpdate, signTransfer or signRenewal; a relayer submits them with relay.
+    class ForwarderClient extends ContractClient {
+        constructor({ address, signerOrProvider }) {
+            super({ address, abi: ABI.LedgerNetForwarder, signerOrProvider });
+        }
+        
+        connect(signerOrProvider) {
+            return new ForwarderClient({ address: this.address, signerOrProvider });
+        }
+        
+        // EIP-712 domain the forwarder checks signatures under
+        async typedDataDomain() {
+            const { name, version, chainId, verifyingContract } = await this.contract.eip712Domain();
+            return { name, version, chainId, verifyingContract };
+        }
+        
+        // Sign a request with the connected signer and its next nonce, returning what a relayer needs.
+        // Without a deadline it can be relayed for DEFAULT_REQUEST_LIFETIME after the latest block.
+        async signRequest(type, fields, { deadline } = {}) {
+            const signer = this.signerOrProvider;
+            const address = await signer.getAddress();
+            
+            if (!deadline) {
+                deadline = (await this.contract.provider.getBlock('latest')).timestamp + DEFAULT_REQUEST_LIFETIME;
+            }
+            
+            const request = {
+                signer: address,
+                ...fields,
+                domainName: LedgerNetNames.normalizeName(fields.domainName),
+                nonce: (await this.contract.nonces(address)).toString(),
+                deadline: String(deadline)
+            };
+            const signature = await signer._signTypedData(await this.typedDataDomain(), { [type]: REQUEST_TYPES[type] }, request);
+            
+            return { type, request, signature };
+        }
+        
+        async signUpdate(domainName, ipAddress, options) {
+            const error = validateIPAddress(ipAddress);
+            if (error) throw new Error(error);
+            
+            return this.signRequest('UpdateRequest', { domainName, ipAddress }, options);
+        }
+        
+        signTransfer(domainName, newOwner, options) {
+            return this.signRequest('TransferRequest', { domainName, newOwner: ethers.utils.getAddress(newOwner) }, options);
+        }
+        
+        signRenewal(domainName, durationYears, options) {
+            return this.signRequest('RenewRequest', { domainName, durationYears: String(durationYears) }, options);
+        }
+        
+        // Address that signed a request, checked off-chain
+        async recoverSigner({ type, request, signature }) {
+            if (!REQUEST_TYPES[type]) throw new Error(`Unknown request type: ${type}`);
+            
+            return ethers.utils.verifyTypedData(await this.typedDataDomain(), { [type]: REQUEST_TYPES[type] }, request, signature);
+        }
+        
+        // Submit a signed request; the connected signer pays the gas, and a renewal's fee as overrides.value
+        relay({ type, request, signature }, overrides = {}) {
+            if (!REQUEST_METHODS[type]) throw new Error(`Unknown request type: ${type}`);
+            
+            return this.contract[REQUEST_METHODS[type]](request, signature, overrides);
+        }
+        
+        // Dry-run a signed request, rejecting with the revert a relay would hit
+        simulate({ type, request, signature }, overrides = {}) {
+            if (!REQUEST_METHODS[type]) throw new Error(`Unknown request type: ${type}`);
+            
+            return this.contract.callStatic[REQUEST_METHODS[type]](request, signature, overrides);
+        }
+    }
+    
+    const LedgerNetSDK = {
+        ABI,
+        PHASES,
+        RECORD_TYPES,
+        REASON_CODES,
+        ERROR_MESSAGES,
+        REQUEST_TYPES,
+        encodeReason,
+        describeReason,
+        validateName: LedgerNetNames.validateName,
+        normalizeName: LedgerNetNames.normalizeName,
+        tldOf: LedgerNetNames.tldOf,
+        validateIPAddress,
+        getErrorMessage,
+        LedgerNetClient,
+        ResolverClient,
+        TokenClient,
+        MarketplaceClient,
+        AuctionClient,
+        ForwarderClient
+    };
+    
+    // Export for use in app.js and Node scripts
+    if (typeof window !== 'undefined') {
+        window.LedgerNetSDK = LedgerNetSDK;
+    }
+    
+    if (isNode) {
+        module.exports = LedgerNetSDK;
+    }
+})();
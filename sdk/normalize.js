@@ -0,0 +1,58 @@
+// LedgerNet name normalization
+// Part of the SDK and shared by the frontend, services and scripts; mirrors the rules enforced by the LedgerNet contract
+
+(function () {
+    // DNS length limits for a single label and for a whole name
+    const MAX_LABEL_LENGTH = 63;
+    const MAX_NAME_LENGTH = 253;
+    
+    // Get the reason a canonical name is invalid, or an empty string if it is valid
+    function validateName(name) {
+        if (!name) return 'Domain name cannot be empty';
+        if (name.length > MAX_NAME_LENGTH) return 'Domain name is too long';
+        
+        for (const label of name.split('.')) {
+            if (label.length === 0) return 'Empty label in domain name';
+            if (/[A-Z]/.test(label)) return 'Domain name must be lowercase';
+            if (!/^[a-z0-9-]+$/.test(label)) return 'Invalid character in domain name';
+            if (label.length > MAX_LABEL_LENGTH) return 'Domain label is too long';
+            if (label.startsWith('-') || label.endsWith('-')) return 'Labels cannot start or end with a hyphen';
+        }
+        
+        return '';
+    }
+    
+    // Convert user input to the canonical form the contract accepts, or throw with the contract's reason.
+    // Surrounding whitespace and a single trailing dot are dropped and letters are lowercased;
+    // anything else that is not canonical, such as Unicode look-alikes, is rejected.
+    function normalizeName(input) {
+        let name = String(input == null ? '' : input).trim().toLowerCase();
+        
+        if (name.endsWith('.')) {
+            name = name.slice(0, -1);
+        }
+        
+        const error = validateName(name);
+        if (error) {
+            throw new Error(error);
+        }
+        
+        return name;
+    }
+    
+    // Get the top-level domain of a name ("eth" for "mysite.eth")
+    function tldOf(name) {
+        return name.slice(name.lastIndexOf('.') + 1);
+    }
+    
+    const LedgerNetNames = { MAX_LABEL_LENGTH, MAX_NAME_LENGTH, validateName, normalizeName, tldOf };
+    
+    // Export for use in app.js and Node scripts
+    if (typeof window !== 'undefined') {
+        window.LedgerNetNames = LedgerNetNames;
+    }
+    
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = LedgerNetNames;
+    }
+})();
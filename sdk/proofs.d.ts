@@ -0,0 +1,65 @@
+// LedgerNet resolution proof type declarations
+
+import type { providers } from 'ethers';
+
+// Slot and byte offset of a field packed into a storage slot
+export interface StorageField {
+    slot: number;
+    offset: number;
+    size: number;
+}
+
+export declare const STORAGE_LAYOUT: {
+    LedgerNet: { domainsByHash: number; Domain: Record<string, StorageField> };
+    PublicResolver: { recordSets: number; DnsRecord: Record<string, StorageField> };
+};
+export declare const EMPTY_TRIE_ROOT: string;
+
+// Block header fields as returned by eth_getBlockByNumber
+export interface BlockHeader {
+    hash?: string;
+    number: string;
+    stateRoot: string;
+    timestamp: string;
+    [field: string]: string | undefined;
+}
+
+// eth_getProof proofs of one account and the storage slots read from it
+export interface AccountProof {
+    address: string;
+    accountProof: string[];
+    storageProof: { key: string; proof: string[] }[];
+}
+
+export interface ResolutionProof {
+    name: string;
+    blockNumber: number;
+    blockHash: string;
+    header: BlockHeader;
+    // The answer the proof claims to prove; verifyResolutionProof checks it
+    ipAddress: string;
+    error: 'DomainNotActive' | 'DomainExpired' | null;
+    accounts: AccountProof[];
+}
+
+export interface VerifiedResolution {
+    name: string;
+    blockNumber: number;
+    ipAddress: string;
+    error: 'DomainNotActive' | 'DomainExpired' | null;
+}
+
+export declare function hashBlockHeader(header: BlockHeader): string;
+export declare function verifyMerkleProof(root: string, key: string, proof: string[]): string | null;
+export declare function buildResolutionProof(options: {
+    provider: providers.JsonRpcProvider;
+    registryAddress: string;
+    name: string;
+    blockTag?: number | string;
+}): Promise<ResolutionProof>;
+export declare function verifyResolutionProof(proof: ResolutionProof, options: {
+    name: string;
+    header: BlockHeader;
+    registryAddress: string;
+    resolvers?: string[];
+}): Promise<VerifiedResolution>;
@@ -0,0 +1,337 @@
+// LedgerNet resolution proofs
+// Part of the SDK: builds and checks Merkle-Patricia proofs (eth_getProof) of the registry storage
+// that resolveDomain reads, so clients can check an answer against a block header without a node
+
+(function () {
+    const isNode = typeof module !== 'undefined' && module.exports;
+    
+    // In browsers, ethers is loaded by a script tag first
+    const { ethers } = isNode ? require('ethers') : window;
+    const { keccak256, RLP, defaultAbiCoder, hexZeroPad, hexDataSlice, hexConcat, toUtf8Bytes, toUtf8String } = ethers.utils;
+    
+    // Where resolveDomain's inputs are stored, by slot and byte offset within the slot.
+    // Must match the compiler's storage layouts; the tests compare them.
+    const STORAGE_LAYOUT = {
+        LedgerNet: {
+            domainsByHash: 1,
+            Domain: {
+                owner: { slot: 0, offset: 0, size: 20 },
+                expirationTime: { slot: 0, offset: 20, size: 8 },
+                isActive: { slot: 0, offset: 28, size: 1 },
+                resolver: { slot: 1, offset: 0, size: 20 },
+                epoch: { slot: 1, offset: 20, size: 6 },
+                parentEpoch: { slot: 1, offset: 26, size: 6 },
+                recordVersion: { slot: 2, offset: 20, size: 8 },
+                parent: { slot: 3, offset: 0, size: 32 },
+                ipAddress: { slot: 5, offset: 0, size: 32 }
+            }
+        },
+        PublicResolver: {
+            recordSets: 0,
+            DnsRecord: {
+                value: { slot: 0, offset: 0, size: 32 }
+            }
+        }
+    };
+    
+    // Record types resolveAddress reads, in order (IANA type codes)
+    const TYPE_A = 1;
+    const TYPE_AAAA = 28;
+    
+    // Longest string read from storage; addresses are far shorter
+    const MAX_STRING_LENGTH = 1024;
+    
+    // Root of a trie with no entries, such as the storage of an account that has none
+    const EMPTY_TRIE_ROOT = keccak256(RLP.encode('0x'));
+    
+    // Block header fields in the order they are hashed; fields from baseFeePerGas on were added
+    // by later forks and are hashed when the header has them
+    const HEADER_FIELDS = [
+        'parentHash', 'sha3Uncles', 'miner', 'stateRoot', 'transactionsRoot', 'receiptsRoot', 'logsBloom',
+        'difficulty', 'number', 'gasLimit', 'gasUsed', 'timestamp', 'extraData', 'mixHash', 'nonce',
+        'baseFeePerGas', 'withdrawalsRoot', 'blobGasUsed', 'excessBlobGas', 'parentBeaconBlockRoot', 'requestsHash'
+    ];
+    const FIRST_OPTIONAL_FIELD = HEADER_FIELDS.indexOf('baseFeePerGas');
+    const QUANTITY_FIELDS = ['difficulty', 'number', 'gasLimit', 'gasUsed', 'timestamp', 'baseFeePerGas', 'blobGasUsed', 'excessBlobGas'];
+    
+    // Hash of a block header as returned by eth_getBlockByNumber, to check it against a trusted block hash
+    function hashBlockHeader(header) {
+        const fields = [];
+        
+        for (const [index, field] of HEADER_FIELDS.entries()) {
+            if (header[field] === undefined || header[field] === null) {
+                if (index < FIRST_OPTIONAL_FIELD) throw new Error(`Block header has no ${field}`);
+                break;
+            }
+            
+            fields.push(QUANTITY_FIELDS.includes(field)
+                ? ethers.utils.hexlify(ethers.BigNumber.from(header[field])).replace(/^0x0+$/, '0x')
+                : header[field]);
+        }
+        
+        return keccak256(RLP.encode(fields));
+    }
+    
+    // The header fields of a block from eth_getBlockByNumber, and its hash
+    function pickHeader(block) {
+        const header = { hash: block.hash };
+        for (const field of HEADER_FIELDS) {
+            if (block[field] !== undefined && block[field] !== null) header[field] = block[field];
+        }
+        
+        return header;
+    }
+    
+    function toNibbles(hex) {
+        return Array.from(hex.slice(2), (digit) => parseInt(digit, 16));
+    }
+    
+    // Decode the hex-prefix encoded path of a leaf or extension node
+    function decodeCompactPath(encoded) {
+        const nibbles = toNibbles(encoded);
+        const flag = nibbles[0];
+        
+        return { nibbles: nibbles.slice(flag % 2 === 1 ? 1 : 2), isLeaf: flag >= 2 };
+    }
+    
+    // Follow a Merkle-Patricia proof of a key (hashed, as in the state and storage tries) from a trie
+    // root, returning the value stored under it or null if the proof shows there is none. Throws if
+    // the proof does not lead from the root.
+    function verifyMerkleProof(root, key, proof) {
+        if (root.toLowerCase() === EMPTY_TRIE_ROOT) return null;
+        
+        const nodes = new Map(proof.map((node) => [keccak256(node), node]));
+        const path = toNibbles(keccak256(key));
+        let position = 0;
+        let reference = root.toLowerCase();
+        
+        for (;;) {
+            // Nodes shorter than a hash are embedded in their parent instead of referenced by hash
+            let node = reference;
+            if (!Array.isArray(reference)) {
+                if (!nodes.has(reference)) throw new Error('Invalid proof: missing trie node');
+                node = RLP.decode(nodes.get(reference));
+            }
+            
+            if (node.length === 17) {
+                if (position === path.length) return node[16] === '0x' ? null : node[16];
+                
+                reference = node[path[position++]];
+                if (reference === '0x') return null;
+            } else if (node.length === 2) {
+                const { nibbles, isLeaf } = decodeCompactPath(node[0]);
+                if (nibbles.some((nibble, i) => path[position + i] !== nibble)) return null;
+                
+                position += nibbles.length;
+                if (isLeaf) return position === path.length ? node[1] : null;
+                
+                reference = node[1];
+            } else {
+                throw new Error('Invalid proof: malformed trie node');
+            }
+        }
+    }
+    
+    function slotAt(base, index) {
+        return hexZeroPad(ethers.BigNumber.from(base).add(index).toHexString(), 32);
+    }
+    
+    // Read a field packed into a storage word, as a hex string
+    function fieldOf(word, { offset, size }) {
+        return hexDataSlice(word, 32 - offset - size, 32 - offset);
+    }
+    
+    // Slot of a field of the Domain stored for a name hash
+    function domainSlot(node, field) {
+        const base = keccak256(defaultAbiCoder.encode(['bytes32', 'uint256'], [node, STORAGE_LAYOUT.LedgerNet.domainsByHash]));
+        return slotAt(base, STORAGE_LAYOUT.LedgerNet.Domain[field].slot);
+    }
+    
+    // Slot of the length of a PublicResolver record set; the records follow at its hash
+    function recordSetSlot(name, recordVersion, recordType) {
+        const byName = keccak256(hexConcat([toUtf8Bytes(name), hexZeroPad(ethers.utils.hexlify(STORAGE_LAYOUT.PublicResolver.recordSets), 32)]));
+        const byVersion = keccak256(defaultAbiCoder.encode(['uint256', 'bytes32'], [recordVersion, byName]));
+        return keccak256(defaultAbiCoder.encode(['uint256', 'bytes32'], [recordType, byVersion]));
+    }
+    
+    // Read a Solidity string: short ones share their slot with their length, long ones follow at its hash
+    async function readString(read, address, slot) {
+        const word = await read(address, slot);
+        const value = ethers.BigNumber.from(word);
+        
+        if (value.mod(2).isZero()) {
+            return toUtf8String(hexDataSlice(word, 0, value.mod(256).div(2).toNumber()));
+        }
+        
+        const length = value.sub(1).div(2);
+        if (length.gt(MAX_STRING_LENGTH)) throw new Error('String too long to prove');
+        
+        const words = [];
+        for (let i = 0; i * 32 < length.toNumber(); i++) {
+            words.push(await read(address, slotAt(keccak256(slot), i)));
+        }
+        return toUtf8String(hexDataSlice(hexConcat(words), 0, length.toNumber()));
+    }
+    
+    // Expiration of a domain as the registry's _expirationOf computes it: a subdomain lapses with
+    // its parent, and with the parent's re-registration
+    async function expirationOf(read, registryAddress, node) {
+        const head = await read(registryAddress, domainSlot(node, 'owner'));
+        const expiration = ethers.BigNumber.from(fieldOf(head, STORAGE_LAYOUT.LedgerNet.Domain.expirationTime));
+        
+        const parent = await read(registryAddress, domainSlot(node, 'parent'));
+        if (ethers.BigNumber.from(parent).isZero()) return expiration;
+        
+        const parentHead = await read(registryAddress, domainSlot(parent, 'owner'));
+        const parentEpoch = fieldOf(await read(registryAddress, domainSlot(node, 'parentEpoch')), STORAGE_LAYOUT.LedgerNet.Domain.parentEpoch);
+        const epochOfParent = fieldOf(await read(registryAddress, domainSlot(parent, 'epoch')), STORAGE_LAYOUT.LedgerNet.Domain.epoch);
+        if (fieldOf(parentHead, STORAGE_LAYOUT.LedgerNet.Domain.isActive) === '0x00' || parentEpoch !== epochOfParent) {
+            return ethers.constants.Zero;
+        }
+        
+        const parentExpiration = await expirationOf(read, registryAddress, parent);
+        return parentExpiration.lt(expiration) ? parentExpiration : expiration;
+    }
+    
+    // Resolve a name as the registry's resolveDomain does at a block time, reading storage with
+    // read(address, slot). Resolvers are read with PublicResolver's layout, after checkResolver.
+    // Returns the address, or the error resolveDomain reverts with.
+    async function resolveFromStorage(read, { registryAddress, name, timestamp, checkResolver = () => {} }) {
+        const node = ethers.utils.id(name);
+        const layout = STORAGE_LAYOUT.LedgerNet.Domain;
+        
+        const head = await read(registryAddress, domainSlot(node, 'owner'));
+        if (fieldOf(head, layout.isActive) === '0x00') {
+            return { ipAddress: '', error: 'DomainNotActive' };
+        }
+        if ((await expirationOf(read, registryAddress, node)).lte(timestamp)) {
+            return { ipAddress: '', error: 'DomainExpired' };
+        }
+        
+        const resolver = ethers.utils.getAddress(fieldOf(await read(registryAddress, domainSlot(node, 'resolver')), layout.resolver));
+        if (resolver !== ethers.constants.AddressZero) {
+            checkResolver(resolver);
+            
+            // resolveAddress answers with the first A record, or else the first AAAA record
+            const recordVersion = fieldOf(await read(registryAddress, domainSlot(node, 'recordVersion')), layout.recordVersion);
+            let records = recordSetSlot(name, recordVersion, TYPE_A);
+            if (ethers.BigNumber.from(await read(resolver, records)).isZero()) {
+                records = recordSetSlot(name, recordVersion, TYPE_AAAA);
+            }
+            
+            if (!ethers.BigNumber.from(await read(resolver, records)).isZero()) {
+                const resolved = await readString(read, resolver, slotAt(keccak256(records), STORAGE_LAYOUT.PublicResolver.DnsRecord.value.slot));
+                if (resolved.length > 0) return { ipAddress: resolved, error: null };
+            }
+        }
+        
+        return { ipAddress: await readString(read, registryAddress, domainSlot(node, 'ipAddress')), error: null };
+    }
+    
+    // Read each slot once, whatever the resolution logic asks for
+    function memoized(read) {
+        const values = new Map();
+        
+        return (address, slot) => {
+            const key = `${address.toLowerCase()}:${slot}`;
+            if (!values.has(key)) values.set(key, read(address, slot));
+            return values.get(key);
+        };
+    }
+    
+    // Build a proof of what resolveDomain returns for a name at a block (the latest by default),
+    // from eth_getProof proofs of every storage slot it reads, with the answer it proves (ipAddress
+    // and error). Needs a node with eth_getProof.
+    async function buildResolutionProof({ provider, registryAddress, name, blockTag = 'latest' }) {
+        const tag = typeof blockTag === 'number' ? ethers.utils.hexValue(blockTag) : blockTag;
+        const header = pickHeader(await provider.send('eth_getBlockByNumber', [tag, false]));
+        const blockNumber = ethers.BigNumber.from(header.number).toNumber();
+        
+        // Run the resolution against the node, noting the slots it reads
+        const slots = new Map();
+        const read = memoized(async (address, slot) => {
+            const account = ethers.utils.getAddress(address);
+            if (!slots.has(account)) slots.set(account, []);
+            slots.get(account).push(slot);
+            
+            return hexZeroPad(await provider.getStorageAt(account, slot, blockNumber), 32);
+        });
+        const { ipAddress, error } = await resolveFromStorage(read, { registryAddress, name, timestamp: ethers.BigNumber.from(header.timestamp) });
+        
+        const accounts = [];
+        for (const [address, keys] of slots) {
+            const { accountProof, storageProof } = await provider.send('eth_getProof', [address, keys, header.number]);
+            accounts.push({
+                address,
+                accountProof,
+                storageProof: storageProof.map(({ key, proof }) => ({ key, proof }))
+            });
+        }
+        
+        return { name, blockNumber, blockHash: header.hash, header, ipAddress, error, accounts };
+    }
+    
+    // Check a resolution proof against a trusted block header, returning { name, blockNumber,
+    // ipAddress, error } as resolveDomain would have answered at that block. Names using a resolver
+    // can only be checked when it is one of the given PublicResolver addresses. Throws if the proof
+    // is invalid, for another name, block or registry, or proves another answer than it claims.
+    async function verifyResolutionProof(proof, { name, header, registryAddress, resolvers = [] }) {
+        if (!proof || proof.name !== name) throw new Error('Invalid proof: not a proof for this name');
+        if (!ethers.BigNumber.from(header.number).eq(proof.blockNumber)) {
+            throw new Error('Invalid proof: not a proof for this block');
+        }
+        
+        const trustedResolvers = new Set(resolvers.map((address) => ethers.utils.getAddress(address)));
+        const storageRoots = new Map();
+        
+        const storageRootOf = (account) => {
+            if (!storageRoots.has(account.address)) {
+                const value = verifyMerkleProof(header.stateRoot, account.address, account.accountProof);
+                storageRoots.set(account.address, value ? RLP.decode(value)[2] : EMPTY_TRIE_ROOT);
+            }
+            return storageRoots.get(account.address);
+        };
+        
+        const read = memoized(async (address, slot) => {
+            const account = proof.accounts.find((candidate) => ethers.utils.getAddress(candidate.address) === ethers.utils.getAddress(address));
+            const entry = account && account.storageProof.find((candidate) => slotAt(candidate.key, 0) === slot);
+            if (!entry) throw new Error(`Invalid proof: no proof of slot ${slot} of ${address}`);
+            
+            const value = verifyMerkleProof(storageRootOf(account), slot, entry.proof);
+            return hexZeroPad(value ? RLP.decode(value) : '0x', 32);
+        });
+        
+        const result = await resolveFromStorage(read, {
+            registryAddress,
+            name,
+            timestamp: ethers.BigNumber.from(header.timestamp),
+            checkResolver: (resolver) => {
+                if (!trustedResolvers.has(resolver)) throw new Error(`Cannot verify answers of resolver ${resolver}`);
+            }
+        });
+        
+        if ('ipAddress' in proof && (proof.ipAddress !== result.ipAddress || proof.error !== result.error)) {
+            throw new Error('Invalid proof: does not prove the answer it claims');
+        }
+        
+        return { name, blockNumber: proof.blockNumber, ...result };
+    }
+    
+    const LedgerNetProofs = {
+        STORAGE_LAYOUT,
+        EMPTY_TRIE_ROOT,
+        hashBlockHeader,
+        verifyMerkleProof,
+        buildResolutionProof,
+        verifyResolutionProof
+    };
+    
+    // Export for use in browsers and Node scripts
+    if (typeof window !== 'undefined') {
+        window.LedgerNetProofs = LedgerNetProofs;
+    }
+    
+    if (isNode) {
+        module.exports = LedgerNetProofs;
+    }
+})();
@@ -0,0 +1,37 @@
+// LedgerNet deployment lookup
+// Finds the contract addresses written by scripts/deploy.js
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "scripts", "deployments");
+
+// Path of the most recent deployment for a network, or of a specific deployment file
+function findDeploymentFile({ network, file } = {}) {
+    if (file) {
+        return path.resolve(file);
+    }
+
+    if (!fs.existsSync(DEPLOYMENTS_DIR)) {
+        throw new Error(`No deployments found in ${DEPLOYMENTS_DIR}, run scripts/deploy.js first`);
+    }
+
+    // Files are named ledgernet-<network>-<timestamp>.json
+    const candidates = fs.readdirSync(DEPLOYMENTS_DIR)
+        .map((name) => name.match(/^ledgernet-(.+)-(\d+)\.json$/))
+        .filter((match) => match && (!network || match[1] === network))
+        .sort((a, b) => Number(b[2]) - Number(a[2]));
+
+    if (candidates.length === 0) {
+        throw new Error(`No deployment found for network "${network}"`);
+    }
+
+    return path.join(DEPLOYMENTS_DIR, candidates[0][0]);
+}
+
+// Load the most recent deployment for a network, or a specific deployment file
+function loadDeployment(options) {
+    return JSON.parse(fs.readFileSync(findDeploymentFile(options), "utf8"));
+}
+
+module.exports = { loadDeployment, findDeploymentFile, DEPLOYMENTS_DIR };
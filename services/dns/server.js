@@ -0,0 +1,268 @@
+// LedgerNet DNS server
+// Answers UDP and TCP DNS queries for LedgerNet names from the contract and forwards
+// every other zone to an upstream server
+
+const dgram = require("dgram");
+const net = require("net");
+const { parseArgs } = require("util");
+const dnsPacket = require("dns-packet");
+const { ethers } = require("ethers");
+const { LedgerNetZone } = require("./zone");
+const { loadDeployment } = require("../deployment");
+
+// Response codes (RFC 1035)
+const RCODES = { NOERROR: 0, FORMERR: 1, SERVFAIL: 2, NXDOMAIN: 3, NOTIMP: 4, REFUSED: 5 };
+
+// Largest response sent over UDP before the client is told to retry over TCP
+const MAX_UDP_SIZE = 512;
+
+class DnsServer {
+    constructor({ zone, upstream = "1.1.1.1:53", upstreamTimeout = 3000 }) {
+        this.zone = zone;
+        this.upstreamTimeout = upstreamTimeout;
+
+        const [upstreamHost, upstreamPort] = upstream.split(":");
+        this.upstream = { host: upstreamHost, port: Number(upstreamPort || 53) };
+
+        this.udpServer = null;
+        this.tcpServer = null;
+    }
+
+    // Listen for UDP and TCP queries on the same port (0 picks a free port)
+    async start({ port = 5353, host = "127.0.0.1" } = {}) {
+        this.udpServer = dgram.createSocket(net.isIPv6(host) ? "udp6" : "udp4");
+        this.udpServer.on("message", (message, remote) => this.handleUdpMessage(message, remote));
+
+        await new Promise((resolve, reject) => {
+            this.udpServer.once("error", reject);
+            this.udpServer.bind(port, host, resolve);
+        });
+
+        const boundPort = this.udpServer.address().port;
+
+        this.tcpServer = net.createServer((socket) => this.handleTcpConnection(socket));
+
+        await new Promise((resolve, reject) => {
+            this.tcpServer.once("error", reject);
+            this.tcpServer.listen(boundPort, host, resolve);
+        });
+
+        return { host, port: boundPort };
+    }
+
+    // Stop listening
+    async stop() {
+        if (this.udpServer) {
+            await new Promise((resolve) => this.udpServer.close(resolve));
+            this.udpServer = null;
+        }
+
+        if (this.tcpServer) {
+            await new Promise((resolve) => this.tcpServer.close(resolve));
+            this.tcpServer = null;
+        }
+    }
+
+    async handleUdpMessage(message, remote) {
+        const response = await this.handleQuery(message, "udp");
+
+        if (response) {
+            this.udpServer.send(response, remote.port, remote.address);
+        }
+    }
+
+    // TCP messages are prefixed with their length, and a connection can carry several,
+    // answered in order
+    handleTcpConnection(socket) {
+        let buffer = Buffer.alloc(0);
+        let pending = Promise.resolve();
+
+        socket.on("data", (data) => {
+            buffer = Buffer.concat([buffer, data]);
+
+            while (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                const message = buffer.subarray(2, 2 + buffer.readUInt16BE(0));
+                buffer = buffer.subarray(2 + message.length);
+
+                pending = pending.then(async () => {
+                    const response = await this.handleQuery(message, "tcp");
+                    if (response && !socket.destroyed) {
+                        const prefix = Buffer.alloc(2);
+                        prefix.writeUInt16BE(response.length);
+                        socket.write(Buffer.concat([prefix, response]));
+                    }
+                });
+            }
+        });
+
+        socket.on("error", (error) => console.error("TCP connection error:", error.message));
+    }
+
+    // Answer a raw query, returning the raw response (null drops the query). Options such as
+    // blockTag are passed on to the zone.
+    async handleQuery(message, transport, options = {}) {
+        let query;
+        try {
+            query = dnsPacket.decode(message);
+        } catch (error) {
+            return null;
+        }
+
+        if (query.type !== "query" || query.questions.length !== 1) {
+            return this.encodeResponse(query, { rcode: "FORMERR", answers: [], authorities: [] }, transport);
+        }
+
+        const [question] = query.questions;
+
+        if (!this.zone.isAuthoritative(question.name)) {
+            try {
+                return await this.forward(message, transport);
+            } catch (error) {
+                console.error(`Error forwarding ${question.name}:`, error.message);
+                return this.encodeResponse(query, { rcode: "SERVFAIL", answers: [], authorities: [] }, transport);
+            }
+        }
+
+        try {
+            const result = await this.zone.answer(question, options);
+            return this.encodeResponse(query, result, transport, true);
+        } catch (error) {
+            console.error(`Error resolving ${question.name}:`, error.message);
+            return this.encodeResponse(query, { rcode: "SERVFAIL", answers: [], authorities: [] }, transport);
+        }
+    }
+
+    // Encode a response, truncating UDP responses that do not fit in a datagram
+    encodeResponse(query, { rcode, answers, authorities }, transport, authoritative = false) {
+        const flags = (authoritative ? dnsPacket.AUTHORITATIVE_ANSWER : 0) |
+                      (query.flags & dnsPacket.RECURSION_DESIRED) |
+                      RCODES[rcode];
+
+        const response = {
+            id: query.id,
+            type: "response",
+            flags,
+            questions: query.questions,
+            answers,
+            authorities
+        };
+
+        const encoded = dnsPacket.encode(response);
+        if (transport === "udp" && encoded.length > MAX_UDP_SIZE) {
+            return dnsPacket.encode({
+                ...response,
+                flags: flags | dnsPacket.TRUNCATED_RESPONSE,
+                answers: [],
+                authorities: []
+            });
+        }
+
+        return encoded;
+    }
+
+    // Relay a query to the upstream server over the transport it arrived on
+    forward(message, transport) {
+        return transport === "tcp" ? this.forwardTcp(message) : this.forwardUdp(message);
+    }
+
+    forwardUdp(message) {
+        return new Promise((resolve, reject) => {
+            const socket = dgram.createSocket(net.isIPv6(this.upstream.host) ? "udp6" : "udp4");
+            const timer = setTimeout(() => {
+                socket.close();
+                reject(new Error("Upstream timed out"));
+            }, this.upstreamTimeout);
+
+            socket.on("message", (response) => {
+                // Ignore stray datagrams that do not answer this query
+                if (response.length < 2 || response.readUInt16BE(0) !== message.readUInt16BE(0)) return;
+
+                clearTimeout(timer);
+                socket.close();
+                resolve(response);
+            });
+
+            socket.on("error", (error) => {
+                clearTimeout(timer);
+                socket.close();
+                reject(error);
+            });
+
+            socket.send(message, this.upstream.port, this.upstream.host);
+        });
+    }
+
+    forwardTcp(message) {
+        return new Promise((resolve, reject) => {
+            const socket = net.connect(this.upstream.port, this.upstream.host);
+            let buffer = Buffer.alloc(0);
+
+            socket.setTimeout(this.upstreamTimeout, () => {
+                socket.destroy();
+                reject(new Error("Upstream timed out"));
+            });
+
+            socket.on("connect", () => {
+                const prefix = Buffer.alloc(2);
+                prefix.writeUInt16BE(message.length);
+                socket.write(Buffer.concat([prefix, message]));
+            });
+
+            socket.on("data", (data) => {
+                buffer = Buffer.concat([buffer, data]);
+
+                if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+                    socket.end();
+                    resolve(buffer.subarray(2, 2 + buffer.readUInt16BE(0)));
+                }
+            });
+
+            socket.on("error", reject);
+        });
+    }
+}
+
+// Start a server from the command line
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            rpc: { type: "string", default: "http://127.0.0.1:8545" },
+            network: { type: "string" },
+            deployment: { type: "string" },
+            registry: { type: "string" },
+            tlds: { type: "string" },
+            host: { type: "string", default: "127.0.0.1" },
+            port: { type: "string", default: "5353" },
+            upstream: { type: "string", default: "1.1.1.1:53" },
+            ttl: { type: "string", default: "300" }
+        }
+    });
+
+    // Contract address and top-level domains default to the latest deployment
+    const deployment = options.registry && options.tlds
+        ? {}
+        : loadDeployment({ network: options.network, file: options.deployment });
+    const registryAddress = options.registry || deployment.contractAddress;
+    const tlds = options.tlds ? options.tlds.split(",") : (deployment.allowedTlds || ["eth"]);
+
+    const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+    const zone = new LedgerNetZone({ provider, registryAddress, tlds, defaultTtl: Number(options.ttl) });
+    const server = new DnsServer({ zone, upstream: options.upstream });
+
+    const { host, port } = await server.start({ host: options.host, port: Number(options.port) });
+
+    console.log("🌐 LedgerNet DNS server listening on", `${host}:${port}`, "(UDP and TCP)");
+    console.log("   Registry:", registryAddress);
+    console.log("   Zones:", tlds.join(", "));
+    console.log("   Upstream:", options.upstream);
+    console.log(`   Try: dig @${host} -p ${port} mysite.${tlds[0]} A`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ DNS server failed:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { DnsServer, main };
@@ -0,0 +1,196 @@
+// LedgerNet DNS zone
+// Answers DNS questions for LedgerNet names by reading the registry and resolver contracts
+
+const net = require("net");
+const { ethers } = require("ethers");
+const LedgerNetNames = require("../../sdk/normalize.js");
+
+const REGISTRY_ABI = [
+    "function getDomainInfo(string memory _domainName) external view returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive, uint8 phase)",
+    "function getResolver(string memory _domainName) external view returns (address)",
+    "function getTimeUntilExpiration(string memory _domainName) external view returns (uint256)"
+];
+
+const RESOLVER_ABI = [
+    "function getRecords(string memory _domainName, uint16 _recordType) external view returns (tuple(string value, uint32 ttl)[] memory)"
+];
+
+// DNS record types stored by resolvers (IANA type codes)
+const RECORD_TYPES = { A: 1, NS: 2, CNAME: 5, MX: 15, TXT: 16, AAAA: 28, SRV: 33 };
+
+// LedgerNet.DomainPhase.Active
+const PHASE_ACTIVE = 1;
+
+class LedgerNetZone {
+    constructor({ provider, registryAddress, tlds, defaultTtl = 300, maxTtl = 86400 }) {
+        this.provider = provider;
+        this.registry = new ethers.Contract(registryAddress, REGISTRY_ABI, provider);
+        this.tlds = new Set(tlds.map((tld) => tld.toLowerCase()));
+        this.defaultTtl = defaultTtl;
+        this.maxTtl = maxTtl;
+    }
+
+    // Check if a query name is below one of the LedgerNet top-level domains
+    isAuthoritative(name) {
+        return this.tlds.has(LedgerNetNames.tldOf(this.canonicalName(name)));
+    }
+
+    // Answer a single question, returning { rcode, answers, authorities }. The contracts are read
+    // at the latest block, or at blockTag.
+    async answer({ name, type }, { blockTag } = {}) {
+        const overrides = blockTag === undefined ? {} : { blockTag };
+        const domainName = this.canonicalName(name);
+        const tld = LedgerNetNames.tldOf(domainName);
+        const soa = this.soaRecord(tld);
+
+        // The top-level domain itself only has its SOA record
+        if (domainName === tld) {
+            return type === "SOA"
+                ? { rcode: "NOERROR", answers: [soa], authorities: [] }
+                : { rcode: "NOERROR", answers: [], authorities: [soa] };
+        }
+
+        // Names the contract would reject cannot be registered, so they do not exist
+        if (LedgerNetNames.validateName(domainName)) {
+            return { rcode: "NXDOMAIN", answers: [], authorities: [soa] };
+        }
+
+        // Expired, released and never registered names do not exist either
+        const [, ipAddress, , , phase] = await this.registry.getDomainInfo(domainName, overrides);
+        if (phase !== PHASE_ACTIVE) {
+            return { rcode: "NXDOMAIN", answers: [], authorities: [soa] };
+        }
+
+        // No answer may be cached beyond the name's expiration
+        const secondsLeft = (await this.registry.getTimeUntilExpiration(domainName, overrides)).toNumber();
+        const capTtl = (ttl) => Math.max(0, Math.min(ttl, secondsLeft, this.maxTtl));
+
+        const resolver = await this.getResolver(domainName, overrides);
+
+        // A CNAME replaces every other record type of the name
+        if (type !== "CNAME") {
+            const cname = await this.fetchAnswers(resolver, domainName, "CNAME", overrides);
+            if (cname.length > 0) {
+                cname.forEach((answer) => { answer.ttl = capTtl(answer.ttl); });
+                return { rcode: "NOERROR", answers: cname, authorities: [] };
+            }
+        }
+
+        const types = type === "ANY" ? Object.keys(RECORD_TYPES) : [type];
+        const answers = [];
+
+        for (const recordType of types) {
+            if (!RECORD_TYPES[recordType]) continue;
+
+            const typeAnswers = await this.fetchAnswers(resolver, domainName, recordType, overrides);
+
+            // Without address records of its own, a name resolves to the registry's IP address,
+            // which stays valid until the name expires
+            if (typeAnswers.length === 0 && this.isAddressOfType(ipAddress, recordType)) {
+                typeAnswers.push({ name: domainName, type: recordType, ttl: this.maxTtl, data: ipAddress });
+            }
+
+            typeAnswers.forEach((answer) => { answer.ttl = capTtl(answer.ttl); });
+            answers.push(...typeAnswers);
+        }
+
+        return { rcode: "NOERROR", answers, authorities: answers.length > 0 ? [] : [soa] };
+    }
+
+    // Get the resolver contract of a domain, or null if it has none
+    async getResolver(domainName, overrides = {}) {
+        const resolverAddress = await this.registry.getResolver(domainName, overrides);
+
+        if (resolverAddress === ethers.constants.AddressZero) return null;
+
+        return new ethers.Contract(resolverAddress, RESOLVER_ABI, this.provider);
+    }
+
+    // Fetch the records of one type and convert them to DNS answers, skipping malformed values
+    async fetchAnswers(resolver, domainName, recordType, overrides = {}) {
+        if (!resolver) return [];
+
+        const records = await resolver.getRecords(domainName, RECORD_TYPES[recordType], overrides);
+
+        return records
+            .map((record) => {
+                const data = this.parseRecordData(recordType, record.value);
+                const ttl = record.ttl > 0 ? record.ttl : this.defaultTtl;
+                return data === null ? null : { name: domainName, type: recordType, ttl, data };
+            })
+            .filter((answer) => answer !== null);
+    }
+
+    // Convert a record value in presentation format to dns-packet record data
+    parseRecordData(recordType, value) {
+        const fields = value.trim().split(/\s+/);
+
+        switch (recordType) {
+            case "A":
+                return net.isIPv4(value) ? value : null;
+            case "AAAA":
+                return net.isIPv6(value) ? value : null;
+            case "CNAME":
+            case "NS":
+                return value.replace(/\.$/, "");
+            case "TXT":
+                // A TXT string holds at most 255 bytes, so longer values are split
+                return this.splitTxt(value);
+            case "MX":
+                if (fields.length !== 2 || !/^\d+$/.test(fields[0])) return null;
+                return { preference: Number(fields[0]), exchange: fields[1].replace(/\.$/, "") };
+            case "SRV":
+                if (fields.length !== 4 || !fields.slice(0, 3).every((field) => /^\d+$/.test(field))) return null;
+                return {
+                    priority: Number(fields[0]),
+                    weight: Number(fields[1]),
+                    port: Number(fields[2]),
+                    target: fields[3].replace(/\.$/, "")
+                };
+            default:
+                return null;
+        }
+    }
+
+    // Split a TXT value into strings of at most 255 bytes
+    splitTxt(value) {
+        const bytes = Buffer.from(value, "utf8");
+        const chunks = [];
+
+        for (let i = 0; i < bytes.length; i += 255) {
+            chunks.push(bytes.subarray(i, i + 255));
+        }
+
+        return chunks;
+    }
+
+    // Check if the registry's IP address answers a query of this type
+    isAddressOfType(ipAddress, recordType) {
+        return (recordType === "A" && net.isIPv4(ipAddress)) || (recordType === "AAAA" && net.isIPv6(ipAddress));
+    }
+
+    // Build the SOA record of a top-level domain, sent with negative answers
+    soaRecord(tld) {
+        return {
+            name: tld,
+            type: "SOA",
+            ttl: this.defaultTtl,
+            data: {
+                mname: `ns.${tld}`,
+                rname: `hostmaster.${tld}`,
+                serial: Math.floor(Date.now() / 1000),
+                refresh: 3600,
+                retry: 600,
+                expire: 86400,
+                minimum: this.defaultTtl
+            }
+        };
+    }
+
+    // DNS names are case-insensitive and may be fully qualified
+    canonicalName(name) {
+        return name.toLowerCase().replace(/\.$/, "");
+    }
+}
+
+module.exports = { LedgerNetZone, RECORD_TYPES };
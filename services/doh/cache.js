@@ -0,0 +1,200 @@
+// Answer cache for a LedgerNet zone
+// Keeps answers until their TTL runs out or a contract event changes the name
+
+const { ethers } = require("ethers");
+
+// Registry events whose first indexed argument is the changed domain name
+const REGISTRY_EVENTS = [
+    "event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress)",
+    "event DomainUpdated(string indexed domainName, string newIpAddress)",
+    "event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner)",
+    "event DomainRenewed(string indexed domainName, uint256 newExpirationTime)",
+    "event DomainDeactivated(string indexed domainName)",
+    "event RecordsCleared(string indexed domainName, uint256 newVersion)",
+    "event ResolverChanged(string indexed domainName, address indexed resolver)"
+];
+
+// Registry events after which a name's subdomains answer differently too: they lapse with a
+// deactivated or re-registered parent, and a new owner of the parent can take them back
+const PARENT_EVENTS = new Set(["DomainRegistered", "DomainTransferred", "DomainDeactivated"]);
+
+// Registry events naming a subdomain in their data
+const SUBDOMAIN_EVENTS = [
+    "event SubdomainCreated(string indexed parentName, string subdomainName, address indexed owner, uint256 expirationTime)",
+    "event SubdomainRevoked(string indexed parentName, string subdomainName)"
+];
+
+// Resolver events whose first indexed argument is the changed domain name
+const RESOLVER_EVENTS = [
+    "event RecordAdded(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl)",
+    "event RecordReplaced(string indexed domainName, uint16 indexed recordType, uint256 index, string value, uint32 ttl)",
+    "event RecordDeleted(string indexed domainName, uint16 indexed recordType, uint256 index)"
+];
+
+class CachedZone {
+    constructor({ zone, maxEntries = 10000 }) {
+        this.zone = zone;
+        this.maxEntries = maxEntries;
+
+        // Indexed event arguments only carry the keccak256 hash of the name,
+        // so entries are grouped by name hash: name hash => "name|type" => entry
+        this.entries = new Map();
+        this.size = 0;
+
+        // Cached subdomains under each parent: name hash => set of descendant name hashes
+        this.descendants = new Map();
+
+        this.registry = null;
+        this.resolver = null;
+    }
+
+    isAuthoritative(name) {
+        return this.zone.isAuthoritative(name);
+    }
+
+    // Answer from the cache, aging the TTLs by the time the answer has been cached.
+    // Answers at a given block are read from the contracts and not cached.
+    async answer(question, { blockTag } = {}) {
+        if (blockTag !== undefined) {
+            return this.zone.answer(question, { blockTag });
+        }
+
+        const domainName = this.zone.canonicalName(question.name);
+        const nameHash = ethers.utils.id(domainName);
+        const key = `${domainName}|${question.type}`;
+        const now = Date.now();
+
+        const cached = this.entries.get(nameHash) && this.entries.get(nameHash).get(key);
+        if (cached && cached.expiresAt > now) {
+            const elapsed = Math.floor((now - cached.storedAt) / 1000);
+            return this.withTtlsReduced(cached.result, elapsed);
+        }
+
+        const result = await this.zone.answer(question);
+        const ttl = this.cacheTtl(result);
+
+        if (ttl > 0) {
+            this.store(domainName, key, { result, storedAt: now, expiresAt: now + ttl * 1000 });
+        }
+
+        return result;
+    }
+
+    // Drop every cached answer for a name, given the name or its keccak256 hash, and with
+    // descendants set, those of all its subdomains
+    invalidate(nameOrHash, { descendants = false } = {}) {
+        const nameHash = ethers.utils.isHexString(nameOrHash, 32)
+            ? nameOrHash
+            : ethers.utils.id(this.zone.canonicalName(nameOrHash));
+
+        this.drop(nameHash);
+
+        if (descendants && this.descendants.has(nameHash)) {
+            for (const descendantHash of this.descendants.get(nameHash)) {
+                this.drop(descendantHash);
+            }
+            this.descendants.delete(nameHash);
+        }
+    }
+
+    drop(nameHash) {
+        const group = this.entries.get(nameHash);
+        if (group) {
+            this.size -= group.size;
+            this.entries.delete(nameHash);
+        }
+    }
+
+    // Invalidate names as registry and default resolver events arrive
+    async watch() {
+        const provider = this.zone.provider;
+
+        this.registry = new ethers.Contract(this.zone.registry.address, [...REGISTRY_EVENTS, ...SUBDOMAIN_EVENTS], provider);
+        for (const event of REGISTRY_EVENTS) {
+            const name = ethers.utils.Fragment.from(event).name;
+            this.registry.on(name, (...args) => {
+                this.invalidate(args[args.length - 1].topics[1], { descendants: PARENT_EVENTS.has(name) });
+            });
+        }
+
+        for (const event of SUBDOMAIN_EVENTS) {
+            this.registry.on(ethers.utils.Fragment.from(event).name, (parentName, subdomainName) => {
+                this.invalidate(subdomainName);
+            });
+        }
+
+        const defaultResolver = await new ethers.Contract(
+            this.zone.registry.address,
+            ["function defaultResolver() external view returns (address)"],
+            provider
+        ).defaultResolver();
+
+        if (defaultResolver !== ethers.constants.AddressZero) {
+            this.resolver = new ethers.Contract(defaultResolver, RESOLVER_EVENTS, provider);
+            for (const event of RESOLVER_EVENTS) {
+                this.resolver.on(ethers.utils.Fragment.from(event).name, (...args) => {
+                    this.invalidate(args[args.length - 1].topics[1]);
+                });
+            }
+        }
+    }
+
+    // Stop listening for events
+    unwatch() {
+        if (this.registry) this.registry.removeAllListeners();
+        if (this.resolver) this.resolver.removeAllListeners();
+        this.registry = null;
+        this.resolver = null;
+    }
+
+    // Positive answers are cached for their lowest TTL, negative ones for the SOA minimum
+    cacheTtl(result) {
+        if (result.answers.length > 0) {
+            return Math.min(...result.answers.map((answer) => answer.ttl));
+        }
+
+        const soa = result.authorities.find((record) => record.type === "SOA");
+        return soa ? Math.min(soa.ttl, soa.data.minimum) : 0;
+    }
+
+    store(domainName, key, entry) {
+        // Start over rather than track usage; the cache refills from the contract
+        if (this.size >= this.maxEntries) {
+            this.entries.clear();
+            this.descendants.clear();
+            this.size = 0;
+        }
+
+        const nameHash = ethers.utils.id(domainName);
+
+        if (!this.entries.has(nameHash)) {
+            this.entries.set(nameHash, new Map());
+        }
+
+        const group = this.entries.get(nameHash);
+        if (!group.has(key)) this.size++;
+        group.set(key, entry);
+
+        // Note the name under each parent below the top-level domain, whose events reach it too
+        const labels = domainName.split(".");
+        for (let i = 1; i < labels.length - 1; i++) {
+            const parentHash = ethers.utils.id(labels.slice(i).join("."));
+            if (!this.descendants.has(parentHash)) {
+                this.descendants.set(parentHash, new Set());
+            }
+            this.descendants.get(parentHash).add(nameHash);
+        }
+    }
+
+    withTtlsReduced(result, elapsed) {
+        const age = (record) => ({ ...record, ttl: Math.max(0, record.ttl - elapsed) });
+
+        return {
+            rcode: result.rcode,
+            answers: result.answers.map(age),
+            authorities: result.authorities.map(age)
+        };
+    }
+}
+
+module.exports = { CachedZone };
@@ -0,0 +1,290 @@
+// LedgerNet DNS-over-HTTPS gateway
+// Serves RFC 8484 GET and POST queries and the application/dns-json format, answering
+// LedgerNet names from the contract through a cache and forwarding other zones upstream
+
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const { parseArgs } = require("util");
+const dnsPacket = require("dns-packet");
+const { ethers } = require("ethers");
+const { DnsServer } = require("../dns/server");
+const { LedgerNetZone } = require("../dns/zone");
+const { CachedZone } = require("./cache");
+const { loadDeployment } = require("../deployment");
+const LedgerNetNames = require("../../sdk/normalize.js");
+const { buildResolutionProof } = require("../../sdk/proofs.js");
+
+const DNS_MESSAGE = "application/dns-message";
+const DNS_JSON = "application/dns-json";
+
+// Largest DNS message accepted in a request (RFC 8484 section 6)
+const MAX_MESSAGE_SIZE = 65535;
+
+class DohGateway {
+    constructor({ zone, upstream = "1.1.1.1:53", path = "/dns-query", proofs = false }) {
+        this.zone = new CachedZone({ zone });
+        this.path = path;
+
+        // Proofs are read straight from the node, which must support eth_getProof
+        this.prover = proofs ? { provider: zone.provider, registryAddress: zone.registry.address } : null;
+
+        // The DNS server does the wire-format work; the gateway only carries its messages over HTTP
+        this.dns = new DnsServer({ zone: this.zone, upstream });
+        this.server = null;
+    }
+
+    // Listen for HTTP requests, or HTTPS when a key and certificate are given (port 0 picks a free port)
+    async start({ port = 8053, host = "127.0.0.1", key, cert } = {}) {
+        const handler = (request, response) => {
+            this.handleRequest(request, response).catch((error) => {
+                console.error("Error handling request:", error);
+                this.sendError(response, 500, "Internal server error");
+            });
+        };
+
+        this.server = key && cert ? https.createServer({ key, cert }, handler) : http.createServer(handler);
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        await this.zone.watch();
+
+        return { host, port: this.server.address().port };
+    }
+
+    // Stop listening and unsubscribe from contract events
+    async stop() {
+        this.zone.unwatch();
+
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handleRequest(request, response) {
+        const url = new URL(request.url, "http://localhost");
+
+        if (url.pathname !== this.path) {
+            return this.sendError(response, 404, "Not found");
+        }
+
+        // JSON queries name the question in the query string
+        if (request.method === "GET" && url.searchParams.has("name")) {
+            return this.handleJsonQuery(url.searchParams, response);
+        }
+
+        let message;
+        if (request.method === "GET") {
+            if (!url.searchParams.has("dns")) {
+                return this.sendError(response, 400, "Missing dns parameter");
+            }
+            message = Buffer.from(url.searchParams.get("dns"), "base64url");
+        } else if (request.method === "POST") {
+            if (!String(request.headers["content-type"]).startsWith(DNS_MESSAGE)) {
+                return this.sendError(response, 415, `Content-Type must be ${DNS_MESSAGE}`);
+            }
+            message = await this.readBody(request);
+        } else {
+            response.setHeader("Allow", "GET, POST");
+            return this.sendError(response, 405, "Method not allowed");
+        }
+
+        if (!message || message.length === 0) {
+            return this.sendError(response, 400, "Invalid DNS message");
+        }
+
+        const answer = await this.dns.handleQuery(message, "tcp");
+        if (!answer) {
+            return this.sendError(response, 400, "Invalid DNS message");
+        }
+
+        this.send(response, DNS_MESSAGE, answer, dnsPacket.decode(answer));
+    }
+
+    // Answer a JSON query (?name=mysite.eth&type=A), in the format used by public DoH providers.
+    // A and AAAA queries for LedgerNet names with proof=1 also get a proof of resolveDomain's answer,
+    // and are answered at the proof's block rather than from the cache.
+    async handleJsonQuery(params, response) {
+        const type = (params.get("type") || "A").toUpperCase();
+
+        let query;
+        try {
+            query = dnsPacket.encode({
+                id: 0,
+                type: "query",
+                flags: dnsPacket.RECURSION_DESIRED,
+                questions: [{ name: params.get("name"), type: /^\d+$/.test(type) ? `TYPE${type}` : type }]
+            });
+        } catch (error) {
+            return this.sendError(response, 400, "Invalid query");
+        }
+
+        let proof = null;
+        let proofError = null;
+        if (params.get("proof") === "1" && (type === "A" || type === "AAAA")) {
+            try {
+                proof = await this.buildProof(params.get("name"));
+            } catch (error) {
+                console.error(`Error proving ${params.get("name")}:`, error.message);
+                proofError = "Resolution proof unavailable";
+            }
+        }
+
+        const answer = await this.dns.handleQuery(query, "tcp", proof ? { blockTag: proof.blockNumber } : {});
+        if (!answer) {
+            return this.sendError(response, 400, "Invalid query");
+        }
+
+        const decoded = dnsPacket.decode(answer);
+        const toJson = (record) => ({
+            name: record.name,
+            type: record.type,
+            TTL: record.ttl,
+            data: this.formatData(record)
+        });
+
+        const result = {
+            Status: decoded.flags & 15,
+            TC: decoded.flag_tc,
+            RD: decoded.flag_rd,
+            RA: decoded.flag_ra,
+            AD: decoded.flag_ad,
+            CD: decoded.flag_cd,
+            Question: decoded.questions.map((question) => ({ name: question.name, type: question.type })),
+            Answer: decoded.answers.map(toJson),
+            Authority: decoded.authorities.map(toJson)
+        };
+
+        if (proof) result.Proof = proof;
+        if (proofError) result.ProofError = proofError;
+
+        this.send(response, DNS_JSON, JSON.stringify(result), decoded);
+    }
+
+    // Prove what resolveDomain returns for a LedgerNet name at the latest block, or null when
+    // proofs are off or the name is not LedgerNet's
+    async buildProof(name) {
+        if (!this.prover || !this.zone.isAuthoritative(name)) return null;
+
+        const domainName = this.zone.zone.canonicalName(name);
+        if (LedgerNetNames.validateName(domainName)) return null;
+
+        return buildResolutionProof({ ...this.prover, name: domainName });
+    }
+
+    // Present record data as text, like dig does
+    formatData(record) {
+        const data = record.data;
+
+        switch (record.type) {
+            case "MX":
+                return `${data.preference} ${data.exchange}`;
+            case "SRV":
+                return `${data.priority} ${data.weight} ${data.port} ${data.target}`;
+            case "TXT":
+                return data.map((chunk) => `"${chunk.toString()}"`).join(" ");
+            case "SOA":
+                return `${data.mname} ${data.rname} ${data.serial} ${data.refresh} ${data.retry} ${data.expire} ${data.minimum}`;
+            default:
+                return Buffer.isBuffer(data) ? data.toString("hex") : String(data);
+        }
+    }
+
+    // Send an answer that HTTP caches may keep for its lowest TTL (RFC 8484 section 5.1)
+    send(response, contentType, body, decoded) {
+        const ttls = [...decoded.answers, ...decoded.authorities].map((record) => record.ttl);
+
+        response.statusCode = 200;
+        response.setHeader("Content-Type", contentType);
+        response.setHeader("Content-Length", Buffer.byteLength(body));
+        if (ttls.length > 0) {
+            response.setHeader("Cache-Control", `max-age=${Math.min(...ttls)}`);
+        }
+        response.end(body);
+    }
+
+    sendError(response, status, message) {
+        if (response.headersSent) return response.end();
+
+        response.statusCode = status;
+        response.setHeader("Content-Type", "text/plain");
+        response.end(message);
+    }
+
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+
+            request.on("data", (chunk) => {
+                length += chunk.length;
+                if (length > MAX_MESSAGE_SIZE) {
+                    request.destroy();
+                    resolve(null);
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on("end", () => resolve(Buffer.concat(chunks)));
+            request.on("error", reject);
+        });
+    }
+}
+
+// Start a gateway from the command line
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            rpc: { type: "string", default: "http://127.0.0.1:8545" },
+            network: { type: "string" },
+            deployment: { type: "string" },
+            registry: { type: "string" },
+            tlds: { type: "string" },
+            host: { type: "string", default: "127.0.0.1" },
+            port: { type: "string", default: "8053" },
+            upstream: { type: "string", default: "1.1.1.1:53" },
+            key: { type: "string" },
+            cert: { type: "string" },
+            proofs: { type: "boolean", default: false }
+        }
+    });
+
+    // Contract address and top-level domains default to the latest deployment
+    const deployment = options.registry && options.tlds
+        ? {}
+        : loadDeployment({ network: options.network, file: options.deployment });
+    const registryAddress = options.registry || deployment.contractAddress;
+    const tlds = options.tlds ? options.tlds.split(",") : (deployment.allowedTlds || ["eth"]);
+
+    const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+    const zone = new LedgerNetZone({ provider, registryAddress, tlds });
+    const gateway = new DohGateway({ zone, upstream: options.upstream, proofs: options.proofs });
+
+    const { host, port } = await gateway.start({
+        host: options.host,
+        port: Number(options.port),
+        key: options.key && fs.readFileSync(options.key),
+        cert: options.cert && fs.readFileSync(options.cert)
+    });
+
+    const scheme = options.key && options.cert ? "https" : "http";
+    console.log("🌐 LedgerNet DoH gateway listening on", `${scheme}://${host}:${port}${gateway.path}`);
+    console.log("   Registry:", registryAddress);
+    console.log("   Zones:", tlds.join(", "));
+    console.log("   Upstream:", options.upstream);
+    console.log("   Resolution proofs:", options.proofs ? "on request (proof=1)" : "off");
+    console.log(`   Try: curl -H 'accept: ${DNS_JSON}' '${scheme}://${host}:${port}${gateway.path}?name=mysite.${tlds[0]}&type=A'`);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ DoH gateway failed:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { DohGateway, main };
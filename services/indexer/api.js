@@ -0,0 +1,184 @@
+// LedgerNet indexer API
+// Read-only REST API over the indexer database
+
+const http = require("http");
+const { ethers } = require("ethers");
+const LedgerNetNames = require("../../sdk/normalize.js");
+
+// Default window for expiring-soon lists (30 days)
+const DEFAULT_EXPIRING_WITHIN = 30 * 24 * 60 * 60;
+
+const MAX_LIMIT = 500;
+
+class IndexerApi {
+    constructor({ db, indexer = null, clock = () => Math.floor(Date.now() / 1000) }) {
+        this.db = db;
+        this.indexer = indexer;
+        this.clock = clock;
+        this.server = null;
+
+        // Routes are matched in order against the request path
+        this.routes = [
+            [/^\/api\/status$/, () => this.getStatus()],
+            [/^\/api\/domains$/, (params, query) => this.searchDomains(query)],
+            [/^\/api\/domains\/([^/]+)$/, (params) => this.getDomain(params[0])],
+            [/^\/api\/domains\/([^/]+)\/history$/, (params) => this.getHistory(params[0])],
+            [/^\/api\/owners\/([^/]+)\/domains$/, (params) => this.getDomainsByOwner(params[0])],
+            [/^\/api\/expiring$/, (params, query) => this.getExpiringDomains(query)]
+        ];
+    }
+
+    // Listen for HTTP requests (port 0 picks a free port)
+    async start({ port = 8080, host = "127.0.0.1" } = {}) {
+        this.server = http.createServer((request, response) => this.handleRequest(request, response));
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        return { host, port: this.server.address().port };
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    handleRequest(request, response) {
+        const url = new URL(request.url, "http://localhost");
+
+        // The frontend is served from another origin
+        response.setHeader("Access-Control-Allow-Origin", "*");
+
+        if (request.method !== "GET") {
+            response.setHeader("Allow", "GET");
+            return this.send(response, 405, { error: "Method not allowed" });
+        }
+
+        for (const [pattern, handler] of this.routes) {
+            const match = url.pathname.match(pattern);
+            if (!match) continue;
+
+            try {
+                const params = match.slice(1).map((param) => this.decodeParam(param));
+                return this.send(response, 200, handler(params, url.searchParams));
+            } catch (error) {
+                if (error.status) {
+                    return this.send(response, error.status, { error: error.message });
+                }
+
+                console.error("Error handling request:", error);
+                return this.send(response, 500, { error: "Internal server error" });
+            }
+        }
+
+        this.send(response, 404, { error: "Not found" });
+    }
+
+    getStatus() {
+        return {
+            lastBlock: this.indexer ? this.indexer.lastBlock : Number(this.db.getMeta("lastBlock")),
+            registry: this.indexer ? this.indexer.registry.address : null
+        };
+    }
+
+    searchDomains(query) {
+        return {
+            domains: this.db.searchDomains({
+                search: (query.get("search") || "").trim().toLowerCase(),
+                limit: this.parseLimit(query, 50),
+                offset: this.parseInteger(query, "offset", 0),
+                now: this.now()
+            })
+        };
+    }
+
+    getDomain(name) {
+        const domain = this.db.getDomain(this.parseName(name), this.now());
+        if (!domain) {
+            throw this.httpError(404, "Domain not indexed");
+        }
+
+        return domain;
+    }
+
+    getHistory(name) {
+        const domainName = this.parseName(name);
+        return { name: domainName, events: this.db.getHistory(domainName) };
+    }
+
+    getDomainsByOwner(address) {
+        if (!ethers.utils.isAddress(address)) {
+            throw this.httpError(400, "Invalid address");
+        }
+
+        const owner = ethers.utils.getAddress(address);
+        return { owner, domains: this.db.getDomainsByOwner(owner, this.now()) };
+    }
+
+    getExpiringDomains(query) {
+        const within = this.parseInteger(query, "within", DEFAULT_EXPIRING_WITHIN);
+        return {
+            within,
+            domains: this.db.getExpiringDomains({ within, limit: this.parseLimit(query, 100), now: this.now() })
+        };
+    }
+
+    // Path segments are percent-encoded; malformed ones are the client's fault
+    decodeParam(param) {
+        try {
+            return decodeURIComponent(param);
+        } catch (error) {
+            throw this.httpError(400, "Invalid path encoding");
+        }
+    }
+
+    // Names in the path are normalised like the frontend's inputs
+    parseName(name) {
+        try {
+            return LedgerNetNames.normalizeName(name);
+        } catch (error) {
+            throw this.httpError(400, error.message);
+        }
+    }
+
+    parseInteger(query, key, defaultValue) {
+        if (!query.has(key)) return defaultValue;
+
+        const value = query.get(key);
+        if (!/^\d+$/.test(value)) {
+            throw this.httpError(400, `Invalid ${key}`);
+        }
+
+        return Number(value);
+    }
+
+    parseLimit(query, defaultValue) {
+        return Math.min(this.parseInteger(query, "limit", defaultValue), MAX_LIMIT);
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    // Phases are worked out against the wall clock by default, which the chain follows closely
+    now() {
+        return this.clock();
+    }
+
+    send(response, status, body) {
+        const json = JSON.stringify(body);
+
+        response.statusCode = status;
+        response.setHeader("Content-Type", "application/json");
+        response.setHeader("Content-Length", Buffer.byteLength(json));
+        response.end(json);
+    }
+}
+
+module.exports = { IndexerApi };
@@ -0,0 +1,240 @@
+// LedgerNet indexer database
+// SQLite store of registry events and the latest state of every name they mention
+
+const Database = require("better-sqlite3");
+
+const SCHEMA = `
+    CREATE TABLE IF NOT EXISTS meta (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS blocks (
+        number INTEGER PRIMARY KEY,
+        hash TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS names (
+        hash TEXT PRIMARY KEY,
+        name TEXT NOT NULL
+    );
+
+    CREATE TABLE IF NOT EXISTS events (
+        block_number INTEGER NOT NULL,
+        log_index INTEGER NOT NULL,
+        transaction_hash TEXT NOT NULL,
+        timestamp INTEGER NOT NULL,
+        actor TEXT,
+        event TEXT NOT NULL,
+        name TEXT NOT NULL,
+        owner TEXT,
+        previous_owner TEXT,
+        ip_address TEXT,
+        expiration_time INTEGER,
+        PRIMARY KEY (block_number, log_index)
+    );
+    CREATE INDEX IF NOT EXISTS events_by_name ON events (name, block_number, log_index);
+
+    CREATE TABLE IF NOT EXISTS domains (
+        name TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        ip_address TEXT NOT NULL,
+        expiration_time INTEGER NOT NULL,
+        is_active INTEGER NOT NULL,
+        parent TEXT,
+        updated_block INTEGER NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS domains_by_owner ON domains (owner);
+    CREATE INDEX IF NOT EXISTS domains_by_expiration ON domains (expiration_time);
+`;
+
+// LedgerNet.DomainPhase
+const PHASES = { AVAILABLE: 0, ACTIVE: 1, GRACE: 2, PREMIUM: 3 };
+
+class IndexerDatabase {
+    constructor({ file = ":memory:" } = {}) {
+        this.db = new Database(file);
+        this.db.pragma("journal_mode = WAL");
+        this.db.exec(SCHEMA);
+        this.migrate();
+    }
+
+    // Bring databases created by earlier versions up to the current schema
+    migrate() {
+        const columns = this.db.prepare("PRAGMA table_info(events)").all().map((column) => column.name);
+
+        if (!columns.includes("actor")) {
+            this.db.exec("ALTER TABLE events ADD COLUMN actor TEXT");
+        }
+    }
+
+    close() {
+        this.db.close();
+    }
+
+    // Key-value settings: sync progress and the registry's release settings
+    getMeta(key) {
+        const row = this.db.prepare("SELECT value FROM meta WHERE key = ?").get(key);
+        return row ? row.value : null;
+    }
+
+    setMeta(key, value) {
+        this.db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value")
+            .run(key, String(value));
+    }
+
+    // Block hashes are kept for blocks with events and for the last indexed block, to detect reorgs
+    getLatestBlock() {
+        return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC LIMIT 1").get() || null;
+    }
+
+    getBlocksDescending() {
+        return this.db.prepare("SELECT number, hash FROM blocks ORDER BY number DESC").all();
+    }
+
+    // Event logs only carry the keccak256 hash of a name, so names are looked up by hash
+    getName(hash) {
+        const row = this.db.prepare("SELECT name FROM names WHERE hash = ?").get(hash);
+        return row ? row.name : null;
+    }
+
+    saveName(hash, name) {
+        this.db.prepare("INSERT OR IGNORE INTO names (hash, name) VALUES (?, ?)").run(hash, name);
+    }
+
+    // Store a range of blocks in one transaction: its events, the refreshed domains and the new sync position
+    saveRange({ events, domains, blocks, lastBlock, pruneBelow }) {
+        const insertEvent = this.db.prepare(`
+            INSERT OR REPLACE INTO events
+                (block_number, log_index, transaction_hash, timestamp, actor, event, name, owner, previous_owner, ip_address, expiration_time)
+            VALUES
+                (@blockNumber, @logIndex, @transactionHash, @timestamp, @actor, @event, @name, @owner, @previousOwner, @ipAddress, @expirationTime)
+        `);
+        const insertBlock = this.db.prepare("INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)");
+
+        this.db.transaction(() => {
+            for (const event of events) insertEvent.run(event);
+            for (const domain of domains) this.saveDomain(domain);
+            for (const block of blocks) insertBlock.run(block.number, block.hash);
+
+            this.db.prepare("DELETE FROM blocks WHERE number < ? AND number <> ?").run(pruneBelow, lastBlock);
+            this.setMeta("lastBlock", lastBlock);
+        })();
+    }
+
+    saveDomain({ name, owner, ipAddress, expirationTime, isActive, parent, blockNumber }) {
+        this.db.prepare(`
+            INSERT INTO domains (name, owner, ip_address, expiration_time, is_active, parent, updated_block)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT (name) DO UPDATE SET
+                owner = excluded.owner,
+                ip_address = excluded.ip_address,
+                expiration_time = excluded.expiration_time,
+                is_active = excluded.is_active,
+                parent = excluded.parent,
+                updated_block = excluded.updated_block
+        `).run(name, owner, ipAddress, expirationTime, isActive ? 1 : 0, parent, blockNumber);
+    }
+
+    // Forget everything after a block, returning the names whose events were removed
+    rollback(blockNumber) {
+        return this.db.transaction(() => {
+            const names = this.db.prepare("SELECT DISTINCT name FROM events WHERE block_number > ?")
+                .all(blockNumber)
+                .map((row) => row.name);
+
+            this.db.prepare("DELETE FROM events WHERE block_number > ?").run(blockNumber);
+            this.db.prepare("DELETE FROM blocks WHERE number > ?").run(blockNumber);
+            this.setMeta("lastBlock", blockNumber);
+
+            return names;
+        })();
+    }
+
+    // Names below a domain, whose expiration follows the domain's
+    getDescendants(name) {
+        return this.db.prepare("SELECT name FROM domains WHERE name LIKE ? ESCAPE '\\'")
+            .all(`%.${this.escapeLike(name)}`)
+            .map((row) => row.name);
+    }
+
+    getDomain(name, now) {
+        const row = this.db.prepare("SELECT * FROM domains WHERE name = ?").get(name);
+        return row ? this.toDomain(row, now) : null;
+    }
+
+    // Search names containing a term, in alphabetical order
+    searchDomains({ search = "", limit = 50, offset = 0, now }) {
+        return this.db.prepare("SELECT * FROM domains WHERE name LIKE ? ESCAPE '\\' ORDER BY name LIMIT ? OFFSET ?")
+            .all(`%${this.escapeLike(search)}%`, limit, offset)
+            .map((row) => this.toDomain(row, now));
+    }
+
+    // Names an address still holds, including those in their grace or premium period
+    getDomainsByOwner(owner, now) {
+        return this.db.prepare("SELECT * FROM domains WHERE owner = ? AND is_active = 1 ORDER BY name")
+            .all(owner)
+            .map((row) => this.toDomain(row, now))
+            .filter((domain) => domain.phase !== PHASES.AVAILABLE);
+    }
+
+    // Active names that expire within a number of seconds, soonest first
+    getExpiringDomains({ within, limit = 100, now }) {
+        return this.db.prepare(`
+            SELECT * FROM domains
+            WHERE is_active = 1 AND expiration_time > ? AND expiration_time <= ?
+            ORDER BY expiration_time LIMIT ?
+        `).all(now, now + within, limit).map((row) => this.toDomain(row, now));
+    }
+
+    // Events of a name, oldest first
+    getHistory(name) {
+        return this.db.prepare("SELECT * FROM events WHERE name = ? ORDER BY block_number, log_index")
+            .all(name)
+            .map((row) => ({
+                event: row.event,
+                blockNumber: row.block_number,
+                logIndex: row.log_index,
+                transactionHash: row.transaction_hash,
+                timestamp: row.timestamp,
+                actor: row.actor,
+                owner: row.owner,
+                previousOwner: row.previous_owner,
+                ipAddress: row.ip_address,
+                expirationTime: row.expiration_time
+            }));
+    }
+
+    // The phase moves on with time, so it is worked out when a domain is read, as getDomainPhase does
+    phaseOf(row, now) {
+        if (!row.is_active) return PHASES.AVAILABLE;
+        if (now < row.expiration_time) return PHASES.ACTIVE;
+        if (row.parent) return PHASES.AVAILABLE;
+
+        const gracePeriod = Number(this.getMeta("gracePeriod") || 0);
+        const premiumPeriod = Number(this.getMeta("premiumPeriod") || 0);
+
+        if (now < row.expiration_time + gracePeriod) return PHASES.GRACE;
+        if (now < row.expiration_time + gracePeriod + premiumPeriod) return PHASES.PREMIUM;
+        return PHASES.AVAILABLE;
+    }
+
+    toDomain(row, now) {
+        return {
+            name: row.name,
+            owner: row.owner,
+            ipAddress: row.ip_address,
+            expirationTime: row.expiration_time,
+            isActive: row.is_active === 1,
+            phase: this.phaseOf(row, now),
+            parent: row.parent,
+            updatedBlock: row.updated_block
+        };
+    }
+
+    escapeLike(text) {
+        return text.replace(/[\\%_]/g, (character) => `\\${character}`);
+    }
+}
+
+module.exports = { IndexerDatabase, PHASES };
@@ -0,0 +1,350 @@
+// LedgerNet event indexer
+// Replays and follows registry events into a SQLite database, rolling back on chain
+// reorgs, and serves the indexed names over a REST API
+
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const { IndexerDatabase } = require("./database");
+const { IndexerApi } = require("./api");
+const { loadDeployment } = require("../deployment");
+
+const REGISTRY_ABI = [
+    "event DomainRegistered(string indexed domainName, address indexed owner, string ipAddress)",
+    "event DomainUpdated(string indexed domainName, string newIpAddress)",
+    "event DomainTransferred(string indexed domainName, address indexed oldOwner, address indexed newOwner)",
+    "event DomainRenewed(string indexed domainName, uint256 newExpirationTime)",
+    "event DomainDeactivated(string indexed domainName)",
+    "event SubdomainCreated(string indexed parentName, string subdomainName, address indexed owner, uint256 expirationTime)",
+    "event SubdomainRevoked(string indexed parentName, string subdomainName)",
+    "event TrustedForwarderChanged(address indexed forwarder)",
+    "function getDomainInfo(string memory _domainName) external view returns (address owner, string memory ipAddress, uint256 expirationTime, bool isActive, uint8 phase)",
+    "function parentDomains(string memory) external view returns (string memory)",
+    "function gracePeriod() external view returns (uint256)",
+    "function premiumPeriod() external view returns (uint256)",
+    "function token() external view returns (address)"
+];
+
+const TOKEN_ABI = [
+    "function domainNames(uint256) external view returns (string memory)"
+];
+
+const FORWARDER_ABI = [
+    "event RequestRelayed(address indexed signer, uint256 nonce, address indexed relayer)"
+];
+
+const INDEXED_EVENTS = [
+    "DomainRegistered",
+    "DomainUpdated",
+    "DomainTransferred",
+    "DomainRenewed",
+    "DomainDeactivated",
+    "SubdomainCreated",
+    "SubdomainRevoked"
+];
+
+// Block hashes older than this are dropped; deeper reorgs start the index over
+const REORG_DEPTH = 256;
+
+class LedgerNetIndexer {
+    constructor({ provider, registryAddress, db, startBlock = 0, confirmations = 0, batchSize = 2000, pollInterval = 4000 }) {
+        this.provider = provider;
+        this.registry = new ethers.Contract(registryAddress, REGISTRY_ABI, provider);
+        this.db = db;
+        this.startBlock = startBlock;
+        this.confirmations = confirmations;
+        this.batchSize = batchSize;
+        this.pollInterval = pollInterval;
+
+        this.topics = INDEXED_EVENTS.map((name) => this.registry.interface.getEventTopic(name));
+        this.relayedTopic = new ethers.utils.Interface(FORWARDER_ABI).getEventTopic("RequestRelayed");
+        this.forwarders = new Set();
+        this.forwardersScannedTo = startBlock - 1;
+        this.token = null;
+        this.timer = null;
+        this.running = false;
+    }
+
+    // Last indexed block
+    get lastBlock() {
+        const stored = this.db.getMeta("lastBlock");
+        return stored === null ? this.startBlock - 1 : Number(stored);
+    }
+
+    // Sync now, then keep syncing every poll interval until stopped
+    async start() {
+        this.running = true;
+
+        const poll = async () => {
+            try {
+                await this.sync();
+            } catch (error) {
+                console.error("Indexer sync failed:", error.message);
+            }
+
+            if (this.running) {
+                this.timer = setTimeout(poll, this.pollInterval);
+            }
+        };
+
+        await poll();
+    }
+
+    stop() {
+        this.running = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    // Index every confirmed block not indexed yet, returning the last indexed block
+    async sync() {
+        await this.handleReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+
+        for (let from = this.lastBlock + 1; from <= head; from += this.batchSize) {
+            await this.indexRange(from, Math.min(from + this.batchSize - 1, head));
+        }
+
+        // Release settings decide when expired names become available again
+        this.db.setMeta("gracePeriod", (await this.registry.gracePeriod()).toString());
+        this.db.setMeta("premiumPeriod", (await this.registry.premiumPeriod()).toString());
+
+        return this.lastBlock;
+    }
+
+    async indexRange(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({
+            address: this.registry.address,
+            fromBlock,
+            toBlock,
+            topics: [this.topics]
+        });
+
+        const blocks = new Map();
+        const actors = new Map();
+        const events = [];
+        const names = new Set();
+        const forwarders = await this.trustedForwarders(toBlock);
+
+        for (const log of logs) {
+            if (!blocks.has(log.blockNumber)) {
+                blocks.set(log.blockNumber, await this.provider.getBlock(log.blockHash));
+            }
+
+            if (!actors.has(log.transactionHash)) {
+                actors.set(log.transactionHash, await this.transactionActor(log.transactionHash, forwarders));
+            }
+
+            const event = await this.toEvent(log, blocks.get(log.blockNumber), actors.get(log.transactionHash));
+            events.push(event);
+            names.add(event.name);
+        }
+
+        if (!blocks.has(toBlock)) {
+            blocks.set(toBlock, await this.provider.getBlock(toBlock));
+        }
+
+        this.db.saveRange({
+            events,
+            domains: await this.fetchDomains(names, toBlock),
+            blocks: [...blocks.values()].map((block) => ({ number: block.number, hash: block.hash })),
+            lastBlock: toBlock,
+            pruneBelow: toBlock - REORG_DEPTH
+        });
+    }
+
+    // Every forwarder the registry has trusted up to a block. Forwarders only relay requests with
+    // a valid signature, so one that has since been replaced still names its signers truthfully.
+    async trustedForwarders(toBlock) {
+        if (this.forwardersScannedTo < toBlock) {
+            const filter = this.registry.filters.TrustedForwarderChanged();
+            const changes = await this.registry.queryFilter(filter, this.forwardersScannedTo + 1, toBlock);
+
+            changes.forEach((change) => this.forwarders.add(change.args.forwarder.toLowerCase()));
+            this.forwardersScannedTo = toBlock;
+        }
+
+        return this.forwarders;
+    }
+
+    // The actor is the signer of a request relayed by a trusted forwarder, otherwise the account
+    // that sent the transaction
+    async transactionActor(transactionHash, forwarders) {
+        const receipt = await this.provider.getTransactionReceipt(transactionHash);
+        const relayed = receipt.logs.find((log) => log.topics[0] === this.relayedTopic && forwarders.has(log.address.toLowerCase()));
+
+        return relayed ? ethers.utils.getAddress(ethers.utils.hexDataSlice(relayed.topics[1], 12)) : receipt.from;
+    }
+
+    // Convert a log to an events table row
+    async toEvent(log, block, actor) {
+        const fragment = this.registry.interface.getEvent(log.topics[0]);
+        const args = this.registry.interface.decodeEventLog(fragment, log.data, log.topics);
+        const event = fragment.name;
+        const row = {
+            blockNumber: log.blockNumber,
+            logIndex: log.logIndex,
+            transactionHash: log.transactionHash,
+            timestamp: block.timestamp,
+            actor,
+            event,
+            name: null,
+            owner: null,
+            previousOwner: null,
+            ipAddress: null,
+            expirationTime: null
+        };
+
+        switch (event) {
+            case "DomainRegistered":
+                row.owner = args.owner;
+                row.ipAddress = args.ipAddress;
+                break;
+            case "DomainUpdated":
+                row.ipAddress = args.newIpAddress;
+                break;
+            case "DomainTransferred":
+                row.previousOwner = args.oldOwner;
+                row.owner = args.newOwner;
+                break;
+            case "DomainRenewed":
+                row.expirationTime = args.newExpirationTime.toNumber();
+                break;
+            case "SubdomainCreated":
+                row.owner = args.owner;
+                row.expirationTime = args.expirationTime.toNumber();
+                break;
+        }
+
+        if (event === "SubdomainCreated" || event === "SubdomainRevoked") {
+            row.name = args.subdomainName;
+            this.db.saveName(ethers.utils.id(row.name), row.name);
+        } else {
+            row.name = await this.nameOf(log.topics[1]);
+        }
+
+        return row;
+    }
+
+    // Recover a name from its hash: subdomains are named by their creation event, and
+    // registered domains by their token, whose ID is the name's hash
+    async nameOf(hash) {
+        const known = this.db.getName(hash);
+        if (known) return known;
+
+        if (!this.token) {
+            this.token = new ethers.Contract(await this.registry.token(), TOKEN_ABI, this.provider);
+        }
+
+        const name = await this.token.domainNames(ethers.BigNumber.from(hash));
+        if (!name) return hash;
+
+        this.db.saveName(hash, name);
+        return name;
+    }
+
+    // Read the state of changed names at the indexed block, and of the names below them,
+    // whose expiration follows their parent's
+    async fetchDomains(names, blockNumber) {
+        const all = new Set(names);
+        for (const name of names) {
+            this.db.getDescendants(name).forEach((descendant) => all.add(descendant));
+        }
+
+        return Promise.all([...all].map(async (name) => {
+            const overrides = { blockTag: blockNumber };
+            const [owner, ipAddress, expirationTime, isActive] = await this.registry.getDomainInfo(name, overrides);
+            const parent = await this.registry.parentDomains(name, overrides);
+
+            return {
+                name,
+                owner,
+                ipAddress,
+                expirationTime: expirationTime.toNumber(),
+                isActive,
+                parent: parent || null,
+                blockNumber
+            };
+        }));
+    }
+
+    // Roll back to the last stored block that is still on the chain, and refresh the
+    // names whose events were dropped
+    async handleReorg() {
+        const latest = this.db.getLatestBlock();
+        if (!latest || await this.isOnChain(latest)) return;
+
+        let forkBlock = this.startBlock - 1;
+        for (const block of this.db.getBlocksDescending()) {
+            if (await this.isOnChain(block)) {
+                forkBlock = block.number;
+                break;
+            }
+        }
+
+        console.warn(`Chain reorganised, rolling back to block ${forkBlock}`);
+
+        const names = this.db.rollback(forkBlock);
+        const domains = await this.fetchDomains(new Set(names), forkBlock);
+        domains.forEach((domain) => this.db.saveDomain(domain));
+    }
+
+    async isOnChain({ number, hash }) {
+        const block = await this.provider.getBlock(number);
+        return block !== null && block.hash === hash;
+    }
+}
+
+// Start an indexer and its API from the command line
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            rpc: { type: "string", default: "http://127.0.0.1:8545" },
+            network: { type: "string" },
+            deployment: { type: "string" },
+            registry: { type: "string" },
+            "start-block": { type: "string" },
+            confirmations: { type: "string", default: "0" },
+            db: { type: "string", default: "ledgernet-index.db" },
+            host: { type: "string", default: "127.0.0.1" },
+            port: { type: "string", default: "8080" }
+        }
+    });
+
+    // Contract address and first block default to the latest deployment
+    const deployment = options.registry
+        ? {}
+        : loadDeployment({ network: options.network, file: options.deployment });
+    const registryAddress = options.registry || deployment.contractAddress;
+    const startBlock = Number(options["start-block"] || deployment.blockNumber || 0);
+
+    const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+    const db = new IndexerDatabase({ file: options.db });
+    const indexer = new LedgerNetIndexer({
+        provider,
+        registryAddress,
+        db,
+        startBlock,
+        confirmations: Number(options.confirmations)
+    });
+    const api = new IndexerApi({ db, indexer });
+
+    const { host, port } = await api.start({ host: options.host, port: Number(options.port) });
+
+    console.log("📚 LedgerNet indexer API listening on", `http://${host}:${port}/api`);
+    console.log("   Registry:", registryAddress);
+    console.log("   Database:", options.db);
+    console.log("   Indexing from block", startBlock, "with", options.confirmations, "confirmations");
+
+    await indexer.start();
+    console.log("   Indexed up to block", indexer.lastBlock);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Indexer failed:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { LedgerNetIndexer, main };
@@ -0,0 +1,199 @@
+// LedgerNet meta-transaction relayer
+// Accepts EIP-712 signed domain updates, transfers and renewals over HTTP and submits them
+// to the forwarder, paying the gas from the relayer's own account
+
+const http = require("http");
+const { parseArgs } = require("util");
+const { ethers } = require("ethers");
+const LedgerNetSDK = require("../../sdk/ledgernet.js");
+const { loadDeployment } = require("../deployment");
+
+// Largest request body accepted, in bytes
+const MAX_BODY_SIZE = 16 * 1024;
+
+class LedgerNetRelayer {
+    constructor({ signer, forwarderAddress, registryAddress, payRenewals = false }) {
+        this.signer = signer;
+        this.forwarder = new LedgerNetSDK.ForwarderClient({ address: forwarderAddress, signerOrProvider: signer });
+        this.registry = new LedgerNetSDK.LedgerNetClient({ address: registryAddress, signerOrProvider: signer });
+        this.payRenewals = payRenewals;
+        this.server = null;
+    }
+
+    // Listen for HTTP requests (port 0 picks a free port)
+    async start({ port = 8090, host = "127.0.0.1" } = {}) {
+        this.server = http.createServer((request, response) => {
+            this.handleRequest(request, response).catch((error) => {
+                console.error("Error handling request:", error);
+                this.send(response, 500, { error: "Internal server error" });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once("error", reject);
+            this.server.listen(port, host, resolve);
+        });
+
+        return { host, port: this.server.address().port };
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise((resolve) => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handleRequest(request, response) {
+        const url = new URL(request.url, "http://localhost");
+
+        // The frontend is served from another origin and posts JSON
+        response.setHeader("Access-Control-Allow-Origin", "*");
+        response.setHeader("Access-Control-Allow-Headers", "Content-Type");
+
+        if (url.pathname !== "/relay") {
+            return this.send(response, 404, { error: "Not found" });
+        }
+        if (request.method === "OPTIONS") {
+            response.statusCode = 204;
+            return response.end();
+        }
+        if (request.method !== "POST") {
+            response.setHeader("Allow", "POST, OPTIONS");
+            return this.send(response, 405, { error: "Method not allowed" });
+        }
+
+        let signed;
+        try {
+            signed = JSON.parse(await this.readBody(request));
+        } catch (error) {
+            return this.send(response, 400, { error: "Invalid JSON body" });
+        }
+
+        try {
+            const transaction = await this.relay(signed);
+            this.send(response, 202, { transactionHash: transaction.hash });
+        } catch (error) {
+            if (!error.status) throw error;
+            this.send(response, error.status, { error: error.message });
+        }
+    }
+
+    // Check a signed request and submit it, returning the transaction. Requests that would
+    // revert are refused before any gas is spent.
+    async relay(signed) {
+        const { type, request, signature } = signed || {};
+        if (!LedgerNetSDK.REQUEST_TYPES[type] || !request || typeof signature !== "string") {
+            throw this.httpError(400, "Expected a signed UpdateRequest, TransferRequest or RenewRequest");
+        }
+        if (type === "RenewRequest" && !this.payRenewals) {
+            throw this.httpError(403, "This relayer does not pay for renewals");
+        }
+
+        let signer;
+        try {
+            signer = await this.forwarder.recoverSigner({ type, request, signature });
+        } catch (error) {
+            throw this.httpError(400, "Invalid request");
+        }
+        if (signer !== ethers.utils.getAddress(request.signer)) {
+            throw this.httpError(400, "Invalid signature");
+        }
+
+        // Renewals are paid for by the relayer, at the registry's current price
+        const overrides = {};
+        if (type === "RenewRequest") {
+            overrides.value = await this.registry.getPrice(request.domainName, request.durationYears);
+        }
+
+        try {
+            await this.forwarder.simulate({ type, request, signature }, overrides);
+        } catch (error) {
+            throw this.httpError(400, this.forwarder.getErrorMessage(error));
+        }
+
+        return this.forwarder.relay({ type, request, signature }, overrides);
+    }
+
+    httpError(status, message) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    send(response, status, body) {
+        if (response.headersSent) return response.end();
+
+        const json = JSON.stringify(body);
+
+        response.statusCode = status;
+        response.setHeader("Content-Type", "application/json");
+        response.setHeader("Content-Length", Buffer.byteLength(json));
+        response.end(json);
+    }
+
+    readBody(request) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+
+            request.on("data", (chunk) => {
+                length += chunk.length;
+                if (length > MAX_BODY_SIZE) {
+                    request.destroy();
+                    reject(new Error("Request body too large"));
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            request.on("end", () => resolve(Buffer.concat(chunks).toString()));
+            request.on("error", reject);
+        });
+    }
+}
+
+// Start a relayer from the command line
+async function main() {
+    const { values: options } = parseArgs({
+        options: {
+            rpc: { type: "string", default: "http://127.0.0.1:8545" },
+            network: { type: "string" },
+            deployment: { type: "string" },
+            forwarder: { type: "string" },
+            registry: { type: "string" },
+            "private-key": { type: "string" },
+            "pay-renewals": { type: "boolean", default: false },
+            host: { type: "string", default: "127.0.0.1" },
+            port: { type: "string", default: "8090" }
+        }
+    });
+
+    // Contract addresses default to the latest deployment
+    const deployment = options.forwarder && options.registry
+        ? {}
+        : loadDeployment({ network: options.network, file: options.deployment });
+    const forwarderAddress = options.forwarder || deployment.forwarderAddress;
+    const registryAddress = options.registry || deployment.contractAddress;
+
+    // Relayed transactions are paid for by this account
+    const provider = new ethers.providers.JsonRpcProvider(options.rpc);
+    const privateKey = options["private-key"] || process.env.RELAYER_PRIVATE_KEY;
+    const signer = privateKey ? new ethers.Wallet(privateKey, provider) : provider.getSigner(0);
+
+    const relayer = new LedgerNetRelayer({ signer, forwarderAddress, registryAddress, payRenewals: options["pay-renewals"] });
+    const { host, port } = await relayer.start({ host: options.host, port: Number(options.port) });
+
+    console.log("⛽ LedgerNet relayer listening on", `http://${host}:${port}/relay`);
+    console.log("   Forwarder:", forwarderAddress);
+    console.log("   Relayer account:", await signer.getAddress());
+    console.log("   Renewals:", options["pay-renewals"] ? "paid by the relayer" : "refused");
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error("❌ Relayer failed:", error);
+        process.exit(1);
+    });
+}
+
+module.exports = { LedgerNetRelayer, main };
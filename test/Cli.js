@@ -0,0 +1,139 @@
+const { time, loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const { LedgerNetCli, UsageError, formatResult } = require("../cli/ledgernet");
+
+describe("CLI", function () {
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    return { ledgerNet, registrationFee, owner, user1, user2 };
+  }
+
+  function createCli(ledgerNet, signer, options = {}) {
+    return new LedgerNetCli({
+      registryAddress: ledgerNet.address,
+      provider: ethers.provider,
+      signer,
+      log: () => {},
+      ...options
+    });
+  }
+
+  it("Should register, resolve and describe a name", async function () {
+    const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    const cli = createCli(ledgerNet, user1);
+
+    const registered = await cli.run("register", ["MySite.eth", "192.168.1.1"], { years: "2" });
+    expect(registered.name).to.equal("mysite.eth");
+    expect(registered.price).to.equal(registrationFee.mul(2).toString());
+    expect(registered.transactionHash).to.match(/^0x[0-9a-f]{64}$/);
+
+    expect((await cli.run("resolve", ["mysite.eth"])).ipAddress).to.equal("192.168.1.1");
+
+    const info = await cli.run("info", ["mysite.eth"]);
+    expect(info.owner).to.equal(user1.address);
+    expect(info.phase).to.equal("Active");
+    expect(info.parent).to.equal(null);
+    expect(info.frozen).to.equal(null);
+    expect(info.expirationTime).to.be.greaterThan(await time.latest() + 2 * 364 * 24 * 60 * 60);
+  });
+
+  it("Should register through commit-reveal when commitments are required", async function () {
+    const { ledgerNet, owner, user1 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(owner).setCommitmentRequired(true);
+
+    // Waiting is done on the chain's clock instead of the wall clock
+    const cli = createCli(ledgerNet, user1, { sleep: (ms) => time.increase(ms / 1000) });
+    await cli.run("register", ["mysite.eth", "192.168.1.1"]);
+
+    expect((await cli.run("info", ["mysite.eth"])).owner).to.equal(user1.address);
+  });
+
+  it("Should update, transfer and list names", async function () {
+    const { ledgerNet, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    const cli = createCli(ledgerNet, user1);
+    await cli.run("register", ["mysite.eth", "192.168.1.1"]);
+    await cli.run("register", ["another.eth", "192.168.1.2"]);
+
+    await cli.run("update", ["mysite.eth", "10.0.0.1"]);
+    await cli.run("transfer", ["another.eth", user2.address]);
+
+    const own = await cli.run("list", []);
+    expect(own.owner).to.equal(user1.address);
+    expect(own.domains.map(d => [d.name, d.ipAddress, d.phase])).to.deep.equal([["mysite.eth", "10.0.0.1", "Active"]]);
+
+    const other = await cli.run("list", [], { owner: user2.address });
+    expect(other.domains.map(d => d.name)).to.deep.equal(["another.eth"]);
+  });
+
+  it("Should renew and release names", async function () {
+    const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    const cli = createCli(ledgerNet, user1);
+    await cli.run("register", ["mysite.eth", "192.168.1.1"]);
+    const before = (await cli.run("info", ["mysite.eth"])).expirationTime;
+
+    const renewed = await cli.run("renew", ["mysite.eth"], { years: "3" });
+    expect(renewed.price).to.equal(registrationFee.mul(3).toString());
+    expect(renewed.expirationTime).to.equal(before + 3 * 365 * 24 * 60 * 60);
+
+    await cli.run("release", ["mysite.eth"]);
+    expect((await cli.run("available", ["mysite.eth"])).names[0].available).to.equal(true);
+  });
+
+  it("Should check availability and quote fees", async function () {
+    const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    const cli = createCli(ledgerNet, user1);
+    await cli.run("register", ["mysite.eth", "192.168.1.1"]);
+
+    const { names } = await cli.run("available", ["mysite.eth", "free.eth", "bad_name.eth", "free.org"]);
+    expect(names.map(n => [n.name, n.available])).to.deep.equal([
+      ["mysite.eth", false],
+      ["free.eth", true],
+      ["bad_name.eth", false],
+      ["free.org", false]
+    ]);
+    expect(names[2].error).to.equal("Invalid character in domain name");
+
+    expect((await cli.run("fee", [])).registrationFee).to.equal(registrationFee.toString());
+    const fee = await cli.run("fee", ["free.eth"], { years: "2" });
+    expect(fee.price).to.equal(registrationFee.mul(2).toString());
+    expect(fee.premium).to.equal("0");
+  });
+
+  it("Should read names without a signer", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    await createCli(ledgerNet, user1).run("register", ["mysite.eth", "192.168.1.1"]);
+
+    const readOnly = createCli(ledgerNet, null);
+    expect((await readOnly.run("resolve", ["mysite.eth"])).ipAddress).to.equal("192.168.1.1");
+    await expect(readOnly.run("list", [])).to.be.rejectedWith(UsageError, "--owner is required without a signer");
+  });
+
+  it("Should reject invalid arguments before sending transactions", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    const cli = createCli(ledgerNet, user1);
+
+    await expect(cli.run("unknown")).to.be.rejectedWith(UsageError, 'Unknown command "unknown"');
+    await expect(cli.run("register", ["mysite.eth"])).to.be.rejectedWith(UsageError, "IP address is required");
+    await expect(cli.run("register", ["my site.eth", "10.0.0.1"])).to.be.rejectedWith(UsageError, "Invalid character");
+    await expect(cli.run("renew", ["mysite.eth"], { years: "11" })).to.be.rejectedWith(UsageError, "--years");
+    await expect(cli.run("transfer", ["mysite.eth", "nobody"])).to.be.rejectedWith(UsageError, "recipient address");
+    await expect(cli.run("update", ["mysite.eth", "10.0.0.1"])).to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
+  });
+
+  it("Should format results for people", async function () {
+    const price = ethers.utils.parseEther("0.02").toString();
+
+    expect(formatResult("resolve", { name: "mysite.eth", ipAddress: "10.0.0.1" })).to.equal("10.0.0.1");
+    expect(formatResult("fee", { name: "mysite.eth", years: 2, price, premium: "0" }))
+      .to.equal("mysite.eth for 2 year(s): 0.02 ETH");
+    expect(formatResult("available", { names: [{ name: "a.eth", available: true }, { name: "b.eth", available: false }] }))
+      .to.equal("a.eth\tavailable\nb.eth\ttaken");
+  });
+});
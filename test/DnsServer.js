@@ -0,0 +1,190 @@
+const dgram = require("dgram");
+const net = require("net");
+const dnsPacket = require("dns-packet");
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const { DnsServer } = require("../services/dns/server");
+const { LedgerNetZone } = require("../services/dns/zone");
+
+describe("DNS Server", function () {
+  let server;
+  let upstream;
+  let port;
+
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const resolver = await PublicResolver.deploy(ledgerNet.address);
+    await ledgerNet.setDefaultResolver(resolver.address);
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+    await resolver.connect(user1).addRecord("mysite.eth", 28, "2001:db8::1", 600);
+    await resolver.connect(user1).addRecord("mysite.eth", 15, "10 mail.mysite.eth", 3600);
+    await resolver.connect(user1).addRecord("mysite.eth", 16, "v=spf1 mx -all", 60);
+
+    return { ledgerNet, resolver, registrationFee, owner, user1 };
+  }
+
+  // Start a server for the fixture's registry, forwarding to a stub upstream that answers every A query with 9.9.9.9
+  async function startServer(ledgerNet) {
+    upstream = dgram.createSocket("udp4");
+    upstream.on("message", (message, remote) => {
+      const query = dnsPacket.decode(message);
+      const response = dnsPacket.encode({
+        id: query.id,
+        type: "response",
+        questions: query.questions,
+        answers: [{ name: query.questions[0].name, type: "A", ttl: 30, data: "9.9.9.9" }]
+      });
+      upstream.send(response, remote.port, remote.address);
+    });
+    await new Promise((resolve) => upstream.bind(0, "127.0.0.1", resolve));
+
+    const zone = new LedgerNetZone({ provider: ethers.provider, registryAddress: ledgerNet.address, tlds: ["eth"] });
+    server = new DnsServer({ zone, upstream: `127.0.0.1:${upstream.address().port}`, upstreamTimeout: 1000 });
+    ({ port } = await server.start({ port: 0 }));
+  }
+
+  function queryUdp(name, type) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket("udp4");
+      const timer = setTimeout(() => {
+        socket.close();
+        reject(new Error("Query timed out"));
+      }, 5000);
+
+      socket.on("message", (message) => {
+        clearTimeout(timer);
+        socket.close();
+        resolve(dnsPacket.decode(message));
+      });
+
+      socket.send(dnsPacket.encode({ id: 1, type: "query", questions: [{ name, type }] }), port, "127.0.0.1");
+    });
+  }
+
+  function queryTcp(name, type) {
+    return new Promise((resolve, reject) => {
+      const socket = net.connect(port, "127.0.0.1");
+      let buffer = Buffer.alloc(0);
+
+      socket.on("connect", () => {
+        socket.write(dnsPacket.streamEncode({ id: 2, type: "query", questions: [{ name, type }] }));
+      });
+      socket.on("data", (data) => {
+        buffer = Buffer.concat([buffer, data]);
+        if (buffer.length >= 2 && buffer.length >= 2 + buffer.readUInt16BE(0)) {
+          socket.end();
+          resolve(dnsPacket.streamDecode(buffer));
+        }
+      });
+      socket.on("error", reject);
+    });
+  }
+
+  afterEach(async function () {
+    if (server) await server.stop();
+    if (upstream) upstream.close();
+    server = null;
+    upstream = null;
+  });
+
+  it("Should answer A queries from the registry's IP address over UDP", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+
+    const response = await queryUdp("MySite.eth", "A");
+
+    expect(response.rcode).to.equal("NOERROR");
+    expect(response.flag_aa).to.be.true;
+    expect(response.answers.map(a => a.data)).to.deep.equal(["192.168.1.1"]);
+  });
+
+  it("Should prefer the resolver's address records", async function () {
+    const { ledgerNet, resolver, user1 } = await loadFixture(deployLedgerNetFixture);
+    await resolver.connect(user1).addRecord("mysite.eth", 1, "10.0.0.1", 120);
+    await startServer(ledgerNet);
+
+    const response = await queryUdp("mysite.eth", "A");
+
+    expect(response.answers.map(a => [a.data, a.ttl])).to.deep.equal([["10.0.0.1", 120]]);
+  });
+
+  it("Should answer AAAA, MX and TXT queries over TCP", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+
+    const aaaa = await queryTcp("mysite.eth", "AAAA");
+    expect(aaaa.answers[0].data).to.equal("2001:db8::1");
+    expect(aaaa.answers[0].ttl).to.equal(600);
+
+    const mx = await queryTcp("mysite.eth", "MX");
+    expect(mx.answers[0].data).to.deep.equal({ preference: 10, exchange: "mail.mysite.eth" });
+
+    const txt = await queryTcp("mysite.eth", "TXT");
+    expect(txt.answers[0].data.map(b => b.toString())).to.deep.equal(["v=spf1 mx -all"]);
+  });
+
+  it("Should answer CNAME records in place of other types", async function () {
+    const { ledgerNet, resolver, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).registerDomain("alias.eth", "192.168.1.9", { value: registrationFee });
+    await resolver.connect(user1).addRecord("alias.eth", 5, "mysite.eth", 300);
+    await startServer(ledgerNet);
+
+    const response = await queryUdp("alias.eth", "A");
+
+    expect(response.answers.map(a => [a.type, a.data])).to.deep.equal([["CNAME", "mysite.eth"]]);
+  });
+
+  it("Should return NXDOMAIN for unregistered, invalid and expired names", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+
+    expect((await queryUdp("unknown.eth", "A")).rcode).to.equal("NXDOMAIN");
+    expect((await queryUdp("bad_name.eth", "A")).rcode).to.equal("NXDOMAIN");
+
+    await time.increase(366 * 24 * 60 * 60);
+    const expired = await queryUdp("mysite.eth", "A");
+    expect(expired.rcode).to.equal("NXDOMAIN");
+    expect(expired.authorities[0].type).to.equal("SOA");
+  });
+
+  it("Should return NODATA for types the name has no records of", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+
+    const response = await queryUdp("mysite.eth", "SRV");
+
+    expect(response.rcode).to.equal("NOERROR");
+    expect(response.answers).to.be.empty;
+    expect(response.authorities[0].type).to.equal("SOA");
+  });
+
+  it("Should forward other zones upstream", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+
+    const response = await queryUdp("example.com", "A");
+
+    expect(response.flag_aa).to.be.false;
+    expect(response.answers[0].data).to.equal("9.9.9.9");
+  });
+
+  it("Should return SERVFAIL when the upstream does not answer", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startServer(ledgerNet);
+    upstream.removeAllListeners("message");
+
+    expect((await queryUdp("example.com", "A")).rcode).to.equal("SERVFAIL");
+  });
+});
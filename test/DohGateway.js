@@ -0,0 +1,207 @@
+const http = require("http");
+const dnsPacket = require("dns-packet");
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const { DohGateway } = require("../services/doh/gateway");
+const { LedgerNetZone } = require("../services/dns/zone");
+
+describe("DoH Gateway", function () {
+  let gateway;
+  let port;
+
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const resolver = await PublicResolver.deploy(ledgerNet.address);
+    await ledgerNet.setDefaultResolver(resolver.address);
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+    await resolver.connect(user1).addRecord("mysite.eth", 16, "v=spf1 mx -all", 60);
+
+    return { ledgerNet, resolver, registrationFee, owner, user1, user2 };
+  }
+
+  // Poll for events quickly so invalidation can be observed within a test
+  async function startGateway(ledgerNet) {
+    const provider = new ethers.providers.Web3Provider(network.provider);
+    provider.pollingInterval = 50;
+
+    const zone = new LedgerNetZone({ provider, registryAddress: ledgerNet.address, tlds: ["eth"] });
+    gateway = new DohGateway({ zone, upstream: "127.0.0.1:9" });
+    ({ port } = await gateway.start({ port: 0 }));
+  }
+
+  function request(method, path, { headers = {}, body } = {}) {
+    return new Promise((resolve, reject) => {
+      const req = http.request({ host: "127.0.0.1", port, method, path, headers }, (res) => {
+        const chunks = [];
+        res.on("data", (chunk) => chunks.push(chunk));
+        res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+      });
+      req.on("error", reject);
+      req.end(body);
+    });
+  }
+
+  function wireQuery(name, type) {
+    return dnsPacket.encode({ id: 0, type: "query", flags: dnsPacket.RECURSION_DESIRED, questions: [{ name, type }] });
+  }
+
+  async function getJson(name, type) {
+    const response = await request("GET", `/dns-query?name=${name}&type=${type}`, { headers: { accept: "application/dns-json" } });
+    return JSON.parse(response.body.toString());
+  }
+
+  // Wait until the gateway's event listeners have seen the latest block
+  async function waitForEvents() {
+    await new Promise((resolve) => setTimeout(resolve, 300));
+  }
+
+  afterEach(async function () {
+    if (gateway) await gateway.stop();
+    gateway = null;
+  });
+
+  it("Should answer RFC 8484 GET queries", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+
+    const dns = wireQuery("mysite.eth", "A").toString("base64url");
+    const response = await request("GET", `/dns-query?dns=${dns}`);
+
+    expect(response.status).to.equal(200);
+    expect(response.headers["content-type"]).to.equal("application/dns-message");
+
+    const answer = dnsPacket.decode(response.body);
+    expect(answer.flag_aa).to.be.true;
+    expect(answer.answers.map(a => a.data)).to.deep.equal(["192.168.1.1"]);
+  });
+
+  it("Should answer RFC 8484 POST queries", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+
+    const response = await request("POST", "/dns-query", {
+      headers: { "content-type": "application/dns-message" },
+      body: wireQuery("mysite.eth", "TXT")
+    });
+
+    expect(response.status).to.equal(200);
+    const answer = dnsPacket.decode(response.body);
+    expect(answer.answers[0].data.map(b => b.toString())).to.deep.equal(["v=spf1 mx -all"]);
+    expect(response.headers["cache-control"]).to.equal("max-age=60");
+  });
+
+  it("Should answer JSON queries", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+
+    const found = await getJson("mysite.eth", "A");
+    expect(found.Status).to.equal(0);
+    expect(found.Question).to.deep.equal([{ name: "mysite.eth", type: "A" }]);
+    expect(found.Answer.map(a => [a.name, a.type, a.data])).to.deep.equal([["mysite.eth", "A", "192.168.1.1"]]);
+
+    const missing = await getJson("unknown.eth", "A");
+    expect(missing.Status).to.equal(3);
+    expect(missing.Authority[0].type).to.equal("SOA");
+  });
+
+  it("Should reject malformed requests", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+
+    expect((await request("GET", "/dns-query")).status).to.equal(400);
+    expect((await request("GET", "/other")).status).to.equal(404);
+    expect((await request("PUT", "/dns-query")).status).to.equal(405);
+    expect((await request("POST", "/dns-query", { headers: { "content-type": "text/plain" }, body: "x" })).status).to.equal(415);
+  });
+
+  it("Should cap TTLs at the time left until expiration", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await time.increase(365 * 24 * 60 * 60 - 100);
+    await startGateway(ledgerNet);
+
+    const response = await getJson("mysite.eth", "A");
+
+    expect(response.Answer[0].TTL).to.be.at.most(100);
+    expect(response.Answer[0].TTL).to.be.at.least(90);
+  });
+
+  it("Should serve repeated queries from the cache", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+
+    await getJson("mysite.eth", "A");
+    const zoneAnswer = gateway.zone.zone.answer;
+    let lookups = 0;
+    gateway.zone.zone.answer = (question) => {
+      lookups++;
+      return zoneAnswer.call(gateway.zone.zone, question);
+    };
+
+    const response = await getJson("mysite.eth", "A");
+
+    expect(lookups).to.equal(0);
+    expect(response.Answer[0].data).to.equal("192.168.1.1");
+  });
+
+  it("Should invalidate cached answers on DomainUpdated events", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+    expect((await getJson("mysite.eth", "A")).Answer[0].data).to.equal("192.168.1.1");
+
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.2");
+    await waitForEvents();
+
+    expect((await getJson("mysite.eth", "A")).Answer[0].data).to.equal("10.0.0.2");
+  });
+
+  it("Should invalidate cached answers on DomainTransferred events", async function () {
+    const { ledgerNet, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await startGateway(ledgerNet);
+    await getJson("mysite.eth", "A");
+    expect(gateway.zone.size).to.equal(1);
+
+    await ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address);
+    await waitForEvents();
+
+    expect(gateway.zone.size).to.equal(0);
+  });
+
+  it("Should invalidate cached subdomain answers on their parent's events", async function () {
+    const { ledgerNet, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+    await ledgerNet.connect(user2).createSubdomain("api.mysite.eth", "v1", user2.address, 0);
+    await ledgerNet.connect(user2).updateDomain("v1.api.mysite.eth", "10.0.0.1");
+    await startGateway(ledgerNet);
+
+    await getJson("v1.api.mysite.eth", "A");
+    await getJson("api.mysite.eth", "A");
+    expect(gateway.zone.size).to.equal(2);
+
+    // Events of the subdomain itself leave its own subdomains cached
+    await ledgerNet.connect(user2).updateDomain("api.mysite.eth", "10.0.0.2");
+    await waitForEvents();
+    expect(gateway.zone.size).to.equal(1);
+
+    await ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address);
+    await waitForEvents();
+    expect(gateway.zone.size).to.equal(0);
+
+    expect((await getJson("v1.api.mysite.eth", "A")).Answer[0].data).to.equal("10.0.0.1");
+    await ledgerNet.connect(user2).deactivateDomain("mysite.eth");
+    await waitForEvents();
+    expect(gateway.zone.size).to.equal(0);
+    expect((await getJson("v1.api.mysite.eth", "A")).Status).to.equal(3);
+  });
+});
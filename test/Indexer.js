@@ -0,0 +1,235 @@
+const http = require("http");
+const {
+  time,
+  loadFixture,
+  mine,
+  takeSnapshot,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const { LedgerNetIndexer } = require("../services/indexer/indexer");
+const { IndexerDatabase } = require("../services/indexer/database");
+const { IndexerApi } = require("../services/indexer/api");
+const LedgerNetSDK = require("../sdk/ledgernet");
+
+describe("Indexer", function () {
+  let api;
+  let port;
+
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+    await ledgerNet.connect(user1).registerDomain("another.eth", "192.168.1.2", { value: registrationFee });
+
+    return { ledgerNet, registrationFee, owner, user1, user2 };
+  }
+
+  function createIndexer(ledgerNet, db = new IndexerDatabase()) {
+    return new LedgerNetIndexer({ provider: ethers.provider, registryAddress: ledgerNet.address, db, batchSize: 5 });
+  }
+
+  // Serve the indexer's database, reading phases against the chain's clock
+  async function startApi(indexer) {
+    const now = await time.latest();
+    api = new IndexerApi({ db: indexer.db, indexer, clock: () => now });
+    ({ port } = await api.start({ port: 0 }));
+  }
+
+  function get(path) {
+    return new Promise((resolve, reject) => {
+      http.get({ host: "127.0.0.1", port, path }, (res) => {
+        let body = "";
+        res.on("data", (chunk) => { body += chunk; });
+        res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+      }).on("error", reject);
+    });
+  }
+
+  afterEach(async function () {
+    if (api) await api.stop();
+    api = null;
+  });
+
+  it("Should index registrations, updates and transfers", async function () {
+    const { ledgerNet, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+    await ledgerNet.connect(user1).transferDomain("another.eth", user2.address);
+
+    const indexer = createIndexer(ledgerNet);
+    expect(await indexer.sync()).to.equal(await ethers.provider.getBlockNumber());
+    await startApi(indexer);
+
+    const user1Domains = await get(`/api/owners/${user1.address.toLowerCase()}/domains`);
+    expect(user1Domains.body.domains.map(d => [d.name, d.ipAddress, d.phase])).to.deep.equal([["mysite.eth", "10.0.0.1", 1]]);
+
+    const user2Domains = await get(`/api/owners/${user2.address}/domains`);
+    expect(user2Domains.body.domains.map(d => d.name)).to.deep.equal(["another.eth"]);
+
+    const [, , expirationTime] = await ledgerNet.getDomainInfo("mysite.eth");
+    const domain = await get("/api/domains/MySite.eth");
+    expect(domain.body.owner).to.equal(user1.address);
+    expect(domain.body.expirationTime).to.equal(expirationTime.toNumber());
+  });
+
+  it("Should search indexed names", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+    await startApi(indexer);
+
+    expect((await get("/api/domains")).body.domains.map(d => d.name)).to.deep.equal(["another.eth", "mysite.eth"]);
+    expect((await get("/api/domains?search=SITE")).body.domains.map(d => d.name)).to.deep.equal(["mysite.eth"]);
+    expect((await get("/api/domains?search=%25")).body.domains).to.be.empty;
+    expect((await get("/api/domains?limit=1&offset=1")).body.domains.map(d => d.name)).to.deep.equal(["mysite.eth"]);
+  });
+
+  it("Should list names expiring soon", async function () {
+    const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).renewDomain("another.eth", { value: registrationFee });
+    await time.increase(340 * 24 * 60 * 60);
+
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+    await startApi(indexer);
+
+    const expiring = await get("/api/expiring");
+    expect(expiring.body.domains.map(d => d.name)).to.deep.equal(["mysite.eth"]);
+
+    const withinYear = await get(`/api/expiring?within=${400 * 24 * 60 * 60}`);
+    expect(withinYear.body.domains.map(d => d.name)).to.deep.equal(["mysite.eth", "another.eth"]);
+  });
+
+  it("Should record the history of a name", async function () {
+    const { ledgerNet, registrationFee, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+    await ledgerNet.connect(user1).renewDomain("mysite.eth", { value: registrationFee });
+    await ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address);
+
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+    await startApi(indexer);
+
+    const history = (await get("/api/domains/mysite.eth/history")).body.events;
+    expect(history.map(e => e.event)).to.deep.equal(["DomainRegistered", "DomainUpdated", "DomainRenewed", "DomainTransferred"]);
+    expect(history[0].owner).to.equal(user1.address);
+    expect(history[1].ipAddress).to.equal("10.0.0.1");
+    expect(history[1].actor).to.equal(user1.address);
+    expect(history[3].previousOwner).to.equal(user1.address);
+    expect(history[3].owner).to.equal(user2.address);
+  });
+
+  it("Should record the signer of a relayed change as its actor", async function () {
+    const { ledgerNet, owner, user1 } = await loadFixture(deployLedgerNetFixture);
+
+    const LedgerNetForwarder = await ethers.getContractFactory("LedgerNetForwarder");
+    const forwarder = await LedgerNetForwarder.deploy(ledgerNet.address);
+    await ledgerNet.setTrustedForwarder(forwarder.address);
+
+    // The owner account relays user1's signed update
+    const signed = await new LedgerNetSDK.ForwarderClient({ address: forwarder.address, signerOrProvider: user1 })
+      .signUpdate("mysite.eth", "10.0.0.1");
+    await forwarder.connect(owner).updateDomain(signed.request, signed.signature);
+
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+    await startApi(indexer);
+
+    const history = (await get("/api/domains/mysite.eth/history")).body.events;
+    expect(history.map(e => e.event)).to.deep.equal(["DomainRegistered", "DomainUpdated"]);
+    expect(history[1].actor).to.equal(user1.address);
+  });
+
+  it("Should index subdomains and follow their parent's release", async function () {
+    const { ledgerNet, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+
+    const before = indexer.db.getDomain("api.mysite.eth", await time.latest());
+    expect(before.owner).to.equal(user2.address);
+    expect(before.parent).to.equal("mysite.eth");
+    expect(before.phase).to.equal(1);
+
+    // Releasing the parent ends the subdomain without an event of its own
+    await ledgerNet.connect(user1).deactivateDomain("mysite.eth");
+    await indexer.sync();
+
+    const after = indexer.db.getDomain("api.mysite.eth", await time.latest());
+    expect(after.expirationTime).to.equal(0);
+    expect(after.phase).to.equal(0);
+  });
+
+  it("Should resume from the last indexed block", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    const db = new IndexerDatabase();
+    await createIndexer(ledgerNet, db).sync();
+
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+    await createIndexer(ledgerNet, db).sync();
+
+    expect(db.getHistory("mysite.eth").map(e => e.event)).to.deep.equal(["DomainRegistered", "DomainUpdated"]);
+    expect(db.getDomain("mysite.eth", await time.latest()).ipAddress).to.equal("10.0.0.1");
+  });
+
+  it("Should store the state at the last confirmed block", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    const indexer = new LedgerNetIndexer({
+      provider: ethers.provider,
+      registryAddress: ledgerNet.address,
+      db: new IndexerDatabase(),
+      confirmations: 1
+    });
+
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+    const confirmed = await ethers.provider.getBlockNumber();
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.2");
+
+    expect(await indexer.sync()).to.equal(confirmed);
+    expect(indexer.db.getDomain("mysite.eth", await time.latest()).ipAddress).to.equal("10.0.0.1");
+  });
+
+  it("Should roll back events from reorganised blocks", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+
+    const snapshot = await takeSnapshot();
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+    await mine(2);
+    await indexer.sync();
+    expect(indexer.db.getDomain("mysite.eth", await time.latest()).ipAddress).to.equal("10.0.0.1");
+
+    // Replace the indexed blocks with a different chain of the same length
+    await snapshot.restore();
+    await ledgerNet.connect(user1).updateDomain("another.eth", "10.0.0.2");
+    await mine(2);
+    await indexer.sync();
+
+    const now = await time.latest();
+    expect(indexer.db.getHistory("mysite.eth").map(e => e.event)).to.deep.equal(["DomainRegistered"]);
+    expect(indexer.db.getDomain("mysite.eth", now).ipAddress).to.equal("192.168.1.1");
+    expect(indexer.db.getDomain("another.eth", now).ipAddress).to.equal("10.0.0.2");
+  });
+
+  it("Should reject invalid requests", async function () {
+    const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+    const indexer = createIndexer(ledgerNet);
+    await indexer.sync();
+    await startApi(indexer);
+
+    expect((await get("/api/owners/not-an-address/domains")).status).to.equal(400);
+    expect((await get("/api/domains/bad_name.eth")).status).to.equal(400);
+    expect((await get("/api/domains/%E0%A4%A")).status).to.equal(400);
+    expect((await get("/api/domains/%E0%A4%A/history")).status).to.equal(400);
+    expect((await get("/api/domains/unknown.eth")).status).to.equal(404);
+    expect((await get("/api/expiring?within=soon")).status).to.equal(400);
+    expect((await get("/api/unknown")).status).to.equal(404);
+  });
+});
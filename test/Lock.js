@@ -5,6 +5,8 @@ const {
 const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const LedgerNetNames = require("../sdk/normalize.js");
 
 describe("LedgerNet", function () {
   // We define a fixture to reuse the same setup in every test.
@@ -17,10 +19,20 @@ describe("LedgerNet", function () {
     // Contracts are deployed using the first signer/account by default
     const [owner, user1, user2, user3] = await ethers.getSigners();
 
-    const LedgerNet = await ethers.getContractFactory("LedgerNet");
-    const ledgerNet = await LedgerNet.deploy();
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
 
-    return { ledgerNet, registrationFee, registrationPeriod, owner, user1, user2, user3 };
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const resolver = await PublicResolver.deploy(ledgerNet.address);
+    await ledgerNet.setDefaultResolver(resolver.address);
+
+    return { ledgerNet, resolver, registrationFee, registrationPeriod, owner, user1, user2, user3 };
+  }
+
+  // Wait out the fee change delay and apply the pending pricing change
+  async function applyPendingFeeChange(ledgerNet) {
+    await time.increase(await ledgerNet.feeChangeDelay());
+    await ledgerNet.applyFeeChange();
   }
 
   describe("Deployment", function () {
@@ -52,7 +64,7 @@ describe("LedgerNet", function () {
           ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
             value: ethers.utils.parseEther("0.005") // Less than required fee
           })
-        ).to.be.revertedWith("Insufficient registration fee");
+        ).to.be.revertedWithCustomError(ledgerNet, "InsufficientPayment");
       });
 
       it("Should revert with empty domain name", async function () {
@@ -62,7 +74,7 @@ describe("LedgerNet", function () {
           ledgerNet.connect(user1).registerDomain("", "192.168.1.1", {
             value: registrationFee
           })
-        ).to.be.revertedWith("Domain name cannot be empty");
+        ).to.be.revertedWithCustomError(ledgerNet, "InvalidName").withArgs("Domain name cannot be empty");
       });
 
       it("Should revert with empty IP address", async function () {
@@ -72,7 +84,7 @@ describe("LedgerNet", function () {
           ledgerNet.connect(user1).registerDomain("test.eth", "", {
             value: registrationFee
           })
-        ).to.be.revertedWith("IP address cannot be empty");
+        ).to.be.revertedWithCustomError(ledgerNet, "EmptyIpAddress");
       });
 
       it("Should revert when trying to register an already active domain", async function () {
@@ -88,7 +100,7 @@ describe("LedgerNet", function () {
           ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
             value: registrationFee
           })
-        ).to.be.revertedWith("Domain already registered and active");
+        ).to.be.revertedWithCustomError(ledgerNet, "DomainAlreadyRegistered");
       });
     });
 
@@ -142,8 +154,8 @@ describe("LedgerNet", function () {
           value: registrationFee
         });
 
-        // Fast forward time beyond expiration
-        await time.increase(366 * 24 * 60 * 60); // 366 days
+        // Fast forward time beyond expiration, grace and premium periods
+        await time.increase((366 + 90 + 21) * 24 * 60 * 60);
 
         // New user should be able to register expired domain
         await expect(
@@ -159,6 +171,555 @@ describe("LedgerNet", function () {
     });
   });
 
+  describe("Batch Registration", function () {
+    it("Should register several domains with their own IP addresses", async function () {
+      const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(["one.eth", "two.eth"], ["10.0.0.1", "10.0.0.2"], 2, {
+          value: registrationFee.mul(4)
+        })
+      )
+        .to.emit(ledgerNet, "DomainRegistered")
+        .withArgs("two.eth", user1.address, "10.0.0.2");
+
+      const [owner, ipAddress] = await ledgerNet.getDomainInfo("one.eth");
+      expect(owner).to.equal(user1.address);
+      expect(ipAddress).to.equal("10.0.0.1");
+      expect(await ledgerNet.getDomainsByOwner(user1.address)).to.deep.equal(["one.eth", "two.eth"]);
+    });
+
+    it("Should require the exact total fee", async function () {
+      const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+      const names = ["one.eth", "two.eth"];
+      const ips = ["10.0.0.1", "10.0.0.2"];
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(names, ips, 1, { value: registrationFee })
+      ).to.be.revertedWithCustomError(ledgerNet, "IncorrectPayment");
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(names, ips, 1, { value: registrationFee.mul(3) })
+      ).to.be.revertedWithCustomError(ledgerNet, "IncorrectPayment");
+    });
+
+    it("Should charge each name's own price", async function () {
+      const { ledgerNet, owner, user1 } = await loadFixture(deployLedgerNetFixture);
+      const LengthPriceOracle = await ethers.getContractFactory("LengthPriceOracle");
+      const priceOracle = await LengthPriceOracle.deploy(
+        ethers.utils.parseEther("0.5"),
+        ethers.utils.parseEther("0.1"),
+        ethers.utils.parseEther("0.01")
+      );
+      await ledgerNet.connect(owner).setPriceOracle(priceOracle.address);
+      await applyPendingFeeChange(ledgerNet);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(["abc.eth", "mysite.eth"], ["10.0.0.1", "10.0.0.2"], 1, {
+          value: ethers.utils.parseEther("0.51")
+        })
+      ).to.not.be.reverted;
+    });
+
+    it("Should revert the whole batch if one name cannot be registered", async function () {
+      const { ledgerNet, registrationFee, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+      await ledgerNet.connect(user2).registerDomain("taken.eth", "10.0.0.9", { value: registrationFee });
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(["free.eth", "taken.eth"], ["10.0.0.1", "10.0.0.2"], 1, {
+          value: registrationFee.mul(2)
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "DomainAlreadyRegistered");
+
+      expect(await ledgerNet.isDomainAvailable("free.eth")).to.be.true;
+    });
+
+    it("Should reject mismatched, empty and oversized batches", async function () {
+      const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(["one.eth", "two.eth"], ["10.0.0.1"], 1, { value: registrationFee.mul(2) })
+      ).to.be.revertedWithCustomError(ledgerNet, "BatchLengthMismatch");
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains([], [], 1)
+      ).to.be.revertedWithCustomError(ledgerNet, "InvalidBatchSize");
+
+      const names = Array.from({ length: 21 }, (_, i) => `name${i}.eth`);
+      await expect(
+        ledgerNet.connect(user1).registerDomains(names, names.map(() => "10.0.0.1"), 1, { value: registrationFee.mul(21) })
+      ).to.be.revertedWithCustomError(ledgerNet, "InvalidBatchSize");
+    });
+
+    it("Should not bypass commit-reveal", async function () {
+      const { ledgerNet, registrationFee, owner, user1 } = await loadFixture(deployLedgerNetFixture);
+      await ledgerNet.connect(owner).setCommitmentRequired(true);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomains(["one.eth"], ["10.0.0.1"], 1, { value: registrationFee })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentRequired");
+    });
+  });
+
+  describe("Commit-Reveal Registration", function () {
+    const secret = ethers.utils.formatBytes32String("secret");
+    const minCommitmentAge = 60;
+
+    async function commitFixture() {
+      const fixture = await deployLedgerNetFixture();
+      const { ledgerNet, user1 } = fixture;
+      const commitment = await ledgerNet.makeCommitment("test.eth", user1.address, secret);
+      await ledgerNet.connect(user1).commit(commitment);
+      return { ...fixture, commitment };
+    }
+
+    it("Should register after the minimum commitment age", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(commitFixture);
+
+      await time.increase(minCommitmentAge);
+      await expect(
+        ledgerNet.connect(user1).registerWithCommitment("test.eth", "192.168.1.1", secret, 1, {
+          value: registrationFee
+        })
+      )
+        .to.emit(ledgerNet, "DomainRegistered")
+        .withArgs("test.eth", user1.address, "192.168.1.1");
+    });
+
+    it("Should emit CommitmentMade event", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      const commitment = await ledgerNet.makeCommitment("test.eth", user1.address, secret);
+      await expect(ledgerNet.connect(user1).commit(commitment))
+        .to.emit(ledgerNet, "CommitmentMade")
+        .withArgs(commitment);
+    });
+
+    it("Should revert when revealing too early", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(commitFixture);
+
+      await expect(
+        ledgerNet.connect(user1).registerWithCommitment("test.eth", "192.168.1.1", secret, 1, {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentTooNew");
+    });
+
+    it("Should revert when revealing after the maximum age", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(commitFixture);
+
+      await time.increase(24 * 60 * 60 + 1);
+      await expect(
+        ledgerNet.connect(user1).registerWithCommitment("test.eth", "192.168.1.1", secret, 1, {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentExpired");
+    });
+
+    it("Should not let another address use the commitment", async function () {
+      const { ledgerNet, user2, registrationFee } = await loadFixture(commitFixture);
+
+      await time.increase(minCommitmentAge);
+      await expect(
+        ledgerNet.connect(user2).registerWithCommitment("test.eth", "192.168.1.1", secret, 1, {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentNotFound");
+    });
+
+    it("Should consume the commitment on reveal", async function () {
+      const { ledgerNet, user1, registrationFee, commitment } = await loadFixture(commitFixture);
+
+      await time.increase(minCommitmentAge);
+      await ledgerNet.connect(user1).registerWithCommitment("test.eth", "192.168.1.1", secret, 1, {
+        value: registrationFee
+      });
+
+      expect(await ledgerNet.commitments(commitment)).to.equal(0);
+    });
+
+    it("Should revert on a duplicate active commitment", async function () {
+      const { ledgerNet, user1, commitment } = await loadFixture(commitFixture);
+
+      await expect(ledgerNet.connect(user1).commit(commitment))
+        .to.be.revertedWithCustomError(ledgerNet, "CommitmentExists");
+    });
+
+    it("Should block direct registration when commitments are required", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      await ledgerNet.connect(owner).setCommitmentRequired(true);
+      await expect(
+        ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentRequired");
+    });
+
+    it("Should register a committed batch while commitments are required", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+      const names = ["one.eth", "two.eth"];
+
+      await ledgerNet.connect(owner).setCommitmentRequired(true);
+      const commitment = await ledgerNet.makeBatchCommitment(names, user1.address, secret);
+      await ledgerNet.connect(user1).commit(commitment);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomainsWithCommitment(names, ["10.0.0.1", "10.0.0.2"], secret, 1, {
+          value: registrationFee.mul(2)
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentTooNew");
+
+      await time.increase(minCommitmentAge);
+      await expect(
+        ledgerNet.connect(user1).registerDomainsWithCommitment(names, ["10.0.0.1", "10.0.0.2"], secret, 1, {
+          value: registrationFee.mul(2)
+        })
+      )
+        .to.emit(ledgerNet, "DomainRegistered")
+        .withArgs("two.eth", user1.address, "10.0.0.2");
+
+      expect(await ledgerNet.resolveDomain("one.eth")).to.equal("10.0.0.1");
+      expect(await ledgerNet.commitments(commitment)).to.equal(0);
+    });
+
+    it("Should only reveal a batch with the committed names, order and sender", async function () {
+      const { ledgerNet, user1, user2, registrationFee } = await loadFixture(deployLedgerNetFixture);
+      const ips = ["10.0.0.1", "10.0.0.2"];
+
+      await ledgerNet.connect(user1).commit(await ledgerNet.makeBatchCommitment(["one.eth", "two.eth"], user1.address, secret));
+      await time.increase(minCommitmentAge);
+
+      for (const [signer, names] of [[user1, ["two.eth", "one.eth"]], [user1, ["one.eth", "three.eth"]], [user2, ["one.eth", "two.eth"]]]) {
+        await expect(
+          ledgerNet.connect(signer).registerDomainsWithCommitment(names, ips, secret, 1, { value: registrationFee.mul(2) })
+        ).to.be.revertedWithCustomError(ledgerNet, "CommitmentNotFound");
+      }
+
+      // A single-name commitment does not cover a batch of that name
+      await ledgerNet.connect(user1).commit(await ledgerNet.makeCommitment("four.eth", user1.address, secret));
+      await time.increase(minCommitmentAge);
+      await expect(
+        ledgerNet.connect(user1).registerDomainsWithCommitment(["four.eth"], ["10.0.0.4"], secret, 1, { value: registrationFee })
+      ).to.be.revertedWithCustomError(ledgerNet, "CommitmentNotFound");
+    });
+
+    it("Should check the payment and size of a committed batch", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+      const names = ["one.eth", "two.eth"];
+
+      await ledgerNet.connect(user1).commit(await ledgerNet.makeBatchCommitment(names, user1.address, secret));
+      await ledgerNet.connect(user1).commit(await ledgerNet.makeBatchCommitment([], user1.address, secret));
+      await time.increase(minCommitmentAge);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomainsWithCommitment(names, ["10.0.0.1", "10.0.0.2"], secret, 1, { value: registrationFee })
+      ).to.be.revertedWithCustomError(ledgerNet, "IncorrectPayment");
+
+      await expect(
+        ledgerNet.connect(user1).registerDomainsWithCommitment([], [], secret, 1)
+      ).to.be.revertedWithCustomError(ledgerNet, "InvalidBatchSize");
+    });
+
+    it("Should revert when non-owner changes the commitment requirement", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(ledgerNet.connect(user1).setCommitmentRequired(true))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+    });
+  });
+
+  describe("Pricing", function () {
+    const threeCharPrice = ethers.utils.parseEther("0.5");
+    const fourCharPrice = ethers.utils.parseEther("0.1");
+    const basePrice = ethers.utils.parseEther("0.01");
+
+    // A registry deployed with its price oracle, as pricing changes are timelocked afterwards
+    async function priceOracleFixture() {
+      const [owner, user1, user2, user3] = await ethers.getSigners();
+
+      const LengthPriceOracle = await ethers.getContractFactory("LengthPriceOracle");
+      const priceOracle = await LengthPriceOracle.deploy(threeCharPrice, fourCharPrice, basePrice);
+      const { ledgerNet } = await deployRegistry(owner, { priceOracle: priceOracle.address });
+      await ledgerNet.setTldAllowed("eth", true);
+
+      return { ledgerNet, priceOracle, owner, user1, user2, user3 };
+    }
+
+    it("Should charge the flat fee per year without an oracle", async function () {
+      const { ledgerNet, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      expect(await ledgerNet.getPrice("test.eth", 3)).to.equal(registrationFee.mul(3));
+    });
+
+    it("Should price names by the length of their first label", async function () {
+      const { ledgerNet, priceOracle } = await loadFixture(priceOracleFixture);
+
+      expect(await ledgerNet.priceOracle()).to.equal(priceOracle.address);
+      expect(await ledgerNet.getPrice("abc.eth", 1)).to.equal(threeCharPrice);
+      expect(await ledgerNet.getPrice("abcd.eth", 1)).to.equal(fourCharPrice);
+      expect(await ledgerNet.getPrice("mysite.eth", 1)).to.equal(basePrice);
+      expect(await ledgerNet.getPrice("mysite.eth", 10)).to.equal(basePrice.mul(10));
+    });
+
+    it("Should revert for durations outside 1 to 10 years", async function () {
+      const { ledgerNet } = await loadFixture(priceOracleFixture);
+
+      await expect(ledgerNet.getPrice("mysite.eth", 0)).to.be.revertedWithCustomError(ledgerNet, "InvalidDuration");
+      await expect(ledgerNet.getPrice("mysite.eth", 11)).to.be.revertedWithCustomError(ledgerNet, "InvalidDuration");
+    });
+
+    it("Should register for several years at the quoted price", async function () {
+      const { ledgerNet, user1 } = await loadFixture(priceOracleFixture);
+
+      const price = await ledgerNet.getPrice("abcd.eth", 5);
+      await ledgerNet.connect(user1).registerDomainForYears("abcd.eth", "192.168.1.1", 5, { value: price });
+
+      const [, , expirationTime] = await ledgerNet.getDomainInfo("abcd.eth");
+      expect(expirationTime).to.equal((await time.latest()) + 5 * 365 * 24 * 60 * 60);
+    });
+
+    it("Should revert when paying less than the quoted price", async function () {
+      const { ledgerNet, user1 } = await loadFixture(priceOracleFixture);
+
+      await expect(
+        ledgerNet.connect(user1).registerDomain("abc.eth", "192.168.1.1", { value: fourCharPrice })
+      ).to.be.revertedWithCustomError(ledgerNet, "InsufficientPayment");
+    });
+
+    it("Should renew for several years at the quoted price", async function () {
+      const { ledgerNet, user1 } = await loadFixture(priceOracleFixture);
+
+      await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: basePrice });
+      const [, , expirationTime] = await ledgerNet.getDomainInfo("mysite.eth");
+
+      await expect(
+        ledgerNet.connect(user1).renewDomainForYears("mysite.eth", 2, { value: basePrice })
+      ).to.be.revertedWithCustomError(ledgerNet, "InsufficientPayment");
+
+      await expect(ledgerNet.connect(user1).renewDomainForYears("mysite.eth", 2, { value: basePrice.mul(2) }))
+        .to.emit(ledgerNet, "DomainRenewed")
+        .withArgs("mysite.eth", expirationTime.add(2 * 365 * 24 * 60 * 60));
+    });
+
+    it("Should only change prices by swapping the oracle through the fee timelock", async function () {
+      const { ledgerNet, priceOracle, owner } = await loadFixture(priceOracleFixture);
+
+      // The oracle's prices are fixed
+      expect(priceOracle.setPrices).to.equal(undefined);
+
+      const LengthPriceOracle = await ethers.getContractFactory("LengthPriceOracle");
+      const cheaperOracle = await LengthPriceOracle.deploy(3, 2, 1);
+      await ledgerNet.connect(owner).setPriceOracle(cheaperOracle.address);
+      expect(await ledgerNet.getPrice("mysite.eth", 1)).to.equal(basePrice);
+
+      await time.increase(24 * 60 * 60);
+      await ledgerNet.applyFeeChange();
+      expect(await ledgerNet.getPrice("mysite.eth", 1)).to.equal(1);
+    });
+
+    it("Should revert when non-owner sets the price oracle", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(ledgerNet.connect(user1).setPriceOracle(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+    });
+  });
+
+  describe("Grace and Premium Periods", function () {
+    const day = 24 * 60 * 60;
+    const startPremium = ethers.utils.parseEther("1");
+
+    async function expiredDomainFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+      const [, , expirationTime] = await fixture.ledgerNet.getDomainInfo("test.eth");
+      await time.increaseTo(expirationTime);
+      return { ...fixture, expirationTime };
+    }
+
+    it("Should report the lifecycle phase in getDomainInfo", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      expect((await ledgerNet.getDomainInfo("test.eth")).phase).to.equal(0); // Available
+      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
+        value: registrationFee
+      });
+      expect((await ledgerNet.getDomainInfo("test.eth")).phase).to.equal(1); // Active
+    });
+
+    it("Should move through grace and premium to available", async function () {
+      const { ledgerNet } = await loadFixture(expiredDomainFixture);
+
+      expect(await ledgerNet.getDomainPhase("test.eth")).to.equal(2); // Grace
+      expect(await ledgerNet.isDomainAvailable("test.eth")).to.be.false;
+
+      await time.increase(90 * day);
+      expect(await ledgerNet.getDomainPhase("test.eth")).to.equal(3); // Premium
+      expect(await ledgerNet.isDomainAvailable("test.eth")).to.be.true;
+
+      await time.increase(21 * day);
+      expect(await ledgerNet.getDomainPhase("test.eth")).to.equal(0); // Available
+    });
+
+    it("Should only let the previous owner renew during the grace period", async function () {
+      const { ledgerNet, user1, user2, registrationFee, expirationTime } = await loadFixture(expiredDomainFixture);
+
+      await expect(
+        ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "DomainInGracePeriod");
+
+      await expect(ledgerNet.connect(user2).renewDomain("test.eth", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
+
+      await expect(ledgerNet.connect(user1).renewDomain("test.eth", { value: registrationFee }))
+        .to.emit(ledgerNet, "DomainRenewed")
+        .withArgs("test.eth", expirationTime.add(365 * day));
+      expect(await ledgerNet.getDomainPhase("test.eth")).to.equal(1); // Active
+    });
+
+    it("Should not let the previous owner renew after the grace period", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(expiredDomainFixture);
+
+      await time.increase(90 * day);
+      await expect(ledgerNet.connect(user1).renewDomain("test.eth", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
+    });
+
+    it("Should charge a premium that falls over the premium period", async function () {
+      const { ledgerNet, user2, registrationFee, expirationTime } = await loadFixture(expiredDomainFixture);
+
+      const premiumStart = expirationTime.add(90 * day);
+      await time.increaseTo(premiumStart.add(7 * day));
+      const premium = await ledgerNet.getPremium("test.eth");
+      expect(premium).to.be.lessThan(startPremium);
+      expect(premium).to.be.greaterThan(startPremium.div(2));
+      expect(await ledgerNet.getPrice("test.eth", 1)).to.equal(registrationFee.add(premium));
+
+      await expect(
+        ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "InsufficientPayment");
+
+      await ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
+        value: registrationFee.add(startPremium)
+      });
+      const [owner] = await ledgerNet.getDomainInfo("test.eth");
+      expect(owner).to.equal(user2.address);
+      expect(await ledgerNet.getPremium("test.eth")).to.equal(0);
+    });
+
+    it("Should let the fee admin change the release settings through the fee timelock", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(expiredDomainFixture);
+
+      await expect(ledgerNet.connect(user1).setReleaseSettings(0, 0, 0))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+
+      await expect(ledgerNet.connect(owner).setReleaseSettings(0, 0, 0))
+        .to.emit(ledgerNet, "FeeChangeScheduled")
+        .withArgs(registrationFee, ethers.constants.AddressZero, anyValue);
+      await ledgerNet.connect(owner).setRegistrationFee(registrationFee.mul(2));
+
+      // Both changes wait in the pending change, so the name stays in its grace period
+      const pending = await ledgerNet.pendingFeeChange();
+      expect(pending.gracePeriod).to.equal(0);
+      expect(pending.registrationFee).to.equal(registrationFee.mul(2));
+      expect(await ledgerNet.gracePeriod()).to.equal(90 * 24 * 60 * 60);
+      expect(await ledgerNet.isDomainAvailable("test.eth")).to.be.false;
+
+      await time.increaseTo(pending.effectiveAt);
+      await expect(ledgerNet.applyFeeChange())
+        .to.emit(ledgerNet, "ReleaseSettingsChanged")
+        .withArgs(0, 0, 0);
+      expect(await ledgerNet.registrationFee()).to.equal(registrationFee.mul(2));
+      expect(await ledgerNet.isDomainAvailable("test.eth")).to.be.true;
+    });
+  });
+
+  describe("Name Validation", function () {
+    it("Should reject names that are not in canonical form", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      const cases = [
+        ["MySite.eth", "Domain name must be lowercase"],
+        ["mysite.eth.", "Empty label in domain name"],
+        ["my..site.eth", "Empty label in domain name"],
+        ["my_site.eth", "Invalid character in domain name"],
+        ["m\u0443site.eth", "Invalid character in domain name"],
+        ["-mysite.eth", "Labels cannot start or end with a hyphen"],
+        ["a".repeat(64) + ".eth", "Domain label is too long"],
+        [Array(64).fill("abc").join(".") + ".eth", "Domain name is too long"]
+      ];
+
+      for (const [name, reason] of cases) {
+        await expect(ledgerNet.connect(user1).registerDomain(name, "192.168.1.1", { value: registrationFee }))
+          .to.be.revertedWithCustomError(ledgerNet, "InvalidName").withArgs(reason);
+        expect(await ledgerNet.isDomainAvailable(name)).to.be.false;
+      }
+    });
+
+    it("Should agree with the shared JS normalization rules", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      const names = ["valid-name.eth", "UPPER.eth", "a..eth", "x_y.eth", "ok-.eth", "b".repeat(64) + ".eth"];
+
+      for (const name of names) {
+        const reason = LedgerNetNames.validateName(name);
+        const tx = ledgerNet.connect(user1).registerDomain(name, "192.168.1.1", { value: registrationFee });
+
+        if (reason) {
+          await expect(tx).to.be.revertedWithCustomError(ledgerNet, "InvalidName").withArgs(reason);
+        } else {
+          await expect(tx).not.to.be.reverted;
+        }
+      }
+
+      expect(LedgerNetNames.normalizeName(" My-Site.ETH. ")).to.equal("my-site.eth");
+      expect(() => LedgerNetNames.normalizeName("m\u0443site.eth")).to.throw("Invalid character in domain name");
+    });
+
+    it("Should only register names under allowed top-level domains", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(ledgerNet.connect(user1).registerDomain("mysite.web", "192.168.1.1", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "TldNotAllowed");
+      await expect(ledgerNet.connect(user1).registerDomain("eth", "192.168.1.1", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "TldNotAllowed");
+      expect(await ledgerNet.isDomainAvailable("mysite.web")).to.be.false;
+
+      await expect(ledgerNet.connect(owner).setTldAllowed("web", true))
+        .to.emit(ledgerNet, "TldChanged")
+        .withArgs("web", true);
+      await ledgerNet.connect(user1).registerDomain("mysite.web", "192.168.1.1", { value: registrationFee });
+      expect(await ledgerNet.resolveDomain("mysite.web")).to.equal("192.168.1.1");
+    });
+
+    it("Should validate top-level domain settings", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(ledgerNet.setTldAllowed("Web", true)).to.be.revertedWithCustomError(ledgerNet, "InvalidTld");
+      await expect(ledgerNet.setTldAllowed("a.web", true)).to.be.revertedWithCustomError(ledgerNet, "InvalidTld");
+      await expect(ledgerNet.connect(user1).setTldAllowed("web", true))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+    });
+
+    it("Should validate subdomain labels", async function () {
+      const { ledgerNet, user1, user2, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+
+      await expect(ledgerNet.connect(user1).createSubdomain("mysite.eth", "API", user2.address, 0))
+        .to.be.revertedWithCustomError(ledgerNet, "InvalidName").withArgs("Domain name must be lowercase");
+      await expect(ledgerNet.connect(user1).createSubdomain("mysite.eth", "api-", user2.address, 0))
+        .to.be.revertedWithCustomError(ledgerNet, "InvalidName").withArgs("Labels cannot start or end with a hyphen");
+    });
+  });
+
   describe("Domain Resolution", function () {
     it("Should resolve domain to correct IP address", async function () {
       const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
@@ -175,7 +736,7 @@ describe("LedgerNet", function () {
       const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
 
       await expect(ledgerNet.resolveDomain("nonexistent.eth"))
-        .to.be.revertedWith("Domain not found or inactive");
+        .to.be.revertedWithCustomError(ledgerNet, "DomainNotActive");
     });
 
     it("Should revert when resolving expired domain", async function () {
@@ -189,7 +750,7 @@ describe("LedgerNet", function () {
       await time.increase(366 * 24 * 60 * 60);
 
       await expect(ledgerNet.resolveDomain("test.eth"))
-        .to.be.revertedWith("Domain has expired");
+        .to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
     });
   });
 
@@ -232,7 +793,7 @@ describe("LedgerNet", function () {
 
       await expect(
         ledgerNet.connect(user2).updateDomain("test.eth", "192.168.1.100")
-      ).to.be.revertedWith("Not the domain owner");
+      ).to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
     });
 
     it("Should revert when updating with empty IP address", async function () {
@@ -244,7 +805,7 @@ describe("LedgerNet", function () {
 
       await expect(
         ledgerNet.connect(user1).updateDomain("test.eth", "")
-      ).to.be.revertedWith("IP address cannot be empty");
+      ).to.be.revertedWithCustomError(ledgerNet, "EmptyIpAddress");
     });
 
     it("Should revert when updating expired domain", async function () {
@@ -259,7 +820,7 @@ describe("LedgerNet", function () {
 
       await expect(
         ledgerNet.connect(user1).updateDomain("test.eth", "192.168.1.100")
-      ).to.be.revertedWith("Domain has expired");
+      ).to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
     });
   });
 
@@ -318,7 +879,7 @@ describe("LedgerNet", function () {
 
       await expect(
         ledgerNet.connect(user1).transferDomain("test.eth", ethers.constants.AddressZero)
-      ).to.be.revertedWith("Invalid new owner address");
+      ).to.be.revertedWithCustomError(ledgerNet, "InvalidNewOwner");
     });
 
     it("Should revert when transferring to self", async function () {
@@ -330,70 +891,687 @@ describe("LedgerNet", function () {
 
       await expect(
         ledgerNet.connect(user1).transferDomain("test.eth", user1.address)
-      ).to.be.revertedWith("Cannot transfer to yourself");
+      ).to.be.revertedWithCustomError(ledgerNet, "SelfTransfer");
     });
   });
 
-  describe("Domain Availability", function () {
-    it("Should return true for unregistered domain", async function () {
-      const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+  describe("Reverse Resolution", function () {
+    async function primaryNameFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+      await fixture.ledgerNet.connect(fixture.user1).setPrimaryName("test.eth");
+      return fixture;
+    }
 
-      const isAvailable = await ledgerNet.isDomainAvailable("unregistered.eth");
-      expect(isAvailable).to.be.true;
+    it("Should resolve an address to its primary name", async function () {
+      const { ledgerNet, user1 } = await loadFixture(primaryNameFixture);
+
+      expect(await ledgerNet.getPrimaryName(user1.address)).to.equal("test.eth");
     });
 
-    it("Should return false for active domain", async function () {
+    it("Should emit PrimaryNameChanged event", async function () {
       const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
 
       await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
         value: registrationFee
       });
+      await expect(ledgerNet.connect(user1).setPrimaryName("test.eth"))
+        .to.emit(ledgerNet, "PrimaryNameChanged")
+        .withArgs(user1.address, "test.eth");
+    });
 
-      const isAvailable = await ledgerNet.isDomainAvailable("test.eth");
-      expect(isAvailable).to.be.false;
+    it("Should revert when setting a name the caller does not own", async function () {
+      const { ledgerNet, user2 } = await loadFixture(primaryNameFixture);
+
+      await expect(ledgerNet.connect(user2).setPrimaryName("test.eth"))
+        .to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
     });
 
-    it("Should return true for expired domain", async function () {
-      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+    it("Should clear the primary name on transfer", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(primaryNameFixture);
 
-      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
-        value: registrationFee
-      });
+      await expect(ledgerNet.connect(user1).transferDomain("test.eth", user2.address))
+        .to.emit(ledgerNet, "PrimaryNameChanged")
+        .withArgs(user1.address, "");
+
+      expect(await ledgerNet.getPrimaryName(user1.address)).to.equal("");
+      expect(await ledgerNet.getPrimaryName(user2.address)).to.equal("");
+    });
+
+    it("Should stop reporting the primary name after expiry", async function () {
+      const { ledgerNet, user1 } = await loadFixture(primaryNameFixture);
 
-      // Fast forward time beyond expiration
       await time.increase(366 * 24 * 60 * 60);
 
-      const isAvailable = await ledgerNet.isDomainAvailable("test.eth");
-      expect(isAvailable).to.be.true;
+      expect(await ledgerNet.getPrimaryName(user1.address)).to.equal("");
     });
-  });
 
-  describe("Owner Functions", function () {
-    it("Should allow owner to set registration fee", async function () {
-      const { ledgerNet, owner } = await loadFixture(deployLedgerNetFixture);
+    it("Should let the owner clear the primary name", async function () {
+      const { ledgerNet, user1 } = await loadFixture(primaryNameFixture);
 
-      const newFee = ethers.utils.parseEther("0.02");
-      await ledgerNet.connect(owner).setRegistrationFee(newFee);
+      await ledgerNet.connect(user1).clearPrimaryName();
 
-      expect(await ledgerNet.registrationFee()).to.equal(newFee);
+      expect(await ledgerNet.getPrimaryName(user1.address)).to.equal("");
     });
+  });
 
-    it("Should revert when non-owner tries to set fee", async function () {
-      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+  describe("Domain Tokens", function () {
+    async function tokenFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
 
-      const newFee = ethers.utils.parseEther("0.02");
-      await expect(
-        ledgerNet.connect(user1).setRegistrationFee(newFee)
-      ).to.be.revertedWith("Not the contract owner");
-    });
+      const token = await ethers.getContractAt("LedgerNetToken", await fixture.ledgerNet.token());
+      const tokenId = await token.tokenIdOf("test.eth");
 
-    it("Should allow owner to withdraw funds", async function () {
-      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+      return { ...fixture, token, tokenId };
+    }
 
-      // Register a domain to add funds to contract
-      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
-        value: registrationFee
-      });
+    it("Should mint a token derived from the name hash on registration", async function () {
+      const { token, tokenId, user1 } = await loadFixture(tokenFixture);
+
+      expect(tokenId).to.equal(ethers.BigNumber.from(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("test.eth"))));
+      expect(await token.ownerOf(tokenId)).to.equal(user1.address);
+      expect(await token.balanceOf(user1.address)).to.equal(1);
+    });
+
+    it("Should move the token on transferDomain", async function () {
+      const { ledgerNet, token, tokenId, user1, user2 } = await loadFixture(tokenFixture);
+
+      await ledgerNet.connect(user1).transferDomain("test.eth", user2.address);
+
+      expect(await token.ownerOf(tokenId)).to.equal(user2.address);
+    });
+
+    it("Should move the domain on token transfer", async function () {
+      const { ledgerNet, token, tokenId, user1, user2 } = await loadFixture(tokenFixture);
+
+      await expect(token.connect(user1).transferFrom(user1.address, user2.address, tokenId))
+        .to.emit(ledgerNet, "DomainTransferred")
+        .withArgs("test.eth", user1.address, user2.address);
+
+      const [owner] = await ledgerNet.getDomainInfo("test.eth");
+      expect(owner).to.equal(user2.address);
+      expect(await ledgerNet.getDomainsByOwner(user1.address)).to.be.empty;
+      expect(await ledgerNet.getDomainsByOwner(user2.address)).to.include("test.eth");
+    });
+
+    it("Should enforce expiry on the token", async function () {
+      const { token, tokenId, user1, user2 } = await loadFixture(tokenFixture);
+
+      await time.increase(366 * 24 * 60 * 60);
+
+      await expect(token.ownerOf(tokenId)).to.be.revertedWith("Domain has expired");
+      await expect(token.connect(user1).transferFrom(user1.address, user2.address, tokenId))
+        .to.be.revertedWith("Domain has expired");
+    });
+
+    it("Should mint to the new owner on re-registration", async function () {
+      const { ledgerNet, token, tokenId, user1, user2, registrationFee } = await loadFixture(tokenFixture);
+
+      await time.increase((366 + 90 + 21) * 24 * 60 * 60);
+      await ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
+        value: registrationFee
+      });
+
+      expect(await token.ownerOf(tokenId)).to.equal(user2.address);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should burn the token when the domain is released", async function () {
+      const { ledgerNet, token, user1 } = await loadFixture(tokenFixture);
+
+      await ledgerNet.connect(user1).deactivateDomain("test.eth");
+
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("Should return on-chain metadata with an SVG image", async function () {
+      const { token, tokenId } = await loadFixture(tokenFixture);
+
+      const uri = await token.tokenURI(tokenId);
+      const prefix = "data:application/json;base64,";
+      expect(uri.startsWith(prefix)).to.be.true;
+
+      const metadata = JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString());
+      expect(metadata.name).to.equal("test.eth");
+      expect(metadata.image.startsWith("data:image/svg+xml;base64,")).to.be.true;
+      expect(metadata.attributes[0].trait_type).to.equal("Expiration Date");
+    });
+
+    it("Should only accept transfer callbacks from the token contract", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(tokenFixture);
+
+      await expect(ledgerNet.connect(user2).onTokenTransfer("test.eth", user1.address, user2.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotToken");
+    });
+  });
+
+  describe("Marketplace", function () {
+    async function marketplaceFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+
+      const token = await ethers.getContractAt("LedgerNetToken", await fixture.ledgerNet.token());
+      const tokenId = await token.tokenIdOf("test.eth");
+
+      const LedgerNetMarketplace = await ethers.getContractFactory("LedgerNetMarketplace");
+      const marketplace = await LedgerNetMarketplace.deploy(token.address);
+
+      const price = ethers.utils.parseEther("1");
+      const listingEnd = (await time.latest()) + 7 * 24 * 60 * 60;
+
+      await token.connect(fixture.user1).approve(marketplace.address, tokenId);
+
+      return { ...fixture, token, tokenId, marketplace, price, listingEnd };
+    }
+
+    async function listedFixture() {
+      const fixture = await marketplaceFixture();
+      await fixture.marketplace.connect(fixture.user1).listDomain("test.eth", fixture.price, fixture.listingEnd);
+      return fixture;
+    }
+
+    it("Should list an approved domain", async function () {
+      const { marketplace, user1, price, listingEnd } = await loadFixture(marketplaceFixture);
+
+      await expect(marketplace.connect(user1).listDomain("test.eth", price, listingEnd))
+        .to.emit(marketplace, "DomainListed")
+        .withArgs("test.eth", user1.address, price, listingEnd);
+
+      expect(await marketplace.isListingActive("test.eth")).to.be.true;
+      const [names, sellers, prices] = await marketplace.getActiveListings();
+      expect(names).to.deep.equal(["test.eth"]);
+      expect(sellers).to.deep.equal([user1.address]);
+      expect(prices[0]).to.equal(price);
+    });
+
+    it("Should only list approved domains owned by the sender", async function () {
+      const { marketplace, token, tokenId, user1, user2, price, listingEnd } = await loadFixture(marketplaceFixture);
+
+      await expect(marketplace.connect(user2).listDomain("test.eth", price, listingEnd))
+        .to.be.revertedWithCustomError(marketplace, "NotDomainOwner");
+      await expect(marketplace.connect(user1).listDomain("test.eth", 0, listingEnd))
+        .to.be.revertedWithCustomError(marketplace, "InvalidPrice");
+      await expect(marketplace.connect(user1).listDomain("test.eth", price, await time.latest()))
+        .to.be.revertedWithCustomError(marketplace, "InvalidExpiration");
+
+      await token.connect(user1).approve(ethers.constants.AddressZero, tokenId);
+      await expect(marketplace.connect(user1).listDomain("test.eth", price, listingEnd))
+        .to.be.revertedWithCustomError(marketplace, "MarketplaceNotApproved");
+    });
+
+    it("Should sell a listed domain atomically and keep the protocol fee", async function () {
+      const { ledgerNet, marketplace, token, tokenId, owner, user1, user2, price } = await loadFixture(listedFixture);
+      await marketplace.connect(owner).setFee(250);
+      const fee = price.mul(250).div(10000);
+
+      await expect(marketplace.connect(user2).buyDomain("test.eth", { value: price.sub(1) }))
+        .to.be.revertedWithCustomError(marketplace, "IncorrectPayment");
+
+      await expect(marketplace.connect(user2).buyDomain("test.eth", { value: price }))
+        .to.emit(marketplace, "DomainSold")
+        .withArgs("test.eth", user1.address, user2.address, price, fee)
+        .and.to.changeEtherBalances([user1, user2, marketplace], [price.sub(fee), price.mul(-1), fee]);
+
+      const [domainOwner] = await ledgerNet.getDomainInfo("test.eth");
+      expect(domainOwner).to.equal(user2.address);
+      expect(await token.ownerOf(tokenId)).to.equal(user2.address);
+      expect(await marketplace.accruedFees()).to.equal(fee);
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+      const [names] = await marketplace.getActiveListings();
+      expect(names).to.be.empty;
+    });
+
+    it("Should void a listing when the domain is transferred", async function () {
+      const { ledgerNet, marketplace, token, tokenId, user1, user2, user3, price } = await loadFixture(listedFixture);
+
+      // Moving the name away and back clears the approval and changes the transfer count
+      await ledgerNet.connect(user1).transferDomain("test.eth", user2.address);
+      await ledgerNet.connect(user2).transferDomain("test.eth", user1.address);
+      await token.connect(user1).approve(marketplace.address, tokenId);
+
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+      await expect(marketplace.connect(user3).buyDomain("test.eth", { value: price }))
+        .to.be.revertedWithCustomError(marketplace, "ListingNotActive");
+
+      // Anyone can clear a lapsed listing
+      await expect(marketplace.connect(user3).cancelListing("test.eth"))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs("test.eth", user1.address);
+    });
+
+    it("Should void a listing when it or the domain expires", async function () {
+      const { marketplace, user1, user2, price, listingEnd } = await loadFixture(listedFixture);
+
+      await time.increaseTo(listingEnd);
+      await expect(marketplace.connect(user2).buyDomain("test.eth", { value: price }))
+        .to.be.revertedWithCustomError(marketplace, "ListingNotActive");
+
+      await marketplace.connect(user1).listDomain("test.eth", price, listingEnd + 400 * 24 * 60 * 60);
+      expect(await marketplace.isListingActive("test.eth")).to.be.true;
+
+      await time.increase(366 * 24 * 60 * 60);
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+    });
+
+    it("Should hold up a listing while the name is frozen or the registry is paused", async function () {
+      const { ledgerNet, marketplace, owner, user2, price } = await loadFixture(listedFixture);
+      const reason = ethers.utils.formatBytes32String("TRADEMARK");
+
+      await ledgerNet.connect(owner).freezeDomain("test.eth", reason);
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+      expect((await marketplace.getActiveListings()).names).to.be.empty;
+      await expect(marketplace.connect(user2).buyDomain("test.eth", { value: price }))
+        .to.be.revertedWithCustomError(marketplace, "ListingNotActive");
+
+      // The listing is only held up, so others cannot clear it
+      await expect(marketplace.connect(user2).cancelListing("test.eth")).to.be.revertedWithCustomError(marketplace, "NotSeller");
+
+      await ledgerNet.connect(owner).unfreezeDomain("test.eth", reason);
+      expect(await marketplace.isListingActive("test.eth")).to.be.true;
+
+      await ledgerNet.connect(owner).setPaused(true, reason);
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+      await expect(marketplace.connect(user2).cancelListing("test.eth")).to.be.revertedWithCustomError(marketplace, "NotSeller");
+
+      await ledgerNet.connect(owner).setPaused(false, reason);
+      await marketplace.connect(user2).buyDomain("test.eth", { value: price });
+      expect((await ledgerNet.getDomainInfo("test.eth")).owner).to.equal(user2.address);
+    });
+
+    it("Should only let the seller cancel an active listing", async function () {
+      const { marketplace, user1, user2 } = await loadFixture(listedFixture);
+
+      await expect(marketplace.connect(user2).cancelListing("test.eth")).to.be.revertedWithCustomError(marketplace, "NotSeller");
+      await marketplace.connect(user1).cancelListing("test.eth");
+
+      expect(await marketplace.isListingActive("test.eth")).to.be.false;
+      await expect(marketplace.connect(user1).cancelListing("test.eth")).to.be.revertedWithCustomError(marketplace, "DomainNotListed");
+    });
+
+    it("Should hold offers in escrow until they are withdrawn", async function () {
+      const { marketplace, user1, user2, listingEnd } = await loadFixture(marketplaceFixture);
+      const amount = ethers.utils.parseEther("0.5");
+
+      await expect(marketplace.connect(user1).makeOffer("test.eth", listingEnd, { value: amount }))
+        .to.be.revertedWithCustomError(marketplace, "SelfOffer");
+
+      await expect(marketplace.connect(user2).makeOffer("test.eth", listingEnd, { value: amount }))
+        .to.changeEtherBalances([user2, marketplace], [amount.mul(-1), amount]);
+      await expect(marketplace.connect(user2).makeOffer("test.eth", listingEnd, { value: amount }))
+        .to.emit(marketplace, "OfferMade")
+        .withArgs("test.eth", user2.address, amount.mul(2), listingEnd);
+
+      const [buyers, amounts] = await marketplace.getOffers("test.eth");
+      expect(buyers).to.deep.equal([user2.address]);
+      expect(amounts[0]).to.equal(amount.mul(2));
+
+      await expect(marketplace.connect(user2).withdrawOffer("test.eth"))
+        .to.changeEtherBalances([user2, marketplace], [amount.mul(2), amount.mul(-2)]);
+      await expect(marketplace.connect(user2).withdrawOffer("test.eth"))
+        .to.be.revertedWithCustomError(marketplace, "OfferNotFound");
+    });
+
+    it("Should sell the domain when the owner accepts an offer", async function () {
+      const { ledgerNet, marketplace, user1, user2, user3, listingEnd } = await loadFixture(listedFixture);
+      const amount = ethers.utils.parseEther("0.5");
+      await marketplace.connect(user2).makeOffer("test.eth", listingEnd, { value: amount });
+      await marketplace.connect(user3).makeOffer("test.eth", listingEnd, { value: amount });
+
+      await expect(marketplace.connect(user2).acceptOffer("test.eth", user2.address, amount))
+        .to.be.revertedWithCustomError(marketplace, "NotDomainOwner");
+      await expect(marketplace.connect(user1).acceptOffer("test.eth", user2.address, amount.add(1)))
+        .to.be.revertedWithCustomError(marketplace, "OfferChanged");
+
+      await expect(marketplace.connect(user1).acceptOffer("test.eth", user2.address, amount))
+        .to.emit(marketplace, "DomainSold")
+        .withArgs("test.eth", user1.address, user2.address, amount, 0)
+        .and.to.changeEtherBalances([user1, marketplace], [amount, amount.mul(-1)]);
+
+      const [domainOwner] = await ledgerNet.getDomainInfo("test.eth");
+      expect(domainOwner).to.equal(user2.address);
+
+      // The listing is gone and the other offer can still be withdrawn
+      const [names] = await marketplace.getActiveListings();
+      expect(names).to.be.empty;
+      const [buyers] = await marketplace.getOffers("test.eth");
+      expect(buyers).to.deep.equal([user3.address]);
+    });
+
+    it("Should not accept expired offers", async function () {
+      const { marketplace, user1, user2, listingEnd } = await loadFixture(marketplaceFixture);
+      const amount = ethers.utils.parseEther("0.5");
+      await marketplace.connect(user2).makeOffer("test.eth", listingEnd, { value: amount });
+
+      await time.increaseTo(listingEnd);
+
+      await expect(marketplace.connect(user1).acceptOffer("test.eth", user2.address, amount))
+        .to.be.revertedWithCustomError(marketplace, "OfferExpired");
+      await expect(marketplace.connect(user2).withdrawOffer("test.eth"))
+        .to.changeEtherBalance(user2, amount);
+    });
+
+    it("Should let only the fee admin set the protocol fee and the treasurer withdraw it", async function () {
+      const { marketplace, owner, user2, user3, price } = await loadFixture(listedFixture);
+
+      await expect(marketplace.connect(user2).setFee(100))
+        .to.be.revertedWithCustomError(marketplace, "MissingRole")
+        .withArgs(await marketplace.FEE_ADMIN_ROLE());
+      await expect(marketplace.setFee(1001)).to.be.revertedWithCustomError(marketplace, "FeeTooHigh");
+      await expect(marketplace.setFee(1000)).to.emit(marketplace, "FeeChanged").withArgs(1000);
+
+      // Escrowed offers are not part of the fees
+      await marketplace.connect(user3).makeOffer("test.eth", (await time.latest()) + 3600, { value: price });
+      await marketplace.connect(user2).buyDomain("test.eth", { value: price });
+
+      const fee = price.div(10);
+      await expect(marketplace.connect(user2).withdrawFees())
+        .to.be.revertedWithCustomError(marketplace, "MissingRole")
+        .withArgs(await marketplace.TREASURER_ROLE());
+
+      // The treasurer can only pay the treasury, which only the contract owner sets
+      await expect(marketplace.connect(user2).setTreasury(user2.address))
+        .to.be.revertedWithCustomError(marketplace, "NotContractOwner");
+      await expect(marketplace.connect(owner).setTreasury(ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(marketplace, "InvalidTreasury");
+      await expect(marketplace.connect(owner).setTreasury(user3.address))
+        .to.emit(marketplace, "TreasuryChanged")
+        .withArgs(user3.address);
+      await marketplace.connect(owner).grantRole(await marketplace.TREASURER_ROLE(), user2.address);
+
+      await expect(marketplace.connect(user2).withdrawFees())
+        .to.emit(marketplace, "FeesWithdrawn")
+        .withArgs(user3.address, fee)
+        .and.to.changeEtherBalances([user3, marketplace], [fee, fee.mul(-1)]);
+      expect(await ethers.provider.getBalance(marketplace.address)).to.equal(price);
+    });
+
+    it("Should hand over marketplace ownership in two steps", async function () {
+      const { marketplace, owner, user1, user2 } = await loadFixture(listedFixture);
+
+      await expect(marketplace.connect(user1).transferOwnership(user1.address))
+        .to.be.revertedWithCustomError(marketplace, "NotContractOwner");
+      await expect(marketplace.connect(owner).transferOwnership(user1.address))
+        .to.emit(marketplace, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await marketplace.contractOwner()).to.equal(owner.address);
+
+      await expect(marketplace.connect(user2).acceptOwnership())
+        .to.be.revertedWithCustomError(marketplace, "NotPendingOwner");
+      await expect(marketplace.connect(user1).acceptOwnership())
+        .to.emit(marketplace, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await marketplace.contractOwner()).to.equal(user1.address);
+      expect(await marketplace.pendingOwner()).to.equal(ethers.constants.AddressZero);
+
+      // Only the new owner grants roles
+      const FEE_ADMIN_ROLE = await marketplace.FEE_ADMIN_ROLE();
+      await expect(marketplace.connect(owner).grantRole(FEE_ADMIN_ROLE, owner.address))
+        .to.be.revertedWithCustomError(marketplace, "NotContractOwner");
+      await expect(marketplace.connect(user1).revokeRole(FEE_ADMIN_ROLE, owner.address))
+        .to.emit(marketplace, "RoleRevoked")
+        .withArgs(FEE_ADMIN_ROLE, owner.address, user1.address);
+      await expect(marketplace.connect(owner).setFee(100))
+        .to.be.revertedWithCustomError(marketplace, "MissingRole");
+    });
+  });
+
+  describe("Auctions", function () {
+    async function auctionFixture() {
+      const fixture = await deployLedgerNetFixture();
+
+      const LedgerNetAuctionHouse = await ethers.getContractFactory("LedgerNetAuctionHouse");
+      const auctionHouse = await LedgerNetAuctionHouse.deploy(fixture.ledgerNet.address);
+      await fixture.ledgerNet.setAuctionHouse(auctionHouse.address);
+      await auctionHouse.setAuctionOnlyLength(3, true);
+
+      const biddingPeriod = (await auctionHouse.BIDDING_PERIOD()).toNumber();
+      const revealPeriod = (await auctionHouse.REVEAL_PERIOD()).toNumber();
+      const secret = ethers.utils.id("secret");
+
+      async function placeBid(bidder, domainName, value, deposit = value) {
+        const sealedBid = await auctionHouse.makeSealedBid(domainName, bidder.address, value, secret);
+        return auctionHouse.connect(bidder).commitBid(domainName, sealedBid, { value: deposit });
+      }
+
+      return { ...fixture, auctionHouse, biddingPeriod, revealPeriod, secret, placeBid };
+    }
+
+    it("Should only register auction-only names through an auction", async function () {
+      const { ledgerNet, auctionHouse, registrationFee, user1 } = await loadFixture(auctionFixture);
+      await auctionHouse.setAuctionOnlyName("premium.eth", true);
+
+      expect(await auctionHouse.isAuctionOnly("abc.eth")).to.be.true;
+      expect(await auctionHouse.isAuctionOnly("premium.eth")).to.be.true;
+      expect(await auctionHouse.isAuctionOnly("abcd.eth")).to.be.false;
+
+      await expect(ledgerNet.connect(user1).registerDomain("abc.eth", "192.168.1.1", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "AuctionOnlyName");
+      await expect(ledgerNet.connect(user1).registerDomains(
+        ["abcd.eth", "premium.eth"], ["192.168.1.1", "192.168.1.2"], 1, { value: registrationFee.mul(2) }
+      )).to.be.revertedWithCustomError(ledgerNet, "AuctionOnlyName");
+      await expect(ledgerNet.connect(user1).registerFromAuction("abcd.eth", "192.168.1.1", user1.address, { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "NotAuctionHouse");
+
+      await auctionHouse.setAuctionOnlyName("premium.eth", false);
+      await ledgerNet.connect(user1).registerDomain("premium.eth", "192.168.1.1", { value: registrationFee });
+    });
+
+    it("Should only let the fee admin mark names as auction-only", async function () {
+      const { ledgerNet, auctionHouse, owner, user1 } = await loadFixture(auctionFixture);
+      const FEE_ADMIN_ROLE = await auctionHouse.FEE_ADMIN_ROLE();
+
+      await expect(auctionHouse.connect(user1).setAuctionOnlyName("premium.eth", true))
+        .to.be.revertedWithCustomError(auctionHouse, "MissingRole")
+        .withArgs(FEE_ADMIN_ROLE);
+      await expect(auctionHouse.connect(user1).setAuctionOnlyLength(4, true))
+        .to.be.revertedWithCustomError(auctionHouse, "MissingRole");
+      await expect(ledgerNet.connect(user1).setAuctionHouse(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+      await expect(auctionHouse.setAuctionOnlyLength(4, true))
+        .to.emit(auctionHouse, "AuctionOnlyLengthChanged")
+        .withArgs(4, true);
+
+      // The role moves with the owner's grants, and ownership in two steps
+      await expect(auctionHouse.connect(user1).grantRole(FEE_ADMIN_ROLE, user1.address))
+        .to.be.revertedWithCustomError(auctionHouse, "NotContractOwner");
+      await auctionHouse.connect(owner).grantRole(FEE_ADMIN_ROLE, user1.address);
+      await auctionHouse.connect(owner).revokeRole(FEE_ADMIN_ROLE, owner.address);
+      await auctionHouse.connect(user1).setAuctionOnlyName("premium.eth", true);
+      await expect(auctionHouse.connect(owner).setAuctionOnlyName("premium.eth", false))
+        .to.be.revertedWithCustomError(auctionHouse, "MissingRole");
+
+      await auctionHouse.connect(owner).transferOwnership(user1.address);
+      await expect(auctionHouse.connect(user1).acceptOwnership())
+        .to.emit(auctionHouse, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await auctionHouse.contractOwner()).to.equal(user1.address);
+    });
+
+    it("Should sell the name to the highest bidder at the second price", async function () {
+      const { ledgerNet, auctionHouse, revealPeriod, biddingPeriod, secret, placeBid, user1, user2, user3 } = await loadFixture(auctionFixture);
+      const eth = ethers.utils.parseEther;
+
+      await expect(placeBid(user1, "abc.eth", eth("0.5"), eth("1")))
+        .to.emit(auctionHouse, "AuctionStarted");
+      await placeBid(user2, "abc.eth", eth("0.3"));
+      await placeBid(user3, "abc.eth", eth("0.2"));
+
+      await time.increase(biddingPeriod);
+      await auctionHouse.connect(user2).revealBid("abc.eth", eth("0.3"), secret, "10.0.0.2");
+      await expect(auctionHouse.connect(user1).revealBid("abc.eth", eth("0.5"), secret, "10.0.0.1"))
+        .to.emit(auctionHouse, "BidRevealed")
+        .withArgs(1, user1.address, eth("0.5"), true);
+      await auctionHouse.connect(user3).revealBid("abc.eth", eth("0.2"), secret, "10.0.0.3");
+
+      const auction = await auctionHouse.getAuction("abc.eth");
+      expect(auction.winner).to.equal(user1.address);
+      expect(auction.highestBid).to.equal(eth("0.5"));
+      expect(auction.price).to.equal(eth("0.3"));
+
+      // Outbid bidders are refunded straight away
+      await expect(auctionHouse.connect(user3).withdrawBid(1)).to.changeEtherBalance(user3, eth("0.2"));
+      await expect(auctionHouse.connect(user1).withdrawBid(1)).to.be.revertedWithCustomError(auctionHouse, "AuctionNotFinalized");
+
+      await time.increase(revealPeriod);
+      await expect(auctionHouse.connect(user3).finalizeAuction("abc.eth"))
+        .to.emit(auctionHouse, "AuctionFinalized")
+        .withArgs(1, user1.address, eth("0.3"))
+        .and.to.changeEtherBalances([auctionHouse, ledgerNet], [eth("-0.3"), eth("0.3")]);
+
+      const [owner, ipAddress] = await ledgerNet.getDomainInfo("abc.eth");
+      expect(owner).to.equal(user1.address);
+      expect(ipAddress).to.equal("10.0.0.1");
+
+      await expect(auctionHouse.connect(user1).withdrawBid(1)).to.changeEtherBalance(user1, eth("0.7"));
+      await expect(auctionHouse.connect(user2).withdrawBid(1)).to.changeEtherBalance(user2, eth("0.3"));
+      await expect(auctionHouse.connect(user2).withdrawBid(1)).to.be.revertedWithCustomError(auctionHouse, "BidNotFound");
+      expect(await ethers.provider.getBalance(auctionHouse.address)).to.equal(0);
+    });
+
+    it("Should charge a single bidder the reserve price", async function () {
+      const { ledgerNet, auctionHouse, revealPeriod, biddingPeriod, secret, placeBid, registrationFee, user1 } = await loadFixture(auctionFixture);
+      const bid = ethers.utils.parseEther("0.2");
+
+      await placeBid(user1, "abc.eth", bid);
+      await time.increase(biddingPeriod);
+      await auctionHouse.connect(user1).revealBid("abc.eth", bid, secret, "10.0.0.1");
+      await time.increase(revealPeriod);
+
+      await expect(auctionHouse.finalizeAuction("abc.eth"))
+        .to.emit(auctionHouse, "AuctionFinalized")
+        .withArgs(1, user1.address, registrationFee);
+
+      expect(await ledgerNet.isDomainAvailable("abc.eth")).to.be.false;
+      await expect(auctionHouse.connect(user1).withdrawBid(1)).to.changeEtherBalance(user1, bid.sub(registrationFee));
+    });
+
+    it("Should enforce the bidding, reveal and finalize phases", async function () {
+      const { auctionHouse, revealPeriod, biddingPeriod, secret, placeBid, user1, user2, registrationFee } = await loadFixture(auctionFixture);
+      const bid = ethers.utils.parseEther("0.2");
+
+      await expect(placeBid(user1, "abcd.eth", bid)).to.be.revertedWithCustomError(auctionHouse, "NotAuctionOnly");
+      await expect(placeBid(user1, "abc.xyz", bid)).to.be.revertedWithCustomError(auctionHouse, "DomainNotAvailable");
+
+      await placeBid(user1, "abc.eth", bid);
+      await expect(placeBid(user1, "abc.eth", bid)).to.be.revertedWithCustomError(auctionHouse, "BidAlreadyPlaced");
+      await expect(auctionHouse.connect(user1).revealBid("abc.eth", bid, secret, "10.0.0.1"))
+        .to.be.revertedWithCustomError(auctionHouse, "NotRevealPhase");
+      expect((await auctionHouse.getAuction("abc.eth")).phase).to.equal(1);
+
+      await time.increase(biddingPeriod);
+      await expect(placeBid(user2, "abc.eth", bid)).to.be.revertedWithCustomError(auctionHouse, "BiddingEnded");
+      await expect(auctionHouse.connect(user1).revealBid("abc.eth", bid.add(1), secret, "10.0.0.1"))
+        .to.be.revertedWithCustomError(auctionHouse, "BidMismatch");
+      await expect(auctionHouse.finalizeAuction("abc.eth")).to.be.revertedWithCustomError(auctionHouse, "AuctionNotEnded");
+
+      await auctionHouse.connect(user1).revealBid("abc.eth", bid, secret, "10.0.0.1");
+      expect((await auctionHouse.getAuction("abc.eth")).winner).to.equal(user1.address);
+      await time.increase(revealPeriod);
+      expect((await auctionHouse.getAuction("abc.eth")).phase).to.equal(3);
+
+      await auctionHouse.finalizeAuction("abc.eth");
+      expect((await auctionHouse.getAuction("abc.eth")).phase).to.equal(0);
+      await expect(auctionHouse.finalizeAuction("abc.eth")).to.be.revertedWithCustomError(auctionHouse, "AuctionNotEnded");
+
+      // Names registered through an auction are not auctioned again while held
+      await expect(placeBid(user2, "abc.eth", registrationFee)).to.be.revertedWithCustomError(auctionHouse, "DomainNotAvailable");
+    });
+
+    it("Should refund invalid and unrevealed bids and restart auctions without a winner", async function () {
+      const { ledgerNet, auctionHouse, revealPeriod, biddingPeriod, secret, placeBid, user1, user2 } = await loadFixture(auctionFixture);
+      const eth = ethers.utils.parseEther;
+
+      await placeBid(user1, "abc.eth", eth("1"), eth("0.5"));
+      await placeBid(user2, "abc.eth", eth("0.2"));
+      await time.increase(biddingPeriod);
+
+      await expect(auctionHouse.connect(user1).revealBid("abc.eth", eth("1"), secret, "10.0.0.1"))
+        .to.emit(auctionHouse, "BidRevealed")
+        .withArgs(1, user1.address, eth("1"), false);
+      await expect(auctionHouse.connect(user1).withdrawBid(1)).to.changeEtherBalance(user1, eth("0.5"));
+      await expect(auctionHouse.connect(user2).withdrawBid(1)).to.be.revertedWithCustomError(auctionHouse, "RevealNotOver");
+
+      await time.increase(revealPeriod);
+      await expect(auctionHouse.finalizeAuction("abc.eth"))
+        .to.emit(auctionHouse, "AuctionFinalized")
+        .withArgs(1, ethers.constants.AddressZero, 0);
+      expect(await ledgerNet.isDomainAvailable("abc.eth")).to.be.true;
+      await expect(auctionHouse.connect(user2).withdrawBid(1)).to.changeEtherBalance(user2, eth("0.2"));
+
+      await expect(placeBid(user2, "abc.eth", eth("0.2")))
+        .to.emit(auctionHouse, "BidCommitted")
+        .withArgs(2, user2.address, eth("0.2"));
+    });
+  });
+
+  describe("Domain Availability", function () {
+    it("Should return true for unregistered domain", async function () {
+      const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+
+      const isAvailable = await ledgerNet.isDomainAvailable("unregistered.eth");
+      expect(isAvailable).to.be.true;
+    });
+
+    it("Should return false for active domain", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
+        value: registrationFee
+      });
+
+      const isAvailable = await ledgerNet.isDomainAvailable("test.eth");
+      expect(isAvailable).to.be.false;
+    });
+
+    it("Should return true for expired domain", async function () {
+      const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
+        value: registrationFee
+      });
+
+      // Fast forward time beyond expiration, grace and premium periods
+      await time.increase((366 + 90 + 21) * 24 * 60 * 60);
+
+      const isAvailable = await ledgerNet.isDomainAvailable("test.eth");
+      expect(isAvailable).to.be.true;
+    });
+  });
+
+  describe("Owner Functions", function () {
+    it("Should allow owner to set registration fee", async function () {
+      const { ledgerNet, owner } = await loadFixture(deployLedgerNetFixture);
+
+      const newFee = ethers.utils.parseEther("0.02");
+      await ledgerNet.connect(owner).setRegistrationFee(newFee);
+      await applyPendingFeeChange(ledgerNet);
+
+      expect(await ledgerNet.registrationFee()).to.equal(newFee);
+    });
+
+    it("Should revert when non-owner tries to set fee", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      const newFee = ethers.utils.parseEther("0.02");
+      await expect(
+        ledgerNet.connect(user1).setRegistrationFee(newFee)
+      ).to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+    });
+
+    it("Should allow owner to withdraw funds", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      // Register a domain to add funds to contract
+      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", {
+        value: registrationFee
+      });
 
       const initialBalance = await owner.getBalance();
       const contractBalance = await ethers.provider.getBalance(ledgerNet.address);
@@ -401,7 +1579,7 @@ describe("LedgerNet", function () {
       expect(contractBalance).to.equal(registrationFee);
 
       // Withdraw funds
-      const tx = await ledgerNet.connect(owner).withdraw();
+      const tx = await ledgerNet.connect(owner).withdraw(registrationFee);
       const receipt = await tx.wait();
       const gasUsed = receipt.gasUsed.mul(receipt.effectiveGasPrice);
 
@@ -416,8 +1594,296 @@ describe("LedgerNet", function () {
       const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
 
       await expect(
-        ledgerNet.connect(user1).withdraw()
-      ).to.be.revertedWith("Not the contract owner");
+        ledgerNet.connect(user1).withdraw(0)
+      ).to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+    });
+  });
+
+  describe("Governance", function () {
+    async function deployGovernanceFixture() {
+      const fixture = await deployLedgerNetFixture();
+      const { ledgerNet } = fixture;
+
+      const FEE_ADMIN_ROLE = await ledgerNet.FEE_ADMIN_ROLE();
+      const TREASURER_ROLE = await ledgerNet.TREASURER_ROLE();
+      const PAUSER_ROLE = await ledgerNet.PAUSER_ROLE();
+
+      return { ...fixture, FEE_ADMIN_ROLE, TREASURER_ROLE, PAUSER_ROLE };
+    }
+
+    it("Should give the deployer every role and make it the treasury", async function () {
+      const { ledgerNet, owner, FEE_ADMIN_ROLE, TREASURER_ROLE, PAUSER_ROLE } = await loadFixture(deployGovernanceFixture);
+
+      expect(await ledgerNet.hasRole(FEE_ADMIN_ROLE, owner.address)).to.be.true;
+      expect(await ledgerNet.hasRole(TREASURER_ROLE, owner.address)).to.be.true;
+      expect(await ledgerNet.hasRole(PAUSER_ROLE, owner.address)).to.be.true;
+      expect(await ledgerNet.treasury()).to.equal(owner.address);
+    });
+
+    it("Should transfer ownership in two steps", async function () {
+      const { ledgerNet, owner, user1, user2 } = await loadFixture(deployGovernanceFixture);
+
+      await expect(ledgerNet.connect(user1).transferOwnership(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+
+      await expect(ledgerNet.connect(owner).transferOwnership(user1.address))
+        .to.emit(ledgerNet, "OwnershipTransferStarted")
+        .withArgs(owner.address, user1.address);
+      expect(await ledgerNet.contractOwner()).to.equal(owner.address);
+      expect(await ledgerNet.pendingOwner()).to.equal(user1.address);
+
+      await expect(ledgerNet.connect(user2).acceptOwnership())
+        .to.be.revertedWithCustomError(ledgerNet, "NotPendingOwner");
+
+      await expect(ledgerNet.connect(user1).acceptOwnership())
+        .to.emit(ledgerNet, "OwnershipTransferred")
+        .withArgs(owner.address, user1.address);
+      expect(await ledgerNet.contractOwner()).to.equal(user1.address);
+      expect(await ledgerNet.pendingOwner()).to.equal(ethers.constants.AddressZero);
+
+      await expect(ledgerNet.connect(owner).setTldAllowed("org", true))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+      await ledgerNet.connect(user1).setTldAllowed("org", true);
+    });
+
+    it("Should let the owner grant and revoke roles", async function () {
+      const { ledgerNet, owner, user1, FEE_ADMIN_ROLE } = await loadFixture(deployGovernanceFixture);
+
+      await expect(ledgerNet.connect(user1).grantRole(FEE_ADMIN_ROLE, user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+
+      await expect(ledgerNet.connect(owner).grantRole(FEE_ADMIN_ROLE, user1.address))
+        .to.emit(ledgerNet, "RoleGranted")
+        .withArgs(FEE_ADMIN_ROLE, user1.address, owner.address);
+      await ledgerNet.connect(user1).setRegistrationFee(ethers.utils.parseEther("0.02"));
+
+      await expect(ledgerNet.connect(owner).revokeRole(FEE_ADMIN_ROLE, user1.address))
+        .to.emit(ledgerNet, "RoleRevoked")
+        .withArgs(FEE_ADMIN_ROLE, user1.address, owner.address);
+      await expect(ledgerNet.connect(user1).setRegistrationFee(1))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+
+      // The owner needs the role like anyone else
+      await ledgerNet.connect(owner).revokeRole(FEE_ADMIN_ROLE, owner.address);
+      await expect(ledgerNet.connect(owner).setRegistrationFee(1))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+    });
+
+    it("Should hold fee changes until the delay has passed", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployGovernanceFixture);
+      const delay = 2 * 24 * 60 * 60;
+
+      // Pricing changes are timelocked from deployment
+      expect(await ledgerNet.feeChangeDelay()).to.equal(await ledgerNet.MIN_FEE_CHANGE_DELAY());
+      expect(await ledgerNet.MIN_FEE_CHANGE_DELAY()).to.equal(24 * 60 * 60);
+
+      await expect(ledgerNet.connect(user1).setFeeChangeDelay(delay))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+      await expect(ledgerNet.connect(owner).setFeeChangeDelay(31 * 24 * 60 * 60))
+        .to.be.revertedWithCustomError(ledgerNet, "DelayTooLong");
+      await expect(ledgerNet.connect(owner).setFeeChangeDelay(delay))
+        .to.emit(ledgerNet, "FeeChangeDelayChanged")
+        .withArgs(delay);
+
+      // The delay cannot be lowered to rush a change through
+      await expect(ledgerNet.connect(owner).setFeeChangeDelay(0))
+        .to.be.revertedWithCustomError(ledgerNet, "DelayTooShort");
+      await expect(ledgerNet.connect(owner).setFeeChangeDelay(delay - 1))
+        .to.be.revertedWithCustomError(ledgerNet, "DelayTooShort");
+      await ledgerNet.connect(owner).setFeeChangeDelay(delay);
+
+      const newFee = ethers.utils.parseEther("0.02");
+      await expect(ledgerNet.connect(owner).setRegistrationFee(newFee))
+        .to.emit(ledgerNet, "FeeChangeScheduled")
+        .withArgs(newFee, ethers.constants.AddressZero, anyValue);
+      await ledgerNet.connect(owner).setPriceOracle(user1.address);
+
+      // Both changes wait in one pending change
+      const pending = await ledgerNet.pendingFeeChange();
+      expect(pending.registrationFee).to.equal(newFee);
+      expect(pending.priceOracle).to.equal(user1.address);
+      expect(await ledgerNet.registrationFee()).to.equal(registrationFee);
+
+      await expect(ledgerNet.applyFeeChange()).to.be.revertedWithCustomError(ledgerNet, "FeeChangeTimelocked");
+
+      await time.increaseTo(pending.effectiveAt);
+      await expect(ledgerNet.connect(user1).applyFeeChange())
+        .to.emit(ledgerNet, "FeeChangeApplied")
+        .withArgs(newFee, user1.address)
+        .and.to.emit(ledgerNet, "PriceOracleChanged")
+        .withArgs(user1.address);
+
+      expect(await ledgerNet.registrationFee()).to.equal(newFee);
+      expect(await ledgerNet.priceOracle()).to.equal(user1.address);
+      await expect(ledgerNet.applyFeeChange()).to.be.revertedWithCustomError(ledgerNet, "NoFeeChangePending");
+    });
+
+    it("Should let the fee admin cancel a pending fee change", async function () {
+      const { ledgerNet, owner, user1, registrationFee } = await loadFixture(deployGovernanceFixture);
+
+      await ledgerNet.connect(owner).setFeeChangeDelay(24 * 60 * 60);
+      await ledgerNet.connect(owner).setRegistrationFee(ethers.utils.parseEther("1"));
+
+      await expect(ledgerNet.connect(user1).cancelFeeChange()).to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+      await expect(ledgerNet.connect(owner).cancelFeeChange()).to.emit(ledgerNet, "FeeChangeCancelled");
+
+      await time.increase(24 * 60 * 60);
+      await expect(ledgerNet.applyFeeChange()).to.be.revertedWithCustomError(ledgerNet, "NoFeeChangePending");
+      expect(await ledgerNet.registrationFee()).to.equal(registrationFee);
+    });
+
+    it("Should withdraw an amount to the treasury", async function () {
+      const { ledgerNet, owner, user1, user2, user3, registrationFee, TREASURER_ROLE } = await loadFixture(deployGovernanceFixture);
+
+      await ledgerNet.connect(user1).registerDomain("test.eth", "192.168.1.1", { value: registrationFee });
+
+      await expect(ledgerNet.connect(owner).setTreasury(ethers.constants.AddressZero))
+        .to.be.revertedWithCustomError(ledgerNet, "InvalidTreasury");
+      await expect(ledgerNet.connect(user1).setTreasury(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+      await expect(ledgerNet.connect(owner).setTreasury(user2.address))
+        .to.emit(ledgerNet, "TreasuryChanged")
+        .withArgs(user2.address);
+
+      // A treasurer withdraws, but the funds always go to the treasury
+      await ledgerNet.connect(owner).grantRole(TREASURER_ROLE, user3.address);
+      const amount = registrationFee.div(4);
+      await expect(ledgerNet.connect(user3).withdraw(amount))
+        .to.emit(ledgerNet, "Withdrawn")
+        .withArgs(user2.address, amount)
+        .and.to.changeEtherBalances([ledgerNet, user2, user3], [amount.mul(-1), amount, 0]);
+
+      await expect(ledgerNet.connect(user3).withdraw(registrationFee))
+        .to.be.revertedWithCustomError(ledgerNet, "InsufficientBalance");
+    });
+
+    it("Should emit an event when commit-reveal is required", async function () {
+      const { ledgerNet, owner } = await loadFixture(deployGovernanceFixture);
+
+      await expect(ledgerNet.connect(owner).setCommitmentRequired(true))
+        .to.emit(ledgerNet, "CommitmentRequiredChanged")
+        .withArgs(true);
+    });
+  });
+
+  describe("Pause and Freeze", function () {
+    const SECURITY_INCIDENT = ethers.utils.formatBytes32String("SECURITY_INCIDENT");
+    const TRADEMARK = ethers.utils.formatBytes32String("TRADEMARK");
+    const RESOLVED = ethers.utils.formatBytes32String("RESOLVED");
+    const TYPE_TXT = 16;
+
+    async function deployPauseFixture() {
+      const fixture = await deployLedgerNetFixture();
+      const { ledgerNet, user1, registrationFee } = fixture;
+
+      await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+      const token = await ethers.getContractAt("LedgerNetToken", await ledgerNet.token());
+
+      return { ...fixture, token };
+    }
+
+    it("Should let only pausers pause the registry", async function () {
+      const { ledgerNet, owner, user1 } = await loadFixture(deployPauseFixture);
+
+      await expect(ledgerNet.connect(user1).setPaused(true, SECURITY_INCIDENT))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+
+      await expect(ledgerNet.connect(owner).setPaused(true, SECURITY_INCIDENT))
+        .to.emit(ledgerNet, "PauseChanged")
+        .withArgs(true, SECURITY_INCIDENT, owner.address);
+      expect(await ledgerNet.paused()).to.be.true;
+    });
+
+    it("Should stop state changes but keep resolution working while paused", async function () {
+      const { ledgerNet, resolver, token, owner, user1, user2, registrationFee } = await loadFixture(deployPauseFixture);
+
+      await ledgerNet.connect(owner).setPaused(true, SECURITY_INCIDENT);
+
+      await expect(ledgerNet.connect(user2).registerDomain("other.eth", "192.168.1.2", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "RegistryPaused");
+      await expect(ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1"))
+        .to.be.revertedWithCustomError(ledgerNet, "RegistryPaused");
+      await expect(ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address))
+        .to.be.revertedWithCustomError(ledgerNet, "RegistryPaused");
+      await expect(ledgerNet.connect(user1).renewDomain("mysite.eth", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "RegistryPaused");
+      await expect(token.connect(user1).transferFrom(user1.address, user2.address, await token.tokenIdOf("mysite.eth")))
+        .to.be.revertedWithCustomError(ledgerNet, "RegistryPaused");
+      await expect(resolver.connect(user1).addRecord("mysite.eth", TYPE_TXT, "hello", 300))
+        .to.be.revertedWith("Not authorised for this domain");
+
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("192.168.1.1");
+
+      // Admin functions keep working, and unpausing resumes normal operation
+      await ledgerNet.connect(owner).setTldAllowed("org", true);
+      await expect(ledgerNet.connect(owner).setPaused(false, RESOLVED))
+        .to.emit(ledgerNet, "PauseChanged")
+        .withArgs(false, RESOLVED, owner.address);
+      await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+    });
+
+    it("Should let only arbitrators freeze a domain with a reason code", async function () {
+      const { ledgerNet, owner, user1, user2 } = await loadFixture(deployPauseFixture);
+      const ARBITRATOR_ROLE = await ledgerNet.ARBITRATOR_ROLE();
+
+      await expect(ledgerNet.connect(user2).freezeDomain("mysite.eth", TRADEMARK))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+
+      await ledgerNet.connect(owner).grantRole(ARBITRATOR_ROLE, user2.address);
+      await expect(ledgerNet.connect(user2).freezeDomain("mysite.eth", ethers.constants.HashZero))
+        .to.be.revertedWithCustomError(ledgerNet, "ReasonRequired");
+      await expect(ledgerNet.connect(user2).freezeDomain("mysite.eth", TRADEMARK))
+        .to.emit(ledgerNet, "DomainFrozen")
+        .withArgs("mysite.eth", TRADEMARK, user2.address);
+
+      expect(await ledgerNet.freezeReasons("mysite.eth")).to.equal(TRADEMARK);
+      expect(await ledgerNet.isAuthorised("mysite.eth", user1.address)).to.be.false;
+    });
+
+    it("Should block updates and transfers of a frozen domain until it is unfrozen", async function () {
+      const { ledgerNet, resolver, token, owner, user1, user2, registrationFee } = await loadFixture(deployPauseFixture);
+
+      await ledgerNet.connect(user1).setManager("mysite.eth", user2.address);
+      await ledgerNet.connect(owner).freezeDomain("mysite.eth", TRADEMARK);
+
+      await expect(ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
+      await expect(ledgerNet.connect(user2).setResolver("mysite.eth", user2.address))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
+      await expect(ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
+      await expect(ledgerNet.connect(user1).deactivateDomain("mysite.eth"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
+      await expect(token.connect(user1).transferFrom(user1.address, user2.address, await token.tokenIdOf("mysite.eth")))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
+      await expect(resolver.connect(user1).addRecord("mysite.eth", TYPE_TXT, "hello", 300))
+        .to.be.revertedWith("Not authorised for this domain");
+
+      // The name keeps resolving and can be renewed so it does not lapse during the dispute
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("192.168.1.1");
+      await ledgerNet.connect(user1).renewDomain("mysite.eth", { value: registrationFee });
+
+      await expect(ledgerNet.connect(user2).unfreezeDomain("mysite.eth", RESOLVED))
+        .to.be.revertedWithCustomError(ledgerNet, "MissingRole");
+      await expect(ledgerNet.connect(owner).unfreezeDomain("mysite.eth", RESOLVED))
+        .to.emit(ledgerNet, "DomainUnfrozen")
+        .withArgs("mysite.eth", RESOLVED, owner.address);
+      await expect(ledgerNet.connect(owner).unfreezeDomain("mysite.eth", RESOLVED))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainNotFrozen");
+
+      await ledgerNet.connect(user1).transferDomain("mysite.eth", user2.address);
+      expect(await token.ownerOf(await token.tokenIdOf("mysite.eth"))).to.equal(user2.address);
+    });
+
+    it("Should not let a frozen name be registered again after it expires", async function () {
+      const { ledgerNet, owner, user2, registrationFee } = await loadFixture(deployPauseFixture);
+
+      await ledgerNet.connect(owner).freezeDomain("mysite.eth", TRADEMARK);
+      await time.increase((366 + 90 + 21) * 24 * 60 * 60);
+
+      await expect(ledgerNet.connect(user2).registerDomain("mysite.eth", "192.168.1.2", { value: registrationFee }))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainIsFrozen");
     });
   });
 
@@ -461,6 +1927,358 @@ describe("LedgerNet", function () {
       expect(user2Domains.length).to.equal(1);
       expect(user2Domains).to.include("domain1.eth");
     });
+
+    it("Should page through an owner's domains by name hash", async function () {
+      const { ledgerNet, user1, user2, registrationFee } = await loadFixture(deployLedgerNetFixture);
+
+      const names = ["domain1.eth", "domain2.eth", "domain3.eth"];
+      await ledgerNet.connect(user1).registerDomains(names, names.map(() => "192.168.1.1"), 1, {
+        value: registrationFee.mul(3)
+      });
+      await ledgerNet.connect(user1).transferDomain("domain1.eth", user2.address);
+
+      // The last domain takes the removed one's place
+      expect(await ledgerNet.ownerDomainCount(user1.address)).to.equal(2);
+      expect(await ledgerNet.ownerDomains(user1.address, 0)).to.equal("domain3.eth");
+      expect(await ledgerNet.ownerDomains(user1.address, 1)).to.equal("domain2.eth");
+      await expect(ledgerNet.ownerDomains(user1.address, 2)).to.be.reverted;
+
+      const token = await ethers.getContractAt("LedgerNetToken", await ledgerNet.token());
+      const node = await ledgerNet.nameHash("domain2.eth");
+      expect(node).to.equal(ethers.utils.keccak256(ethers.utils.toUtf8Bytes("domain2.eth")));
+      expect(await token.tokenIdOf("domain2.eth")).to.equal(node);
+    });
+  });
+
+  describe("DNS Records", function () {
+    const TYPE_MX = 15;
+    const TYPE_TXT = 16;
+    const TYPE_CNAME = 5;
+
+    async function registeredDomainFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+      return fixture;
+    }
+
+    it("Should add records of several types", async function () {
+      const { resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_MX, "10 mail.test.eth", 3600);
+      await resolver.connect(user1).addRecord("test.eth", TYPE_MX, "20 backup.test.eth", 3600);
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "v=spf1 mx -all", 300);
+
+      const mxRecords = await resolver.getRecords("test.eth", TYPE_MX);
+      expect(mxRecords.length).to.equal(2);
+      expect(mxRecords[0].value).to.equal("10 mail.test.eth");
+      expect(mxRecords[1].ttl).to.equal(3600);
+
+      const txtRecords = await resolver.getRecords("test.eth", TYPE_TXT);
+      expect(txtRecords.length).to.equal(1);
+      expect(txtRecords[0].ttl).to.equal(300);
+    });
+
+    it("Should emit record events", async function () {
+      const { resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await expect(resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "hello", 60))
+        .to.emit(resolver, "RecordAdded")
+        .withArgs("test.eth", TYPE_TXT, 0, "hello", 60);
+
+      await expect(resolver.connect(user1).replaceRecord("test.eth", TYPE_TXT, 0, "world", 120))
+        .to.emit(resolver, "RecordReplaced")
+        .withArgs("test.eth", TYPE_TXT, 0, "world", 120);
+
+      await expect(resolver.connect(user1).deleteRecord("test.eth", TYPE_TXT, 0))
+        .to.emit(resolver, "RecordDeleted")
+        .withArgs("test.eth", TYPE_TXT, 0);
+    });
+
+    it("Should move the last record into a deleted slot", async function () {
+      const { resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "first", 60);
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "second", 60);
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "third", 60);
+      await resolver.connect(user1).deleteRecord("test.eth", TYPE_TXT, 0);
+
+      const records = await resolver.getRecords("test.eth", TYPE_TXT);
+      expect(records.map(r => r.value)).to.deep.equal(["third", "second"]);
+    });
+
+    it("Should revert for unsupported types and missing records", async function () {
+      const { resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await expect(resolver.connect(user1).addRecord("test.eth", 99, "x", 60))
+        .to.be.revertedWith("Unsupported record type");
+      await expect(resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "", 60))
+        .to.be.revertedWith("Record value cannot be empty");
+      await expect(resolver.connect(user1).replaceRecord("test.eth", TYPE_TXT, 0, "x", 60))
+        .to.be.revertedWith("Record does not exist");
+      await expect(resolver.connect(user1).deleteRecord("test.eth", TYPE_TXT, 0))
+        .to.be.revertedWith("Record does not exist");
+    });
+
+    it("Should allow only one CNAME record", async function () {
+      const { resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_CNAME, "other.eth", 60);
+      await expect(resolver.connect(user1).addRecord("test.eth", TYPE_CNAME, "another.eth", 60))
+        .to.be.revertedWith("Only one CNAME record allowed");
+    });
+
+    it("Should revert when non-owner adds a record", async function () {
+      const { resolver, user2 } = await loadFixture(registeredDomainFixture);
+
+      await expect(resolver.connect(user2).addRecord("test.eth", TYPE_TXT, "x", 60))
+        .to.be.revertedWith("Not authorised for this domain");
+    });
+
+    it("Should clear records on request and on re-registration", async function () {
+      const { ledgerNet, resolver, user1, user2, registrationFee } = await loadFixture(registeredDomainFixture);
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "old", 60);
+      await expect(ledgerNet.connect(user1).clearRecords("test.eth"))
+        .to.emit(ledgerNet, "RecordsCleared")
+        .withArgs("test.eth", 1);
+      expect((await resolver.getRecords("test.eth", TYPE_TXT)).length).to.equal(0);
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "stale", 60);
+      await time.increase((366 + 90 + 21) * 24 * 60 * 60);
+      await ledgerNet.connect(user2).registerDomain("test.eth", "192.168.1.2", {
+        value: registrationFee
+      });
+
+      expect((await resolver.getRecords("test.eth", TYPE_TXT)).length).to.equal(0);
+    });
+  });
+
+  describe("Resolvers and Roles", function () {
+    const TYPE_A = 1;
+    const TYPE_TXT = 16;
+
+    async function registeredDomainFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("test.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+      return fixture;
+    }
+
+    it("Should assign the default resolver on registration", async function () {
+      const { ledgerNet, resolver } = await loadFixture(registeredDomainFixture);
+
+      expect(await ledgerNet.defaultResolver()).to.equal(resolver.address);
+      expect(await ledgerNet.getResolver("test.eth")).to.equal(resolver.address);
+    });
+
+    it("Should resolve through the resolver's A record, falling back to the registry", async function () {
+      const { ledgerNet, resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      expect(await ledgerNet.resolveDomain("test.eth")).to.equal("192.168.1.1");
+
+      await resolver.connect(user1).addRecord("test.eth", TYPE_A, "10.0.0.1", 300);
+      expect(await ledgerNet.resolveDomain("test.eth")).to.equal("10.0.0.1");
+
+      await expect(ledgerNet.connect(user1).setResolver("test.eth", ethers.constants.AddressZero))
+        .to.emit(ledgerNet, "ResolverChanged")
+        .withArgs("test.eth", ethers.constants.AddressZero);
+      expect(await ledgerNet.resolveDomain("test.eth")).to.equal("192.168.1.1");
+    });
+
+    it("Should let a manager update records but not transfer", async function () {
+      const { ledgerNet, resolver, user1, user2, user3 } = await loadFixture(registeredDomainFixture);
+
+      await expect(ledgerNet.connect(user1).setManager("test.eth", user2.address))
+        .to.emit(ledgerNet, "ManagerChanged")
+        .withArgs("test.eth", user2.address);
+
+      await ledgerNet.connect(user2).updateDomain("test.eth", "192.168.1.50");
+      await resolver.connect(user2).addRecord("test.eth", TYPE_TXT, "managed", 60);
+      expect(await ledgerNet.resolveDomain("test.eth")).to.equal("192.168.1.50");
+      expect(await ledgerNet.isAuthorised("test.eth", user2.address)).to.equal(true);
+
+      await expect(ledgerNet.connect(user2).transferDomain("test.eth", user3.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
+      await expect(ledgerNet.connect(user2).setManager("test.eth", user3.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
+    });
+
+    it("Should clear the manager when the domain is transferred", async function () {
+      const { ledgerNet, resolver, user1, user2, user3 } = await loadFixture(registeredDomainFixture);
+
+      await ledgerNet.connect(user1).setManager("test.eth", user2.address);
+      await ledgerNet.connect(user1).transferDomain("test.eth", user3.address);
+
+      expect(await ledgerNet.isAuthorised("test.eth", user2.address)).to.equal(false);
+      await expect(resolver.connect(user2).addRecord("test.eth", TYPE_TXT, "x", 60))
+        .to.be.revertedWith("Not authorised for this domain");
+    });
+
+    it("Should let record operators manage all of an owner's domains", async function () {
+      const { ledgerNet, resolver, user1, user2, registrationFee } = await loadFixture(registeredDomainFixture);
+
+      await ledgerNet.connect(user1).registerDomain("other.eth", "192.168.1.2", { value: registrationFee });
+
+      await expect(ledgerNet.connect(user1).setRecordOperator(user2.address, true))
+        .to.emit(ledgerNet, "RecordOperatorChanged")
+        .withArgs(user1.address, user2.address, true);
+
+      await resolver.connect(user2).addRecord("test.eth", TYPE_TXT, "one", 60);
+      await resolver.connect(user2).addRecord("other.eth", TYPE_TXT, "two", 60);
+      await ledgerNet.connect(user2).clearRecords("other.eth");
+      expect((await resolver.getRecords("other.eth", TYPE_TXT)).length).to.equal(0);
+
+      await ledgerNet.connect(user1).setRecordOperator(user2.address, false);
+      await expect(ledgerNet.connect(user2).updateDomain("test.eth", "192.168.1.3"))
+        .to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
+    });
+
+    it("Should not authorise anyone on an expired domain", async function () {
+      const { ledgerNet, resolver, user1 } = await loadFixture(registeredDomainFixture);
+
+      await time.increase(366 * 24 * 60 * 60);
+
+      expect(await ledgerNet.isAuthorised("test.eth", user1.address)).to.equal(false);
+      await expect(resolver.connect(user1).addRecord("test.eth", TYPE_TXT, "x", 60))
+        .to.be.revertedWith("Not authorised for this domain");
+    });
+
+    it("Should only allow the contract owner to set the default resolver", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+
+      await expect(ledgerNet.connect(user1).setDefaultResolver(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+    });
+  });
+
+  describe("Subdomains", function () {
+    async function parentDomainFixture() {
+      const fixture = await deployLedgerNetFixture();
+      await fixture.ledgerNet.connect(fixture.user1).registerDomain("mysite.eth", "192.168.1.1", {
+        value: fixture.registrationFee
+      });
+      return fixture;
+    }
+
+    it("Should let the parent owner create a subdomain for another address", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      await expect(ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0))
+        .to.emit(ledgerNet, "SubdomainCreated");
+
+      const [owner, , expirationTime, isActive] = await ledgerNet.getDomainInfo("api.mysite.eth");
+      const [, , parentExpiration] = await ledgerNet.getDomainInfo("mysite.eth");
+      expect(owner).to.equal(user2.address);
+      expect(isActive).to.be.true;
+      expect(expirationTime).to.equal(parentExpiration);
+
+      expect(await ledgerNet.parentDomains("api.mysite.eth")).to.equal("mysite.eth");
+      expect(await ledgerNet.getSubdomains("mysite.eth")).to.deep.equal(["api.mysite.eth"]);
+      expect(await ledgerNet.getDomainsByOwner(user2.address)).to.include("api.mysite.eth");
+    });
+
+    it("Should let the subdomain owner manage its IP address", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+      await ledgerNet.connect(user2).updateDomain("api.mysite.eth", "10.0.0.1");
+
+      expect(await ledgerNet.resolveDomain("api.mysite.eth")).to.equal("10.0.0.1");
+    });
+
+    it("Should block registering a name below a registered domain", async function () {
+      const { ledgerNet, user2, registrationFee } = await loadFixture(parentDomainFixture);
+
+      await expect(
+        ledgerNet.connect(user2).registerDomain("api.mysite.eth", "10.0.0.1", {
+          value: registrationFee
+        })
+      ).to.be.revertedWithCustomError(ledgerNet, "ParentRegistered");
+    });
+
+    it("Should revert when a non-owner creates a subdomain", async function () {
+      const { ledgerNet, user2 } = await loadFixture(parentDomainFixture);
+
+      await expect(ledgerNet.connect(user2).createSubdomain("mysite.eth", "api", user2.address, 0))
+        .to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
+    });
+
+    it("Should revert for labels containing dots", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      await expect(ledgerNet.connect(user1).createSubdomain("mysite.eth", "a.b", user2.address, 0))
+        .to.be.revertedWithCustomError(ledgerNet, "InvalidLabel");
+    });
+
+    it("Should cap the subdomain lifetime by the parent's expiration", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      const [, , parentExpiration] = await ledgerNet.getDomainInfo("mysite.eth");
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, parentExpiration.add(1000));
+
+      const [, , expirationTime] = await ledgerNet.getDomainInfo("api.mysite.eth");
+      expect(expirationTime).to.equal(parentExpiration);
+    });
+
+    it("Should let the parent owner revoke a subdomain", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+      await expect(ledgerNet.connect(user1).revokeSubdomain("mysite.eth", "api"))
+        .to.emit(ledgerNet, "SubdomainRevoked")
+        .withArgs("mysite.eth", "api.mysite.eth");
+
+      expect(await ledgerNet.getSubdomains("mysite.eth")).to.be.empty;
+      expect(await ledgerNet.getDomainsByOwner(user2.address)).to.be.empty;
+      await expect(ledgerNet.resolveDomain("api.mysite.eth"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainNotActive");
+
+      // The parent owner can take the name back for itself
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user1.address, 0);
+      expect(await ledgerNet.getDomainsByOwner(user1.address)).to.include("api.mysite.eth");
+    });
+
+    it("Should stop resolving subdomains when the parent expires", async function () {
+      const { ledgerNet, user1, user2 } = await loadFixture(parentDomainFixture);
+
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+      await ledgerNet.connect(user2).updateDomain("api.mysite.eth", "10.0.0.1");
+      await time.increase(366 * 24 * 60 * 60);
+
+      await expect(ledgerNet.resolveDomain("api.mysite.eth"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
+    });
+
+    it("Should drop subdomains when the parent is registered again", async function () {
+      const { ledgerNet, user1, user2, user3, registrationFee } = await loadFixture(parentDomainFixture);
+
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+      await ledgerNet.connect(user1).deactivateDomain("mysite.eth");
+      await ledgerNet.connect(user3).registerDomain("mysite.eth", "192.168.1.3", {
+        value: registrationFee
+      });
+
+      expect(await ledgerNet.getSubdomains("mysite.eth")).to.be.empty;
+      expect(await ledgerNet.isDomainAvailable("api.mysite.eth")).to.be.true;
+      await expect(ledgerNet.connect(user2).updateDomain("api.mysite.eth", "10.0.0.1"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
+    });
+
+    it("Should support nested subdomains", async function () {
+      const { ledgerNet, user1, user2, user3 } = await loadFixture(parentDomainFixture);
+
+      await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+      await ledgerNet.connect(user2).createSubdomain("api.mysite.eth", "v1", user3.address, 0);
+      await ledgerNet.connect(user3).updateDomain("v1.api.mysite.eth", "10.0.0.2");
+      expect(await ledgerNet.resolveDomain("v1.api.mysite.eth")).to.equal("10.0.0.2");
+
+      await ledgerNet.connect(user1).revokeSubdomain("mysite.eth", "api");
+      await expect(ledgerNet.resolveDomain("v1.api.mysite.eth"))
+        .to.be.revertedWithCustomError(ledgerNet, "DomainExpired");
+    });
   });
 
   describe("Edge Cases", function () {
@@ -491,7 +2309,7 @@ describe("LedgerNet", function () {
     it("Should handle long domain names", async function () {
       const { ledgerNet, user1, registrationFee } = await loadFixture(deployLedgerNetFixture);
 
-      const longDomain = "a".repeat(100) + ".eth";
+      const longDomain = "a".repeat(63) + ".eth";
       await ledgerNet.connect(user1).registerDomain(longDomain, "192.168.1.1", {
         value: registrationFee
       });
@@ -0,0 +1,417 @@
+const http = require("http");
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const { RLP, keccak256, hexDataLength, hexZeroPad, stripZeros } = ethers.utils;
+const LedgerNetProofs = require("../sdk/proofs.js");
+const { deployRegistry, getStorageLayout } = require("../scripts/upgrades");
+const { DohGateway } = require("../services/doh/gateway");
+const { LedgerNetZone } = require("../services/dns/zone");
+
+// A Merkle-Patricia trie of hashed keys, to answer eth_getProof, which Hardhat's network lacks
+class ProofTrie {
+  constructor(entries) {
+    this.nodes = new Map();
+    const items = entries.map(([key, value]) => ({ path: ProofTrie.nibbles(keccak256(key)), value }));
+
+    if (items.length === 0) {
+      this.root = LedgerNetProofs.EMPTY_TRIE_ROOT;
+    } else {
+      const encoded = RLP.encode(this.build(items, 0));
+      this.root = keccak256(encoded);
+      this.nodes.set(this.root, encoded);
+    }
+  }
+
+  static nibbles(hex) {
+    return Array.from(hex.slice(2), (digit) => parseInt(digit, 16));
+  }
+
+  static compactPath(nibbles, isLeaf) {
+    const flag = (isLeaf ? 2 : 0) + (nibbles.length % 2);
+    const all = flag % 2 === 1 ? [flag, ...nibbles] : [flag, 0, ...nibbles];
+    return "0x" + all.map((nibble) => nibble.toString(16)).join("");
+  }
+
+  build(items, depth) {
+    if (items.length === 1) {
+      return [ProofTrie.compactPath(items[0].path.slice(depth), true), items[0].value];
+    }
+
+    let shared = 0;
+    while (items.every((item) => item.path[depth + shared] === items[0].path[depth + shared])) shared++;
+    if (shared > 0) {
+      return [ProofTrie.compactPath(items[0].path.slice(depth, depth + shared), false), this.reference(this.build(items, depth + shared))];
+    }
+
+    const branch = new Array(17).fill("0x");
+    for (let nibble = 0; nibble < 16; nibble++) {
+      const group = items.filter((item) => item.path[depth] === nibble);
+      if (group.length > 0) branch[nibble] = this.reference(this.build(group, depth + 1));
+    }
+    return branch;
+  }
+
+  // Nodes shorter than a hash are embedded in their parent
+  reference(node) {
+    const encoded = RLP.encode(node);
+    if (hexDataLength(encoded) < 32) return node;
+
+    const hash = keccak256(encoded);
+    this.nodes.set(hash, encoded);
+    return hash;
+  }
+
+  // The nodes on the path to a key, down to its leaf or to where the path leaves the trie
+  proof(key) {
+    const path = ProofTrie.nibbles(keccak256(key));
+    const proof = [];
+    let reference = this.root;
+    let position = 0;
+
+    while (reference !== "0x" && this.root !== LedgerNetProofs.EMPTY_TRIE_ROOT) {
+      let node = reference;
+      if (!Array.isArray(reference)) {
+        proof.push(this.nodes.get(reference));
+        node = RLP.decode(this.nodes.get(reference));
+      }
+
+      if (node.length === 17) {
+        reference = node[path[position++]];
+        continue;
+      }
+
+      const nibbles = ProofTrie.nibbles(node[0]);
+      const segment = nibbles.slice(nibbles[0] % 2 === 1 ? 1 : 2);
+      if (nibbles[0] >= 2 || segment.some((nibble, i) => path[position + i] !== nibble)) break;
+      position += segment.length;
+      reference = node[1];
+    }
+
+    return proof;
+  }
+}
+
+// Answers eth_getProof from a state made of the storage read so far, plus unrelated accounts and
+// slots so the tries have branches, extensions and embedded nodes
+class ProvingProvider extends ethers.providers.Web3Provider {
+  constructor() {
+    super(network.provider);
+    this.reads = new Map();
+    this.stateRoots = new Map();
+  }
+
+  async send(method, params) {
+    if (method === "eth_getStorageAt") {
+      const address = ethers.utils.getAddress(params[0]);
+      if (!this.reads.has(address)) this.reads.set(address, new Set());
+      this.reads.get(address).add(hexZeroPad(params[1], 32));
+    }
+    if (method === "eth_getProof") {
+      return this.getProof(...params);
+    }
+    return super.send(method, params);
+  }
+
+  async getProof(address, keys, blockTag) {
+    const storageTries = new Map();
+    for (const [account, slots] of this.reads) {
+      const entries = [];
+      for (const slot of slots) {
+        const value = await super.send("eth_getStorageAt", [account, slot, blockTag]);
+        if (!ethers.BigNumber.from(value).isZero()) entries.push([slot, RLP.encode(stripZeros(value))]);
+      }
+      for (let i = 0; i < 20; i++) {
+        entries.push([hexZeroPad(ethers.utils.hexlify(1000 + i), 32), RLP.encode(ethers.utils.hexlify(i + 1))]);
+      }
+      storageTries.set(account, new ProofTrie(entries));
+    }
+
+    const accounts = [...storageTries].map(([account, trie]) => [
+      account,
+      RLP.encode(["0x01", "0x", trie.root, keccak256("0x")])
+    ]);
+    for (let i = 0; i < 20; i++) {
+      accounts.push([ethers.utils.getAddress(hexZeroPad(ethers.utils.hexlify(i + 1), 20)), RLP.encode(["0x", "0x01", LedgerNetProofs.EMPTY_TRIE_ROOT, keccak256("0x")])]);
+    }
+    const state = new ProofTrie(accounts);
+    this.stateRoots.set(Number(blockTag), state.root);
+
+    const storage = storageTries.get(ethers.utils.getAddress(address));
+    return {
+      address,
+      accountProof: state.proof(address),
+      storageHash: storage.root,
+      storageProof: keys.map((key) => ({ key, proof: storage.proof(key) }))
+    };
+  }
+}
+
+describe("Resolution Proofs", function () {
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    await ledgerNet.connect(user1).registerDomain("plain.eth", "192.168.1.1", { value: registrationFee });
+    await ledgerNet.connect(user1).registerDomain("ipv6.eth", "2001:0db8:85a3:0000:0000:8a2e:0370:7334", { value: registrationFee });
+
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const resolver = await PublicResolver.deploy(ledgerNet.address);
+    await ledgerNet.setDefaultResolver(resolver.address);
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.2", { value: registrationFee });
+    await ledgerNet.connect(user1).createSubdomain("mysite.eth", "api", user2.address, 0);
+    await ledgerNet.connect(user2).updateDomain("api.mysite.eth", "10.0.0.1");
+
+    return { ledgerNet, resolver, registrationFee, owner, user1, user2 };
+  }
+
+  // Build a proof of a name at the latest block and check it, as a light client would
+  async function proveAndVerify({ ledgerNet, resolver }, name, options = {}) {
+    const provider = new ProvingProvider();
+    const proof = await LedgerNetProofs.buildResolutionProof({ provider, registryAddress: ledgerNet.address, name });
+
+    // The trusted header of the test state; its other fields are the real block's
+    const header = { ...proof.header, stateRoot: provider.stateRoots.get(proof.blockNumber) };
+    const result = await LedgerNetProofs.verifyResolutionProof(proof, {
+      name,
+      header,
+      registryAddress: ledgerNet.address,
+      resolvers: [resolver.address],
+      ...options
+    });
+
+    return { proof, header, result };
+  }
+
+  // The message a promise is rejected with
+  async function rejectionOf(promise) {
+    try {
+      await promise;
+    } catch (error) {
+      return error.message;
+    }
+    expect.fail("Expected a rejection");
+  }
+
+  async function resolveAt(ledgerNet, name) {
+    try {
+      return { ipAddress: await ledgerNet.resolveDomain(name), error: null };
+    } catch (error) {
+      return { ipAddress: "", error: error.errorName };
+    }
+  }
+
+  it("Should hash block headers as the chain does", async function () {
+    const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+    await ledgerNet.connect(user1).updateDomain("plain.eth", "10.0.0.9");
+
+    for (const tag of ["latest", "0x1"]) {
+      const block = await network.provider.send("eth_getBlockByNumber", [tag, false]);
+      expect(LedgerNetProofs.hashBlockHeader(block), tag).to.equal(block.hash);
+    }
+  });
+
+  it("Should prove addresses stored in the registry", async function () {
+    const deployment = await loadFixture(deployLedgerNetFixture);
+
+    for (const name of ["plain.eth", "ipv6.eth"]) {
+      const { result } = await proveAndVerify(deployment, name);
+      expect(result).to.deep.include(await resolveAt(deployment.ledgerNet, name));
+      expect(result.name).to.equal(name);
+    }
+
+    expect((await proveAndVerify(deployment, "ipv6.eth")).result.ipAddress).to.equal("2001:0db8:85a3:0000:0000:8a2e:0370:7334");
+  });
+
+  it("Should prove addresses answered by the public resolver", async function () {
+    const deployment = await loadFixture(deployLedgerNetFixture);
+    const { ledgerNet, resolver, user1 } = deployment;
+
+    // No address records, so the registry's address
+    expect((await proveAndVerify(deployment, "mysite.eth")).result.ipAddress).to.equal("192.168.1.2");
+
+    await resolver.connect(user1).addRecord("mysite.eth", 28, "2001:db8::1", 300);
+    expect((await proveAndVerify(deployment, "mysite.eth")).result.ipAddress).to.equal("2001:db8::1");
+
+    await resolver.connect(user1).addRecord("mysite.eth", 1, "10.1.1.1", 300);
+    const { result } = await proveAndVerify(deployment, "mysite.eth");
+    expect(result).to.deep.include({ ipAddress: "10.1.1.1", error: null });
+    expect(result.ipAddress).to.equal(await ledgerNet.resolveDomain("mysite.eth"));
+  });
+
+  it("Should prove subdomains, and names that do not resolve", async function () {
+    const deployment = await loadFixture(deployLedgerNetFixture);
+    const { ledgerNet, registrationFee, user1 } = deployment;
+
+    expect((await proveAndVerify(deployment, "api.mysite.eth")).result.ipAddress).to.equal("10.0.0.1");
+    expect((await proveAndVerify(deployment, "unknown.eth")).result).to.deep.include({ ipAddress: "", error: "DomainNotActive" });
+
+    // A subdomain lapses with its parent, and with the parent's re-registration
+    await time.increase(366 * 24 * 60 * 60);
+    for (const name of ["mysite.eth", "api.mysite.eth"]) {
+      const { result } = await proveAndVerify(deployment, name);
+      expect(result, name).to.deep.include({ ipAddress: "", error: "DomainExpired" });
+      expect(result, name).to.deep.include(await resolveAt(ledgerNet, name));
+    }
+
+    await time.increase((90 + 21) * 24 * 60 * 60);
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.3", { value: registrationFee });
+    expect((await proveAndVerify(deployment, "api.mysite.eth")).result).to.deep.include(await resolveAt(ledgerNet, "api.mysite.eth"));
+  });
+
+  it("Should reject proofs that do not match the header", async function () {
+    const deployment = await loadFixture(deployLedgerNetFixture);
+    const { ledgerNet, resolver } = deployment;
+    const { proof, header } = await proveAndVerify(deployment, "plain.eth");
+    const options = { name: "plain.eth", header, registryAddress: ledgerNet.address, resolvers: [resolver.address] };
+    const verify = (changed, changedOptions = {}) => LedgerNetProofs.verifyResolutionProof(changed, { ...options, ...changedOptions });
+    const copy = () => JSON.parse(JSON.stringify(proof));
+
+    // A storage node with another value no longer hashes to the one its parent names
+    const tampered = copy();
+    const storageProof = tampered.accounts[0].storageProof.find((entry) => entry.proof.length > 0).proof;
+    storageProof[storageProof.length - 1] = storageProof[storageProof.length - 1].replace(/.{4}$/, "abcd");
+    expect(await rejectionOf(verify(tampered))).to.include("Invalid proof");
+
+    const claimed = copy();
+    claimed.ipAddress = "10.6.6.6";
+    expect(await rejectionOf(verify(claimed))).to.include("does not prove the answer it claims");
+
+    const missing = copy();
+    missing.accounts[0].storageProof.pop();
+    expect(await rejectionOf(verify(missing))).to.include("Invalid proof: no proof of slot");
+
+    // The real block's state root, which the test state does not match
+    const block = await network.provider.send("eth_getBlockByNumber", [ethers.utils.hexValue(proof.blockNumber), false]);
+    expect(await rejectionOf(verify(proof, { header: block }))).to.include("Invalid proof: missing trie node");
+    expect(await rejectionOf(verify(proof, { header: { ...header, number: "0x1" } }))).to.include("not a proof for this block");
+    expect(await rejectionOf(verify(proof, { name: "other.eth" }))).to.include("not a proof for this name");
+
+    // Another registry has no proven storage
+    expect(await rejectionOf(verify(proof, { registryAddress: resolver.address }))).to.include("Invalid proof");
+  });
+
+  it("Should only trust answers of known resolvers", async function () {
+    const deployment = await loadFixture(deployLedgerNetFixture);
+
+    expect(await rejectionOf(proveAndVerify(deployment, "mysite.eth", { resolvers: [] })))
+      .to.include(`Cannot verify answers of resolver ${deployment.resolver.address}`);
+    expect((await proveAndVerify(deployment, "plain.eth", { resolvers: [] })).result.ipAddress).to.equal("192.168.1.1");
+  });
+
+  it("Should match the compiler's storage layouts", async function () {
+    const { STORAGE_LAYOUT } = LedgerNetProofs;
+
+    const check = async (contractName, mappingLabel, structLabel, structType) => {
+      const layout = await getStorageLayout(contractName);
+      const mapping = layout.storage.find((variable) => variable.label === mappingLabel);
+      expect(Number(mapping.slot), mappingLabel).to.equal(STORAGE_LAYOUT[contractName][mappingLabel]);
+
+      const struct = Object.values(layout.types).find((type) => type.label === `struct ${structType}`);
+      for (const [label, field] of Object.entries(STORAGE_LAYOUT[contractName][structLabel])) {
+        const member = struct.members.find((candidate) => candidate.label === label);
+        expect([Number(member.slot), member.offset, Number(layout.types[member.type].numberOfBytes)], label)
+          .to.deep.equal([field.slot, field.offset, field.size]);
+      }
+    };
+
+    await check("LedgerNet", "domainsByHash", "Domain", "LedgerNet.Domain");
+    await check("PublicResolver", "recordSets", "DnsRecord", "IResolver.DnsRecord");
+  });
+
+  describe("DoH gateway", function () {
+    let gateway;
+    let provider;
+    let port;
+
+    async function startGateway(ledgerNet, options) {
+      provider = new ProvingProvider();
+      const zone = new LedgerNetZone({ provider, registryAddress: ledgerNet.address, tlds: ["eth"] });
+      gateway = new DohGateway({ zone, upstream: "127.0.0.1:9", ...options });
+      ({ port } = await gateway.start({ port: 0 }));
+    }
+
+    function getJson(path) {
+      return new Promise((resolve, reject) => {
+        http.get({ host: "127.0.0.1", port, path, headers: { accept: "application/dns-json" } }, (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => resolve(JSON.parse(Buffer.concat(chunks).toString())));
+        }).on("error", reject);
+      });
+    }
+
+    afterEach(async function () {
+      if (gateway) await gateway.stop();
+      gateway = null;
+    });
+
+    it("Should attach proofs to answers when asked", async function () {
+      const { ledgerNet, resolver } = await loadFixture(deployLedgerNetFixture);
+      await startGateway(ledgerNet, { proofs: true });
+
+      const response = await getJson("/dns-query?name=Plain.eth.&type=A&proof=1");
+      expect(response.Answer[0].data).to.equal("192.168.1.1");
+      expect(response.Proof).to.deep.include({ ipAddress: "192.168.1.1", error: null });
+
+      const header = { ...response.Proof.header, stateRoot: provider.stateRoots.get(response.Proof.blockNumber) };
+      const result = await LedgerNetProofs.verifyResolutionProof(response.Proof, {
+        name: "plain.eth",
+        header,
+        registryAddress: ledgerNet.address,
+        resolvers: [resolver.address]
+      });
+      expect(result).to.deep.include({ ipAddress: response.Answer[0].data, error: null });
+
+      // Names that do not exist are proven too
+      const missing = await getJson("/dns-query?name=unknown.eth&type=A&proof=1");
+      expect(missing.Status).to.equal(3);
+      expect(missing.Proof.name).to.equal("unknown.eth");
+
+      expect(await getJson("/dns-query?name=plain.eth&type=A")).to.not.have.property("Proof");
+      expect(await getJson("/dns-query?name=plain.eth&type=TXT&proof=1")).to.not.have.property("Proof");
+    });
+
+    it("Should answer proven queries at the proof's block rather than from the cache", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployLedgerNetFixture);
+      await startGateway(ledgerNet, { proofs: true });
+
+      // A change the cache does not hear about
+      expect((await getJson("/dns-query?name=plain.eth&type=A")).Answer[0].data).to.equal("192.168.1.1");
+      gateway.zone.unwatch();
+      await ledgerNet.connect(user1).updateDomain("plain.eth", "10.0.0.9");
+      expect((await getJson("/dns-query?name=plain.eth&type=A")).Answer[0].data).to.equal("192.168.1.1");
+
+      const response = await getJson("/dns-query?name=plain.eth&type=A&proof=1");
+      expect(response.Answer.map((answer) => answer.data)).to.deep.equal(["10.0.0.9"]);
+      expect(response.Proof).to.deep.include({ blockNumber: await ethers.provider.getBlockNumber(), ipAddress: "10.0.0.9" });
+    });
+
+    it("Should still answer when a proof cannot be built", async function () {
+      const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+      await startGateway(ledgerNet, { proofs: true });
+      provider.getProof = async () => {
+        throw new Error("the method eth_getProof does not exist");
+      };
+
+      const response = await getJson("/dns-query?name=plain.eth&type=A&proof=1");
+      expect(response.Answer[0].data).to.equal("192.168.1.1");
+      expect(response).to.not.have.property("Proof");
+      expect(response.ProofError).to.equal("Resolution proof unavailable");
+    });
+
+    it("Should not attach proofs unless enabled", async function () {
+      const { ledgerNet } = await loadFixture(deployLedgerNetFixture);
+      await startGateway(ledgerNet);
+
+      expect(await getJson("/dns-query?name=plain.eth&type=A&proof=1")).to.not.have.property("Proof");
+    });
+  });
+});
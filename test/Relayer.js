@@ -0,0 +1,271 @@
+const http = require("http");
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const LedgerNetSDK = require("../sdk/ledgernet.js");
+const { deployRegistry } = require("../scripts/upgrades");
+const { LedgerNetRelayer } = require("../services/relayer/relayer");
+
+describe("Meta-transactions", function () {
+  async function deployForwarderFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2, relayerAccount] = await ethers.getSigners();
+
+    const { ledgerNet, token } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    const LedgerNetForwarder = await ethers.getContractFactory("LedgerNetForwarder");
+    const forwarder = await LedgerNetForwarder.deploy(ledgerNet.address);
+    await ledgerNet.setTrustedForwarder(forwarder.address);
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+
+    // Owners sign with the SDK; the relayer account submits
+    const signerClient = (signer) => new LedgerNetSDK.ForwarderClient({ address: forwarder.address, signerOrProvider: signer });
+
+    return { ledgerNet, token, forwarder, signerClient, registrationFee, owner, user1, user2, relayerAccount };
+  }
+
+  describe("Forwarder", function () {
+    it("Should relay a signed update, with the relayer paying the gas", async function () {
+      const { ledgerNet, forwarder, signerClient, user1, relayerAccount } = await loadFixture(deployForwarderFixture);
+
+      const signed = await signerClient(user1).signUpdate("MySite.eth", "10.0.0.1");
+      expect(signed.request.domainName).to.equal("mysite.eth");
+      expect(signed.request.nonce).to.equal("0");
+
+      const balanceBefore = await user1.getBalance();
+      await expect(forwarder.connect(relayerAccount).updateDomain(signed.request, signed.signature))
+        .to.emit(forwarder, "RequestRelayed").withArgs(user1.address, 0, relayerAccount.address)
+        .and.to.emit(ledgerNet, "DomainUpdated");
+
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+      expect(await forwarder.nonces(user1.address)).to.equal(1);
+      expect(await user1.getBalance()).to.equal(balanceBefore);
+    });
+
+    it("Should relay signed transfers and renewals", async function () {
+      const { ledgerNet, token, forwarder, signerClient, registrationFee, user1, user2, relayerAccount } = await loadFixture(deployForwarderFixture);
+      const relayer = signerClient(user1).connect(relayerAccount);
+
+      const expiration = (await ledgerNet.getDomainInfo("mysite.eth")).expirationTime;
+      const renewal = await signerClient(user1).signRenewal("mysite.eth", 2);
+      await relayer.relay(renewal, { value: registrationFee.mul(2) });
+      expect((await ledgerNet.getDomainInfo("mysite.eth")).expirationTime).to.equal(expiration.add(2 * 365 * 24 * 60 * 60));
+
+      const transfer = await signerClient(user1).signTransfer("mysite.eth", user2.address);
+      expect(transfer.request.nonce).to.equal("1");
+      await expect(relayer.relay(transfer)).to.emit(ledgerNet, "DomainTransferred");
+
+      expect((await ledgerNet.getDomainInfo("mysite.eth")).owner).to.equal(user2.address);
+      expect(await token.ownerOf(ethers.utils.id("mysite.eth"))).to.equal(user2.address);
+      expect(await forwarder.nonces(user1.address)).to.equal(2);
+    });
+
+    it("Should reject replayed, expired and forged requests", async function () {
+      const { forwarder, signerClient, user1, user2, relayerAccount } = await loadFixture(deployForwarderFixture);
+      const relayer = signerClient(user1).connect(relayerAccount);
+
+      const signed = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.1");
+      await relayer.relay(signed);
+      await expect(relayer.relay(signed)).to.be.revertedWithCustomError(forwarder, "InvalidNonce");
+
+      const expired = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.2", { deadline: (await time.latest()) + 60 });
+      await time.increase(120);
+      await expect(relayer.relay(expired)).to.be.revertedWithCustomError(forwarder, "RequestExpired");
+
+      // Signed by someone else, or changed after signing
+      const forged = await signerClient(user2).signUpdate("mysite.eth", "10.0.0.3");
+      forged.request.signer = user1.address;
+      forged.request.nonce = "1";
+      await expect(relayer.relay(forged)).to.be.revertedWithCustomError(forwarder, "InvalidSignature");
+
+      const tampered = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.4");
+      tampered.request.ipAddress = "10.6.6.6";
+      await expect(relayer.relay(tampered)).to.be.revertedWithCustomError(forwarder, "InvalidSignature");
+    });
+
+    it("Should check the signer's rights as for a direct call", async function () {
+      const { ledgerNet, signerClient, user1, user2, relayerAccount } = await loadFixture(deployForwarderFixture);
+      const relayer = signerClient(user1).connect(relayerAccount);
+
+      const notAuthorised = await signerClient(user2).signUpdate("mysite.eth", "10.0.0.1");
+      await expect(relayer.relay(notAuthorised)).to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
+
+      const notOwner = await signerClient(user2).signTransfer("mysite.eth", user2.address);
+      await expect(relayer.relay(notOwner)).to.be.revertedWithCustomError(ledgerNet, "NotDomainOwner");
+
+      // A failed relay leaves the nonce unused
+      await ledgerNet.connect(user1).setManager("mysite.eth", user2.address);
+      await relayer.relay(notAuthorised);
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+
+      const selfTransfer = await signerClient(user1).signTransfer("mysite.eth", user1.address);
+      await expect(relayer.relay(selfTransfer)).to.be.revertedWithCustomError(ledgerNet, "SelfTransfer");
+    });
+
+    it("Should only act for signers through the trusted forwarder", async function () {
+      const { ledgerNet, forwarder, signerClient, user1, relayerAccount } = await loadFixture(deployForwarderFixture);
+
+      await expect(ledgerNet.connect(user1).setTrustedForwarder(user1.address))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+
+      const LedgerNetForwarder = await ethers.getContractFactory("LedgerNetForwarder");
+      const untrusted = await LedgerNetForwarder.deploy(ledgerNet.address);
+
+      // The registry sees an untrusted forwarder itself as the caller, whatever it appends
+      const signed = await new LedgerNetSDK.ForwarderClient({ address: untrusted.address, signerOrProvider: user1 })
+        .signUpdate("mysite.eth", "10.0.0.1");
+      await expect(untrusted.connect(relayerAccount).updateDomain(signed.request, signed.signature))
+        .to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
+
+      await expect(ledgerNet.setTrustedForwarder(ethers.constants.AddressZero))
+        .to.emit(ledgerNet, "TrustedForwarderChanged").withArgs(ethers.constants.AddressZero);
+      const user1Signed = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.1");
+      await expect(forwarder.connect(relayerAccount).updateDomain(user1Signed.request, user1Signed.signature))
+        .to.be.revertedWithCustomError(ledgerNet, "NotAuthorised");
+    });
+
+    it("Should act for the appended signer in every function that acts for the caller", async function () {
+      const { ledgerNet, user1, user2, relayerAccount } = await loadFixture(deployForwarderFixture);
+
+      // An account trusted as the forwarder, appending user1 as the signer by hand
+      await ledgerNet.setTrustedForwarder(relayerAccount.address);
+      const forwardFor = (signer, functionName, args) => relayerAccount.sendTransaction({
+        to: ledgerNet.address,
+        data: ethers.utils.hexConcat([ledgerNet.interface.encodeFunctionData(functionName, args), signer.address])
+      });
+
+      await expect(forwardFor(user1, "setPrimaryName", ["mysite.eth"]))
+        .to.emit(ledgerNet, "PrimaryNameChanged").withArgs(user1.address, "mysite.eth");
+      await expect(forwardFor(user1, "clearPrimaryName", []))
+        .to.emit(ledgerNet, "PrimaryNameChanged").withArgs(user1.address, "");
+      await expect(forwardFor(user1, "setRecordOperator", [user2.address, true]))
+        .to.emit(ledgerNet, "RecordOperatorChanged").withArgs(user1.address, user2.address, true);
+      await expect(forwardFor(user1, "setRecordOperator", [user1.address, true]))
+        .to.be.revertedWithCustomError(ledgerNet, "SelfApproval");
+    });
+
+    it("Should recover the signer of a request off-chain", async function () {
+      const { signerClient, user1 } = await loadFixture(deployForwarderFixture);
+      const client = signerClient(user1);
+
+      const signed = await client.signTransfer("mysite.eth", user1.address);
+      expect(await client.recoverSigner(signed)).to.equal(user1.address);
+
+      await expect(client.signUpdate("mysite.eth", "999.0.0.1")).to.be.rejectedWith("Invalid");
+      await expect(client.recoverSigner({ ...signed, type: "MintRequest" })).to.be.rejectedWith("Unknown request type");
+    });
+  });
+
+  describe("Relayer service", function () {
+    let relayer;
+    let port;
+
+    async function startRelayer({ ledgerNet, forwarder, relayerAccount }, options = {}) {
+      relayer = new LedgerNetRelayer({
+        signer: relayerAccount,
+        forwarderAddress: forwarder.address,
+        registryAddress: ledgerNet.address,
+        ...options
+      });
+      ({ port } = await relayer.start({ port: 0 }));
+    }
+
+    function request(method, path, body) {
+      return new Promise((resolve, reject) => {
+        const headers = body === undefined ? {} : { "content-type": "application/json" };
+        const req = http.request({ host: "127.0.0.1", port, method, path, headers }, (res) => {
+          const chunks = [];
+          res.on("data", (chunk) => chunks.push(chunk));
+          res.on("end", () => {
+            const text = Buffer.concat(chunks).toString();
+            resolve({ status: res.statusCode, headers: res.headers, body: text ? JSON.parse(text) : null });
+          });
+        });
+        req.on("error", reject);
+        req.end(typeof body === "string" ? body : body && JSON.stringify(body));
+      });
+    }
+
+    afterEach(async function () {
+      if (relayer) await relayer.stop();
+      relayer = null;
+    });
+
+    it("Should submit signed requests posted to it", async function () {
+      const deployment = await loadFixture(deployForwarderFixture);
+      const { ledgerNet, signerClient, user1, relayerAccount } = deployment;
+      await startRelayer(deployment);
+
+      const signed = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.1");
+      const response = await request("POST", "/relay", signed);
+
+      expect(response.status).to.equal(202);
+      expect(response.headers["access-control-allow-origin"]).to.equal("*");
+
+      const receipt = await ethers.provider.getTransactionReceipt(response.body.transactionHash);
+      expect(receipt.status).to.equal(1);
+      expect(receipt.from).to.equal(relayerAccount.address);
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+    });
+
+    it("Should refuse requests that would fail, without sending them", async function () {
+      const deployment = await loadFixture(deployForwarderFixture);
+      const { ledgerNet, signerClient, user1, user2 } = deployment;
+      await startRelayer(deployment);
+
+      const signed = await signerClient(user1).signUpdate("mysite.eth", "10.0.0.1");
+      await request("POST", "/relay", signed);
+      const blockNumber = await ethers.provider.getBlockNumber();
+
+      const replayed = await request("POST", "/relay", signed);
+      expect(replayed.status).to.equal(400);
+      expect(replayed.body.error).to.equal("Signed request was already used or replaced");
+
+      const forged = await signerClient(user2).signUpdate("mysite.eth", "10.0.0.2");
+      forged.request.signer = user1.address;
+      expect((await request("POST", "/relay", forged)).body.error).to.equal("Invalid signature");
+
+      const notAuthorised = await signerClient(user2).signUpdate("mysite.eth", "10.0.0.2");
+      expect((await request("POST", "/relay", notAuthorised)).body.error).to.equal(LedgerNetSDK.ERROR_MESSAGES.NotAuthorised);
+
+      expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+    });
+
+    it("Should only pay for renewals when configured to", async function () {
+      const deployment = await loadFixture(deployForwarderFixture);
+      const { ledgerNet, signerClient, user1 } = deployment;
+      await startRelayer(deployment);
+
+      const signed = await signerClient(user1).signRenewal("mysite.eth", 1);
+      const refused = await request("POST", "/relay", signed);
+      expect(refused.status).to.equal(403);
+
+      await relayer.stop();
+      await startRelayer(deployment, { payRenewals: true });
+
+      const expiration = (await ledgerNet.getDomainInfo("mysite.eth")).expirationTime;
+      expect((await request("POST", "/relay", signed)).status).to.equal(202);
+      expect((await ledgerNet.getDomainInfo("mysite.eth")).expirationTime).to.equal(expiration.add(365 * 24 * 60 * 60));
+    });
+
+    it("Should reject malformed requests", async function () {
+      const deployment = await loadFixture(deployForwarderFixture);
+      await startRelayer(deployment);
+
+      expect((await request("GET", "/relay")).status).to.equal(405);
+      expect((await request("GET", "/other")).status).to.equal(404);
+      expect((await request("POST", "/relay", "{not json")).status).to.equal(400);
+      expect((await request("POST", "/relay", { type: "MintRequest", request: {}, signature: "0x" })).status).to.equal(400);
+
+      const preflight = await request("OPTIONS", "/relay");
+      expect(preflight.status).to.equal(204);
+      expect(preflight.headers["access-control-allow-headers"]).to.equal("Content-Type");
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const { loadFixture } = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { artifacts, ethers, network } = require("hardhat");
+const { deployRegistry } = require("../scripts/upgrades");
+const LedgerNetSDK = require("../sdk/ledgernet");
+
+describe("SDK", function () {
+  async function deployLedgerNetFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const { ledgerNet } = await deployRegistry();
+    await ledgerNet.setTldAllowed("eth", true);
+
+    const PublicResolver = await ethers.getContractFactory("PublicResolver");
+    const resolver = await PublicResolver.deploy(ledgerNet.address);
+    await ledgerNet.setDefaultResolver(resolver.address);
+
+    const client = new LedgerNetSDK.LedgerNetClient({ address: ledgerNet.address, signerOrProvider: user1 });
+
+    return { ledgerNet, resolver, client, registrationFee, owner, user1, user2 };
+  }
+
+  it("Should ship the ABI of the compiled contracts", async function () {
+    for (const name of ["LedgerNet", "PublicResolver", "LedgerNetToken", "LedgerNetMarketplace", "LedgerNetAuctionHouse", "LedgerNetForwarder"]) {
+      const artifact = await artifacts.readArtifact(name);
+      const abi = new ethers.utils.Interface(artifact.abi).format(ethers.utils.FormatTypes.full);
+
+      // Run `npm run generate-sdk` after changing a contract's interface
+      expect(LedgerNetSDK.ABI[name], `${name} ABI is out of date`).to.deep.equal(abi);
+    }
+  });
+
+  it("Should expose every contract function as a client method", async function () {
+    const { client } = await loadFixture(deployLedgerNetFixture);
+
+    for (const fragment of Object.values(client.interface.functions)) {
+      expect(client[fragment.name], fragment.name).to.be.a("function");
+    }
+  });
+
+  it("Should normalise names and validate IP addresses before sending", async function () {
+    const { client, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+
+    await (await client.registerDomain("MySite.eth.", "192.168.1.1", { value: registrationFee })).wait();
+    expect((await client.getDomainInfo("mysite.eth")).owner).to.equal(user1.address);
+    expect(await client.resolveDomain("MYSITE.ETH")).to.equal("192.168.1.1");
+
+    expect(() => client.updateDomain("mysite.eth", "not-an-ip")).to.throw("Invalid IP address format");
+    expect(() => client.updateDomain("my_site.eth", "10.0.0.1")).to.throw("Invalid character in domain name");
+    expect(() => client.registerDomains(["a1.eth", "b 2.eth"], ["10.0.0.1", "10.0.0.2"], 1)).to.throw("Invalid character");
+  });
+
+  it("Should query events with their arguments by name", async function () {
+    const { client, registrationFee, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await (await client.registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee })).wait();
+    await (await client.registerDomain("another.eth", "192.168.1.2", { value: registrationFee })).wait();
+    await (await client.transferDomain("mysite.eth", user2.address)).wait();
+
+    const registered = await client.queryEvents("DomainRegistered", ["MySite.eth"]);
+    expect(registered).to.have.length(1);
+    expect(registered[0].event).to.equal("DomainRegistered");
+    expect(registered[0].args.owner).to.equal(user1.address);
+    expect(registered[0].args.ipAddress).to.equal("192.168.1.1");
+    expect(registered[0].args.domainName).to.equal(ethers.utils.id("mysite.eth"));
+
+    const transfers = await client.queryEvents("DomainTransferred", [null, null, user2.address]);
+    expect(transfers.map(e => e.args.oldOwner)).to.deep.equal([user1.address]);
+  });
+
+  it("Should name the signer of a relayed request as the actor behind its transaction", async function () {
+    const { ledgerNet, client, registrationFee, owner, user1 } = await loadFixture(deployLedgerNetFixture);
+    const registration = await (await client.registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee })).wait();
+
+    const LedgerNetForwarder = await ethers.getContractFactory("LedgerNetForwarder");
+    const forwarder = await LedgerNetForwarder.deploy(ledgerNet.address);
+    await ledgerNet.setTrustedForwarder(forwarder.address);
+
+    // The owner account relays user1's signed update
+    const signed = await new LedgerNetSDK.ForwarderClient({ address: forwarder.address, signerOrProvider: user1 })
+      .signUpdate("mysite.eth", "10.0.0.1");
+    const relayed = await (await forwarder.connect(owner).updateDomain(signed.request, signed.signature)).wait();
+
+    expect(await client.trustedForwarders()).to.deep.equal(new Set([forwarder.address.toLowerCase()]));
+    expect(await client.transactionActor(relayed.transactionHash)).to.equal(user1.address);
+    expect(await client.transactionActor(registration.transactionHash)).to.equal(user1.address);
+
+    // Requests relayed by a forwarder that has since been replaced keep their signer
+    await ledgerNet.setTrustedForwarder(ethers.constants.AddressZero);
+    const forwarders = await client.trustedForwarders();
+    expect(await client.transactionActor(relayed.transactionHash, forwarders)).to.equal(user1.address);
+  });
+
+  it("Should subscribe to events until unsubscribed", async function () {
+    const { ledgerNet, registrationFee, user1 } = await loadFixture(deployLedgerNetFixture);
+    const provider = new ethers.providers.Web3Provider(network.provider);
+    provider.pollingInterval = 50;
+
+    const client = new LedgerNetSDK.LedgerNetClient({ address: ledgerNet.address, signerOrProvider: provider });
+    const received = new Promise((resolve) => {
+      const unsubscribe = client.on("DomainUpdated", (event) => {
+        unsubscribe();
+        resolve(event);
+      }, ["mysite.eth"]);
+    });
+
+    await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+    await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+
+    const event = await received;
+    expect(event.args.newIpAddress).to.equal("10.0.0.1");
+    expect(client.contract.listenerCount()).to.equal(0);
+  });
+
+  it("Should give a client for a domain's resolver", async function () {
+    const { client, resolver, registrationFee } = await loadFixture(deployLedgerNetFixture);
+    await (await client.registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee })).wait();
+
+    const records = await client.resolver("mysite.eth");
+    expect(records.address).to.equal(resolver.address);
+
+    await (await records.addRecord("mysite.eth", LedgerNetSDK.RECORD_TYPES.TXT, "hello", 300)).wait();
+    const [record] = await records.getRecords("mysite.eth", LedgerNetSDK.RECORD_TYPES.TXT);
+    expect(record.value).to.equal("hello");
+    expect(record.ttl).to.equal(300);
+  });
+
+  it("Should call overloaded functions by argument count", async function () {
+    const { ledgerNet, client, registrationFee, user1, user2 } = await loadFixture(deployLedgerNetFixture);
+    await (await client.registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee })).wait();
+
+    const token = new LedgerNetSDK.TokenClient({ address: await client.token(), signerOrProvider: user1 });
+    const tokenId = await token.tokenIdOf("MySite.eth");
+
+    await (await token.safeTransferFrom(user1.address, user2.address, tokenId, { gasLimit: 500000 })).wait();
+    expect(await token.ownerOf(tokenId)).to.equal(user2.address);
+
+    await (await token.connect(user2).safeTransferFrom(user2.address, user1.address, tokenId, "0x")).wait();
+    expect((await ledgerNet.getDomainInfo("mysite.eth")).owner).to.equal(user1.address);
+  });
+
+  it("Should decode errors into readable messages", async function () {
+    const { client, user2 } = await loadFixture(deployLedgerNetFixture);
+
+    const error = await client.contract.callStatic.transferDomain("mysite.eth", user2.address).catch(e => e);
+    expect(client.getErrorMessage(error)).to.equal("Not the domain owner");
+
+    const data = ethers.utils.hexConcat([
+      "0x08c379a0",
+      ethers.utils.defaultAbiCoder.encode(["string"], ["Domain has expired"])
+    ]);
+    expect(LedgerNetSDK.getErrorMessage({ message: "execution reverted", error: { data: { data } } })).to.equal("Domain has expired");
+
+    // Registry errors are decoded without an interface, e.g. when they bubble up through the token
+    const registry = new ethers.utils.Interface(LedgerNetSDK.ABI.LedgerNet);
+    const frozen = registry.encodeErrorResult("DomainIsFrozen", []);
+    expect(LedgerNetSDK.getErrorMessage({ message: "execution reverted", data: frozen })).to.equal("Domain is frozen");
+    const invalidName = registry.encodeErrorResult("InvalidName", ["Domain name must be lowercase"]);
+    expect(LedgerNetSDK.getErrorMessage({ message: "execution reverted", data: invalidName })).to.equal("Domain name must be lowercase");
+    expect(LedgerNetSDK.getErrorMessage({ message: "user rejected transaction" })).to.equal("Transaction was rejected by user");
+    expect(LedgerNetSDK.getErrorMessage(null)).to.equal("Unknown error occurred");
+  });
+
+  it("Should encode and describe reason codes", async function () {
+    const reason = LedgerNetSDK.encodeReason("TRADEMARK");
+
+    expect(reason).to.equal(ethers.utils.formatBytes32String("TRADEMARK"));
+    expect(LedgerNetSDK.describeReason(reason)).to.equal("Trademark dispute");
+    expect(LedgerNetSDK.describeReason(LedgerNetSDK.encodeReason("SPAM"))).to.equal("SPAM");
+    expect(LedgerNetSDK.describeReason(ethers.constants.HashZero)).to.be.null;
+  });
+
+  it("Should validate IP addresses", async function () {
+    expect(LedgerNetSDK.validateIPAddress("192.168.1.1")).to.equal("");
+    expect(LedgerNetSDK.validateIPAddress("2001:0db8:0000:0000:0000:ff00:0042:8329")).to.equal("");
+    expect(LedgerNetSDK.validateIPAddress("256.1.1.1")).to.equal("Invalid IP address format");
+    expect(LedgerNetSDK.validateIPAddress("")).to.equal("IP address is required");
+  });
+});
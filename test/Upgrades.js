@@ -0,0 +1,242 @@
+const {
+  time,
+  loadFixture,
+} = require("@nomicfoundation/hardhat-network-helpers");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { compareStorageLayouts, deployRegistry, getStorageLayout, upgradeRegistry } = require("../scripts/upgrades");
+const { migrateLegacy, LEGACY_ABI } = require("../scripts/migrate-legacy");
+const legacyArtifact = require("./fixtures/LedgerNetLegacy.json");
+
+describe("Upgrades", function () {
+  async function deployProxyFixture() {
+    const registrationFee = ethers.utils.parseEther("0.01");
+    const [owner, user1, user2] = await ethers.getSigners();
+
+    const deployment = await deployRegistry();
+    await deployment.ledgerNet.setTldAllowed("eth", true);
+
+    return { ...deployment, registrationFee, owner, user1, user2 };
+  }
+
+  // The registry deployed before the proxy, built from the baseline commit's Contracts/LedgerNet.sol,
+  // with names registered, updated, transferred, renewed, released and re-registered after expiring
+  async function deployLegacyFixture() {
+    const deployment = await deployProxyFixture();
+    const { registrationFee, user1, user2 } = deployment;
+
+    const LedgerNetLegacy = new ethers.ContractFactory(legacyArtifact.abi, legacyArtifact.bytecode, user1);
+    const legacy = await LedgerNetLegacy.deploy();
+    const fee = { value: registrationFee };
+
+    for (const name of ["alpha.eth", "beta.eth", "old.eth", "gone.eth", "Upper.eth"]) {
+      await legacy.connect(user1).registerDomain(name, "192.168.1.1", fee);
+    }
+    await legacy.connect(user2).registerDomain("api.alpha.eth", "10.0.0.2", fee);
+    await legacy.connect(user1).updateDomain("alpha.eth", "10.0.0.1");
+    await legacy.connect(user1).transferDomain("beta.eth", user2.address);
+    await legacy.connect(user1).deactivateDomain("gone.eth");
+    await legacy.connect(user1).renewDomain("alpha.eth", fee);
+    await legacy.connect(user1).renewDomain("Upper.eth", fee);
+    await legacy.connect(user2).renewDomain("beta.eth", fee);
+    await legacy.connect(user2).renewDomain("api.alpha.eth", fee);
+
+    // old.eth expires and is registered again by someone else
+    await time.increase(366 * 24 * 60 * 60);
+    await legacy.connect(user2).registerDomain("old.eth", "192.168.1.4", fee);
+
+    return { ...deployment, legacy: new ethers.Contract(legacy.address, LEGACY_ABI, ethers.provider) };
+  }
+
+  describe("Proxy", function () {
+    it("Should initialize the registry once, through the proxy", async function () {
+      const { ledgerNet, implementation, proxyAdmin, token, owner } = await loadFixture(deployProxyFixture);
+
+      expect(await ledgerNet.contractOwner()).to.equal(owner.address);
+      expect(await ledgerNet.registrationFee()).to.equal(ethers.utils.parseEther("0.01"));
+      expect(await ledgerNet.token()).to.equal(token.address);
+      expect(await token.registry()).to.equal(ledgerNet.address);
+      expect(await proxyAdmin.getProxyImplementation(ledgerNet.address)).to.equal(implementation.address);
+
+      await expect(ledgerNet.initialize(token.address, ethers.constants.AddressZero)).to.be.revertedWith("Initializable: contract is already initialized");
+      await expect(implementation.initialize(token.address, ethers.constants.AddressZero)).to.be.revertedWith("Initializable: contract is already initialized");
+      expect(await implementation.contractOwner()).to.equal(ethers.constants.AddressZero);
+    });
+
+    it("Should not initialize with another registry's token", async function () {
+      const { implementation, proxyAdmin, token } = await loadFixture(deployProxyFixture);
+
+      const LedgerNetProxy = await ethers.getContractFactory("LedgerNetProxy");
+      const data = implementation.interface.encodeFunctionData("initialize", [token.address, ethers.constants.AddressZero]);
+
+      await expect(LedgerNetProxy.deploy(implementation.address, proxyAdmin.address, data))
+        .to.be.revertedWithCustomError(implementation, "InvalidToken");
+    });
+
+    it("Should keep domains across an upgrade", async function () {
+      const { ledgerNet, implementation, proxyAdmin, storageLayout, registrationFee, user1 } = await loadFixture(deployProxyFixture);
+      await ledgerNet.connect(user1).registerDomain("mysite.eth", "192.168.1.1", { value: registrationFee });
+
+      const upgrade = await upgradeRegistry({
+        proxyAddress: ledgerNet.address,
+        proxyAdminAddress: proxyAdmin.address,
+        storageLayout
+      });
+
+      expect(upgrade.implementation.address).to.not.equal(implementation.address);
+      expect(await proxyAdmin.getProxyImplementation(ledgerNet.address)).to.equal(upgrade.implementation.address);
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("192.168.1.1");
+      expect(await ledgerNet.getDomainsByOwner(user1.address)).to.deep.equal(["mysite.eth"]);
+
+      await ledgerNet.connect(user1).updateDomain("mysite.eth", "10.0.0.1");
+      expect(await ledgerNet.resolveDomain("mysite.eth")).to.equal("10.0.0.1");
+    });
+
+    it("Should only let the proxy admin's owner upgrade", async function () {
+      const { ledgerNet, proxyAdmin, implementation, user1 } = await loadFixture(deployProxyFixture);
+
+      await expect(proxyAdmin.connect(user1).upgrade(ledgerNet.address, implementation.address))
+        .to.be.revertedWith("Ownable: caller is not the owner");
+    });
+
+    it("Should refuse to upgrade to an incompatible layout", async function () {
+      const { ledgerNet, proxyAdmin, storageLayout } = await loadFixture(deployProxyFixture);
+
+      // As if the deployed implementation had a variable the new one dropped
+      const deployed = JSON.parse(JSON.stringify(storageLayout));
+      const last = deployed.storage[deployed.storage.length - 1];
+      deployed.storage.push({ ...last, label: "dropped", slot: String(Number(last.slot) + 1), offset: 0, type: "t_uint256" });
+
+      await expect(upgradeRegistry({
+        proxyAddress: ledgerNet.address,
+        proxyAdminAddress: proxyAdmin.address,
+        storageLayout: deployed
+      })).to.be.rejectedWith("dropped (slot");
+    });
+  });
+
+  describe("Storage layout", function () {
+    async function layouts() {
+      const layout = await getStorageLayout("LedgerNet");
+      return { layout, copy: () => JSON.parse(JSON.stringify(layout)) };
+    }
+
+    function variable(layout, label) {
+      return layout.storage.find((candidate) => candidate.label === label);
+    }
+
+    it("Should accept the same layout and variables added at the end", async function () {
+      const { layout, copy } = await layouts();
+      expect(compareStorageLayouts(layout, copy())).to.deep.equal([]);
+
+      const extended = copy();
+      const last = extended.storage[extended.storage.length - 1];
+      extended.storage.push({ ...last, label: "added", slot: String(Number(last.slot) + 1), offset: 0, type: "t_uint256" });
+      expect(compareStorageLayouts(layout, extended)).to.deep.equal([]);
+    });
+
+    it("Should accept members added at the end of a struct stored in a mapping", async function () {
+      const { layout, copy } = await layouts();
+      const extended = copy();
+
+      const domain = extended.types[variable(extended, "domainsByHash").type].value;
+      const members = extended.types[domain].members;
+      const lastSlot = Number(members[members.length - 1].slot);
+      members.push({ ...members[0], label: "added", slot: String(lastSlot + 1), offset: 0, type: "t_uint256" });
+      extended.types[domain].numberOfBytes = String((lastSlot + 2) * 32);
+
+      expect(compareStorageLayouts(layout, extended)).to.deep.equal([]);
+
+      members.splice(0, 2, members[1], members[0]);
+      const problems = compareStorageLayouts(layout, extended);
+      expect(problems).to.have.length(1);
+      expect(problems[0]).to.match(/^domainsByHash changed type from mapping\(bytes32 => /);
+    });
+
+    it("Should report removed, retyped and inserted variables", async function () {
+      const { layout, copy } = await layouts();
+
+      const removed = copy();
+      removed.storage = removed.storage.filter((candidate) => candidate.label !== "treasury");
+      expect(compareStorageLayouts(layout, removed)).to.deep.equal([
+        `treasury (slot ${variable(layout, "treasury").slot}) was removed`
+      ]);
+
+      const retyped = copy();
+      variable(retyped, "registrationFee").type = variable(retyped, "treasury").type;
+      expect(compareStorageLayouts(layout, retyped)).to.deep.equal([
+        "registrationFee changed type from uint256 to address"
+      ]);
+
+      // A variable inserted at the start moves every other one down a slot
+      const inserted = copy();
+      inserted.storage.forEach((candidate) => { candidate.slot = String(Number(candidate.slot) + 1); });
+      inserted.storage.unshift({ ...inserted.storage[0], label: "inserted", slot: "0", offset: 0, type: "t_uint256" });
+      const problems = compareStorageLayouts(layout, inserted);
+      expect(problems).to.include("_initialized (slot 0) was replaced by inserted");
+      expect(problems).to.include("inserted was inserted at slot 0, before the end of the existing variables");
+    });
+
+  });
+
+  describe("Legacy migration", function () {
+    it("Should import the names a legacy registry holds by replaying its events", async function () {
+      const { ledgerNet, legacy, token, user1, user2 } = await loadFixture(deployLegacyFixture);
+      const logs = [];
+
+      const result = await migrateLegacy({ legacy, registry: ledgerNet, log: (line) => logs.push(line) });
+      expect(result.domains.map((domain) => domain.name)).to.have.members(["alpha.eth", "beta.eth", "old.eth", "api.alpha.eth"]);
+      expect(result.imported).to.equal(4);
+      expect(logs.join("\n")).to.include("Upper.eth cannot be imported");
+
+      expect(await ledgerNet.getDomainsByOwner(user1.address)).to.have.members(["alpha.eth"]);
+      expect(await ledgerNet.getDomainsByOwner(user2.address)).to.have.members(["beta.eth", "old.eth", "api.alpha.eth"]);
+
+      for (const name of ["alpha.eth", "beta.eth", "old.eth"]) {
+        const [owner, ipAddress, expirationTime, isActive] = await legacy.getDomainInfo(name);
+        const info = await ledgerNet.getDomainInfo(name);
+        expect([info.owner, info.ipAddress, info.expirationTime, info.isActive], name)
+          .to.deep.equal([owner, ipAddress, expirationTime, isActive]);
+      }
+      expect(await ledgerNet.resolveDomain("old.eth")).to.equal("192.168.1.4");
+      expect(await ledgerNet.isDomainAvailable("gone.eth")).to.be.true;
+
+      // A name below another held name becomes its subdomain, expiring with it at the latest
+      expect(await ledgerNet.parentDomains("api.alpha.eth")).to.equal("alpha.eth");
+      expect((await ledgerNet.getDomainInfo("api.alpha.eth")).expirationTime)
+        .to.equal((await legacy.getDomainInfo("alpha.eth")).expirationTime);
+
+      expect(await token.ownerOf(ethers.utils.id("beta.eth"))).to.equal(user2.address);
+      expect(await token.ownerOf(ethers.utils.id("old.eth"))).to.equal(user2.address);
+
+      // Imported names can be used as if registered here
+      await ledgerNet.connect(user1).updateDomain("alpha.eth", "10.0.0.9");
+      expect(await ledgerNet.resolveDomain("alpha.eth")).to.equal("10.0.0.9");
+    });
+
+    it("Should skip names already imported when run again", async function () {
+      const { ledgerNet, legacy } = await loadFixture(deployLegacyFixture);
+
+      await migrateLegacy({ legacy, registry: ledgerNet, log: () => {} });
+      const again = await migrateLegacy({ legacy, registry: ledgerNet, log: () => {} });
+
+      expect(again.domains).to.have.length(4);
+      expect(again.imported).to.equal(0);
+    });
+
+    it("Should only import until the migration is closed", async function () {
+      const { ledgerNet, user1 } = await loadFixture(deployProxyFixture);
+
+      await expect(ledgerNet.connect(user1).importDomains(["a.eth"], [user1.address], ["10.0.0.1"], [0]))
+        .to.be.revertedWithCustomError(ledgerNet, "NotContractOwner");
+      await expect(ledgerNet.importDomains(["a.eth"], [user1.address], ["10.0.0.1", "10.0.0.2"], [0]))
+        .to.be.revertedWithCustomError(ledgerNet, "BatchLengthMismatch");
+
+      await expect(ledgerNet.closeMigration()).to.emit(ledgerNet, "MigrationClosed");
+      expect(await ledgerNet.migrationOpen()).to.be.false;
+
+      await expect(ledgerNet.importDomains(["a.eth"], [user1.address], ["10.0.0.1"], [0]))
+        .to.be.revertedWithCustomError(ledgerNet, "MigrationIsClosed");
+    });
+  });
+});